@@ -0,0 +1,40 @@
+/**
+ * Cache TTL rules for TMDB endpoints
+ * Maps endpoint patterns to how long their responses stay fresh
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Rules are evaluated in order, the first matching pattern wins
+const CACHE_TTL_RULES = [
+  { name: 'configuration', pattern: /^\/configuration/, ttl: DAY },
+  { name: 'genres', pattern: /^\/genre\/(movie|tv)\/list$/, ttl: DAY },
+  { name: 'trending', pattern: /^\/trending\//, ttl: 10 * MINUTE },
+  { name: 'search', pattern: /^\/search\//, ttl: 5 * MINUTE },
+  { name: 'discover', pattern: /^\/discover\//, ttl: 30 * MINUTE },
+  { name: 'lists', pattern: /^\/(movie|tv)\/(upcoming|now_playing|popular|top_rated|on_the_air|airing_today)$/, ttl: 30 * MINUTE },
+  { name: 'watch-providers', pattern: /\/watch\/providers$/, ttl: HOUR },
+  { name: 'find', pattern: /^\/find\//, ttl: DAY },
+  { name: 'reviews', pattern: /^\/(movie|tv)\/\d+\/reviews$/, ttl: HOUR },
+  { name: 'details', pattern: /^\/(movie|tv|person|collection)\/\d+/, ttl: 6 * HOUR }
+];
+
+const DEFAULT_TTL = 15 * MINUTE;
+
+/**
+ * Get the cache TTL for a TMDB endpoint
+ * @param {string} endpoint - TMDB endpoint path (e.g. /movie/550)
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTTL(endpoint) {
+  const rule = CACHE_TTL_RULES.find(({ pattern }) => pattern.test(endpoint));
+  return rule ? rule.ttl : DEFAULT_TTL;
+}
+
+module.exports = {
+  CACHE_TTL_RULES,
+  DEFAULT_TTL,
+  getCacheTTL
+};
@@ -0,0 +1,159 @@
+/**
+ * Release calendar rules
+ * TMDB release and air dates are calendar dates (no time of day), so dates are
+ * handled as YYYY-MM-DD strings. TMDB dates them in UTC (release timestamps are
+ * midnight UTC), so they're moved to the calendar's time zone like "today" is
+ */
+const { GENRE_IDS } = require('./customCategories');
+
+const CALENDAR_TYPES = ['all', 'movie', 'tv'];
+const CALENDAR_BUCKETS = ['day', 'week', 'month'];
+
+const CALENDAR = {
+  defaultDays: 30, // Range when no end date is asked for
+  maxDays: 92,
+  moviePages: 2, // Discover pages read per source; the response says when it was cut short
+  premierePages: 2,
+  episodeShows: 20, // Shows whose seasons are fetched for episode air dates
+  maxConcurrent: 5
+};
+
+// iCalendar feeds (/api/calendar/*.ics)
+const ICAL = {
+  prodId: '-//Movie TV Tracking API//Release Calendar//EN',
+  uidDomain: 'movie-tv-tracking-api', // Event UIDs end with @uidDomain
+  titleBaseUrl: 'https://www.themoviedb.org', // Events link to the title's TMDB page
+  refreshInterval: 'PT12H', // How often subscribed calendar apps should refresh
+  upcomingPages: 2 // Discover pages read per source for the upcoming feed
+};
+
+// Movie genres TMDB folds into a combined TV genre
+const TV_GENRE_EQUIVALENTS = {
+  28: 10759, // Action -> Action & Adventure
+  12: 10759, // Adventure -> Action & Adventure
+  878: 10765, // Science Fiction -> Sci-Fi & Fantasy
+  14: 10765, // Fantasy -> Sci-Fi & Fantasy
+  10752: 10768 // War -> War & Politics
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = date => new Date(`${date}T00:00:00Z`);
+const formatDate = date => date.toISOString().split('T')[0];
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  return formatDate(new Date(toDate(date).getTime() + days * DAY_MS));
+}
+
+/**
+ * Count the days from one calendar date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days, negative when to is before from
+ */
+function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / DAY_MS);
+}
+
+/**
+ * Check whether a string is a real calendar date
+ * @param {string} value - Value to check
+ * @returns {boolean} True for valid YYYY-MM-DD dates
+ */
+function isCalendarDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(toDate(value).getTime()) && formatDate(toDate(value)) === value;
+}
+
+/**
+ * Check whether a time zone is a known IANA zone
+ * @param {string} timeZone - e.g. 'Asia/Kolkata'
+ * @returns {boolean} True when Intl knows the zone
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the current calendar date in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+function getToday(timeZone, now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+/**
+ * Get the calendar date a TMDB date falls on in a time zone
+ * West of UTC, midnight UTC is still the previous day
+ * @param {string} date - YYYY-MM-DD (UTC)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(date, timeZone) {
+  return getToday(timeZone, toDate(date));
+}
+
+/**
+ * Get the bucket a date falls in
+ * Weeks start on Monday (ISO 8601)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {Object} { key, start, end }
+ */
+function getBucket(date, bucket) {
+  if (bucket === 'week') {
+    const start = addDays(date, -((toDate(date).getUTCDay() + 6) % 7));
+    return { key: start, start, end: addDays(start, 6) };
+  }
+
+  if (bucket === 'month') {
+    const start = `${date.slice(0, 7)}-01`;
+    const next = toDate(start);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return { key: date.slice(0, 7), start, end: addDays(formatDate(next), -1) };
+  }
+
+  return { key: date, start: date, end: date };
+}
+
+/**
+ * Translate movie genre ids (as the genre registry uses) to TV genre ids
+ * @param {number[]} genreIds - Movie genre ids
+ * @returns {number[]} TV genre ids; empty when none of the genres exist for TV
+ */
+function getTVGenreIds(genreIds) {
+  return [...new Set(genreIds
+    .map(id => TV_GENRE_EQUIVALENTS[id] || id)
+    .filter(id => GENRE_IDS.tv.includes(id)))];
+}
+
+module.exports = {
+  CALENDAR,
+  CALENDAR_TYPES,
+  CALENDAR_BUCKETS,
+  ICAL,
+  addDays,
+  daysBetween,
+  isCalendarDate,
+  isValidTimeZone,
+  getToday,
+  getLocalDate,
+  getBucket,
+  getTVGenreIds
+};
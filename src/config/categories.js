@@ -1,177 +1,327 @@
 /**
- * Category mappings for TMDB API parameters
- * Maps user-friendly category names to TMDB API parameters
+ * Category registry
+ * Every category the API offers is one entry in categories.json, which drives
+ * the overview endpoint, parameter validation and the TMDB discover mappings
  */
+const fs = require('fs');
+const path = require('path');
+const { toCategoryMapping } = require('./customCategories');
 
-const CATEGORY_MAPPINGS = {
-  // Mood-based content categories
-  mood: {
-    'family-movie-night': {
-      genres: [10751], // Family
-      sort_by: 'popularity.desc',
-      media_type: 'movie'
-    },
-    'rom-com-classics': {
-      genres: [10749, 35], // Romance, Comedy
-      sort_by: 'vote_average.desc',
-      'vote_average.gte': 7.0,
-      media_type: 'movie'
-    },
-    'psychological-thrillers': {
-      genres: [53], // Thriller
-      with_keywords: '9715,10349', // psychological, mind-bending
-      sort_by: 'vote_average.desc',
-      'vote_average.gte': 6.5,
-      media_type: 'movie'
-    },
-    'feel-good-shows': {
-      genres: [35], // Comedy
-      media_type: 'tv',
-      sort_by: 'popularity.desc',
-      'vote_average.gte': 7.0
-    },
-    'musicals': {
-      genres: [10402], // Music
-      sort_by: 'popularity.desc',
-      media_type: 'movie'
-    },
-    'halloween': {
-      genres: [27], // Horror
-      sort_by: 'popularity.desc',
-      media_type: 'movie'
-    },
-    'bingeable-series': {
-      media_type: 'tv',
-      sort_by: 'popularity.desc',
-      'vote_average.gte': 7.5,
-      'with_runtime.gte': 30
+const REGISTRY_FILE = path.join(__dirname, 'categories.json');
+
+// Routes serving each discover category type (see src/routes/categories.js)
+const CATEGORY_TYPE_ENDPOINTS = {
+  mood: '/api/categories/mood',
+  awards: '/api/categories/awards',
+  studios: '/api/categories/studio',
+  networks: '/api/categories/network',
+  genres: '/api/categories/genre'
+};
+
+const KEY_PATTERN = /^[a-z0-9-]{1,50}$/;
+const MEDIA_TYPES = ['movie', 'tv'];
+
+// Blended categories mix several sources instead of running one discover query
+const BLEND_CATEGORY_TYPES = ['mood', 'awards'];
+const BLEND_SOURCE_TYPES = ['discover', 'trending', 'list'];
+const BLENDED_CATEGORIES = {
+  pageSize: 20,
+  maxPages: 10, // The blend is walked from its start, so deep pages get expensive
+  maxSources: 5,
+  maxWeight: 10,
+  maxListIds: 200,
+  maxConcurrent: 5 // Detail requests in flight at once for curated lists
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check the discover parameters of a category or blend source
+ * @param {Object} discover - Discover parameters
+ * @param {string} where - Location used in problem messages
+ * @returns {string[]} Problems found
+ */
+function validateDiscover(discover, where) {
+  if (!isObject(discover) || Object.keys(discover).length === 0) {
+    return [`${where} must be an object of TMDB discover parameters`];
+  }
+
+  const problems = [];
+  Object.entries(discover).forEach(([param, value]) => {
+    const valid = param === 'genres'
+      ? Array.isArray(value) && value.length > 0 && value.every(Number.isInteger)
+      : ['string', 'number', 'boolean'].includes(typeof value);
+    if (!valid) {
+      problems.push(param === 'genres'
+        ? `${where}.genres must be a non-empty array of genre ids`
+        : `${where}.${param} must be a string, number or boolean`);
     }
-  },
-
-  // Award winners and blockbusters
-  awards: {
-    'oscar-winners': {
-      with_keywords: '210024', // Oscar winner
-      sort_by: 'vote_average.desc',
-      'vote_average.gte': 7.0,
-      media_type: 'movie'
-    },
-    'top-grossing': {
-      sort_by: 'revenue.desc',
-      'revenue.gte': 100000000,
-      media_type: 'movie'
-    },
-    'imdb-top-250': {
-      sort_by: 'vote_average.desc',
-      'vote_count.gte': 10000,
-      'vote_average.gte': 8.0,
-      media_type: 'movie'
-    },
-    'blockbuster-shows': {
-      media_type: 'tv',
-      sort_by: 'popularity.desc',
-      'vote_average.gte': 8.0,
-      'vote_count.gte': 1000
-    },
-    'top-rated': {
-      sort_by: 'vote_average.desc',
-      'vote_average.gte': 8.0,
-      'vote_count.gte': 5000
+  });
+  return problems;
+}
+
+/**
+ * Check one source of a blended category
+ * @param {Object} source - { type, media_type, weight, discover | time_window | ids }
+ * @param {string} where - Location used in problem messages
+ * @returns {string[]} Problems found
+ */
+function validateBlendSource(source, where) {
+  if (!isObject(source)) return [`${where} must be an object`];
+  if (!BLEND_SOURCE_TYPES.includes(source.type)) {
+    return [`${where}.type must be one of: ${BLEND_SOURCE_TYPES.join(', ')}`];
+  }
+
+  const problems = [];
+  const mediaTypes = source.type === 'trending' ? [...MEDIA_TYPES, 'all'] : MEDIA_TYPES;
+  if (!mediaTypes.includes(source.media_type)) {
+    problems.push(`${where}.media_type must be one of: ${mediaTypes.join(', ')}`);
+  }
+
+  const { maxWeight, maxListIds } = BLENDED_CATEGORIES;
+  if (source.weight !== undefined && !(Number.isInteger(source.weight) && source.weight >= 1 && source.weight <= maxWeight)) {
+    problems.push(`${where}.weight must be an integer between 1 and ${maxWeight}`);
+  }
+
+  if (source.type === 'discover') {
+    problems.push(...validateDiscover(source.discover, `${where}.discover`));
+  } else if (source.type === 'trending') {
+    if (source.time_window !== undefined && !['day', 'week'].includes(source.time_window)) {
+      problems.push(`${where}.time_window must be either "day" or "week"`);
     }
-  },
-
-  // Studio-specific content
-  studios: {
-    'disney': {
-      with_companies: '2', // Walt Disney Pictures
-      sort_by: 'popularity.desc'
-    },
-    'pixar': {
-      with_companies: '3', // Pixar Animation Studios
-      sort_by: 'popularity.desc'
-    },
-    'marvel': {
-      with_companies: '420', // Marvel Studios
-      sort_by: 'popularity.desc'
-    },
-    'dc': {
-      with_companies: '9993', // DC Entertainment
-      sort_by: 'popularity.desc'
-    },
-    'universal': {
-      with_companies: '33', // Universal Pictures
-      sort_by: 'popularity.desc'
-    },
-    'lucasfilm': {
-      with_companies: '1', // Lucasfilm Ltd.
-      sort_by: 'popularity.desc'
-    },
-    'illumination': {
-      with_companies: '6704', // Illumination Entertainment
-      sort_by: 'popularity.desc'
-    },
-    'dreamworks': {
-      with_companies: '521', // DreamWorks Animation
-      sort_by: 'popularity.desc'
+  } else if (!Array.isArray(source.ids) || source.ids.length === 0 || source.ids.length > maxListIds ||
+    !source.ids.every(id => Number.isInteger(id) && id > 0)) {
+    problems.push(`${where}.ids must be an array of 1 to ${maxListIds} TMDB ids`);
+  } else if (new Set(source.ids).size !== source.ids.length) {
+    problems.push(`${where}.ids must not repeat ids`);
+  }
+
+  return problems;
+}
+
+/**
+ * Check the definition of a blended category
+ * @param {Object} blend - { sources: [...] }
+ * @param {string} where - Location used in problem messages
+ * @returns {string[]} Problems found
+ */
+function validateBlend(blend, where) {
+  const { maxSources } = BLENDED_CATEGORIES;
+  if (!isObject(blend) || !Array.isArray(blend.sources) || blend.sources.length < 2 || blend.sources.length > maxSources) {
+    return [`${where}.sources must be an array of 2 to ${maxSources} sources`];
+  }
+
+  return blend.sources.flatMap((source, i) => validateBlendSource(source, `${where}.sources[${i}]`));
+}
+
+/**
+ * Check a registry category
+ * @param {Object} category - Category entry
+ * @param {Object} group - Group it belongs to
+ * @param {string} where - Location used in problem messages
+ * @returns {string[]} Problems found
+ */
+function validateCategory(category, group, where) {
+  if (!isObject(category)) return [`${where} must be an object`];
+
+  const problems = [];
+  if (!isNonEmptyString(category.name)) problems.push(`${where}.name is required`);
+
+  if (!group.type) {
+    if (typeof category.endpoint !== 'string' || !category.endpoint.startsWith('/api/')) {
+      problems.push(`${where}.endpoint must be an /api/ path`);
+    }
+    return problems;
+  }
+
+  if (category.blend !== undefined) {
+    if (!BLEND_CATEGORY_TYPES.includes(group.type)) {
+      problems.push(`${where}.blend is only supported in ${BLEND_CATEGORY_TYPES.join(' and ')} groups`);
+    }
+    if (category.discover !== undefined) {
+      problems.push(`${where} must have either discover or blend, not both`);
     }
-  },
-
-  // Network-specific content (TV shows)
-  networks: {
-    'netflix': {
-      with_networks: '213', // Netflix
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
-    },
-    'apple-tv': {
-      with_networks: '2552', // Apple TV+
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
-    },
-    'disney-plus': {
-      with_networks: '2739', // Disney+
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
-    },
-    'prime-video': {
-      with_networks: '1024', // Amazon Prime Video
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
-    },
-    'hbo': {
-      with_networks: '49', // HBO
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
-    },
-    'paramount-plus': {
-      with_networks: '4330', // Paramount+
-      media_type: 'tv',
-      sort_by: 'popularity.desc'
+    if (category.media_type !== undefined) {
+      problems.push(`${where}.media_type must be set on each blend source instead`);
     }
-  },
-
-  // Genre-based content
-  genres: {
-    'action': { genres: [28], sort_by: 'popularity.desc' },
-    'adventure': { genres: [12], sort_by: 'popularity.desc' },
-    'animation': { genres: [16], sort_by: 'popularity.desc' },
-    'comedy': { genres: [35], sort_by: 'popularity.desc' },
-    'crime': { genres: [80], sort_by: 'popularity.desc' },
-    'documentary': { genres: [99], sort_by: 'popularity.desc' },
-    'drama': { genres: [18], sort_by: 'popularity.desc' },
-    'family': { genres: [10751], sort_by: 'popularity.desc' },
-    'fantasy': { genres: [14], sort_by: 'popularity.desc' },
-    'history': { genres: [36], sort_by: 'popularity.desc' },
-    'horror': { genres: [27], sort_by: 'popularity.desc' },
-    'music': { genres: [10402], sort_by: 'popularity.desc' },
-    'mystery': { genres: [9648], sort_by: 'popularity.desc' },
-    'romance': { genres: [10749], sort_by: 'popularity.desc' },
-    'science-fiction': { genres: [878], sort_by: 'popularity.desc' },
-    'thriller': { genres: [53], sort_by: 'popularity.desc' },
-    'war': { genres: [10752], sort_by: 'popularity.desc' },
-    'western': { genres: [37], sort_by: 'popularity.desc' }
+    return [...problems, ...validateBlend(category.blend, `${where}.blend`)];
+  }
+
+  if (category.media_type !== undefined && !MEDIA_TYPES.includes(category.media_type)) {
+    problems.push(`${where}.media_type must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+
+  return [...problems, ...validateDiscover(category.discover, `${where}.discover`)];
+}
+
+/**
+ * Check a parsed registry
+ * @param {Object} registry - Parsed categories.json
+ * @returns {string[]} Problems found, empty when the registry is valid
+ */
+function validateCategoryRegistry(registry) {
+  if (!isObject(registry) || !Array.isArray(registry.groups)) {
+    return ['registry must be an object with a groups array'];
   }
-};
+
+  const problems = [];
+  const groupKeys = new Set();
+  const types = new Set();
+
+  registry.groups.forEach((group, i) => {
+    const where = `groups[${i}]`;
+    if (!isObject(group)) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!KEY_PATTERN.test(group.key)) {
+      problems.push(`${where}.key must be lowercase letters, numbers and hyphens`);
+    } else if (groupKeys.has(group.key)) {
+      problems.push(`${where}.key "${group.key}" is already used`);
+    }
+    groupKeys.add(group.key);
+
+    if (!isNonEmptyString(group.name)) problems.push(`${where}.name is required`);
+
+    if (group.type !== undefined) {
+      if (!CATEGORY_TYPE_ENDPOINTS[group.type]) {
+        problems.push(`${where}.type must be one of: ${Object.keys(CATEGORY_TYPE_ENDPOINTS).join(', ')}`);
+      } else if (types.has(group.type)) {
+        problems.push(`${where}.type "${group.type}" is already used`);
+      }
+      types.add(group.type);
+    }
+
+    if (!Array.isArray(group.categories) || group.categories.length === 0) {
+      problems.push(`${where}.categories must be a non-empty array`);
+      return;
+    }
+
+    const categoryKeys = new Set();
+    group.categories.forEach((category, j) => {
+      const categoryWhere = `${where}.categories[${j}]`;
+      if (isObject(category)) {
+        if (!KEY_PATTERN.test(category.key)) {
+          problems.push(`${categoryWhere}.key must be lowercase letters, numbers and hyphens`);
+        } else if (categoryKeys.has(category.key)) {
+          problems.push(`${categoryWhere}.key "${category.key}" is already used in ${group.key}`);
+        }
+        categoryKeys.add(category.key);
+      }
+      problems.push(...validateCategory(category, group, categoryWhere));
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Read and validate the category registry
+ * @param {string} file - Registry file
+ * @returns {Object} Parsed registry
+ * @throws {Error} CONFIG_ERROR listing every problem when the file is unreadable or invalid
+ */
+function loadCategoryRegistry(file = REGISTRY_FILE) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    const configError = new Error(`Invalid category registry ${file}: ${error.message}`);
+    configError.code = 'CONFIG_ERROR';
+    throw configError;
+  }
+
+  const problems = validateCategoryRegistry(registry);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid category registry ${file}: ${problems.join('; ')}`);
+    error.code = 'CONFIG_ERROR';
+    throw error;
+  }
+
+  return registry;
+}
+
+/**
+ * Build the discover mappings of a registry, keyed by category type and name
+ * Blended categories map to { blend } instead of discover parameters
+ * @param {Object} registry - Validated registry
+ * @returns {Object} { mood: { 'family-movie-night': { genres, sort_by, media_type } }, ... }
+ */
+function buildCategoryMappings(registry) {
+  return registry.groups
+    .filter(group => group.type)
+    .reduce((mappings, group) => {
+      mappings[group.type] = {};
+      group.categories.forEach(category => {
+        if (category.blend) {
+          mappings[group.type][category.key] = { blend: category.blend };
+          return;
+        }
+        mappings[group.type][category.key] = category.media_type
+          ? { ...category.discover, media_type: category.media_type }
+          : { ...category.discover };
+      });
+      return mappings;
+    }, {});
+}
+
+// Loaded once at startup, so an invalid registry stops the server from booting
+const CATEGORY_REGISTRY = loadCategoryRegistry();
+const CATEGORY_MAPPINGS = buildCategoryMappings(CATEGORY_REGISTRY);
+
+// Custom categories created through the admin API are served as mood categories
+const CUSTOM_CATEGORY_TYPE = 'mood';
+let customCategories = new Map();
+
+/**
+ * Replace the custom categories served next to the registry's
+ * @param {Array} categories - Valid custom categories (see config/customCategories.js)
+ */
+function setCustomCategories(categories) {
+  customCategories = new Map(categories.map(category => [category.key, category]));
+}
+
+/**
+ * Check whether a name belongs to a registry (not custom) category
+ * @param {string} categoryType - The main category type
+ * @param {string} categoryName - The specific category name
+ * @returns {boolean} True for registry categories
+ */
+function isRegistryCategory(categoryType, categoryName) {
+  return Object.prototype.hasOwnProperty.call(CATEGORY_MAPPINGS, categoryType) &&
+    Object.prototype.hasOwnProperty.call(CATEGORY_MAPPINGS[categoryType], categoryName);
+}
+
+/**
+ * Get the categories overview served by /api/categories
+ * @returns {Object} Keyed by group: { name, subcategories: [{ key, name, endpoint }] }
+ */
+function getCategoryOverview() {
+  return CATEGORY_REGISTRY.groups.reduce((overview, group) => {
+    overview[group.key] = {
+      name: group.name,
+      subcategories: group.categories.map(category => ({
+        key: category.key,
+        name: category.name,
+        endpoint: group.type ? `${CATEGORY_TYPE_ENDPOINTS[group.type]}/${category.key}` : category.endpoint
+      }))
+    };
+
+    if (group.type === CUSTOM_CATEGORY_TYPE) {
+      customCategories.forEach(category => {
+        overview[group.key].subcategories.push({
+          key: category.key,
+          name: category.name,
+          endpoint: `${CATEGORY_TYPE_ENDPOINTS[CUSTOM_CATEGORY_TYPE]}/${category.key}`,
+          custom: true
+        });
+      });
+    }
+    return overview;
+  }, {});
+}
 
 /**
  * Helper function to get category mapping by category type and name
@@ -180,11 +330,16 @@ const CATEGORY_MAPPINGS = {
  * @returns {Object|null} The mapping object or null if not found
  */
 function getCategoryMapping(categoryType, categoryName) {
-  if (!CATEGORY_MAPPINGS[categoryType]) {
-    return null;
+  // Own keys only, so names like "constructor" aren't taken for categories
+  if (isRegistryCategory(categoryType, categoryName)) {
+    return CATEGORY_MAPPINGS[categoryType][categoryName];
   }
-  
-  return CATEGORY_MAPPINGS[categoryType][categoryName] || null;
+
+  if (categoryType === CUSTOM_CATEGORY_TYPE && customCategories.has(categoryName)) {
+    return toCategoryMapping(customCategories.get(categoryName));
+  }
+
+  return null;
 }
 
 /**
@@ -231,6 +386,9 @@ function getAllCategories() {
   Object.keys(CATEGORY_MAPPINGS).forEach(categoryType => {
     categories[categoryType] = Object.keys(CATEGORY_MAPPINGS[categoryType]);
   });
+  if (categories[CUSTOM_CATEGORY_TYPE]) {
+    categories[CUSTOM_CATEGORY_TYPE].push(...customCategories.keys());
+  }
   
   return categories;
 }
@@ -255,7 +413,17 @@ function getMediaType(categoryType, categoryName) {
 }
 
 module.exports = {
+  CATEGORY_TYPE_ENDPOINTS,
+  BLENDED_CATEGORIES,
+  CATEGORY_REGISTRY,
   CATEGORY_MAPPINGS,
+  validateCategoryRegistry,
+  loadCategoryRegistry,
+  buildCategoryMappings,
+  getCategoryOverview,
+  CUSTOM_CATEGORY_TYPE,
+  setCustomCategories,
+  isRegistryCategory,
   getCategoryMapping,
   convertToTMDBParams,
   isValidCategory,
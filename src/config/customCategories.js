@@ -0,0 +1,215 @@
+/**
+ * Rules for custom categories created through the admin API
+ * A custom category is a set of discover filters served as a mood category
+ */
+
+// TMDB genre ids per media type (/genre/movie/list and /genre/tv/list)
+const GENRE_IDS = {
+  movie: [28, 12, 16, 35, 80, 99, 18, 10751, 14, 36, 27, 10402, 9648, 10749, 878, 10770, 53, 10752, 37],
+  tv: [10759, 16, 35, 80, 99, 18, 10751, 10762, 9648, 10763, 10764, 10765, 10766, 10767, 10768, 37]
+};
+
+// Discover date field each media type is filtered and sorted on
+const RELEASE_DATE_FIELDS = {
+  movie: 'primary_release_date',
+  tv: 'first_air_date'
+};
+
+const CUSTOM_CATEGORY_SORTS = {
+  movie: ['popularity.desc', 'vote_average.desc', 'vote_count.desc', 'primary_release_date.desc', 'revenue.desc'],
+  tv: ['popularity.desc', 'vote_average.desc', 'vote_count.desc', 'first_air_date.desc']
+};
+
+// Id list filters: the discover parameter and how ids are combined ("," all of, "|" any of)
+const ID_FILTERS = {
+  genres: { param: 'genres', separator: ',' },
+  without_genres: { param: 'without_genres', separator: ',' },
+  keywords: { param: 'with_keywords', separator: '|' },
+  companies: { param: 'with_companies', separator: '|' },
+  networks: { param: 'with_networks', separator: '|' }
+};
+
+const CUSTOM_CATEGORY_FILTERS = [
+  ...Object.keys(ID_FILTERS),
+  'min_rating',
+  'max_rating',
+  'min_votes',
+  'released_after',
+  'released_before',
+  'released_within_days'
+];
+
+const MAX_RELEASE_WINDOW_DAYS = 3650;
+const KEY_PATTERN = /^[a-z0-9-]{1,50}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isIdList = value => Array.isArray(value) && value.length > 0 && value.every(id => Number.isInteger(id) && id > 0);
+const isDate = value => typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+const isInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+/**
+ * Check the filters of a custom category, including combinations that
+ * discover would accept but that can never match (or match junk)
+ * @param {Object} filters - Filter set
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {string} sortBy - Sort order
+ * @returns {string[]} Problems found
+ */
+function validateFilters(filters, mediaType, sortBy) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['filters must be an object'];
+  }
+
+  const problems = [];
+  const unknown = Object.keys(filters).filter(name => !CUSTOM_CATEGORY_FILTERS.includes(name));
+  if (unknown.length > 0) {
+    problems.push(`Unknown filters: ${unknown.join(', ')} (supported: ${CUSTOM_CATEGORY_FILTERS.join(', ')})`);
+  }
+
+  Object.keys(ID_FILTERS).forEach(name => {
+    if (filters[name] !== undefined && !isIdList(filters[name])) {
+      problems.push(`filters.${name} must be a non-empty array of TMDB ids`);
+    }
+  });
+
+  ['min_rating', 'max_rating'].forEach(name => {
+    if (filters[name] !== undefined && !isInRange(filters[name], 0, 10)) {
+      problems.push(`filters.${name} must be a number between 0 and 10`);
+    }
+  });
+
+  if (filters.min_votes !== undefined && !(Number.isInteger(filters.min_votes) && filters.min_votes >= 0)) {
+    problems.push('filters.min_votes must be a non-negative integer');
+  }
+
+  ['released_after', 'released_before'].forEach(name => {
+    if (filters[name] !== undefined && !isDate(filters[name])) {
+      problems.push(`filters.${name} must be a date (YYYY-MM-DD)`);
+    }
+  });
+
+  if (filters.released_within_days !== undefined &&
+    !(Number.isInteger(filters.released_within_days) && isInRange(filters.released_within_days, 1, MAX_RELEASE_WINDOW_DAYS))) {
+    problems.push(`filters.released_within_days must be an integer between 1 and ${MAX_RELEASE_WINDOW_DAYS}`);
+  }
+
+  if (problems.length > 0) return problems;
+
+  // Combinations
+  if (!CUSTOM_CATEGORY_FILTERS.some(name => name !== 'without_genres' && filters[name] !== undefined)) {
+    problems.push('filters must narrow the category with at least one filter besides without_genres');
+  }
+
+  if (filters.networks && mediaType !== 'tv') {
+    problems.push('filters.networks only applies to TV categories');
+  }
+
+  ['genres', 'without_genres'].forEach(name => {
+    const invalid = (filters[name] || []).filter(id => !GENRE_IDS[mediaType].includes(id));
+    if (invalid.length > 0) {
+      problems.push(`filters.${name} has genres that don't exist for ${mediaType}: ${invalid.join(', ')}`);
+    }
+  });
+
+  const excluded = (filters.genres || []).filter(id => (filters.without_genres || []).includes(id));
+  if (excluded.length > 0) {
+    problems.push(`filters.genres and filters.without_genres both contain: ${excluded.join(', ')}`);
+  }
+
+  if (filters.min_rating !== undefined && filters.max_rating !== undefined && filters.min_rating > filters.max_rating) {
+    problems.push('filters.min_rating must not be above filters.max_rating');
+  }
+
+  if (filters.released_after && filters.released_before && filters.released_after > filters.released_before) {
+    problems.push('filters.released_after must not be after filters.released_before');
+  }
+
+  if (filters.released_within_days !== undefined && (filters.released_after || filters.released_before)) {
+    problems.push('filters.released_within_days cannot be combined with released_after or released_before');
+  }
+
+  // Sorting by rating without a vote floor surfaces titles with a single 10/10 vote
+  if (sortBy === 'vote_average.desc' && filters.min_votes === undefined) {
+    problems.push('sort_by vote_average.desc requires filters.min_votes');
+  }
+
+  return problems;
+}
+
+/**
+ * Check a custom category definition
+ * @param {Object} category - { key, name, media_type, filters, sort_by }
+ * @returns {string[]} Problems found, empty when the category is valid
+ */
+function validateCustomCategory(category) {
+  if (category === null || typeof category !== 'object' || Array.isArray(category)) {
+    return ['Category must be an object'];
+  }
+
+  const problems = [];
+  const { key, name, media_type: mediaType = 'movie', sort_by: sortBy = 'popularity.desc' } = category;
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    problems.push('key must be 1-50 lowercase letters, numbers and hyphens');
+  }
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    problems.push('name must be a non-empty string of up to 100 characters');
+  } else if (/[<>]/.test(name)) {
+    problems.push('name must not contain HTML');
+  }
+
+  if (!Object.keys(RELEASE_DATE_FIELDS).includes(mediaType)) {
+    problems.push('media_type must be either "movie" or "tv"');
+    return problems;
+  }
+
+  if (!CUSTOM_CATEGORY_SORTS[mediaType].includes(sortBy)) {
+    problems.push(`sort_by must be one of: ${CUSTOM_CATEGORY_SORTS[mediaType].join(', ')}`);
+  }
+
+  return [...problems, ...validateFilters(category.filters, mediaType, sortBy)];
+}
+
+/**
+ * Convert a custom category to a category mapping (see config/categories.js)
+ * Rolling release windows are resolved against `now`, so call this per request
+ * @param {Object} category - Valid custom category
+ * @param {Date} now - Current date
+ * @returns {Object} Mapping with discover parameters and media_type
+ */
+function toCategoryMapping(category, now = new Date()) {
+  const { filters } = category;
+  const mediaType = category.media_type || 'movie';
+  const dateField = RELEASE_DATE_FIELDS[mediaType];
+  const mapping = { sort_by: category.sort_by || 'popularity.desc', media_type: mediaType };
+
+  Object.entries(ID_FILTERS).forEach(([name, { param, separator }]) => {
+    if (!filters[name]) return;
+    // convertToTMDBParams joins the genres array itself
+    mapping[param] = name === 'genres' ? [...filters[name]] : filters[name].join(separator);
+  });
+
+  if (filters.min_rating !== undefined) mapping['vote_average.gte'] = filters.min_rating;
+  if (filters.max_rating !== undefined) mapping['vote_average.lte'] = filters.max_rating;
+  if (filters.min_votes !== undefined) mapping['vote_count.gte'] = filters.min_votes;
+
+  if (filters.released_within_days !== undefined) {
+    const from = new Date(now.getTime() - filters.released_within_days * 24 * 60 * 60 * 1000);
+    mapping[`${dateField}.gte`] = from.toISOString().split('T')[0];
+    mapping[`${dateField}.lte`] = now.toISOString().split('T')[0];
+  }
+  if (filters.released_after) mapping[`${dateField}.gte`] = filters.released_after;
+  if (filters.released_before) mapping[`${dateField}.lte`] = filters.released_before;
+
+  return mapping;
+}
+
+module.exports = {
+  GENRE_IDS,
+  CUSTOM_CATEGORY_SORTS,
+  CUSTOM_CATEGORY_FILTERS,
+  MAX_RELEASE_WINDOW_DAYS,
+  validateCustomCategory,
+  toCategoryMapping
+};
@@ -0,0 +1,19 @@
+/**
+ * External ID sources that can be resolved through TMDB's /find endpoint
+ * Maps the source name used in our routes to TMDB's external_source and the ID format
+ */
+
+const EXTERNAL_ID_SOURCES = {
+  imdb: { externalSource: 'imdb_id', pattern: /^(tt|nm)\d{5,10}$/, example: 'tt0137523' },
+  tvdb: { externalSource: 'tvdb_id', pattern: /^\d{1,10}$/, example: '81189' },
+  wikidata: { externalSource: 'wikidata_id', pattern: /^Q\d{1,12}$/, example: 'Q190050' },
+  facebook: { externalSource: 'facebook_id', pattern: /^[\w.-]{1,100}$/, example: 'FightClub' },
+  instagram: { externalSource: 'instagram_id', pattern: /^[\w.]{1,30}$/, example: 'fightclub' },
+  twitter: { externalSource: 'twitter_id', pattern: /^\w{1,15}$/, example: 'FightClub' },
+  tiktok: { externalSource: 'tiktok_id', pattern: /^[\w.]{1,24}$/, example: 'fightclub' },
+  youtube: { externalSource: 'youtube_id', pattern: /^[\w-]{1,100}$/, example: 'UCVtxxWd5uUSbKX4VNTKsLuA' }
+};
+
+module.exports = {
+  EXTERNAL_ID_SOURCES
+};
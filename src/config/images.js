@@ -0,0 +1,71 @@
+/**
+ * TMDB image configuration
+ * Sizes mirror TMDB's /configuration response and are used until it has been
+ * loaded (or when it can't be)
+ */
+
+const IMAGE_TYPES = ['poster', 'backdrop', 'profile', 'logo', 'still'];
+
+const DEFAULT_IMAGE_CONFIGURATION = {
+  baseUrl: 'https://image.tmdb.org/t/p/',
+  sizes: {
+    poster: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
+    backdrop: ['w300', 'w780', 'w1280', 'original'],
+    profile: ['w45', 'w185', 'h632', 'original'],
+    logo: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
+    still: ['w92', 'w185', 'w300', 'original']
+  }
+};
+
+// Sizes used when the client doesn't pick a preset
+const DEFAULT_IMAGE_SIZES = {
+  poster: 'w500',
+  backdrop: 'w1280',
+  profile: 'w185',
+  logo: 'w185',
+  still: 'w300'
+};
+
+// ?imageSize= presets, resolved against the sizes TMDB actually offers
+const IMAGE_SIZE_PRESETS = {
+  small: { poster: 'w185', backdrop: 'w300', profile: 'w45', logo: 'w92', still: 'w92' },
+  medium: { poster: 'w342', backdrop: 'w780', profile: 'w185', logo: 'w185', still: 'w185' },
+  large: { poster: 'w780', backdrop: 'w1280', profile: 'h632', logo: 'w500', still: 'w300' },
+  original: { poster: 'original', backdrop: 'original', profile: 'original', logo: 'original', still: 'original' }
+};
+
+/**
+ * Get the pixel dimension of a TMDB size name ("w500" -> 500)
+ * @param {string} size - Size name
+ * @returns {number} Dimension, Infinity for "original"
+ */
+function getSizeDimension(size) {
+  if (size === 'original') return Infinity;
+  return parseInt(String(size).slice(1)) || 0;
+}
+
+/**
+ * Pick the smallest available size at least as large as the wanted one
+ * (so images are never upscaled), or the largest one when none is
+ * @param {Array} availableSizes - Sizes TMDB offers for the image type
+ * @param {string} wanted - Wanted size name
+ * @returns {string} Available size name
+ */
+function resolveImageSize(availableSizes, wanted) {
+  if (!availableSizes || availableSizes.length === 0 || availableSizes.includes(wanted)) {
+    return wanted;
+  }
+
+  const target = getSizeDimension(wanted);
+  const sorted = [...availableSizes].sort((a, b) => getSizeDimension(a) - getSizeDimension(b));
+
+  return sorted.find(size => getSizeDimension(size) >= target) || sorted[sorted.length - 1];
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  DEFAULT_IMAGE_CONFIGURATION,
+  DEFAULT_IMAGE_SIZES,
+  IMAGE_SIZE_PRESETS,
+  resolveImageSize
+};
@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const { DEFAULT_LOCALE, normalizeLanguage, normalizeRegion } = require('./locale');
 
 // Load environment variables
 dotenv.config();
@@ -7,18 +8,113 @@ const config = {
   port: process.env.PORT || 3000,
   tmdb: {
     apiKey: process.env.TMDB_API_KEY,
-    baseUrl: 'https://api.themoviedb.org/3',
+    accessToken: process.env.TMDB_ACCESS_TOKEN, // v4 read access token, preferred over apiKey
+    baseUrl: process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3',
     imageBaseUrl: 'https://image.tmdb.org/t/p/'
   },
+  transport: {
+    mode: process.env.TMDB_TRANSPORT || 'live', // 'live', 'record' or 'replay'
+    fixturesDir: process.env.TMDB_FIXTURES_DIR || 'fixtures/tmdb'
+  },
+  locale: {
+    // Used when a request asks for no language or region of its own
+    language: normalizeLanguage(process.env.TMDB_DEFAULT_LANGUAGE) || DEFAULT_LOCALE.language,
+    region: normalizeRegion(process.env.TMDB_DEFAULT_REGION) || DEFAULT_LOCALE.region
+  },
+  cache: {
+    enabled: process.env.TMDB_CACHE_ENABLED !== 'false',
+    backend: process.env.TMDB_CACHE_BACKEND || 'memory', // 'memory' or 'file'
+    maxEntries: parseInt(process.env.TMDB_CACHE_MAX_ENTRIES) || 1000,
+    directory: process.env.TMDB_CACHE_DIR || '.cache/tmdb',
+    staleTtlMs: parseInt(process.env.TMDB_CACHE_STALE_TTL_MS) || 24 * 60 * 60 * 1000
+  },
+  streaming: {
+    // Watch-provider snapshots streaming dates are derived from
+    snapshots: {
+      backend: process.env.STREAMING_SNAPSHOT_BACKEND || 'file', // 'memory' or 'file'
+      file: process.env.STREAMING_SNAPSHOT_FILE || '.cache/streaming/snapshots.json'
+    },
+    // Background job taking the snapshots
+    snapshotJob: {
+      enabled: process.env.PROVIDER_SNAPSHOT_JOB_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.PROVIDER_SNAPSHOT_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+      popularPages: parseInt(process.env.PROVIDER_SNAPSHOT_POPULAR_PAGES) || 1,
+      maxTrackedTitles: parseInt(process.env.PROVIDER_SNAPSHOT_MAX_TRACKED_TITLES) || 500, // Tracked titles snapshotted per run
+      retentionDays: parseInt(process.env.PROVIDER_SNAPSHOT_RETENTION_DAYS) || 90 // Titles not requested for this long stop being tracked
+    }
+  },
+  customCategories: {
+    // Categories created through the admin API
+    backend: process.env.CUSTOM_CATEGORIES_BACKEND || 'file', // 'memory' or 'file'
+    file: process.env.CUSTOM_CATEGORIES_FILE || 'data/custom-categories.json'
+  },
+  admin: {
+    token: process.env.ADMIN_API_TOKEN // Admin API is disabled without it
+  },
+  retry: {
+    maxRetries: parseInt(process.env.TMDB_RETRY_MAX) >= 0 ? parseInt(process.env.TMDB_RETRY_MAX) : 2,
+    baseDelayMs: parseInt(process.env.TMDB_RETRY_BASE_DELAY_MS) || 300,
+    maxDelayMs: parseInt(process.env.TMDB_RETRY_MAX_DELAY_MS) || 5000,
+    budgetMs: parseInt(process.env.TMDB_RETRY_BUDGET_MS) || 10000
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.TMDB_BREAKER_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.TMDB_BREAKER_RESET_TIMEOUT_MS) || 30000
+  },
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: true
   }
 };
 
-// Validate required environment variables
-if (!config.tmdb.apiKey) {
-  console.warn('Warning: TMDB_API_KEY environment variable is not set');
+// v3 API keys are 32 hex characters, v4 read access tokens are JWTs
+const API_KEY_PATTERN = /^[a-f0-9]{32}$/i;
+const ACCESS_TOKEN_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Validate the configured TMDB credential
+ * The access token wins when both are set. Problems are warnings during
+ * development and refuse to boot in production
+ * @param {Object} cfg - Configuration to validate
+ * @param {string} environment - NODE_ENV
+ * @returns {string|null} Auth mode ('bearer' or 'api_key'), null when no credential is used
+ * @throws {Error} CONFIG_ERROR in production when the credential is missing or malformed
+ */
+function validateConfig(cfg, environment = process.env.NODE_ENV) {
+  const { apiKey, accessToken } = cfg.tmdb;
+  const problems = [];
+  let authMode = null;
+
+  // Replay mode runs offline without credentials
+  if (cfg.transport.mode === 'replay') {
+    return null;
+  }
+
+  if (accessToken) {
+    authMode = 'bearer';
+    if (!ACCESS_TOKEN_PATTERN.test(accessToken)) {
+      problems.push('TMDB_ACCESS_TOKEN is not a valid TMDB read access token');
+    }
+  } else if (apiKey) {
+    authMode = 'api_key';
+    if (!API_KEY_PATTERN.test(apiKey)) {
+      problems.push('TMDB_API_KEY is not a valid TMDB API key');
+    }
+  } else {
+    problems.push('TMDB_ACCESS_TOKEN or TMDB_API_KEY environment variable must be set');
+  }
+
+  if (problems.length > 0 && environment === 'production') {
+    const error = new Error(`Invalid configuration: ${problems.join('; ')}`);
+    error.code = 'CONFIG_ERROR';
+    throw error;
+  }
+
+  problems.forEach(problem => console.warn(`Warning: ${problem}`));
+  return authMode;
 }
 
-module.exports = config;
\ No newline at end of file
+config.tmdb.authMode = validateConfig(config);
+
+module.exports = config;
+module.exports.validateConfig = validateConfig;
@@ -0,0 +1,106 @@
+/**
+ * Localization rules for TMDB requests
+ * Decides which locale parameters each TMDB endpoint understands, so a request's
+ * language and region can be applied to every call without per-call plumbing
+ */
+
+// TMDB's own defaults when no language or region is sent
+const DEFAULT_LOCALE = {
+  language: 'en-US',
+  region: 'US'
+};
+
+// Endpoints that use `region` to pick regional release dates
+const REGION_ENDPOINTS = [
+  /^\/movie\/(popular|top_rated|upcoming|now_playing)$/,
+  /^\/search\/movie$/,
+  /^\/discover\/movie$/
+];
+
+// Endpoints whose responses don't vary by language (sending it would only split the cache)
+const LANGUAGE_INDEPENDENT_ENDPOINTS = [
+  /^\/configuration/,
+  /\/watch\/providers$/,
+  /\/external_ids$/,
+  /\/release_dates$/,
+  /\/content_ratings$/
+];
+
+/**
+ * Normalize a language tag to TMDB's format ("pt-br" -> "pt-BR")
+ * @param {string} value - ISO 639-1 code, optionally followed by an ISO 3166-1 region
+ * @returns {string|null} Normalized language or null when invalid
+ */
+function normalizeLanguage(value) {
+  const match = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Normalize a region code ("in" -> "IN")
+ * @param {string} value - ISO 3166-1 alpha-2 code
+ * @returns {string|null} Normalized region or null when invalid
+ */
+function normalizeRegion(value) {
+  const region = String(value || '').trim();
+  return /^[a-z]{2}$/i.test(region) ? region.toUpperCase() : null;
+}
+
+/**
+ * Get the region part of a language tag ("hi-IN" -> "IN")
+ * @param {string} language - Normalized language
+ * @returns {string|null} Region or null
+ */
+function getLanguageRegion(language) {
+  const parts = String(language || '').split('-');
+  return parts.length === 2 ? parts[1] : null;
+}
+
+/**
+ * Get the locale parameters a TMDB endpoint should receive
+ * Parameters already present in params are left alone
+ * @param {string} endpoint - TMDB endpoint path
+ * @param {Object} params - Request parameters
+ * @param {Object} locale - { language, region }
+ * @returns {Object} Locale parameters to add
+ */
+function getLocaleParams(endpoint, params, locale) {
+  const localeParams = {};
+
+  if (locale.language && !LANGUAGE_INDEPENDENT_ENDPOINTS.some(pattern => pattern.test(endpoint))) {
+    localeParams.language = locale.language;
+
+    // Videos are filtered by language, so keep English and language-less ones as a fallback
+    const appended = String(params.append_to_response || '').split(',');
+    if (/\/videos$/.test(endpoint) || appended.includes('videos')) {
+      const languages = new Set([locale.language.split('-')[0], 'en', 'null']);
+      localeParams.include_video_language = Array.from(languages).join(',');
+    }
+  }
+
+  if (locale.region) {
+    if (REGION_ENDPOINTS.some(pattern => pattern.test(endpoint))) {
+      localeParams.region = locale.region;
+    }
+
+    // Provider filters only make sense within a watch region
+    if (/^\/discover\//.test(endpoint) && (params.with_watch_providers || params.with_watch_monetization_types)) {
+      localeParams.watch_region = locale.region;
+    }
+  }
+
+  Object.keys(params).forEach(key => delete localeParams[key]);
+  return localeParams;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  REGION_ENDPOINTS,
+  LANGUAGE_INDEPENDENT_ENDPOINTS,
+  normalizeLanguage,
+  normalizeRegion,
+  getLanguageRegion,
+  getLocaleParams
+};
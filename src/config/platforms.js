@@ -0,0 +1,66 @@
+/**
+ * Streaming platforms the streaming-now category searches
+ * providerId is TMDB's watch provider id (see /watch/providers/movie);
+ * types are the watch monetization types the platform offers titles as
+ */
+
+const STREAMING_PLATFORMS = [
+  { name: 'Netflix', providerId: 8, types: ['flatrate'] },
+  { name: 'Amazon Prime Video', providerId: 9, types: ['flatrate'] },
+  { name: 'Disney+', providerId: 337, types: ['flatrate'] },
+  { name: 'Apple TV+', providerId: 350, types: ['flatrate'] },
+  { name: 'Max', providerId: 1899, types: ['flatrate'] },
+  { name: 'Hulu', providerId: 15, types: ['flatrate'] },
+  { name: 'Paramount+', providerId: 531, types: ['flatrate'] },
+  { name: 'Peacock', providerId: 386, types: ['flatrate', 'ads'] },
+  { name: 'Starz', providerId: 43, types: ['flatrate'] },
+  { name: 'Crunchyroll', providerId: 283, types: ['flatrate', 'ads'] },
+  { name: 'YouTube Premium', providerId: 188, types: ['flatrate'] },
+  { name: 'Tubi', providerId: 73, types: ['ads', 'free'] },
+  { name: 'Pluto TV', providerId: 300, types: ['ads', 'free'] },
+  { name: 'The Roku Channel', providerId: 207, types: ['ads', 'free'] },
+  { name: 'Amazon Freevee', providerId: 613, types: ['ads', 'free'] },
+  { name: 'Plex', providerId: 538, types: ['ads', 'free'] },
+  { name: 'Kanopy', providerId: 191, types: ['free'] },
+  { name: 'Hoopla', providerId: 212, types: ['free'] }
+];
+
+// Discover pipeline behind /api/categories/streaming/now
+const STREAMING_NOW = {
+  windowDays: 30, // How far back releases are considered
+  minVoteCount: 50,
+  maxConcurrent: 5 // Watch-provider requests in flight at once
+};
+
+/**
+ * Build the discover filters matching titles on any of the platforms
+ * @param {Array} platforms - Platforms to search
+ * @param {string} region - ISO 3166-1 watch region
+ * @returns {Object} with_watch_providers, watch_region and with_watch_monetization_types
+ */
+function getWatchProviderFilters(platforms, region) {
+  const types = [...new Set(platforms.flatMap(platform => platform.types))];
+
+  return {
+    with_watch_providers: platforms.map(platform => platform.providerId).join('|'),
+    watch_region: region,
+    with_watch_monetization_types: types.join('|')
+  };
+}
+
+/**
+ * Find the platform for a TMDB watch provider id
+ * @param {number} providerId - TMDB watch provider id
+ * @param {Array} platforms - Platforms to look in
+ * @returns {Object|null} Platform or null
+ */
+function getPlatformByProviderId(providerId, platforms = STREAMING_PLATFORMS) {
+  return platforms.find(platform => platform.providerId === providerId) || null;
+}
+
+module.exports = {
+  STREAMING_PLATFORMS,
+  STREAMING_NOW,
+  getWatchProviderFilters,
+  getPlatformByProviderId
+};
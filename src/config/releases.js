@@ -0,0 +1,94 @@
+/**
+ * TMDB release types and age certifications
+ * Release types are the numeric `type` of /movie/{id}/release_dates entries
+ */
+
+const RELEASE_TYPES = {
+  1: 'premiere',
+  2: 'theatrical_limited',
+  3: 'theatrical',
+  4: 'digital',
+  5: 'physical',
+  6: 'tv'
+};
+
+// Most representative first: theatrical, limited theatrical, digital, physical, TV, premiere
+const RELEASE_TYPE_PRIORITY = [3, 2, 4, 5, 6, 1];
+
+/**
+ * Format a movie's release_dates by country
+ * @param {Object} releaseDates - release_dates data from TMDB
+ * @returns {Object} Keyed by country: { certification, dates, releases }
+ *   where dates holds the earliest date of each release type (or null)
+ */
+function formatReleaseDates(releaseDates) {
+  if (!releaseDates || !Array.isArray(releaseDates.results)) return {};
+
+  return releaseDates.results.reduce((countries, entry) => {
+    const releases = (entry.release_dates || [])
+      .filter(release => RELEASE_TYPES[release.type] && release.release_date)
+      .map(release => ({
+        type: RELEASE_TYPES[release.type],
+        date: release.release_date.split('T')[0],
+        certification: release.certification || null,
+        note: release.note || null
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (releases.length === 0) return countries;
+
+    const dates = {};
+    Object.values(RELEASE_TYPES).forEach(type => {
+      const first = releases.find(release => release.type === type);
+      dates[type] = first ? first.date : null;
+    });
+
+    countries[entry.iso_3166_1] = {
+      certification: getCertification(releases),
+      dates,
+      releases
+    };
+    return countries;
+  }, {});
+}
+
+/**
+ * Pick a country's certification, preferring the one given to the most
+ * representative release (theatrical before digital, etc.)
+ * @param {Array} releases - Formatted releases of one country
+ * @returns {string|null} Certification (e.g. "R", "15", "U/A")
+ */
+function getCertification(releases) {
+  for (const typeId of RELEASE_TYPE_PRIORITY) {
+    const release = releases.find(entry => entry.type === RELEASE_TYPES[typeId] && entry.certification);
+    if (release) return release.certification;
+  }
+
+  return null;
+}
+
+/**
+ * Format a TV show's content_ratings by country
+ * @param {Object} contentRatings - content_ratings data from TMDB
+ * @returns {Object} Keyed by country: { rating, descriptors }
+ */
+function formatContentRatings(contentRatings) {
+  if (!contentRatings || !Array.isArray(contentRatings.results)) return {};
+
+  return contentRatings.results.reduce((countries, entry) => {
+    if (entry.rating) {
+      countries[entry.iso_3166_1] = {
+        rating: entry.rating,
+        descriptors: entry.descriptors || []
+      };
+    }
+    return countries;
+  }, {});
+}
+
+module.exports = {
+  RELEASE_TYPES,
+  RELEASE_TYPE_PRIORITY,
+  formatReleaseDates,
+  formatContentRatings
+};
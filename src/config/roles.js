@@ -0,0 +1,28 @@
+/**
+ * Person roles and orderings for "more by this person" lists
+ */
+
+// Cast credits, or crew credits matching one of the jobs or departments
+const PERSON_ROLES = {
+  actor: { cast: true },
+  director: { jobs: ['Director'] },
+  writer: { departments: ['Writing'] },
+  composer: { jobs: ['Original Music Composer', 'Music', 'Composer', 'Songs'] },
+  cinematographer: { jobs: ['Director of Photography', 'Cinematography'] },
+  creator: { jobs: ['Creator'] }
+};
+
+const CREDIT_MEDIA_TYPES = ['all', 'movie', 'tv'];
+
+// Comparators over filmography titles; ties fall back to popularity
+const CREDIT_SORTS = {
+  newest: (a, b) => (b.date || '').localeCompare(a.date || ''),
+  popular: (a, b) => (b.popularity || 0) - (a.popularity || 0),
+  rated: (a, b) => (b.vote_average || 0) - (a.vote_average || 0) || (b.vote_count || 0) - (a.vote_count || 0)
+};
+
+module.exports = {
+  PERSON_ROLES,
+  CREDIT_MEDIA_TYPES,
+  CREDIT_SORTS
+};
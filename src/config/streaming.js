@@ -0,0 +1,76 @@
+/**
+ * Streaming availability rules
+ * Used to derive when a title became available to stream
+ */
+
+// Watch-provider offer types that count as streaming (rent and buy don't)
+const STREAMING_PROVIDER_TYPES = ['flatrate', 'free', 'ads'];
+
+const STREAMING_DATE_SOURCES = {
+  snapshot: 'provider_snapshot',
+  digitalRelease: 'tmdb_digital_release',
+  releaseDate: 'tmdb_release_date'
+};
+
+// A provider seen for the first time was added at some point since the
+// previous snapshot, so the date is only as precise as the gap between the two
+const OBSERVATION_CONFIDENCE = [
+  { maxGapDays: 2, confidence: 'high' },
+  { maxGapDays: 8, confidence: 'medium' }
+];
+
+// How recently a title arrived on streaming, scored 0-10 for the streaming
+// category; the score is lowered the less certain its streaming date is
+const STREAMING_RECENCY_SCORES = [
+  { maxDays: 1, score: 10 },
+  { maxDays: 3, score: 9 },
+  { maxDays: 7, score: 8 },
+  { maxDays: 14, score: 7 },
+  { maxDays: 30, score: 5 },
+  { maxDays: 60, score: 3 }
+];
+
+const CONFIDENCE_PENALTIES = { high: 0, medium: 1, low: 3 };
+
+// Provider feeds (/api/providers/:providerId/new and /leaving)
+const PROVIDER_FEED_CHANGES = ['new', 'leaving'];
+const DEFAULT_PROVIDER_FEED_DAYS = 30;
+const MAX_PROVIDER_FEED_DAYS = 365;
+
+/**
+ * Get the confidence of a date observed between two snapshots
+ * @param {number} gapDays - Days between the snapshots
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+function getObservationConfidence(gapDays) {
+  const rule = OBSERVATION_CONFIDENCE.find(({ maxGapDays }) => gapDays <= maxGapDays);
+  return rule ? rule.confidence : 'low';
+}
+
+/**
+ * Score how recently a title arrived on streaming
+ * @param {number|null} daysSinceStreaming - Days since its streaming date
+ * @param {string} confidence - Confidence of that date
+ * @returns {number} 0-10, 0 when the date is unknown or in the future
+ */
+function getStreamingRecencyScore(daysSinceStreaming, confidence) {
+  if (daysSinceStreaming === null || daysSinceStreaming < 0 || !(confidence in CONFIDENCE_PENALTIES)) {
+    return 0;
+  }
+
+  const rule = STREAMING_RECENCY_SCORES.find(({ maxDays }) => daysSinceStreaming <= maxDays);
+  return Math.max((rule ? rule.score : 1) - CONFIDENCE_PENALTIES[confidence], 0);
+}
+
+module.exports = {
+  STREAMING_PROVIDER_TYPES,
+  STREAMING_DATE_SOURCES,
+  OBSERVATION_CONFIDENCE,
+  STREAMING_RECENCY_SCORES,
+  CONFIDENCE_PENALTIES,
+  PROVIDER_FEED_CHANGES,
+  DEFAULT_PROVIDER_FEED_DAYS,
+  MAX_PROVIDER_FEED_DAYS,
+  getObservationConfidence,
+  getStreamingRecencyScore
+};
@@ -0,0 +1,59 @@
+const { runWithRequestContext, getRequestContext } = require('../services/requestContext');
+
+/**
+ * Middleware to run each request inside its own request context
+ */
+const attachRequestContext = (req, res, next) => {
+  runWithRequestContext(() => next());
+};
+
+/**
+ * Summarize cache usage of the current request as a single status
+ * @param {Object} cacheContext - Cache counters from the request context
+ * @returns {string|null} STALE, HIT, MISS, PARTIAL or null when TMDB was not called
+ */
+const getCacheStatus = (cacheContext) => {
+  const { hits, misses, stale = 0 } = cacheContext;
+
+  // Any stale data makes the whole response stale
+  if (stale > 0) return 'STALE';
+  if (hits === 0 && misses === 0) return null;
+  if (misses === 0) return 'HIT';
+  if (hits === 0) return 'MISS';
+  return 'PARTIAL';
+};
+
+/**
+ * Middleware to expose cache hit/miss metadata as response headers
+ */
+const cacheStatusHeaders = (req, res, next) => {
+  const originalJson = res.json;
+
+  res.json = function(data) {
+    const context = getRequestContext();
+
+    if (context && !res.headersSent) {
+      const status = getCacheStatus(context.cache);
+      if (status) {
+        res.setHeader('X-Cache', status);
+        res.setHeader('X-Cache-Hits', String(context.cache.hits));
+        res.setHeader('X-Cache-Misses', String(context.cache.misses));
+      }
+
+      if (status === 'STALE') {
+        res.setHeader('X-Cache-Stale', String(context.cache.stale));
+        res.setHeader('Warning', '110 - "Response is Stale"');
+      }
+    }
+
+    return originalJson.call(this, data);
+  };
+
+  next();
+};
+
+module.exports = {
+  attachRequestContext,
+  cacheStatusHeaders,
+  getCacheStatus
+};
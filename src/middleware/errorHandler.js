@@ -70,9 +70,11 @@ function errorHandler(err, req, res, next) {
       code: err.code,
       statusCode: err.statusCode,
       stack: err.stack,
+      retries: err.retries,
       originalError: err.originalError ? {
         message: err.originalError.message,
         code: err.originalError.code,
+        retries: err.originalError.retries,
         stack: err.originalError.stack
       } : undefined
     },
@@ -95,8 +97,14 @@ function errorHandler(err, req, res, next) {
     timestamp: new Date().toISOString()
   };
 
+  // Fail-fast circuit breaker errors keep their 503 even when wrapped by a service
+  const unavailableCause = findErrorCause(err, 'SERVICE_UNAVAILABLE');
+  if (unavailableCause && typeof unavailableCause.retryAfterMs === 'number') {
+    res.set('Retry-After', String(Math.ceil(unavailableCause.retryAfterMs / 1000)));
+  }
+
   // Handle specific error types based on error codes
-  switch (err.code) {
+  switch (unavailableCause ? 'SERVICE_UNAVAILABLE' : err.code) {
     case 'TMDB_API_ERROR':
       statusCode = 502;
       errorResponse.error = {
@@ -113,6 +121,14 @@ function errorHandler(err, req, res, next) {
       };
       break;
 
+    case 'CALENDAR_SERVICE_ERROR':
+      statusCode = 500;
+      errorResponse.error = {
+        code: 'CALENDAR_SERVICE_ERROR',
+        message: err.message || 'Failed to fetch release calendar'
+      };
+      break;
+
     case 'CONTENT_SERVICE_ERROR':
       statusCode = 500;
       errorResponse.error = {
@@ -182,7 +198,16 @@ function errorHandler(err, req, res, next) {
       statusCode = 400;
       errorResponse.error = {
         code: 'VALIDATION_ERROR',
-        message: err.message || 'Validation failed'
+        message: err.message || 'Validation failed',
+        ...(err.details && { details: err.details })
+      };
+      break;
+
+    case 'CONFLICT':
+      statusCode = 409;
+      errorResponse.error = {
+        code: 'CONFLICT',
+        message: err.message || 'The resource already exists'
       };
       break;
 
@@ -233,6 +258,25 @@ function errorHandler(err, req, res, next) {
   res.status(statusCode).json(errorResponse);
 }
 
+/**
+ * Find an error with the given code in a chain of wrapped errors
+ * @param {Error} err - Error object
+ * @param {string} code - Error code to look for
+ * @returns {Error|null} Matching error or null
+ */
+function findErrorCause(err, code) {
+  let current = err;
+  let depth = 0;
+
+  while (current && depth < 10) {
+    if (current.code === code) return current;
+    current = current.originalError;
+    depth++;
+  }
+
+  return null;
+}
+
 /**
  * Generate a simple request ID for tracking
  */
@@ -0,0 +1,28 @@
+const { setRequestImageOptions } = require('../services/requestContext');
+
+/**
+ * Resolve the image options a request asks for
+ * @param {Object} req - Express request (query already validated)
+ * @returns {Object} { size, srcset } where size is an IMAGE_SIZE_PRESETS name or null
+ */
+const resolveImageOptions = (req) => ({
+  size: req.query.imageSize || null,
+  srcset: ['true', '1'].includes(String(req.query.imageSrcset).toLowerCase())
+});
+
+/**
+ * Middleware to apply ?imageSize= and ?imageSrcset= to every image URL in the response
+ * Must run inside attachRequestContext
+ */
+const attachImageOptions = (req, res, next) => {
+  const images = resolveImageOptions(req);
+
+  req.imageOptions = images;
+  setRequestImageOptions(images);
+  next();
+};
+
+module.exports = {
+  attachImageOptions,
+  resolveImageOptions
+};
@@ -0,0 +1,65 @@
+const config = require('../config');
+const { setRequestLocale } = require('../services/requestContext');
+const { normalizeLanguage, normalizeRegion, getLanguageRegion } = require('../config/locale');
+
+/**
+ * Pick the preferred supported language from an Accept-Language header
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} Normalized language or null
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const candidates = header.split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const qualityOption = options.find(option => option.trim().startsWith('q='));
+      const quality = qualityOption ? parseFloat(qualityOption.trim().slice(2)) : 1;
+      return { language: normalizeLanguage(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(candidate => candidate.language && candidate.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return candidates.length > 0 ? candidates[0].language : null;
+};
+
+/**
+ * Resolve the locale a request asks for
+ * Query parameters win over Accept-Language; the region falls back to the one in
+ * the language tag ("hi-IN") and then to the configured default
+ * @param {Object} req - Express request
+ * @param {Object} defaults - { language, region } defaults
+ * @returns {Object} { language, region }
+ */
+const resolveLocale = (req, defaults = config.locale) => {
+  const language = normalizeLanguage(req.query.language) ||
+    parseAcceptLanguage(req.get('Accept-Language')) ||
+    defaults.language;
+
+  const region = normalizeRegion(req.query.region) ||
+    getLanguageRegion(language) ||
+    defaults.region;
+
+  return { language, region };
+};
+
+/**
+ * Middleware to localize every TMDB call made while handling the request
+ * Must run inside attachRequestContext
+ */
+const attachLocale = (req, res, next) => {
+  const locale = resolveLocale(req);
+
+  req.locale = locale;
+  setRequestLocale(locale);
+
+  res.set('Content-Language', locale.language);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  attachLocale,
+  resolveLocale,
+  parseAcceptLanguage
+};
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const crypto = require('crypto');
 
 /**
  * General rate limiting for all API endpoints
@@ -206,6 +207,45 @@ const validateUserAgent = (req, res, next) => {
   next();
 };
 
+/**
+ * Create middleware requiring the admin token as a bearer token
+ * Without a configured token the admin API is disabled
+ * @param {string} adminToken - Expected token (ADMIN_API_TOKEN)
+ * @returns {Function} Express middleware
+ */
+const requireAdminToken = (adminToken) => (req, res, next) => {
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'ADMIN_API_DISABLED',
+        message: 'The admin API is disabled. Set ADMIN_API_TOKEN to enable it'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  // Compare digests so the comparison takes the same time whatever the token
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  const valid = scheme === 'Bearer' && token && crypto.timingSafeEqual(digest(token), digest(adminToken));
+
+  if (!valid) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'A valid admin bearer token is required'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to log security events
  */
@@ -239,5 +279,6 @@ module.exports = {
   additionalSecurityHeaders,
   validateRequestSize,
   validateUserAgent,
+  requireAdminToken,
   securityLogger
 };
\ No newline at end of file
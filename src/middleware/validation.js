@@ -1,6 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
 const validator = require('validator');
 const xss = require('xss');
+const { IMAGE_SIZE_PRESETS } = require('../config/images');
+const { PERSON_ROLES, CREDIT_MEDIA_TYPES, CREDIT_SORTS } = require('../config/roles');
+const { EXTERNAL_ID_SOURCES } = require('../config/externalIds');
+const { MAX_PROVIDER_FEED_DAYS } = require('../config/streaming');
+const { isValidCategory } = require('../config/categories');
+const { CALENDAR_TYPES, CALENDAR_BUCKETS, isCalendarDate, isValidTimeZone } = require('../config/calendar');
 
 /**
  * Middleware to handle validation errors
@@ -124,6 +130,95 @@ const validateContentId = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for external ID lookups (/find/:source/:externalId)
+ * The ID format is checked against the source, e.g. IMDb IDs look like tt0137523
+ */
+const validateExternalId = [
+  param('source')
+    .isIn(Object.keys(EXTERNAL_ID_SOURCES))
+    .withMessage(`Source must be one of: ${Object.keys(EXTERNAL_ID_SOURCES).join(', ')}`),
+  param('externalId')
+    .custom((value, { req }) => {
+      const source = EXTERNAL_ID_SOURCES[req.params.source];
+      // Unknown sources are already reported by the source check
+      if (source && !source.pattern.test(value)) {
+        throw new Error(`Invalid ${req.params.source} ID (e.g. ${source.example})`);
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for TV season number parameters (0 is specials)
+ */
+const validateSeasonNumber = [
+  param('season')
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Season number must be a non-negative integer'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for TV episode number parameters
+ */
+const validateEpisodeNumber = [
+  param('episode')
+    .isInt({ min: 1, max: 99999 })
+    .withMessage('Episode number must be a positive integer'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for person credit filters
+ */
+const validatePersonCreditsQuery = [
+  query('role')
+    .optional()
+    .isIn(Object.keys(PERSON_ROLES))
+    .withMessage(`Role must be one of: ${Object.keys(PERSON_ROLES).join(', ')}`),
+  query('mediaType')
+    .optional()
+    .isIn(CREDIT_MEDIA_TYPES)
+    .withMessage(`Media type must be one of: ${CREDIT_MEDIA_TYPES.join(', ')}`),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(CREDIT_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(CREDIT_SORTS).join(', ')}`),
+  query('exclude')
+    .optional()
+    .isInt({ min: 1, max: 999999999 })
+    .withMessage('Excluded title ID must be a positive integer'),
+  query('excludeMediaType')
+    .if((value, { req }) => value !== undefined || req.query.exclude !== undefined)
+    .isIn(['movie', 'tv'])
+    .withMessage('Excluded media type must be movie or tv'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for watch-provider feeds (new on / leaving a service)
+ */
+const validateProviderFeed = [
+  param('providerId')
+    .isInt({ min: 1, max: 999999999 })
+    .withMessage('Provider ID must be a positive integer'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: MAX_PROVIDER_FEED_DAYS })
+    .withMessage(`Days must be an integer between 1 and ${MAX_PROVIDER_FEED_DAYS}`),
+  query('mediaType')
+    .optional()
+    .isIn(CREDIT_MEDIA_TYPES)
+    .withMessage(`Media type must be one of: ${CREDIT_MEDIA_TYPES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000'),
+  handleValidationErrors
+];
+
 /**
  * Validation rules for media type parameters
  */
@@ -135,70 +230,57 @@ const validateMediaType = [
 ];
 
 /**
- * Validation rules for category parameters
+ * Build validation rules for a parameter naming a category of the registry
+ * Checked against the registry on each request, so the list never drifts from it
+ * @param {string} name - Route parameter
+ * @param {string} categoryType - Registry category type (mood, studios, ...)
+ * @param {string} label - Name used in messages
+ * @param {string} invalidMessage - Message for names that aren't registered
  */
-const validateCategoryParam = [
-  param('category')
+const validateRegisteredCategory = (name, categoryType, label, invalidMessage) => [
+  param(name)
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category must be between 1 and 50 characters')
+    .withMessage(`${label} must be between 1 and 50 characters`)
     .matches(/^[a-z0-9-]+$/)
-    .withMessage('Category can only contain lowercase letters, numbers, and hyphens'),
+    .withMessage(`${label} can only contain lowercase letters, numbers, and hyphens`)
+    .bail()
+    .custom(value => isValidCategory(categoryType, value))
+    .withMessage(invalidMessage),
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for category parameters
+ */
+const validateCategoryParam = validateRegisteredCategory('category', 'mood', 'Category', 'Invalid mood category');
+
 /**
  * Validation rules for studio parameters
  */
-const validateStudioParam = [
-  param('studio')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Studio must be between 1 and 50 characters')
-    .matches(/^[a-z0-9-]+$/)
-    .withMessage('Studio can only contain lowercase letters, numbers, and hyphens')
-    .isIn(['disney', 'pixar', 'marvel', 'dc', 'universal', 'lucasfilm', 'illumination', 'dreamworks'])
-    .withMessage('Invalid studio name'),
-  handleValidationErrors
-];
+const validateStudioParam = validateRegisteredCategory('studio', 'studios', 'Studio', 'Invalid studio name');
 
 /**
  * Validation rules for network parameters
  */
-const validateNetworkParam = [
-  param('network')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Network must be between 1 and 50 characters')
-    .matches(/^[a-z0-9-]+$/)
-    .withMessage('Network can only contain lowercase letters, numbers, and hyphens')
-    .isIn(['netflix', 'apple-tv', 'disney-plus', 'prime-video', 'hbo', 'paramount-plus'])
-    .withMessage('Invalid network name'),
-  handleValidationErrors
-];
+const validateNetworkParam = validateRegisteredCategory('network', 'networks', 'Network', 'Invalid network name');
 
 /**
  * Validation rules for genre parameters
  */
-const validateGenreParam = [
-  param('genre')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Genre must be between 1 and 50 characters')
-    .matches(/^[a-z0-9-]+$/)
-    .withMessage('Genre can only contain lowercase letters, numbers, and hyphens')
-    .isIn(['action', 'adventure', 'animation', 'comedy', 'crime', 'documentary', 'drama', 'family', 'fantasy', 'history', 'horror', 'music', 'mystery', 'romance', 'science-fiction', 'thriller', 'war', 'western'])
-    .withMessage('Invalid genre name'),
-  handleValidationErrors
-];
+const validateGenreParam = validateRegisteredCategory('genre', 'genres', 'Genre', 'Invalid genre name');
 
 /**
  * Validation rules for award type parameters
  */
-const validateAwardTypeParam = [
-  param('type')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Award type must be between 1 and 50 characters')
-    .matches(/^[a-z0-9-]+$/)
-    .withMessage('Award type can only contain lowercase letters, numbers, and hyphens')
-    .isIn(['oscar-winners', 'top-grossing', 'imdb-top-250', 'blockbuster-shows', 'top-rated'])
-    .withMessage('Invalid award type'),
+const validateAwardTypeParam = validateRegisteredCategory('type', 'awards', 'Award type', 'Invalid award type');
+
+/**
+ * Validation rules for custom category keys (/api/admin/categories/:key)
+ */
+const validateCustomCategoryKey = [
+  param('key')
+    .matches(/^[a-z0-9-]{1,50}$/)
+    .withMessage('Category key must be 1-50 lowercase letters, numbers, and hyphens'),
   handleValidationErrors
 ];
 
@@ -210,14 +292,6 @@ const validatePageQuery = [
     .optional()
     .isInt({ min: 1, max: 1000 })
     .withMessage('Page must be a positive integer between 1 and 1000'),
-  query('moviePage')
-    .optional()
-    .isInt({ min: 1, max: 1000 })
-    .withMessage('Movie page must be a positive integer between 1 and 1000'),
-  query('tvPage')
-    .optional()
-    .isInt({ min: 1, max: 1000 })
-    .withMessage('TV page must be a positive integer between 1 and 1000'),
   query('type')
     .optional()
     .isIn(['movie', 'tv'])
@@ -225,6 +299,128 @@ const validatePageQuery = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for cursor-paginated feeds
+ */
+const validateCursorQuery = [
+  query('cursor')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{1,500}$/)
+    .withMessage('Cursor must be the nextCursor of a previous page'),
+  handleValidationErrors
+];
+
+/**
+ * Rule for the time zone calendars are dated in
+ * @returns {ValidationChain} tz query rule
+ */
+const calendarTimeZoneQuery = () => query('tz')
+  .optional()
+  .unescape() // sanitizeQuery escaped the slash of zones like Asia/Kolkata; the zone is checked against Intl's list
+  .custom(isValidTimeZone)
+  .withMessage('Time zone must be an IANA time zone (e.g. "America/New_York")');
+
+/**
+ * Validation rules for the release calendar (/api/calendar)
+ */
+const validateCalendarQuery = [
+  query(['from', 'to'])
+    .optional()
+    .custom(isCalendarDate)
+    .withMessage('Dates must be calendar dates (YYYY-MM-DD)'),
+  query('type')
+    .optional()
+    .isIn(CALENDAR_TYPES)
+    .withMessage(`Type must be one of: ${CALENDAR_TYPES.join(', ')}`),
+  query('bucket')
+    .optional()
+    .isIn(CALENDAR_BUCKETS)
+    .withMessage(`Bucket must be one of: ${CALENDAR_BUCKETS.join(', ')}`),
+  query('genre')
+    .optional()
+    .custom(value => isValidCategory('genres', value))
+    .withMessage('Invalid genre'),
+  query('network')
+    .optional()
+    .custom(value => isValidCategory('networks', value))
+    .withMessage('Invalid network'),
+  calendarTimeZoneQuery(),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the time zone of calendar feeds (/api/calendar/movie/:id.ics and tv/:id.ics)
+ */
+const validateCalendarTimeZone = [
+  calendarTimeZoneQuery(),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the upcoming releases calendar feed (/api/calendar/upcoming.ics)
+ */
+const validateCalendarFeedQuery = [
+  query('type')
+    .optional()
+    .isIn(CALENDAR_TYPES)
+    .withMessage(`Type must be one of: ${CALENDAR_TYPES.join(', ')}`),
+  query('genre')
+    .optional()
+    .custom(value => isValidCategory('genres', value))
+    .withMessage('Invalid genre'),
+  query('network')
+    .optional()
+    .custom(value => isValidCategory('networks', value))
+    .withMessage('Invalid network'),
+  calendarTimeZoneQuery(),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for review query parameters
+ */
+const validateReviewQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000'),
+  query('excerptLength')
+    .optional()
+    .isInt({ min: 50, max: 2000 })
+    .withMessage('Excerpt length must be an integer between 50 and 2000'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for locale query parameters (accepted on every route)
+ */
+const validateLocaleQuery = [
+  query('language')
+    .optional()
+    .matches(/^[a-z]{2}([-_][a-z]{2})?$/i)
+    .withMessage('Language must be an ISO 639-1 code, optionally with a region (e.g. "fr" or "pt-BR")'),
+  query('region')
+    .optional()
+    .matches(/^[a-z]{2}$/i)
+    .withMessage('Region must be an ISO 3166-1 country code (e.g. "IN")'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for image query parameters (accepted on every route)
+ */
+const validateImageQuery = [
+  query('imageSize')
+    .optional()
+    .isIn(Object.keys(IMAGE_SIZE_PRESETS))
+    .withMessage(`Image size must be one of: ${Object.keys(IMAGE_SIZE_PRESETS).join(', ')}`),
+  query('imageSrcset')
+    .optional()
+    .isBoolean()
+    .withMessage('Image srcset must be true or false'),
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   sanitizeString,
@@ -232,11 +428,24 @@ module.exports = {
   sanitizeParams,
   validateSearchQuery,
   validateContentId,
+  validateExternalId,
+  validateSeasonNumber,
+  validateEpisodeNumber,
+  validatePersonCreditsQuery,
+  validateProviderFeed,
   validateMediaType,
   validateCategoryParam,
   validateStudioParam,
   validateNetworkParam,
   validateGenreParam,
   validateAwardTypeParam,
-  validatePageQuery
+  validateCustomCategoryKey,
+  validatePageQuery,
+  validateCursorQuery,
+  validateCalendarQuery,
+  validateCalendarFeedQuery,
+  validateCalendarTimeZone,
+  validateReviewQuery,
+  validateLocaleQuery,
+  validateImageQuery
 };
\ No newline at end of file
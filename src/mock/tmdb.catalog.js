@@ -0,0 +1,963 @@
+const PAGE_SIZE = 20;
+
+/**
+ * Sort fields accepted by discover's sort_by, mapped per media type
+ */
+const SORT_FIELDS = {
+  movie: {
+    popularity: 'popularity',
+    vote_average: 'vote_average',
+    vote_count: 'vote_count',
+    revenue: 'revenue',
+    release_date: 'release_date',
+    primary_release_date: 'release_date',
+    title: 'title',
+    original_title: 'title'
+  },
+  tv: {
+    popularity: 'popularity',
+    vote_average: 'vote_average',
+    vote_count: 'vote_count',
+    first_air_date: 'first_air_date',
+    name: 'name',
+    original_name: 'name'
+  }
+};
+
+/**
+ * Date range filters accepted by discover, mapped to the title field they compare
+ */
+const DATE_FILTERS = {
+  movie: { release_date: 'release_date', primary_release_date: 'release_date' },
+  tv: { first_air_date: 'first_air_date', air_date: 'last_air_date' }
+};
+
+/**
+ * external_source values /find can match against seed data
+ */
+const FIND_SOURCES = ['imdb_id', 'tvdb_id'];
+
+/**
+ * Parse a TMDB list filter ("1,2" means all of, "1|2" means any of)
+ * @param {string|number} value - Filter value
+ * @returns {Object|null} { values, mode } or null when empty
+ */
+function parseListFilter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value);
+  const mode = text.includes('|') ? 'any' : 'all';
+  const values = text.split(/[|,]/).map(part => part.trim()).filter(Boolean);
+
+  return values.length > 0 ? { values, mode } : null;
+}
+
+/**
+ * Check a title's values against a parsed list filter
+ * @param {Array} itemValues - Values on the title (e.g. genre IDs)
+ * @param {Object} filter - Parsed list filter
+ * @returns {boolean} Whether the title matches
+ */
+function matchesListFilter(itemValues, filter) {
+  const available = new Set(itemValues.map(String));
+  return filter.mode === 'any'
+    ? filter.values.some(value => available.has(value))
+    : filter.values.every(value => available.has(value));
+}
+
+/**
+ * Queryable view over mock TMDB seed data
+ * Shapes responses the way TMDB v3 does so TMDBService and the services
+ * built on it can't tell the difference
+ */
+class MockTMDBCatalog {
+  /**
+   * @param {Object} fixtures - Seed data ({ movies, tvShows, collections, people, genres, watchProviders })
+   * @param {Function} now - Clock used for date-relative lists
+   */
+  constructor(fixtures, now = () => new Date()) {
+    this.now = now;
+    this.titles = {
+      movie: new Map((fixtures.movies || []).map(movie => [movie.id, movie])),
+      tv: new Map((fixtures.tvShows || []).map(show => [show.id, show]))
+    };
+    this.collections = new Map((fixtures.collections || []).map(collection => [collection.id, collection]));
+    this.people = new Map((fixtures.people || []).map(person => [person.id, person]));
+    this.genres = {
+      movie: (fixtures.genres && fixtures.genres.movie) || [],
+      tv: (fixtures.genres && fixtures.genres.tv) || []
+    };
+    this.watchProviders = fixtures.watchProviders || [];
+    this.providersById = new Map(this.watchProviders.map(provider => [provider.provider_id, provider]));
+  }
+
+  /**
+   * Get today's date as YYYY-MM-DD
+   * @param {number} offsetDays - Optional offset in days
+   * @returns {string} Date string
+   */
+  today(offsetDays = 0) {
+    const date = new Date(this.now().getTime() + offsetDays * 24 * 60 * 60 * 1000);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Paginate a result list the way TMDB does
+   * @param {Array} results - Full result list
+   * @param {number|string} page - Requested page
+   * @returns {Object} { page, results, total_pages, total_results }
+   */
+  paginate(results, page = 1) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const start = (pageNumber - 1) * PAGE_SIZE;
+
+    return {
+      page: pageNumber,
+      results: results.slice(start, start + PAGE_SIZE),
+      total_pages: Math.max(Math.ceil(results.length / PAGE_SIZE), 1),
+      total_results: results.length
+    };
+  }
+
+  getTitles(mediaType) {
+    return Array.from(this.titles[mediaType].values());
+  }
+
+  getTitle(mediaType, id) {
+    return this.titles[mediaType].get(Number(id)) || null;
+  }
+
+  getPerson(id) {
+    return this.people.get(Number(id)) || null;
+  }
+
+  /**
+   * Shape a title the way it appears in list responses
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @param {boolean} withMediaType - Include media_type (multi search, trending)
+   * @returns {Object} List item
+   */
+  toSummary(mediaType, item, withMediaType = false) {
+    const summary = mediaType === 'movie'
+      ? {
+        adult: false,
+        backdrop_path: item.backdrop_path || null,
+        genre_ids: item.genre_ids || [],
+        id: item.id,
+        original_language: item.original_language || 'en',
+        original_title: item.original_title || item.title,
+        overview: item.overview || '',
+        popularity: item.popularity || 0,
+        poster_path: item.poster_path || null,
+        release_date: item.release_date || '',
+        title: item.title,
+        video: false,
+        vote_average: item.vote_average || 0,
+        vote_count: item.vote_count || 0
+      }
+      : {
+        adult: false,
+        backdrop_path: item.backdrop_path || null,
+        first_air_date: item.first_air_date || '',
+        genre_ids: item.genre_ids || [],
+        id: item.id,
+        name: item.name,
+        origin_country: item.origin_country || [],
+        original_language: item.original_language || 'en',
+        original_name: item.original_name || item.name,
+        overview: item.overview || '',
+        popularity: item.popularity || 0,
+        poster_path: item.poster_path || null,
+        vote_average: item.vote_average || 0,
+        vote_count: item.vote_count || 0
+      };
+
+    return withMediaType ? { ...summary, media_type: mediaType } : summary;
+  }
+
+  /**
+   * Shape a title the way the details endpoint returns it
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Object} Title details
+   */
+  toDetails(mediaType, item) {
+    const { genre_ids: genreIds, ...summary } = this.toSummary(mediaType, item);
+    const genreNames = new Map(this.genres[mediaType].map(genre => [genre.id, genre.name]));
+    const genres = genreIds
+      .filter(id => genreNames.has(id))
+      .map(id => ({ id, name: genreNames.get(id) }));
+
+    const common = {
+      ...summary,
+      genres,
+      homepage: item.homepage || '',
+      production_companies: item.production_companies || [],
+      status: item.status || 'Released',
+      tagline: item.tagline || ''
+    };
+
+    if (mediaType === 'movie') {
+      const collection = this.collections.get(item.collection_id);
+
+      return {
+        ...common,
+        belongs_to_collection: collection
+          ? { id: collection.id, name: collection.name, poster_path: collection.poster_path || null, backdrop_path: collection.backdrop_path || null }
+          : null,
+        budget: item.budget || 0,
+        imdb_id: item.imdb_id || null,
+        revenue: item.revenue || 0,
+        runtime: item.runtime || 0
+      };
+    }
+
+    return {
+      ...common,
+      episode_run_time: item.episode_run_time || [],
+      in_production: Boolean(item.in_production),
+      last_air_date: item.last_air_date || null,
+      last_episode_to_air: this.getAdjacentEpisode(item, 'last'),
+      networks: item.networks || [],
+      next_episode_to_air: this.getAdjacentEpisode(item, 'next'),
+      number_of_episodes: item.number_of_episodes || 0,
+      number_of_seasons: item.number_of_seasons || 0,
+      seasons: (item.seasons || []).map(season => this.toSeasonSummary(item, season))
+    };
+  }
+
+  /**
+   * Shape a person the way list responses (search, trending) return them
+   * @param {Object} person - Seed person
+   * @param {boolean} withMediaType - Include media_type
+   * @returns {Object} Person list item
+   */
+  toPersonSummary(person, withMediaType = false) {
+    const summary = {
+      adult: false,
+      gender: person.gender || 0,
+      id: person.id,
+      known_for_department: person.known_for_department || 'Acting',
+      name: person.name,
+      popularity: person.popularity || 0,
+      profile_path: person.profile_path || null,
+      known_for: this.getKnownFor(person.id)
+    };
+
+    return withMediaType ? { ...summary, media_type: 'person' } : summary;
+  }
+
+  /**
+   * Shape a person the way the person details endpoint returns them
+   * @param {Object} person - Seed person
+   * @returns {Object} Person details
+   */
+  toPersonDetails(person) {
+    return {
+      adult: false,
+      also_known_as: person.also_known_as || [],
+      biography: person.biography || '',
+      birthday: person.birthday || null,
+      deathday: person.deathday || null,
+      gender: person.gender || 0,
+      homepage: person.homepage || null,
+      id: person.id,
+      imdb_id: person.imdb_id || null,
+      known_for_department: person.known_for_department || 'Acting',
+      name: person.name,
+      place_of_birth: person.place_of_birth || null,
+      popularity: person.popularity || 0,
+      profile_path: person.profile_path || null
+    };
+  }
+
+  /**
+   * Get a person's external IDs
+   * @param {Object} person - Seed person
+   * @returns {Object} External IDs
+   */
+  getPersonExternalIds(person) {
+    return {
+      freebase_mid: null,
+      freebase_id: null,
+      imdb_id: person.imdb_id || null,
+      tvrage_id: null,
+      wikidata_id: person.wikidata_id || null,
+      facebook_id: null,
+      instagram_id: person.instagram_id || null,
+      tiktok_id: null,
+      twitter_id: null,
+      youtube_id: null
+    };
+  }
+
+  /**
+   * Get a person's profile images
+   * @param {Object} person - Seed person
+   * @returns {Object} { profiles }
+   */
+  getPersonImages(person) {
+    const paths = person.profile_images || (person.profile_path ? [person.profile_path] : []);
+
+    return {
+      profiles: paths.map(filePath => ({
+        aspect_ratio: 0.667,
+        height: 3000,
+        iso_639_1: null,
+        file_path: filePath,
+        vote_average: 5.3,
+        vote_count: 10,
+        width: 2000
+      }))
+    };
+  }
+
+  /**
+   * Get a title's most popular credits for a person's known_for list
+   * @param {number} personId - Person ID
+   * @returns {Array} Up to three title list items
+   */
+  getKnownFor(personId) {
+    const { cast, crew } = this.getPersonCredits(personId, 'combined');
+    const seen = new Set();
+
+    return [...cast, ...crew]
+      .filter(credit => {
+        const key = `${credit.media_type}:${credit.id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, 3)
+      .map(({ character, job, department, credit_id: creditId, ...title }) => title);
+  }
+
+  /**
+   * Resolve a title's credits against the people in the seed
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Object} { cast, crew }
+   */
+  getCredits(mediaType, item) {
+    const credits = item.credits || {};
+    const creditId = (kind, index) => `${mediaType}-${item.id}-${kind}-${index}`;
+
+    const cast = (credits.cast || [])
+      .map((credit, index) => ({ credit, index, person: this.getPerson(credit.person_id) }))
+      .filter(({ person }) => person)
+      .map(({ credit, index, person }) => ({
+        adult: false,
+        character: credit.character || '',
+        credit_id: creditId('cast', index),
+        gender: person.gender || 0,
+        id: person.id,
+        known_for_department: person.known_for_department || 'Acting',
+        name: person.name,
+        order: index,
+        popularity: person.popularity || 0,
+        profile_path: person.profile_path || null
+      }));
+
+    const crew = (credits.crew || [])
+      .map((credit, index) => ({ credit, index, person: this.getPerson(credit.person_id) }))
+      .filter(({ person }) => person)
+      .map(({ credit, index, person }) => ({
+        adult: false,
+        credit_id: creditId('crew', index),
+        department: credit.department || 'Crew',
+        gender: person.gender || 0,
+        id: person.id,
+        job: credit.job,
+        known_for_department: person.known_for_department || 'Acting',
+        name: person.name,
+        popularity: person.popularity || 0,
+        profile_path: person.profile_path || null
+      }));
+
+    return { cast, crew };
+  }
+
+  /**
+   * Get a title's videos
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Object} { results }
+   */
+  getVideos(mediaType, item) {
+    return {
+      results: (item.videos || []).map((video, index) => ({
+        id: video.id || `${mediaType}-${item.id}-video-${index}`,
+        iso_639_1: 'en',
+        iso_3166_1: 'US',
+        key: video.key,
+        name: video.name,
+        official: video.official !== false,
+        published_at: video.published_at || `${item.release_date || item.first_air_date}T00:00:00.000Z`,
+        site: video.site || 'YouTube',
+        size: video.size || 1080,
+        type: video.type || 'Trailer'
+      }))
+    };
+  }
+
+  /**
+   * Get a title's user reviews, newest first
+   * @param {Object} item - Seed title
+   * @returns {Array} Reviews
+   */
+  getReviews(item) {
+    return (item.reviews || [])
+      .map(review => ({
+        author: review.author,
+        author_details: {
+          name: review.name || '',
+          username: review.username || review.author,
+          avatar_path: review.avatar_path || null,
+          rating: review.rating === undefined ? null : review.rating
+        },
+        content: review.content,
+        created_at: review.created_at,
+        id: review.id,
+        updated_at: review.updated_at || review.created_at,
+        url: `https://www.themoviedb.org/review/${review.id}`
+      }))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Resolve a title's watch providers against the provider catalog
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Object} { results } keyed by region
+   */
+  getWatchProviders(mediaType, item) {
+    const results = {};
+
+    for (const [region, offers] of Object.entries(item.watch_providers || {})) {
+      results[region] = { link: `https://www.themoviedb.org/${mediaType}/${item.id}/watch?locale=${region}` };
+
+      for (const [monetization, providerIds] of Object.entries(offers)) {
+        results[region][monetization] = providerIds
+          .map(id => this.providersById.get(id))
+          .filter(Boolean);
+      }
+    }
+
+    return { results };
+  }
+
+  /**
+   * Get titles recommended alongside a title
+   * Uses the seed's explicit recommendations, falling back to shared genres
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Array} Title list items
+   */
+  getRecommendations(mediaType, item) {
+    if (Array.isArray(item.recommendations) && item.recommendations.length > 0) {
+      return item.recommendations
+        .map(id => this.getTitle(mediaType, id))
+        .filter(Boolean)
+        .map(title => this.toSummary(mediaType, title, true));
+    }
+
+    return this.getSimilar(mediaType, item).map(title => ({ ...title, media_type: mediaType }));
+  }
+
+  /**
+   * Get titles sharing at least one genre with a title
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Array} Title list items
+   */
+  getSimilar(mediaType, item) {
+    const genres = new Set(item.genre_ids || []);
+
+    return this.getTitles(mediaType)
+      .filter(title => title.id !== item.id && (title.genre_ids || []).some(id => genres.has(id)))
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+      .map(title => this.toSummary(mediaType, title));
+  }
+
+  /**
+   * Get a movie's release dates by region
+   * Seed titles may list them as { region: [{ type, date, certification }] };
+   * otherwise the release date is reported as a US theatrical release
+   * @param {Object} item - Seed movie
+   * @returns {Object} { results }
+   */
+  getReleaseDates(item) {
+    const releases = item.release_dates || (item.release_date ? { US: [{ type: 3, date: item.release_date }] } : {});
+
+    return {
+      results: Object.entries(releases).map(([region, dates]) => ({
+        iso_3166_1: region,
+        release_dates: dates.map(release => ({
+          certification: release.certification || '',
+          descriptors: [],
+          iso_639_1: '',
+          note: release.note || '',
+          release_date: `${release.date}T00:00:00.000Z`,
+          type: release.type || 3
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Get a TV show's content ratings by region
+   * Seed shows may list them as { region: rating }
+   * @param {Object} item - Seed TV show
+   * @returns {Object} { results }
+   */
+  getContentRatings(item) {
+    return {
+      results: Object.entries(item.content_ratings || {}).map(([region, rating]) => ({
+        descriptors: [],
+        iso_3166_1: region,
+        rating
+      }))
+    };
+  }
+
+  /**
+   * Get a title's external IDs
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @returns {Object} External IDs
+   */
+  getExternalIds(mediaType, item) {
+    const externalIds = {
+      imdb_id: item.imdb_id || null,
+      facebook_id: null,
+      instagram_id: null,
+      twitter_id: null,
+      wikidata_id: null
+    };
+
+    // TMDB only tracks TVDB IDs for TV shows
+    if (mediaType === 'tv') {
+      externalIds.tvdb_id = item.tvdb_id || null;
+    }
+
+    return externalIds;
+  }
+
+  /**
+   * Find titles and people by an external ID, like TMDB's /find
+   * @param {string} externalId - ID in the external source
+   * @param {string} externalSource - TMDB external_source (e.g. 'imdb_id')
+   * @returns {Object|null} Matches by media type, null for an unsupported source
+   */
+  find(externalId, externalSource) {
+    if (!FIND_SOURCES.includes(externalSource)) return null;
+
+    const matches = item => item[externalSource] != null && String(item[externalSource]) === String(externalId);
+
+    return {
+      movie_results: this.getTitles('movie').filter(matches).map(movie => this.toSummary('movie', movie, true)),
+      person_results: Array.from(this.people.values()).filter(matches).map(person => this.toPersonSummary(person, true)),
+      tv_results: this.getTitles('tv').filter(matches).map(show => this.toSummary('tv', show, true)),
+      tv_episode_results: [],
+      tv_season_results: []
+    };
+  }
+
+  /**
+   * Get a collection with its parts
+   * @param {number|string} id - Collection ID
+   * @returns {Object|null} Collection details, null when unknown
+   */
+  getCollection(id) {
+    const collection = this.collections.get(Number(id));
+    if (!collection) return null;
+
+    return {
+      id: collection.id,
+      name: collection.name,
+      overview: collection.overview || '',
+      poster_path: collection.poster_path || null,
+      backdrop_path: collection.backdrop_path || null,
+      parts: this.getTitles('movie')
+        .filter(movie => movie.collection_id === collection.id)
+        .map(movie => this.toSummary('movie', movie, true))
+    };
+  }
+
+  /**
+   * Get a seeded season of a TV show
+   * @param {Object} item - Seed TV show
+   * @param {number|string} seasonNumber - Season number
+   * @returns {Object|null} Seed season
+   */
+  getSeason(item, seasonNumber) {
+    return (item.seasons || []).find(season => season.season_number === Number(seasonNumber)) || null;
+  }
+
+  /**
+   * Get a seeded episode of a TV show
+   * @param {Object} item - Seed TV show
+   * @param {number|string} seasonNumber - Season number
+   * @param {number|string} episodeNumber - Episode number
+   * @returns {Object|null} { season, episode } seeds
+   */
+  getEpisode(item, seasonNumber, episodeNumber) {
+    const season = this.getSeason(item, seasonNumber);
+    const episode = season && (season.episodes || []).find(entry => entry.episode_number === Number(episodeNumber));
+
+    return episode ? { season, episode } : null;
+  }
+
+  /**
+   * Shape a season the way TV show details list it
+   * @param {Object} item - Seed TV show
+   * @param {Object} season - Seed season
+   * @returns {Object} Season summary
+   */
+  toSeasonSummary(item, season) {
+    const episodes = season.episodes || [];
+
+    return {
+      air_date: season.air_date || (episodes[0] && episodes[0].air_date) || null,
+      episode_count: episodes.length,
+      id: season.id || item.id * 100 + season.season_number,
+      name: season.name || `Season ${season.season_number}`,
+      overview: season.overview || '',
+      poster_path: season.poster_path || null,
+      season_number: season.season_number,
+      vote_average: season.vote_average || 0
+    };
+  }
+
+  /**
+   * Shape a season the way the season details endpoint returns it
+   * @param {Object} item - Seed TV show
+   * @param {Object} season - Seed season
+   * @returns {Object} Season details
+   */
+  toSeasonDetails(item, season) {
+    const { episode_count: episodeCount, ...summary } = this.toSeasonSummary(item, season);
+
+    return {
+      _id: String(summary.id),
+      ...summary,
+      episodes: (season.episodes || []).map(episode => this.toEpisode(item, season, episode))
+    };
+  }
+
+  /**
+   * Shape an episode the way season and episode details return it
+   * @param {Object} item - Seed TV show
+   * @param {Object} season - Seed season
+   * @param {Object} episode - Seed episode
+   * @returns {Object} Episode
+   */
+  toEpisode(item, season, episode) {
+    const id = episode.id || item.id * 10000 + season.season_number * 100 + episode.episode_number;
+    const episodes = season.episodes || [];
+    const isFinale = episode.episode_number === episodes[episodes.length - 1].episode_number;
+    // Guest stars are shaped like cast members
+    const { cast, crew } = this.getCredits('episode', {
+      id,
+      credits: { cast: episode.guest_stars || [], crew: episode.crew || [] }
+    });
+
+    return {
+      air_date: episode.air_date || null,
+      crew,
+      episode_number: episode.episode_number,
+      episode_type: isFinale ? 'finale' : 'standard',
+      guest_stars: cast,
+      id,
+      name: episode.name || `Episode ${episode.episode_number}`,
+      overview: episode.overview || '',
+      production_code: episode.production_code || '',
+      runtime: episode.runtime || null,
+      season_number: season.season_number,
+      show_id: item.id,
+      still_path: episode.still_path || null,
+      vote_average: episode.vote_average || 0,
+      vote_count: episode.vote_count || 0
+    };
+  }
+
+  /**
+   * Get the last aired or next upcoming episode of a TV show
+   * @param {Object} item - Seed TV show
+   * @param {string} which - 'last' or 'next'
+   * @returns {Object|null} Episode without credits, null when there is none
+   */
+  getAdjacentEpisode(item, which) {
+    const today = this.today();
+    const episodes = (item.seasons || [])
+      .flatMap(season => (season.episodes || []).map(episode => ({ season, episode })))
+      .filter(({ episode }) => episode.air_date)
+      .filter(({ episode }) => (which === 'last' ? episode.air_date <= today : episode.air_date > today))
+      .sort((a, b) => a.episode.air_date.localeCompare(b.episode.air_date));
+
+    const match = which === 'last' ? episodes[episodes.length - 1] : episodes[0];
+    if (!match) return null;
+
+    const { crew, guest_stars: guestStars, ...episode } = this.toEpisode(item, match.season, match.episode);
+    return episode;
+  }
+
+  /**
+   * Collect a person's credits across the seed titles
+   * @param {number} personId - Person ID
+   * @param {string} mediaType - 'movie', 'tv' or 'combined'
+   * @returns {Object} { cast, crew }
+   */
+  getPersonCredits(personId, mediaType) {
+    const mediaTypes = mediaType === 'combined' ? ['movie', 'tv'] : [mediaType];
+    const cast = [];
+    const crew = [];
+    const id = Number(personId);
+
+    for (const type of mediaTypes) {
+      for (const item of this.getTitles(type)) {
+        const summary = this.toSummary(type, item, mediaType === 'combined');
+        const credits = item.credits || {};
+
+        (credits.cast || []).forEach((credit, index) => {
+          if (credit.person_id !== id) return;
+          cast.push({
+            ...summary,
+            character: credit.character || '',
+            credit_id: `${type}-${item.id}-cast-${index}`
+          });
+        });
+
+        (credits.crew || []).forEach((credit, index) => {
+          if (credit.person_id !== id) return;
+          crew.push({
+            ...summary,
+            credit_id: `${type}-${item.id}-crew-${index}`,
+            department: credit.department || 'Crew',
+            job: credit.job
+          });
+        });
+      }
+    }
+
+    return { cast, crew };
+  }
+
+  /**
+   * Search titles or people by name
+   * @param {string} mediaType - 'movie', 'tv', 'person' or 'multi'
+   * @param {Object} query - Query string parameters
+   * @returns {Array} Matching list items
+   */
+  search(mediaType, query) {
+    const term = String(query.query || '').trim().toLowerCase();
+    if (!term) return [];
+
+    const matches = (text) => String(text || '').toLowerCase().includes(term);
+    const withMediaType = mediaType === 'multi';
+    let results = [];
+
+    if (mediaType === 'movie' || mediaType === 'multi') {
+      const year = query.primary_release_year || query.year;
+      results = results.concat(this.getTitles('movie')
+        .filter(movie => matches(movie.title) || matches(movie.original_title))
+        .filter(movie => !year || String(movie.release_date || '').startsWith(String(year)))
+        .map(movie => this.toSummary('movie', movie, withMediaType)));
+    }
+
+    if (mediaType === 'tv' || mediaType === 'multi') {
+      const year = query.first_air_date_year || query.year;
+      results = results.concat(this.getTitles('tv')
+        .filter(show => matches(show.name) || matches(show.original_name))
+        .filter(show => !year || String(show.first_air_date || '').startsWith(String(year)))
+        .map(show => this.toSummary('tv', show, withMediaType)));
+    }
+
+    if (mediaType === 'person' || mediaType === 'multi') {
+      results = results.concat(Array.from(this.people.values())
+        .filter(person => matches(person.name))
+        .map(person => this.toPersonSummary(person, withMediaType)));
+    }
+
+    return results.sort((a, b) => b.popularity - a.popularity);
+  }
+
+  /**
+   * Filter and sort titles the way the discover endpoints do
+   * Unsupported parameters are ignored, as TMDB does
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} query - Query string parameters
+   * @returns {Array} Matching title list items
+   */
+  discover(mediaType, query) {
+    const listFilters = [
+      ['with_genres', item => item.genre_ids || []],
+      ['with_companies', item => (item.production_companies || []).map(company => company.id)],
+      ['with_networks', item => (item.networks || []).map(network => network.id)],
+      ['with_keywords', item => item.keyword_ids || []]
+    ];
+    const region = query.watch_region || 'US';
+    const monetization = parseListFilter(query.with_watch_monetization_types);
+    const providers = parseListFilter(query.with_watch_providers);
+    const withoutGenres = parseListFilter(query.without_genres);
+
+    let titles = this.getTitles(mediaType);
+
+    for (const [param, getValues] of listFilters) {
+      const filter = parseListFilter(query[param]);
+      if (filter) {
+        titles = titles.filter(item => matchesListFilter(getValues(item), filter));
+      }
+    }
+
+    if (withoutGenres) {
+      titles = titles.filter(item => !matchesListFilter(item.genre_ids || [], { ...withoutGenres, mode: 'any' }));
+    }
+
+    if (query.with_original_language) {
+      titles = titles.filter(item => (item.original_language || 'en') === query.with_original_language);
+    }
+
+    if (providers || monetization) {
+      titles = titles.filter(item => {
+        const offers = (item.watch_providers || {})[region] || {};
+        const types = Object.keys(offers).filter(type => !monetization || monetization.values.includes(type));
+        const providerIds = types.flatMap(type => offers[type]);
+
+        if (types.length === 0) return false;
+        return !providers || matchesListFilter(providerIds, providers);
+      });
+    }
+
+    titles = titles.filter(item => this.matchesRanges(mediaType, item, query));
+
+    return this.sortTitles(mediaType, titles, query.sort_by)
+      .map(item => this.toSummary(mediaType, item));
+  }
+
+  /**
+   * Check a title against discover's .gte/.lte range parameters
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} item - Seed title
+   * @param {Object} query - Query string parameters
+   * @returns {boolean} Whether the title is within every requested range
+   */
+  matchesRanges(mediaType, item, query) {
+    const runtime = mediaType === 'movie' ? item.runtime : (item.episode_run_time || [])[0];
+    const numericRanges = {
+      vote_average: item.vote_average || 0,
+      vote_count: item.vote_count || 0,
+      with_runtime: runtime || 0
+    };
+
+    for (const [param, value] of Object.entries(numericRanges)) {
+      const gte = query[`${param}.gte`];
+      const lte = query[`${param}.lte`];
+      if (gte !== undefined && value < Number(gte)) return false;
+      if (lte !== undefined && value > Number(lte)) return false;
+    }
+
+    for (const [param, field] of Object.entries(DATE_FILTERS[mediaType])) {
+      const gte = query[`${param}.gte`];
+      const lte = query[`${param}.lte`];
+      const value = item[field];
+      if ((gte || lte) && !value) return false;
+      if (gte && value < gte) return false;
+      if (lte && value > lte) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Sort titles by a TMDB sort_by value (e.g. "popularity.desc")
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Array} titles - Seed titles
+   * @param {string} sortBy - Sort parameter
+   * @returns {Array} Sorted titles
+   */
+  sortTitles(mediaType, titles, sortBy = 'popularity.desc') {
+    const [fieldName, direction] = String(sortBy).split('.');
+    const field = SORT_FIELDS[mediaType][fieldName] || 'popularity';
+    const sign = direction === 'asc' ? 1 : -1;
+
+    return titles.slice().sort((a, b) => {
+      const valueA = a[field] === undefined || a[field] === null ? '' : a[field];
+      const valueB = b[field] === undefined || b[field] === null ? '' : b[field];
+      if (valueA < valueB) return -sign;
+      if (valueA > valueB) return sign;
+      return 0;
+    });
+  }
+
+  /**
+   * Get one of TMDB's curated lists (popular, upcoming, now playing...)
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {string} list - List name
+   * @returns {Object|null} { results, dates } or null for unknown lists
+   */
+  getList(mediaType, list) {
+    const byPopularity = (titles) => this.sortTitles(mediaType, titles, 'popularity.desc');
+    const titles = this.getTitles(mediaType);
+    const today = this.today();
+    let results;
+    let dates;
+
+    switch (`${mediaType}/${list}`) {
+      case 'movie/popular':
+      case 'tv/popular':
+        results = byPopularity(titles);
+        break;
+      case 'movie/top_rated':
+      case 'tv/top_rated':
+        results = this.sortTitles(mediaType, titles.filter(item => item.vote_count > 0), 'vote_average.desc');
+        break;
+      case 'movie/upcoming':
+        dates = { minimum: today, maximum: this.today(120) };
+        results = byPopularity(titles.filter(item => item.release_date > today && item.release_date <= dates.maximum));
+        break;
+      case 'movie/now_playing':
+        dates = { minimum: this.today(-45), maximum: today };
+        results = byPopularity(titles.filter(item => item.release_date >= dates.minimum && item.release_date <= today));
+        break;
+      case 'tv/on_the_air':
+        results = byPopularity(titles.filter(item =>
+          item.first_air_date && item.first_air_date <= today &&
+          item.last_air_date && item.last_air_date >= this.today(-7)));
+        break;
+      case 'tv/airing_today':
+        results = byPopularity(titles.filter(item => item.last_air_date === today));
+        break;
+      default:
+        return null;
+    }
+
+    return { results: results.map(item => this.toSummary(mediaType, item)), dates };
+  }
+
+  /**
+   * Get trending titles and people
+   * @param {string} mediaType - 'all', 'movie', 'tv' or 'person'
+   * @returns {Array} List items with media_type
+   */
+  getTrending(mediaType) {
+    let results = [];
+
+    if (mediaType === 'all' || mediaType === 'movie') {
+      results = results.concat(this.getTitles('movie').map(movie => this.toSummary('movie', movie, true)));
+    }
+    if (mediaType === 'all' || mediaType === 'tv') {
+      results = results.concat(this.getTitles('tv').map(show => this.toSummary('tv', show, true)));
+    }
+    if (mediaType === 'all' || mediaType === 'person') {
+      results = results.concat(Array.from(this.people.values()).map(person => this.toPersonSummary(person, true)));
+    }
+
+    return results.sort((a, b) => b.popularity - a.popularity);
+  }
+}
+
+module.exports = MockTMDBCatalog;
+module.exports.PAGE_SIZE = PAGE_SIZE;
@@ -0,0 +1,751 @@
+/**
+ * Seed data for the mock TMDB server
+ * Titles are stored once in a normalized form (credits reference people by ID,
+ * watch providers reference the provider catalog) and the server derives every
+ * endpoint response from them, so a custom seed only needs to describe titles
+ * and people once
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MOVIE_GENRES = [
+  { id: 28, name: 'Action' },
+  { id: 12, name: 'Adventure' },
+  { id: 16, name: 'Animation' },
+  { id: 35, name: 'Comedy' },
+  { id: 80, name: 'Crime' },
+  { id: 99, name: 'Documentary' },
+  { id: 18, name: 'Drama' },
+  { id: 10751, name: 'Family' },
+  { id: 14, name: 'Fantasy' },
+  { id: 36, name: 'History' },
+  { id: 27, name: 'Horror' },
+  { id: 10402, name: 'Music' },
+  { id: 9648, name: 'Mystery' },
+  { id: 10749, name: 'Romance' },
+  { id: 878, name: 'Science Fiction' },
+  { id: 10770, name: 'TV Movie' },
+  { id: 53, name: 'Thriller' },
+  { id: 10752, name: 'War' },
+  { id: 37, name: 'Western' }
+];
+
+const TV_GENRES = [
+  { id: 10759, name: 'Action & Adventure' },
+  { id: 16, name: 'Animation' },
+  { id: 35, name: 'Comedy' },
+  { id: 80, name: 'Crime' },
+  { id: 99, name: 'Documentary' },
+  { id: 18, name: 'Drama' },
+  { id: 10751, name: 'Family' },
+  { id: 10762, name: 'Kids' },
+  { id: 9648, name: 'Mystery' },
+  { id: 10763, name: 'News' },
+  { id: 10764, name: 'Reality' },
+  { id: 10765, name: 'Sci-Fi & Fantasy' },
+  { id: 10766, name: 'Soap' },
+  { id: 10767, name: 'Talk' },
+  { id: 10768, name: 'War & Politics' },
+  { id: 37, name: 'Western' }
+];
+
+const WATCH_PROVIDERS = [
+  { provider_id: 8, provider_name: 'Netflix', logo_path: '/t2yyOv40HZeVlLjYsCsPHnWLk4W.jpg', display_priority: 1 },
+  { provider_id: 9, provider_name: 'Amazon Prime Video', logo_path: '/emthp39XA2YScoYL1p0sdbAH2WA.jpg', display_priority: 2 },
+  { provider_id: 337, provider_name: 'Disney Plus', logo_path: '/7rwgEs15tFwyR9NPQ5vpzxTj19Q.jpg', display_priority: 3 },
+  { provider_id: 1899, provider_name: 'Max', logo_path: '/6Q3ZYUNA9Hsgj6iWnVsw2gR5V6z.jpg', display_priority: 4 },
+  { provider_id: 15, provider_name: 'Hulu', logo_path: '/zxrVdFjIjLqkfnwyghnfywTn3Lh.jpg', display_priority: 5 },
+  { provider_id: 350, provider_name: 'Apple TV Plus', logo_path: '/6uhKBfmtzFqOcLousHwZuzcrScK.jpg', display_priority: 6 },
+  { provider_id: 2, provider_name: 'Apple TV', logo_path: '/peURlLlr8jggOwK53fJ5wdQl05y.jpg', display_priority: 7 }
+];
+
+const PEOPLE = [
+  { id: 819, name: 'Edward Norton', known_for_department: 'Acting', gender: 2, birthday: '1969-08-18', place_of_birth: 'Boston, Massachusetts, USA', profile_path: '/5XBzD5WuTyVQZeS4VI25z2moMeY.jpg', imdb_id: 'nm0001570', popularity: 21.4, biography: 'American actor and filmmaker.' },
+  { id: 287, name: 'Brad Pitt', known_for_department: 'Acting', gender: 2, birthday: '1963-12-18', place_of_birth: 'Shawnee, Oklahoma, USA', profile_path: '/cckcYc2v0yh1tc9QjRelptcOBko.jpg', imdb_id: 'nm0000093', popularity: 45.2, biography: 'American actor and film producer.' },
+  { id: 7467, name: 'David Fincher', known_for_department: 'Directing', gender: 2, birthday: '1962-08-28', place_of_birth: 'Denver, Colorado, USA', profile_path: '/tpEczFclQZeKAiCeKZZ0adRvtfz.jpg', imdb_id: 'nm0000399', popularity: 9.8, biography: 'American film director.' },
+  { id: 525, name: 'Christopher Nolan', known_for_department: 'Directing', gender: 2, birthday: '1970-07-30', place_of_birth: 'Westminster, London, England, UK', profile_path: '/xuAIuYSmsUzKlUMBFGVZaWsY3DZ.jpg', imdb_id: 'nm0634240', popularity: 18.6, biography: 'British-American film director, producer and screenwriter.' },
+  { id: 6193, name: 'Leonardo DiCaprio', known_for_department: 'Acting', gender: 2, birthday: '1974-11-11', place_of_birth: 'Los Angeles, California, USA', profile_path: '/wo2hJpn04vbtmh0B9utCFdsQhxM.jpg', popularity: 52.1, biography: 'American actor and film producer.' },
+  { id: 3894, name: 'Christian Bale', known_for_department: 'Acting', gender: 2, birthday: '1974-01-30', place_of_birth: 'Haverfordwest, Pembrokeshire, Wales, UK', profile_path: '/b7fTC9WFkgqGOv77mLQtmD4Bx6K.jpg', popularity: 38.9, biography: 'Welsh actor.' },
+  { id: 11288, name: 'Robert Pattinson', known_for_department: 'Acting', gender: 2, birthday: '1986-05-13', place_of_birth: 'London, England, UK', profile_path: '/8A4PS5iG7GWEAVFftyqMZKl3qcr.jpg', popularity: 31.7, biography: 'English actor.' },
+  { id: 137427, name: 'Denis Villeneuve', known_for_department: 'Directing', gender: 2, birthday: '1967-10-03', place_of_birth: 'Bécancour, Québec, Canada', profile_path: '/zdDx9Xs93UIrJFWYApYR28J8M6b.jpg', popularity: 12.3, biography: 'Canadian film director and screenwriter.' },
+  { id: 1190668, name: 'Timothée Chalamet', known_for_department: 'Acting', gender: 2, birthday: '1995-12-27', place_of_birth: 'New York City, New York, USA', profile_path: '/BE2sdjpgsa2rNTFa66f7upkaOP.jpg', popularity: 60.4, biography: 'American actor.' },
+  { id: 22226, name: 'Paul Rudd', known_for_department: 'Acting', gender: 2, birthday: '1969-04-06', place_of_birth: 'Passaic, New Jersey, USA', profile_path: '/6jtwNOLKy0LdsRAKwZqgYMAfd5n.jpg', popularity: 27.5, biography: 'American actor.' },
+  { id: 31, name: 'Tom Hanks', known_for_department: 'Acting', gender: 2, birthday: '1956-07-09', place_of_birth: 'Concord, California, USA', profile_path: '/xndWFsBlClOJFRdhSt4NBwiPq2o.jpg', popularity: 40.3, biography: 'American actor and filmmaker.' },
+  { id: 22970, name: 'Peter Dinklage', known_for_department: 'Acting', gender: 2, birthday: '1969-06-11', place_of_birth: 'Morristown, New Jersey, USA', profile_path: '/9CAd7wr8QZyIN0E7nm8v1B6WkGn.jpg', popularity: 24.8, biography: 'American actor.' },
+  { id: 1920, name: 'Winona Ryder', known_for_department: 'Acting', gender: 1, birthday: '1971-10-29', place_of_birth: 'Winona, Minnesota, USA', profile_path: '/nd8AuDbBIQvIQ1fFdhI6ONMcXKU.jpg', popularity: 19.2, biography: 'American actress.' },
+  { id: 947, name: 'Hans Zimmer', known_for_department: 'Sound', gender: 2, birthday: '1957-09-12', place_of_birth: 'Frankfurt am Main, West Germany', profile_path: '/tpQnDeHY15szIXvpnhlprufz4d.jpg', popularity: 6.2, biography: 'German film score composer and music producer.' },
+  { id: 66633, name: 'Vince Gilligan', known_for_department: 'Writing', gender: 2, birthday: '1967-02-10', place_of_birth: 'Richmond, Virginia, USA', profile_path: '/z3E0DhBg1V1PZVEtS9vfFPzOWYB.jpg', popularity: 4.9, biography: 'American writer, producer and director, creator of Breaking Bad.' },
+  { id: 17419, name: 'Bryan Cranston', known_for_department: 'Acting', gender: 2, birthday: '1956-03-07', place_of_birth: 'Hollywood, California, USA', profile_path: '/7Jahy5LZX2Fo8fGJltMreAI49hC.jpg', popularity: 28.1, biography: 'American actor.' },
+  { id: 1253360, name: 'Pedro Pascal', known_for_department: 'Acting', gender: 2, birthday: '1975-04-02', place_of_birth: 'Santiago, Chile', profile_path: '/9VYK7oxcqhjd5LAH6ZFJ3XzOlID.jpg', popularity: 55.6, biography: 'Chilean-American actor.' },
+  { id: 900101, name: 'Mara Ellison', known_for_department: 'Acting', gender: 1, birthday: '1988-02-14', place_of_birth: 'Portland, Oregon, USA', profile_path: '/mockMaraEllison.jpg', popularity: 8.4, biography: 'Actress appearing in the mock catalog.' },
+  { id: 900102, name: 'Jonah Reyes', known_for_department: 'Directing', gender: 2, birthday: '1979-09-03', place_of_birth: 'San Antonio, Texas, USA', profile_path: '/mockJonahReyes.jpg', popularity: 5.1, biography: 'Director appearing in the mock catalog.' }
+];
+
+/**
+ * Format a date relative to now as YYYY-MM-DD
+ * @param {Date} now - Reference date
+ * @param {number} days - Offset in days (negative for the past)
+ * @returns {string} Date string
+ */
+function daysFrom(now, days) {
+  return new Date(now.getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// Episode titles of the mock weekly series "Northern Line"
+const NORTHERN_LINE_EPISODES = [
+  'Last Train', 'Unmapped', 'The Conductor', 'Terminus', 'Signal Failure',
+  'Mind the Gap', 'Night Service', 'End of the Line'
+];
+
+/**
+ * Create the default seed data set
+ * Recent and upcoming titles are dated relative to `now` so date-driven
+ * categories (now playing, upcoming, on the air) always have content
+ * @param {Date} now - Reference date for relative release dates
+ * @returns {Object} Fixtures ({ movies, tvShows, collections, people, genres, watchProviders })
+ */
+function createDefaultFixtures(now = new Date()) {
+  const movies = [
+    {
+      id: 550,
+      title: 'Fight Club',
+      overview: 'A ticking-time-bomb insomniac and a slippery soap salesman channel primal male aggression into a shocking new form of therapy.',
+      tagline: 'Mischief. Mayhem. Soap.',
+      poster_path: '/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg',
+      backdrop_path: '/hZkgoQYus5vegHoetLkCJzb17zJ.jpg',
+      release_date: '1999-10-15',
+      genre_ids: [18, 53],
+      vote_average: 8.433,
+      vote_count: 26280,
+      popularity: 61.416,
+      runtime: 139,
+      budget: 63000000,
+      revenue: 100853753,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 508, name: 'Regency Enterprises' }, { id: 25, name: '20th Century Fox' }],
+      keyword_ids: [825, 9715],
+      imdb_id: 'tt0137523',
+      release_dates: {
+        US: [
+          { type: 1, date: '1999-09-10', note: 'Venice Film Festival' },
+          { type: 3, date: '1999-10-15', certification: 'R' },
+          { type: 5, date: '2000-06-06', certification: 'R', note: 'DVD' }
+        ],
+        GB: [{ type: 3, date: '1999-11-12', certification: '18' }]
+      },
+      credits: {
+        cast: [
+          { person_id: 819, character: 'The Narrator' },
+          { person_id: 287, character: 'Tyler Durden' }
+        ],
+        crew: [{ person_id: 7467, job: 'Director', department: 'Directing' }]
+      },
+      videos: [{ key: 'SUXWAEX2jlg', name: 'Fight Club | #TBT Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      reviews: [
+        {
+          id: '5b1c13b9c3a36848f2026384',
+          author: 'Goddard',
+          username: 'Goddard',
+          avatar_path: '/2SeDP5cZ3pyWF9hxrSuUOAEqFsx.jpg',
+          rating: 10,
+          created_at: '2018-06-09T17:51:53.359Z',
+          content: 'Pretty **awesome** movie. It shows what one crazy person can convince other crazy people to do.\r\n\r\n>!Tyler and the narrator are the same person.!<\r\n\r\nEveryone needs something to believe in. I recommend [Fight Club](https://www.themoviedb.org/movie/550) to everyone.'
+        },
+        {
+          id: '5ae9d7b0c3a36836d1005e0e',
+          author: 'Brett Pascoe',
+          username: 'BPascoe',
+          created_at: '2018-05-02T15:22:24.497Z',
+          content: '<em>In my top 5 of all time favourite movies.</em> Great story line and a movie you can watch over and over again.'
+        }
+      ],
+      watch_providers: { US: { flatrate: [1899], rent: [2], buy: [2] } },
+      recommendations: [27205, 155]
+    },
+    {
+      id: 27205,
+      title: 'Inception',
+      overview: 'Cobb, a skilled thief who commits corporate espionage by infiltrating the subconscious of his targets, is offered a chance to regain his old life.',
+      tagline: 'Your mind is the scene of the crime.',
+      poster_path: '/oYuLEt3zVCKq57qu2F8dT7NIa6f.jpg',
+      backdrop_path: '/8ZTVqvKDQ8emSGUEMjsS4yHAwrp.jpg',
+      release_date: '2010-07-15',
+      genre_ids: [28, 878, 12],
+      vote_average: 8.369,
+      vote_count: 34400,
+      popularity: 83.952,
+      runtime: 148,
+      budget: 160000000,
+      revenue: 839030630,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 923, name: 'Legendary Pictures' }, { id: 9996, name: 'Syncopy' }, { id: 174, name: 'Warner Bros. Pictures' }],
+      keyword_ids: [9715, 10349],
+      imdb_id: 'tt1375666',
+      credits: {
+        cast: [{ person_id: 6193, character: 'Dom Cobb' }],
+        crew: [
+          { person_id: 525, job: 'Director', department: 'Directing' },
+          { person_id: 525, job: 'Screenplay', department: 'Writing' },
+          { person_id: 947, job: 'Original Music Composer', department: 'Sound' }
+        ]
+      },
+      videos: [{ key: 'YoHD9XEInc0', name: 'Inception - Official Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [8], rent: [2], buy: [2] }, GB: { flatrate: [9] } },
+      recommendations: [155, 550]
+    },
+    {
+      id: 155,
+      title: 'The Dark Knight',
+      overview: 'Batman raises the stakes in his war on crime with the help of Lt. Jim Gordon and District Attorney Harvey Dent.',
+      tagline: 'Welcome to a world without rules.',
+      poster_path: '/qJ2tW6WMUDux911r6m7haRef0WH.jpg',
+      backdrop_path: '/nMKdUUepR0i5zn0y1T4CsSB5chy.jpg',
+      release_date: '2008-07-16',
+      genre_ids: [18, 28, 80, 53],
+      vote_average: 8.516,
+      vote_count: 31800,
+      popularity: 95.2,
+      runtime: 152,
+      budget: 185000000,
+      revenue: 1004558444,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 9993, name: 'DC Entertainment' }, { id: 9996, name: 'Syncopy' }, { id: 174, name: 'Warner Bros. Pictures' }],
+      keyword_ids: [849, 210024],
+      imdb_id: 'tt0468569',
+      credits: {
+        cast: [{ person_id: 3894, character: 'Bruce Wayne' }],
+        crew: [
+          { person_id: 525, job: 'Director', department: 'Directing' },
+          { person_id: 947, job: 'Original Music Composer', department: 'Sound' }
+        ]
+      },
+      videos: [{ key: 'EXeTwQWrcwY', name: 'The Dark Knight - Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [1899], rent: [2] } },
+      recommendations: [414906, 27205]
+    },
+    {
+      id: 414906,
+      title: 'The Batman',
+      overview: 'In his second year of fighting crime, Batman uncovers corruption in Gotham City that connects to his own family.',
+      tagline: 'Unmask the truth.',
+      poster_path: '/74xTEgt7R36Fpooo50r9T25onhq.jpg',
+      backdrop_path: '/b0PlSFdDwbyK0cf5RxwDpaOJQvQ.jpg',
+      release_date: '2022-03-01',
+      genre_ids: [80, 9648, 53],
+      vote_average: 7.7,
+      vote_count: 10200,
+      popularity: 120.5,
+      runtime: 177,
+      budget: 185000000,
+      revenue: 772245583,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 9993, name: 'DC Entertainment' }, { id: 174, name: 'Warner Bros. Pictures' }],
+      keyword_ids: [849],
+      imdb_id: 'tt1877830',
+      credits: {
+        cast: [{ person_id: 11288, character: 'Bruce Wayne / The Batman' }],
+        crew: []
+      },
+      videos: [{ key: 'mqqft2x_Aa4', name: 'THE BATMAN – Main Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [1899], buy: [2] } },
+      recommendations: [155]
+    },
+    {
+      id: 438631,
+      title: 'Dune',
+      overview: 'Paul Atreides, a brilliant and gifted young man born into a great destiny beyond his understanding, must travel to the most dangerous planet in the universe.',
+      tagline: 'It begins.',
+      poster_path: '/d5NXSklXo0qyIYkgV94XAgMIckC.jpg',
+      backdrop_path: '/jYEW5xZkZk2WTrdbMGAPFuBqbDc.jpg',
+      release_date: '2021-09-15',
+      genre_ids: [878, 12],
+      vote_average: 7.8,
+      vote_count: 12400,
+      popularity: 150.3,
+      runtime: 155,
+      budget: 165000000,
+      revenue: 402027830,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 923, name: 'Legendary Pictures' }],
+      collection_id: 726871,
+      keyword_ids: [],
+      imdb_id: 'tt1160419',
+      credits: {
+        cast: [{ person_id: 1190668, character: 'Paul Atreides' }],
+        crew: [
+          { person_id: 137427, job: 'Director', department: 'Directing' },
+          { person_id: 947, job: 'Original Music Composer', department: 'Sound' }
+        ]
+      },
+      videos: [{ key: 'n9xhJrPXop4', name: 'Dune | Official Main Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [1899], rent: [2], buy: [2] } },
+      recommendations: [693134]
+    },
+    {
+      id: 693134,
+      title: 'Dune: Part Two',
+      overview: 'Follow the mythic journey of Paul Atreides as he unites with Chani and the Fremen while on a path of revenge.',
+      tagline: 'Long live the fighters.',
+      poster_path: '/1pdfLvkbY9ohJlCjQH2CZjjYVvJ.jpg',
+      backdrop_path: '/xOMo8BRK7PfcJv9JCnx7s5hj0PX.jpg',
+      release_date: '2024-02-27',
+      genre_ids: [878, 12],
+      vote_average: 8.2,
+      vote_count: 5600,
+      popularity: 210.8,
+      runtime: 167,
+      budget: 190000000,
+      revenue: 711844358,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 923, name: 'Legendary Pictures' }],
+      collection_id: 726871,
+      keyword_ids: [],
+      imdb_id: 'tt15239678',
+      credits: {
+        cast: [{ person_id: 1190668, character: 'Paul Atreides' }],
+        crew: [
+          { person_id: 137427, job: 'Director', department: 'Directing' },
+          { person_id: 947, job: 'Original Music Composer', department: 'Sound' }
+        ]
+      },
+      videos: [{ key: 'Way9Dexny3w', name: 'Dune: Part Two | Official Trailer 3', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [1899], rent: [2], buy: [2] } },
+      recommendations: [27205]
+    },
+    {
+      id: 862,
+      title: 'Toy Story',
+      overview: 'Led by Woody, Andy\'s toys live happily in his room until Andy\'s birthday brings Buzz Lightyear onto the scene.',
+      tagline: 'Hang on for the comedy that goes to infinity and beyond!',
+      poster_path: '/uXDfjJbdP4ijW5hWSBrPrlKpxab.jpg',
+      backdrop_path: '/3Rfvhy1Nl6sSGJwyjb0QiZzZYlB.jpg',
+      release_date: '1995-10-30',
+      genre_ids: [16, 12, 10751, 35],
+      vote_average: 7.97,
+      vote_count: 17900,
+      popularity: 48.3,
+      runtime: 81,
+      budget: 30000000,
+      revenue: 394436586,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 3, name: 'Pixar' }, { id: 2, name: 'Walt Disney Pictures' }],
+      keyword_ids: [],
+      imdb_id: 'tt0114709',
+      credits: {
+        cast: [{ person_id: 31, character: 'Woody (voice)' }],
+        crew: []
+      },
+      videos: [],
+      watch_providers: { US: { flatrate: [337], buy: [2] } },
+      recommendations: []
+    },
+    {
+      id: 299534,
+      title: 'Avengers: Endgame',
+      overview: 'After the devastating events of Avengers: Infinity War, the universe is in ruins due to the efforts of the Mad Titan, Thanos.',
+      tagline: 'Avenge the fallen.',
+      poster_path: '/or06FN3Dka5tukK1e9sl16pB3iy.jpg',
+      backdrop_path: '/7RyHsO4yDXtBv1zUU3mTpHeQ0d5.jpg',
+      release_date: '2019-04-24',
+      genre_ids: [12, 878, 28],
+      vote_average: 8.25,
+      vote_count: 25100,
+      popularity: 98.7,
+      runtime: 181,
+      budget: 356000000,
+      revenue: 2799439100,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 420, name: 'Marvel Studios' }],
+      keyword_ids: [],
+      imdb_id: 'tt4154796',
+      credits: {
+        cast: [{ person_id: 22226, character: 'Scott Lang / Ant-Man' }],
+        crew: []
+      },
+      videos: [{ key: 'TcMBFSGVi1c', name: 'Marvel Studios\' Avengers: Endgame - Official Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [337], rent: [2], buy: [2] } },
+      recommendations: []
+    },
+    {
+      id: 900001,
+      title: 'Harbor Lights',
+      overview: 'A lighthouse keeper\'s daughter returns to her coastal hometown and uncovers a decades-old secret.',
+      tagline: 'Every light guides someone home.',
+      poster_path: '/mockHarborLights.jpg',
+      backdrop_path: '/mockHarborLightsBackdrop.jpg',
+      release_date: daysFrom(now, -10),
+      genre_ids: [18, 9648],
+      vote_average: 7.1,
+      vote_count: 320,
+      popularity: 150.2,
+      runtime: 118,
+      budget: 20000000,
+      revenue: 15000000,
+      status: 'Released',
+      original_language: 'en',
+      production_companies: [{ id: 33, name: 'Universal Pictures' }],
+      keyword_ids: [],
+      imdb_id: 'tt9000001',
+      release_dates: {
+        US: [
+          { type: 3, date: daysFrom(now, -10), certification: 'PG-13' },
+          { type: 4, date: daysFrom(now, -3), certification: 'PG-13' }
+        ],
+        GB: [{ type: 3, date: daysFrom(now, -8), certification: '12A' }]
+      },
+      credits: {
+        cast: [{ person_id: 900101, character: 'June Calloway' }],
+        crew: [{ person_id: 900102, job: 'Director', department: 'Directing' }]
+      },
+      videos: [{ key: 'mockHarborTrailer', name: 'Harbor Lights - Official Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { rent: [2] } },
+      recommendations: []
+    },
+    {
+      id: 900002,
+      title: 'The Long Orbit',
+      overview: 'The crew of a failing research station races to bring their orbit home before it decays.',
+      tagline: 'Gravity always wins.',
+      poster_path: '/mockLongOrbit.jpg',
+      backdrop_path: '/mockLongOrbitBackdrop.jpg',
+      release_date: daysFrom(now, 21),
+      genre_ids: [878, 53],
+      vote_average: 0,
+      vote_count: 0,
+      popularity: 88.4,
+      runtime: 0,
+      budget: 0,
+      revenue: 0,
+      status: 'Post Production',
+      original_language: 'en',
+      production_companies: [{ id: 923, name: 'Legendary Pictures' }],
+      keyword_ids: [],
+      imdb_id: 'tt9000002',
+      credits: {
+        cast: [{ person_id: 900101, character: 'Commander Ilse Varga' }],
+        crew: [{ person_id: 900102, job: 'Director', department: 'Directing' }]
+      },
+      videos: [{ key: 'mockLongOrbitTeaser', name: 'The Long Orbit - Teaser', site: 'YouTube', type: 'Teaser', official: true }],
+      watch_providers: {},
+      recommendations: []
+    },
+    {
+      id: 900003,
+      title: 'Midnight Ledger',
+      overview: 'An accountant discovers the firm she audits has been laundering money for a crime family.',
+      tagline: 'The numbers never lie.',
+      poster_path: '/mockMidnightLedger.jpg',
+      backdrop_path: '/mockMidnightLedgerBackdrop.jpg',
+      release_date: daysFrom(now, 60),
+      genre_ids: [80, 53],
+      vote_average: 0,
+      vote_count: 0,
+      popularity: 42.6,
+      runtime: 0,
+      budget: 0,
+      revenue: 0,
+      status: 'In Production',
+      original_language: 'en',
+      production_companies: [{ id: 33, name: 'Universal Pictures' }],
+      keyword_ids: [],
+      imdb_id: 'tt9000003',
+      credits: { cast: [], crew: [] },
+      videos: [],
+      watch_providers: {},
+      recommendations: []
+    }
+  ];
+
+  const tvShows = [
+    {
+      id: 1399,
+      name: 'Game of Thrones',
+      overview: 'Seven noble families fight for control of the mythical land of Westeros.',
+      tagline: 'Winter is coming.',
+      poster_path: '/7WUHnWGx5OO145IRxPDUkQSh4C7.jpg',
+      backdrop_path: '/2OMB0ynKlyIenMJWI2Dy9IWT4c.jpg',
+      first_air_date: '2011-04-17',
+      last_air_date: '2019-05-19',
+      genre_ids: [10765, 18, 10759],
+      vote_average: 8.453,
+      vote_count: 23000,
+      popularity: 369.594,
+      status: 'Ended',
+      in_production: false,
+      number_of_seasons: 8,
+      number_of_episodes: 73,
+      episode_run_time: [60],
+      original_language: 'en',
+      origin_country: ['US'],
+      networks: [{ id: 49, name: 'HBO', logo_path: '/tuomPhY2UtuPTqqFnKMVHvSb724.png' }],
+      production_companies: [{ id: 76043, name: 'Revolution Sun Studios' }],
+      keyword_ids: [],
+      imdb_id: 'tt0944947',
+      tvdb_id: 121361,
+      credits: {
+        cast: [{ person_id: 22970, character: 'Tyrion Lannister' }],
+        crew: []
+      },
+      videos: [{ key: 'KPLWWIOCOOQ', name: 'Game of Thrones | Official Series Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [1899], buy: [2] } },
+      recommendations: [82856]
+    },
+    {
+      id: 66732,
+      name: 'Stranger Things',
+      overview: 'When a young boy vanishes, a small town uncovers a mystery involving secret experiments and terrifying supernatural forces.',
+      tagline: 'Every ending has a beginning.',
+      poster_path: '/49WJfeN0moxb9IPfGn8AIqMGskD.jpg',
+      backdrop_path: '/56v2KjBlU4XaOv9rVYEQypROD7P.jpg',
+      first_air_date: '2016-07-15',
+      last_air_date: '2022-07-01',
+      genre_ids: [18, 10765, 9648],
+      vote_average: 8.6,
+      vote_count: 17500,
+      popularity: 210.3,
+      status: 'Returning Series',
+      in_production: true,
+      number_of_seasons: 4,
+      number_of_episodes: 34,
+      episode_run_time: [51],
+      original_language: 'en',
+      origin_country: ['US'],
+      networks: [{ id: 213, name: 'Netflix', logo_path: '/wwemzKWzjKYJFfCeiB57q3r4Bcm.png' }],
+      production_companies: [{ id: 2575, name: '21 Laps Entertainment' }],
+      keyword_ids: [],
+      imdb_id: 'tt4574334',
+      credits: {
+        cast: [{ person_id: 1920, character: 'Joyce Byers' }],
+        crew: []
+      },
+      videos: [{ key: 'b9EkMc79ZSU', name: 'Stranger Things | Official Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      watch_providers: { US: { flatrate: [8] } },
+      recommendations: [1399]
+    },
+    {
+      id: 1396,
+      name: 'Breaking Bad',
+      overview: 'A high school chemistry teacher diagnosed with terminal lung cancer turns to manufacturing and selling methamphetamine.',
+      tagline: 'Remember my name.',
+      poster_path: '/ztkUQFLlC19CCMYHW9o1zWhJRNq.jpg',
+      backdrop_path: '/tsRy63Mu5cu8etL1X7ZLyf7UP1M.jpg',
+      first_air_date: '2008-01-20',
+      last_air_date: '2013-09-29',
+      genre_ids: [18, 80],
+      vote_average: 8.9,
+      vote_count: 14500,
+      popularity: 280.1,
+      status: 'Ended',
+      in_production: false,
+      number_of_seasons: 5,
+      number_of_episodes: 62,
+      episode_run_time: [45, 47],
+      original_language: 'en',
+      origin_country: ['US'],
+      networks: [{ id: 174, name: 'AMC', logo_path: '/alqLicR1ZMHMaZGP3xRQxn9sq7p.png' }],
+      production_companies: [{ id: 11073, name: 'Sony Pictures Television Studios' }],
+      keyword_ids: [],
+      imdb_id: 'tt0903747',
+      tvdb_id: 81189,
+      content_ratings: { US: 'TV-MA', GB: '18', DE: '16' },
+      credits: {
+        cast: [{ person_id: 17419, character: 'Walter White' }],
+        crew: [{ person_id: 66633, job: 'Creator', department: 'Creator' }]
+      },
+      videos: [{ key: 'HhesaQXLuRY', name: 'Breaking Bad | Trailer', site: 'YouTube', type: 'Trailer', official: true }],
+      reviews: [
+        {
+          id: '5c0b3a89c3a3682c7a0b1a2e',
+          author: 'Heisenberg Fan',
+          username: 'blue_sky',
+          rating: 9,
+          created_at: '2019-01-20T10:00:00.000Z',
+          content: '## Masterpiece\n\nThe slow burn of Walter White is *the* best character arc on television.'
+        }
+      ],
+      watch_providers: { US: { flatrate: [8], buy: [2] } },
+      recommendations: [66732],
+      seasons: [
+        {
+          season_number: 1,
+          name: 'Season 1',
+          overview: 'High school chemistry teacher Walter White\'s life is suddenly transformed by a dire medical diagnosis.',
+          poster_path: '/1BP4xYv9ZG4ZVHkL7ocOziBbSYH.jpg',
+          episodes: [
+            {
+              episode_number: 1,
+              name: 'Pilot',
+              overview: 'When an unassuming high school chemistry teacher discovers he has a rare form of lung cancer, he decides to team up with a former student.',
+              air_date: '2008-01-20',
+              runtime: 58,
+              still_path: '/ydlY3iPfeOAvu8gVqrxPoMvzNCn.jpg',
+              vote_average: 8.3,
+              guest_stars: [],
+              crew: [
+                { person_id: 66633, job: 'Director', department: 'Directing' },
+                { person_id: 66633, job: 'Writer', department: 'Writing' }
+              ]
+            },
+            {
+              episode_number: 2,
+              name: 'Cat\'s in the Bag...',
+              overview: 'Walt and Jesse attempt to tie up loose ends.',
+              air_date: '2008-01-27',
+              runtime: 48,
+              still_path: '/tjDNvbokPLtEnpFyFPyXMOd6Zr1.jpg',
+              vote_average: 8.2,
+              guest_stars: [],
+              crew: [{ person_id: 66633, job: 'Writer', department: 'Writing' }]
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 82856,
+      name: 'The Mandalorian',
+      overview: 'After the fall of the Galactic Empire, a lone gunfighter makes his way through the outer reaches of the lawless galaxy.',
+      tagline: 'Bounty hunting is a complicated profession.',
+      poster_path: '/eU1i6eHXlzMOlEq0ku1Rzq7Y4wA.jpg',
+      backdrop_path: '/9ijMGlJKqcslswWUzTEwScm82Gs.jpg',
+      first_air_date: '2019-11-12',
+      last_air_date: '2023-04-19',
+      genre_ids: [10765, 10759, 18],
+      vote_average: 8.5,
+      vote_count: 9800,
+      popularity: 160.7,
+      status: 'Returning Series',
+      in_production: true,
+      number_of_seasons: 3,
+      number_of_episodes: 24,
+      episode_run_time: [40],
+      original_language: 'en',
+      origin_country: ['US'],
+      networks: [{ id: 2739, name: 'Disney+', logo_path: '/uzKjVDmQ1WRMvGBb7UNRE0wTn1H.png' }],
+      production_companies: [{ id: 1, name: 'Lucasfilm Ltd.' }],
+      keyword_ids: [],
+      imdb_id: 'tt8111088',
+      credits: {
+        cast: [{ person_id: 1253360, character: 'Din Djarin' }],
+        crew: []
+      },
+      videos: [],
+      watch_providers: { US: { flatrate: [337] } },
+      recommendations: [1399]
+    },
+    {
+      id: 900201,
+      name: 'Northern Line',
+      overview: 'Commuters on a night train discover that the line keeps adding stops that are not on any map.',
+      tagline: 'Mind the gap.',
+      poster_path: '/mockNorthernLine.jpg',
+      backdrop_path: '/mockNorthernLineBackdrop.jpg',
+      first_air_date: daysFrom(now, -30),
+      last_air_date: daysFrom(now, -2),
+      genre_ids: [9648, 10765],
+      vote_average: 7.4,
+      vote_count: 210,
+      popularity: 130.9,
+      status: 'Returning Series',
+      in_production: true,
+      number_of_seasons: 1,
+      number_of_episodes: 8,
+      episode_run_time: [42],
+      original_language: 'en',
+      origin_country: ['GB'],
+      networks: [{ id: 2552, name: 'Apple TV+', logo_path: '/4KAy34EHvRM25Ih8wb82AuGU7zJ.png' }],
+      production_companies: [],
+      keyword_ids: [],
+      imdb_id: 'tt9000201',
+      credits: {
+        cast: [{ person_id: 900101, character: 'Tess Marlow' }],
+        crew: []
+      },
+      videos: [],
+      watch_providers: { US: { flatrate: [350] } },
+      recommendations: [],
+      seasons: [
+        {
+          season_number: 1,
+          name: 'Season 1',
+          overview: '',
+          poster_path: '/mockNorthernLineS1.jpg',
+          // Weekly episodes: five have aired, three are still to come
+          episodes: NORTHERN_LINE_EPISODES.map((name, index) => ({
+            episode_number: index + 1,
+            name,
+            overview: '',
+            air_date: daysFrom(now, -30 + index * 7),
+            runtime: 42,
+            still_path: `/mockNorthernLineE${index + 1}.jpg`,
+            vote_average: index < 5 ? 7.5 : 0,
+            guest_stars: index === 2 ? [{ person_id: 22226, character: 'The Conductor' }] : [],
+            crew: [{ person_id: 900102, job: 'Director', department: 'Directing' }]
+          }))
+        }
+      ]
+    },
+    {
+      id: 900202,
+      name: 'Signal Lost',
+      overview: 'A radio astronomer picks up a broadcast that seems to come from her own future.',
+      tagline: 'Someone is listening.',
+      poster_path: '/mockSignalLost.jpg',
+      backdrop_path: '/mockSignalLostBackdrop.jpg',
+      first_air_date: daysFrom(now, 14),
+      last_air_date: null,
+      genre_ids: [10765, 18],
+      vote_average: 0,
+      vote_count: 0,
+      popularity: 64.2,
+      status: 'Planned',
+      in_production: true,
+      number_of_seasons: 1,
+      number_of_episodes: 10,
+      episode_run_time: [],
+      original_language: 'en',
+      origin_country: ['US'],
+      networks: [{ id: 213, name: 'Netflix', logo_path: '/wwemzKWzjKYJFfCeiB57q3r4Bcm.png' }],
+      production_companies: [],
+      keyword_ids: [],
+      imdb_id: 'tt9000202',
+      credits: { cast: [], crew: [] },
+      videos: [],
+      watch_providers: {},
+      recommendations: []
+    }
+  ];
+
+  // Collection parts are the movies whose collection_id points at the collection
+  const collections = [
+    {
+      id: 726871,
+      name: 'Dune Collection',
+      overview: 'The saga of Paul Atreides and the desert planet Arrakis.',
+      poster_path: '/wcVafar6Efk3YgFvh8oZQ4yHL6H.jpg',
+      backdrop_path: '/iJQIbOPm81fPEGKt5BPuZmfnA54.jpg'
+    }
+  ];
+
+  return {
+    movies,
+    tvShows,
+    collections,
+    people: PEOPLE,
+    genres: { movie: MOVIE_GENRES, tv: TV_GENRES },
+    watchProviders: WATCH_PROVIDERS
+  };
+}
+
+module.exports = {
+  createDefaultFixtures,
+  daysFrom
+};
@@ -0,0 +1,412 @@
+const express = require('express');
+const fs = require('fs');
+const MockTMDBCatalog = require('./tmdb.catalog');
+const { createDefaultFixtures } = require('./tmdb.fixtures');
+
+/**
+ * Error bodies TMDB returns for the statuses the mock can simulate
+ */
+const TMDB_ERRORS = {
+  401: { status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' },
+  404: { status_code: 34, status_message: 'The resource you requested could not be found.' },
+  429: { status_code: 25, status_message: 'Your request count (#) is over the allowed limit of (40).' },
+  500: { status_code: 11, status_message: 'Internal error: Something went wrong, contact TMDb.' },
+  503: { status_code: 9, status_message: 'Service offline: This service is temporarily offline, try again later.' }
+};
+
+/**
+ * Sub-resources that can be requested on their own or via append_to_response
+ */
+const TITLE_SUBRESOURCES = {
+  credits: (catalog, mediaType, item) => catalog.getCredits(mediaType, item),
+  videos: (catalog, mediaType, item) => catalog.getVideos(mediaType, item),
+  recommendations: (catalog, mediaType, item, query) =>
+    catalog.paginate(catalog.getRecommendations(mediaType, item), query.page),
+  similar: (catalog, mediaType, item, query) =>
+    catalog.paginate(catalog.getSimilar(mediaType, item), query.page),
+  reviews: (catalog, mediaType, item, query) =>
+    catalog.paginate(catalog.getReviews(item), query.page),
+  'watch/providers': (catalog, mediaType, item) => catalog.getWatchProviders(mediaType, item),
+  external_ids: (catalog, mediaType, item) => catalog.getExternalIds(mediaType, item),
+  release_dates: (catalog, mediaType, item) => (mediaType === 'movie' ? catalog.getReleaseDates(item) : null),
+  content_ratings: (catalog, mediaType, item) => (mediaType === 'tv' ? catalog.getContentRatings(item) : null)
+};
+
+const PERSON_SUBRESOURCES = {
+  movie_credits: (catalog, person) => catalog.getPersonCredits(person.id, 'movie'),
+  tv_credits: (catalog, person) => catalog.getPersonCredits(person.id, 'tv'),
+  combined_credits: (catalog, person) => catalog.getPersonCredits(person.id, 'combined'),
+  external_ids: (catalog, person) => catalog.getPersonExternalIds(person),
+  images: (catalog, person) => catalog.getPersonImages(person)
+};
+
+/**
+ * Send a TMDB-style error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} options - { retryAfter } seconds for 429/503
+ */
+function sendTMDBError(res, status, options = {}) {
+  const body = TMDB_ERRORS[status] || { status_code: status, status_message: 'Simulated error' };
+
+  if (options.retryAfter !== undefined) {
+    res.set('Retry-After', String(options.retryAfter));
+  } else if (status === 429) {
+    res.set('Retry-After', '1');
+  }
+
+  res.status(status).json({ success: false, ...body });
+}
+
+/**
+ * Check whether a fault rule applies to a request path
+ * String paths match exactly, or as a prefix when they end in "*"
+ * @param {string|RegExp} pattern - Fault path pattern
+ * @param {string} path - Request path relative to /3
+ * @returns {boolean} Whether the fault applies
+ */
+function matchesFaultPath(pattern, path) {
+  if (pattern instanceof RegExp) return pattern.test(path);
+  if (!pattern || pattern === '*') return true;
+  if (pattern.endsWith('*')) return path.startsWith(pattern.slice(0, -1));
+  return pattern === path;
+}
+
+/**
+ * Create the state shared between the mock's routes and its control API
+ * @param {Object} catalog - Mock catalog
+ * @returns {Object} Controller
+ */
+function createController(catalog) {
+  const faults = [];
+  const requests = [];
+
+  return {
+    catalog,
+    requests,
+
+    /**
+     * Make matching requests fail
+     * @param {Object} fault - { path, status, times, retryAfter }
+     * @returns {Object} Registered fault
+     */
+    addFault({ path = '*', status = 500, times = Infinity, retryAfter } = {}) {
+      const fault = { path, status: Number(status), remaining: times === null ? Infinity : Number(times), retryAfter };
+      faults.push(fault);
+      return fault;
+    },
+
+    /**
+     * Find the first active fault for a path and consume one use of it
+     * @param {string} path - Request path relative to /3
+     * @returns {Object|null} Matching fault
+     */
+    takeFault(path) {
+      const fault = faults.find(rule => rule.remaining > 0 && matchesFaultPath(rule.path, path));
+      if (!fault) return null;
+
+      fault.remaining--;
+      return fault;
+    },
+
+    clearFaults() {
+      faults.length = 0;
+    },
+
+    reset() {
+      faults.length = 0;
+      requests.length = 0;
+    }
+  };
+}
+
+/**
+ * Build the TMDB v3 routes served under /3
+ * @param {Object} controller - Mock controller
+ * @param {Object} options - { apiKey } accepted credential(s)
+ * @returns {Object} Express router
+ */
+function createTMDBRouter(controller, options) {
+  const router = express.Router();
+  const { catalog } = controller;
+  const acceptedKeys = options.apiKey ? [].concat(options.apiKey) : null;
+
+  // Record every request so tests can assert on what TMDBService sent
+  router.use((req, res, next) => {
+    const { api_key: apiKey, ...query } = req.query;
+    controller.requests.push({ method: req.method, path: req.path, query, at: new Date().toISOString() });
+    next();
+  });
+
+  // Simulated failures: per-request header/query overrides first, then registered faults
+  router.use((req, res, next) => {
+    const forcedStatus = parseInt(req.get('X-Mock-Status') || req.query.mock_status);
+    if (forcedStatus >= 400) {
+      return sendTMDBError(res, forcedStatus);
+    }
+
+    const fault = controller.takeFault(req.path);
+    if (fault) {
+      return sendTMDBError(res, fault.status, { retryAfter: fault.retryAfter });
+    }
+
+    next();
+  });
+
+  // Accept the v3 api_key query parameter or a v4 bearer token
+  router.use((req, res, next) => {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+    const credential = req.query.api_key || bearer;
+
+    if (!credential || (acceptedKeys && !acceptedKeys.includes(credential))) {
+      return sendTMDBError(res, 401);
+    }
+
+    next();
+  });
+
+  const sendPage = (res, results, query, extra = {}) => {
+    res.json({ ...extra, ...catalog.paginate(results, query.page) });
+  };
+
+  router.get('/configuration', (req, res) => {
+    res.json({
+      images: {
+        base_url: 'http://image.tmdb.org/t/p/',
+        secure_base_url: 'https://image.tmdb.org/t/p/',
+        backdrop_sizes: ['w300', 'w780', 'w1280', 'original'],
+        logo_sizes: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
+        poster_sizes: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
+        profile_sizes: ['w45', 'w185', 'h632', 'original'],
+        still_sizes: ['w92', 'w185', 'w300', 'original']
+      },
+      change_keys: []
+    });
+  });
+
+  router.get('/genre/:mediaType(movie|tv)/list', (req, res) => {
+    res.json({ genres: catalog.genres[req.params.mediaType] });
+  });
+
+  router.get('/watch/providers/:mediaType(movie|tv)', (req, res) => {
+    res.json({ results: catalog.watchProviders });
+  });
+
+  router.get('/search/:mediaType(multi|movie|tv|person)', (req, res) => {
+    sendPage(res, catalog.search(req.params.mediaType, req.query), req.query);
+  });
+
+  router.get('/discover/:mediaType(movie|tv)', (req, res) => {
+    sendPage(res, catalog.discover(req.params.mediaType, req.query), req.query);
+  });
+
+  router.get('/trending/:mediaType(all|movie|tv|person)/:timeWindow(day|week)', (req, res) => {
+    sendPage(res, catalog.getTrending(req.params.mediaType), req.query);
+  });
+
+  router.get('/:mediaType(movie|tv)/:list(popular|top_rated|upcoming|now_playing|on_the_air|airing_today)', (req, res) => {
+    const list = catalog.getList(req.params.mediaType, req.params.list);
+    if (!list) return sendTMDBError(res, 404);
+
+    sendPage(res, list.results, req.query, list.dates ? { dates: list.dates } : {});
+  });
+
+  router.get('/:mediaType(movie|tv)/:id(\\d+)', (req, res) => {
+    const { mediaType, id } = req.params;
+    const item = catalog.getTitle(mediaType, id);
+    if (!item) return sendTMDBError(res, 404);
+
+    const body = catalog.toDetails(mediaType, item);
+    const appended = String(req.query.append_to_response || '').split(',').map(name => name.trim());
+
+    for (const name of appended) {
+      const subresource = TITLE_SUBRESOURCES[name] && TITLE_SUBRESOURCES[name](catalog, mediaType, item, {});
+      if (subresource) {
+        body[name] = subresource;
+      }
+    }
+
+    res.json(body);
+  });
+
+  router.get('/:mediaType(movie|tv)/:id(\\d+)/:subresource(credits|videos|recommendations|similar|reviews|external_ids|release_dates|content_ratings|watch/providers)', (req, res) => {
+    const { mediaType, id, subresource } = req.params;
+    const item = catalog.getTitle(mediaType, id);
+    if (!item) return sendTMDBError(res, 404);
+
+    const body = TITLE_SUBRESOURCES[subresource](catalog, mediaType, item, req.query);
+    if (!body) return sendTMDBError(res, 404);
+
+    // Paginated sub-resources don't echo the title ID
+    res.json(body.page ? body : { id: item.id, ...body });
+  });
+
+  router.get('/find/:externalId', (req, res) => {
+    const results = catalog.find(req.params.externalId, req.query.external_source);
+    if (!results) return sendTMDBError(res, 400);
+
+    res.json(results);
+  });
+
+  router.get('/collection/:id(\\d+)', (req, res) => {
+    const collection = catalog.getCollection(req.params.id);
+    if (!collection) return sendTMDBError(res, 404);
+
+    res.json(collection);
+  });
+
+  router.get('/tv/:id(\\d+)/season/:season(\\d+)', (req, res) => {
+    const item = catalog.getTitle('tv', req.params.id);
+    const season = item && catalog.getSeason(item, req.params.season);
+    if (!season) return sendTMDBError(res, 404);
+
+    res.json(catalog.toSeasonDetails(item, season));
+  });
+
+  router.get('/tv/:id(\\d+)/season/:season(\\d+)/episode/:episode(\\d+)', (req, res) => {
+    const item = catalog.getTitle('tv', req.params.id);
+    const found = item && catalog.getEpisode(item, req.params.season, req.params.episode);
+    if (!found) return sendTMDBError(res, 404);
+
+    const { show_id: showId, ...episode } = catalog.toEpisode(item, found.season, found.episode);
+    res.json(episode);
+  });
+
+  router.get('/person/:id(\\d+)', (req, res) => {
+    const person = catalog.getPerson(req.params.id);
+    if (!person) return sendTMDBError(res, 404);
+
+    const body = catalog.toPersonDetails(person);
+    const appended = String(req.query.append_to_response || '').split(',').map(name => name.trim());
+
+    for (const name of appended) {
+      if (PERSON_SUBRESOURCES[name]) {
+        body[name] = PERSON_SUBRESOURCES[name](catalog, person);
+      }
+    }
+
+    res.json(body);
+  });
+
+  router.get('/person/:id(\\d+)/:subresource(movie_credits|tv_credits|combined_credits|external_ids|images)', (req, res) => {
+    const person = catalog.getPerson(req.params.id);
+    if (!person) return sendTMDBError(res, 404);
+
+    res.json({ id: person.id, ...PERSON_SUBRESOURCES[req.params.subresource](catalog, person) });
+  });
+
+  // Anything else is unknown to TMDB
+  router.use((req, res) => sendTMDBError(res, 404));
+
+  router.use((err, req, res, next) => {
+    console.error('Mock TMDB error:', err);
+    sendTMDBError(res, 500);
+  });
+
+  return router;
+}
+
+/**
+ * Build the control API used by demos and tests to inspect and steer the mock
+ * @param {Object} controller - Mock controller
+ * @returns {Object} Express router
+ */
+function createControlRouter(controller) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get('/requests', (req, res) => {
+    res.json({ requests: controller.requests });
+  });
+
+  router.post('/faults', (req, res) => {
+    const { path, status, times, retryAfter } = req.body || {};
+    const fault = controller.addFault({ path, status, times, retryAfter });
+    res.status(201).json({ fault: { ...fault, remaining: Number.isFinite(fault.remaining) ? fault.remaining : null } });
+  });
+
+  router.delete('/faults', (req, res) => {
+    controller.clearFaults();
+    res.status(204).end();
+  });
+
+  router.post('/reset', (req, res) => {
+    controller.reset();
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * Create a mock TMDB v3 API app
+ * @param {Object} options - Mock options
+ * @param {Object} options.fixtures - Seed data; each collection given replaces the default one
+ * @param {string|Array} options.apiKey - Accepted credential(s); any non-empty credential when omitted
+ * @param {Function} options.now - Clock for date-relative data and lists
+ * @returns {Object} Express app, with its controller at app.locals.mock
+ */
+function createMockTMDBApp(options = {}) {
+  const now = options.now || (() => new Date());
+  const fixtures = { ...createDefaultFixtures(now()), ...options.fixtures };
+  const controller = createController(new MockTMDBCatalog(fixtures, now));
+  const app = express();
+
+  app.locals.mock = controller;
+  app.use('/__mock', createControlRouter(controller));
+  app.use('/3', createTMDBRouter(controller, options));
+  app.use((req, res) => sendTMDBError(res, 404));
+
+  return app;
+}
+
+/**
+ * Start a mock TMDB server
+ * @param {Object} options - createMockTMDBApp options plus { port, host }
+ * @returns {Promise<Object>} { app, server, baseUrl } where baseUrl can be passed to TMDBService
+ */
+function startMockTMDBServer(options = {}) {
+  const { port = 0, host = '127.0.0.1', ...appOptions } = options;
+  const app = createMockTMDBApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const address = server.address();
+      resolve({ app, server, baseUrl: `http://${host}:${address.port}/3` });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Load seed data from a JSON file
+ * @param {string} filePath - Path to a JSON fixtures file
+ * @returns {Object} Fixtures
+ */
+function loadFixturesFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Start the mock when run directly (npm run mock:tmdb)
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_TMDB_PORT) || 4010;
+  const fixtures = process.env.MOCK_TMDB_FIXTURES ? loadFixturesFile(process.env.MOCK_TMDB_FIXTURES) : undefined;
+
+  startMockTMDBServer({ port, host: '0.0.0.0', fixtures, apiKey: process.env.MOCK_TMDB_API_KEY })
+    .then(() => {
+      console.log(`🎭 Mock TMDB API running on port ${port}`);
+      console.log(`🔗 Point the app at it with TMDB_BASE_URL=http://localhost:${port}/3`);
+    })
+    .catch((error) => {
+      console.error('Failed to start mock TMDB server:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createMockTMDBApp,
+  startMockTMDBServer,
+  loadFixturesFile,
+  TMDB_ERRORS
+};
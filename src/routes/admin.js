@@ -0,0 +1,82 @@
+const express = require('express');
+const { customCategoryService } = require('../services');
+const { validateCustomCategoryKey } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * List custom categories
+ */
+router.get('/categories', async (req, res, next) => {
+  try {
+    await customCategoryService.load();
+    res.json({
+      success: true,
+      data: customCategoryService.list()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a custom category
+ */
+router.get('/categories/:key', validateCustomCategoryKey, async (req, res, next) => {
+  try {
+    const category = await customCategoryService.get(req.params.key);
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a custom category, served at /api/categories/mood/:key
+ */
+router.post('/categories', async (req, res, next) => {
+  try {
+    const category = await customCategoryService.create(req.body);
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace a custom category's name, media type, filters and sort order
+ */
+router.put('/categories/:key', validateCustomCategoryKey, async (req, res, next) => {
+  try {
+    const category = await customCategoryService.update(req.params.key, req.body);
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a custom category
+ */
+router.delete('/categories/:key', validateCustomCategoryKey, async (req, res, next) => {
+  try {
+    const category = await customCategoryService.delete(req.params.key);
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
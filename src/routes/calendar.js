@@ -0,0 +1,78 @@
+const express = require('express');
+const CategoryService = require('../services/category.service');
+const CalendarService = require('../services/calendar.service');
+const { buildCalendar } = require('../services/ical');
+const { tmdbService, streamingDatesService } = require('../services');
+const { validateCalendarQuery, validateCalendarFeedQuery, validateCalendarTimeZone, validateContentId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Initialize services
+const categoryService = new CategoryService(tmdbService, { streamingDates: streamingDatesService });
+const calendarService = new CalendarService(tmdbService, { categories: categoryService });
+
+/**
+ * Send a feed as an iCalendar file
+ * @param {Object} res - Express response object
+ * @param {string} filename - File name calendar apps save the feed as
+ * @param {Object} feed - { name, description, events }
+ */
+function sendCalendar(res, filename, feed) {
+  res.type('text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buildCalendar(feed));
+}
+
+/**
+ * Get movie releases, TV premieres and episode air dates grouped by day, week or month
+ */
+router.get('/', validateCalendarQuery, async (req, res, next) => {
+  try {
+    const { from, to, type, bucket, genre, network, tz } = req.query;
+    const result = await calendarService.getCalendar({ from, to, type, bucket, genre, network, timeZone: tz });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Subscribe to upcoming movie releases and TV premieres (iCalendar)
+ */
+router.get('/upcoming.ics', validateCalendarFeedQuery, async (req, res, next) => {
+  try {
+    const { type, genre, network, tz } = req.query;
+    const feed = await calendarService.getUpcomingFeed({ type, genre, network, timeZone: tz });
+    sendCalendar(res, 'upcoming.ics', feed);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Subscribe to the release dates of a movie (iCalendar)
+ */
+router.get('/movie/:id.ics', validateContentId, validateCalendarTimeZone, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const feed = await calendarService.getMovieFeed(id, req.query.tz);
+    sendCalendar(res, `movie-${id}.ics`, feed);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Subscribe to the upcoming episodes of a TV show (iCalendar)
+ */
+router.get('/tv/:id.ics', validateContentId, validateCalendarTimeZone, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const feed = await calendarService.getShowFeed(id, req.query.tz);
+    sendCalendar(res, `tv-${id}.ics`, feed);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
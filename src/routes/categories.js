@@ -1,6 +1,7 @@
 const express = require('express');
 const CategoryService = require('../services/category.service');
-const TMDBService = require('../services/tmdb.service');
+const { tmdbService, streamingDatesService, customCategoryService } = require('../services');
+const { getCategoryOverview } = require('../config/categories');
 const {
   validatePageQuery,
   validateCategoryParam,
@@ -13,98 +14,21 @@ const {
 const router = express.Router();
 
 // Initialize services
-const tmdbService = new TMDBService(process.env.TMDB_API_KEY);
-const categoryService = new CategoryService(tmdbService);
+const categoryService = new CategoryService(tmdbService, { streamingDates: streamingDatesService });
+
+// Register custom categories before the first category name is validated
+router.use((req, res, next) => {
+  customCategoryService.load().then(() => next(), next);
+});
 
 /**
  * Get all available categories and subcategories
  */
 router.get('/', async (req, res, next) => {
   try {
-    const categories = {
-      'new-trending': {
-        name: 'New & Trending',
-        subcategories: [
-          { key: 'trending-movies', name: 'Trending Movies', endpoint: '/api/trending/movies' },
-          { key: 'hot-tv-shows', name: 'Hot TV Shows', endpoint: '/api/trending/tv' },
-          { key: 'anticipated-movies', name: 'Anticipated Movies', endpoint: '/api/upcoming/movies' },
-          { key: 'streaming-now', name: 'Films Now Streaming', endpoint: '/api/streaming/now' }
-        ]
-      },
-      'mood-picks': {
-        name: 'Mood Picks',
-        subcategories: [
-          { key: 'family-movie-night', name: 'Family Movie Night', endpoint: '/api/mood/family-movie-night' },
-          { key: 'rom-com-classics', name: 'Rom-Com Classics', endpoint: '/api/mood/rom-com-classics' },
-          { key: 'psychological-thrillers', name: 'Psychological Thrillers', endpoint: '/api/mood/psychological-thrillers' },
-          { key: 'feel-good-shows', name: 'Feel-Good Shows', endpoint: '/api/mood/feel-good-shows' },
-          { key: 'musicals', name: 'Musicals', endpoint: '/api/mood/musicals' },
-          { key: 'halloween', name: 'Halloween', endpoint: '/api/mood/halloween' },
-          { key: 'bingeable-series', name: 'Bingeable Series', endpoint: '/api/mood/bingeable-series' }
-        ]
-      },
-      'award-winners': {
-        name: 'Award Winners & Blockbusters',
-        subcategories: [
-          { key: 'oscar-winners', name: 'Great Oscar Winners', endpoint: '/api/awards/oscar-winners' },
-          { key: 'top-grossing', name: 'Top Grossing Movies', endpoint: '/api/awards/top-grossing' },
-          { key: 'imdb-top-250', name: 'IMDb Top 250', endpoint: '/api/awards/imdb-top-250' },
-          { key: 'blockbuster-shows', name: 'Blockbuster Shows', endpoint: '/api/awards/blockbuster-shows' },
-          { key: 'top-rated', name: 'Top Rated', endpoint: '/api/awards/top-rated' }
-        ]
-      },
-      'studio-picks': {
-        name: 'Studio Picks',
-        subcategories: [
-          { key: 'disney', name: 'Disney', endpoint: '/api/studio/disney' },
-          { key: 'pixar', name: 'Pixar', endpoint: '/api/studio/pixar' },
-          { key: 'marvel', name: 'Marvel', endpoint: '/api/studio/marvel' },
-          { key: 'dc', name: 'DC', endpoint: '/api/studio/dc' },
-          { key: 'universal', name: 'Universal', endpoint: '/api/studio/universal' },
-          { key: 'lucasfilm', name: 'Lucasfilm', endpoint: '/api/studio/lucasfilm' },
-          { key: 'illumination', name: 'Illumination', endpoint: '/api/studio/illumination' },
-          { key: 'dreamworks', name: 'Dreamworks', endpoint: '/api/studio/dreamworks' }
-        ]
-      },
-      'by-network': {
-        name: 'By Network',
-        subcategories: [
-          { key: 'netflix', name: 'Netflix', endpoint: '/api/network/netflix' },
-          { key: 'apple-tv', name: 'Apple TV+', endpoint: '/api/network/apple-tv' },
-          { key: 'disney-plus', name: 'Disney+', endpoint: '/api/network/disney-plus' },
-          { key: 'prime-video', name: 'Prime Video', endpoint: '/api/network/prime-video' },
-          { key: 'hbo', name: 'HBO', endpoint: '/api/network/hbo' },
-          { key: 'paramount-plus', name: 'Paramount+', endpoint: '/api/network/paramount-plus' }
-        ]
-      },
-      'by-genre': {
-        name: 'By Genre',
-        subcategories: [
-          { key: 'action', name: 'Action', endpoint: '/api/genre/action' },
-          { key: 'adventure', name: 'Adventure', endpoint: '/api/genre/adventure' },
-          { key: 'animation', name: 'Animation', endpoint: '/api/genre/animation' },
-          { key: 'comedy', name: 'Comedy', endpoint: '/api/genre/comedy' },
-          { key: 'crime', name: 'Crime', endpoint: '/api/genre/crime' },
-          { key: 'documentary', name: 'Documentary', endpoint: '/api/genre/documentary' },
-          { key: 'drama', name: 'Drama', endpoint: '/api/genre/drama' },
-          { key: 'family', name: 'Family', endpoint: '/api/genre/family' },
-          { key: 'fantasy', name: 'Fantasy', endpoint: '/api/genre/fantasy' },
-          { key: 'history', name: 'History', endpoint: '/api/genre/history' },
-          { key: 'horror', name: 'Horror', endpoint: '/api/genre/horror' },
-          { key: 'music', name: 'Music', endpoint: '/api/genre/music' },
-          { key: 'mystery', name: 'Mystery', endpoint: '/api/genre/mystery' },
-          { key: 'romance', name: 'Romance', endpoint: '/api/genre/romance' },
-          { key: 'science-fiction', name: 'Science Fiction', endpoint: '/api/genre/science-fiction' },
-          { key: 'thriller', name: 'Thriller', endpoint: '/api/genre/thriller' },
-          { key: 'war', name: 'War', endpoint: '/api/genre/war' },
-          { key: 'western', name: 'Western', endpoint: '/api/genre/western' }
-        ]
-      }
-    };
-
     res.json({
       success: true,
-      data: categories
+      data: getCategoryOverview()
     });
   } catch (error) {
     next(error);
@@ -1,13 +1,23 @@
 const express = require('express');
 const ContentService = require('../services/content.service');
-const TMDBService = require('../services/tmdb.service');
-const { validateContentId, validateMediaType, validatePageQuery } = require('../middleware/validation');
+const PersonService = require('../services/person.service');
+const { tmdbService } = require('../services');
+const {
+  validateContentId,
+  validateExternalId,
+  validateSeasonNumber,
+  validateEpisodeNumber,
+  validatePersonCreditsQuery,
+  validateMediaType,
+  validatePageQuery,
+  validateReviewQuery
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // Initialize services
-const tmdbService = new TMDBService(process.env.TMDB_API_KEY);
 const contentService = new ContentService(tmdbService);
+const personService = new PersonService(tmdbService);
 
 /**
  * Get complete movie details
@@ -41,6 +51,129 @@ router.get('/tv/:id', validateContentId, async (req, res, next) => {
   }
 });
 
+/**
+ * Resolve an external ID (IMDb, TVDB, Wikidata, ...) to TMDB titles and people
+ */
+router.get('/find/:source/:externalId', validateExternalId, async (req, res, next) => {
+  try {
+    const { source, externalId } = req.params;
+    const result = await contentService.findByExternalId(source, externalId);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a collection (franchise) with its parts in watch order
+ */
+router.get('/collection/:id', validateContentId, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await contentService.getCollectionDetails(id);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a TV season with its episodes
+ */
+router.get('/tv/:id/season/:season', validateContentId, validateSeasonNumber, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const seasonNumber = parseInt(req.params.season);
+    const result = await contentService.getSeasonDetails(id, seasonNumber);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a single TV episode
+ */
+router.get('/tv/:id/season/:season/episode/:episode', validateContentId, validateSeasonNumber, validateEpisodeNumber, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const seasonNumber = parseInt(req.params.season);
+    const episodeNumber = parseInt(req.params.episode);
+    const result = await contentService.getEpisodeDetails(id, seasonNumber, episodeNumber);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Person routes come before the /:mediaType routes, which would match /person/:id/credits
+
+/**
+ * Get a person's profile with their combined movie and TV filmography
+ */
+router.get('/person/:id', validateContentId, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await personService.getPersonDetails(id);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a person's titles in one role ("More from this composer")
+ */
+router.get('/person/:id/credits', validateContentId, validatePersonCreditsQuery, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await personService.getPersonCredits(id, {
+      role: req.query.role,
+      mediaType: req.query.mediaType,
+      sort: req.query.sort,
+      excludeId: req.query.exclude ? parseInt(req.query.exclude) : null,
+      excludeMediaType: req.query.excludeMediaType || null
+    });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get movies by director for "More by this Director" functionality
+ */
+router.get('/person/:id/movies', validateContentId, async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await contentService.getDirectorMovies(id);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Get credits for movie or TV show
  */
@@ -97,14 +230,16 @@ router.get('/:mediaType/:id/recommendations', validateMediaType, validateContent
 });
 
 /**
- * Get watch providers for movie or TV show
+ * Get user reviews for movie or TV show
  */
-router.get('/:mediaType/:id/watch-providers', validateMediaType, validateContentId, async (req, res, next) => {
+router.get('/:mediaType/:id/reviews', validateMediaType, validateContentId, validateReviewQuery, async (req, res, next) => {
   try {
     const { mediaType, id } = req.params;
     const parsedId = parseInt(id);
+    const page = parseInt(req.query.page) || 1;
+    const excerptLength = parseInt(req.query.excerptLength) || undefined;
 
-    const result = await contentService.getWatchProviders(parsedId, mediaType);
+    const result = await contentService.getReviews(parsedId, mediaType, page, excerptLength);
     res.json({
       success: true,
       data: result
@@ -115,12 +250,14 @@ router.get('/:mediaType/:id/watch-providers', validateMediaType, validateContent
 });
 
 /**
- * Get movies by director for "More by this Director" functionality
+ * Get watch providers for movie or TV show
  */
-router.get('/person/:id/movies', validateContentId, async (req, res, next) => {
+router.get('/:mediaType/:id/watch-providers', validateMediaType, validateContentId, async (req, res, next) => {
   try {
-    const id = parseInt(req.params.id);
-    const result = await contentService.getDirectorMovies(id);
+    const { mediaType, id } = req.params;
+    const parsedId = parseInt(id);
+
+    const result = await contentService.getWatchProviders(parsedId, mediaType);
     res.json({
       success: true,
       data: result
@@ -0,0 +1,49 @@
+const express = require('express');
+const { streamingDatesService } = require('../services');
+const { validateProviderFeed } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Build the feed options from the query string
+ */
+const getFeedOptions = (req, change) => ({
+  change,
+  days: parseInt(req.query.days) || undefined,
+  mediaType: req.query.mediaType || 'all',
+  page: parseInt(req.query.page) || 1
+});
+
+/**
+ * Get titles recently added to a streaming service in the request's region
+ */
+router.get('/:providerId/new', validateProviderFeed, async (req, res, next) => {
+  try {
+    const providerId = parseInt(req.params.providerId);
+    const result = await streamingDatesService.getProviderFeed(providerId, getFeedOptions(req, 'new'));
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get titles that recently left a streaming service in the request's region
+ */
+router.get('/:providerId/leaving', validateProviderFeed, async (req, res, next) => {
+  try {
+    const providerId = parseInt(req.params.providerId);
+    const result = await streamingDatesService.getProviderFeed(providerId, getFeedOptions(req, 'leaving'));
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,11 @@
 const express = require('express');
 const SearchService = require('../services/search.service');
-const TMDBService = require('../services/tmdb.service');
+const { tmdbService } = require('../services');
 const { validateSearchQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
 // Initialize services
-const tmdbService = new TMDBService(process.env.TMDB_API_KEY);
 const searchService = new SearchService(tmdbService);
 
 /**
@@ -1,22 +1,20 @@
 const express = require('express');
 const CategoryService = require('../services/category.service');
-const TMDBService = require('../services/tmdb.service');
-const { validatePageQuery } = require('../middleware/validation');
+const { tmdbService, streamingDatesService } = require('../services');
+const { validatePageQuery, validateCursorQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
 // Initialize services
-const tmdbService = new TMDBService(process.env.TMDB_API_KEY);
-const categoryService = new CategoryService(tmdbService);
+const categoryService = new CategoryService(tmdbService, { streamingDates: streamingDatesService });
 
 /**
- * Get combined upcoming movies and TV shows
+ * Get combined upcoming movies and TV shows, soonest first
+ * Paginated with the nextCursor of the previous page
  */
-router.get('/', validatePageQuery, async (req, res, next) => {
+router.get('/', validateCursorQuery, async (req, res, next) => {
   try {
-    const moviePage = parseInt(req.query.moviePage) || 1;
-    const tvPage = parseInt(req.query.tvPage) || 1;
-    const result = await categoryService.getCombinedUpcoming(moviePage, tvPage);
+    const result = await categoryService.getCombinedUpcoming(req.query.cursor);
     res.json(result);
   } catch (error) {
     next(error);
@@ -8,8 +8,15 @@ dotenv.config();
 // Import routes
 const categoriesRouter = require('./routes/categories');
 const upcomingRouter = require('./routes/upcoming');
+const calendarRouter = require('./routes/calendar');
 const contentRouter = require('./routes/content');
 const searchRouter = require('./routes/search');
+const providersRouter = require('./routes/providers');
+const adminRouter = require('./routes/admin');
+
+// Import shared services
+const config = require('./config');
+const { tmdbService, providerSnapshotJob } = require('./services');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -21,9 +28,13 @@ const {
   additionalSecurityHeaders,
   validateRequestSize,
   validateUserAgent,
+  requireAdminToken,
   securityLogger
 } = require('./middleware/security');
-const { sanitizeQuery, sanitizeParams } = require('./middleware/validation');
+const { sanitizeQuery, sanitizeParams, validateLocaleQuery, validateImageQuery } = require('./middleware/validation');
+const { attachRequestContext, cacheStatusHeaders } = require('./middleware/context');
+const { attachLocale } = require('./middleware/locale');
+const { attachImageOptions } = require('./middleware/images');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,7 +68,15 @@ const corsOptions = {
   maxAge: 86400 // 24 hours
 };
 
-app.use(cors(corsOptions));
+// The admin API is the only one that takes writes; the rest of the API stays read-only
+const adminCorsOptions = {
+  ...corsOptions,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
+};
+
+app.use(cors((req, callback) => {
+  callback(null, /^\/api\/admin(\/|$)/.test(req.path) ? adminCorsOptions : corsOptions);
+}));
 
 // Body parsing middleware with security limits
 app.use(express.json({ 
@@ -71,6 +90,10 @@ app.use(express.urlencoded({
   parameterLimit: 20
 }));
 
+// Per-request context (must come after body parsing so it isn't lost in stream callbacks)
+app.use(attachRequestContext);
+app.use(cacheStatusHeaders);
+
 // Input sanitization middleware
 app.use(sanitizeQuery);
 app.use(sanitizeParams);
@@ -86,20 +109,37 @@ app.use((req, res, next) => {
 
 // Basic health check route
 app.get('/health', (req, res) => {
+  const upstream = tmdbService.getUpstreamStatus();
+  // Report degraded (not down) while TMDB is failing so the instance isn't restarted
+  const degraded = upstream.circuitBreaker.state !== 'CLOSED';
+
   res.json({ 
-    status: 'OK', 
-    message: 'Movie TV Tracking API is running',
+    status: degraded ? 'DEGRADED' : 'OK', 
+    message: degraded ? 'Movie TV Tracking API is running with TMDB unavailable' : 'Movie TV Tracking API is running',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    upstream
   });
 });
 
+// Localize all API routes (?language=, ?region= or Accept-Language)
+app.use('/api', validateLocaleQuery, attachLocale);
+
+// Image sizes for all API routes (?imageSize=small|medium|large|original, ?imageSrcset=true)
+app.use('/api', validateImageQuery, attachImageOptions);
+
 // API Routes with specific rate limiting
 app.use('/api/search', searchRateLimit, searchRouter);
 app.use('/api/movie', contentRateLimit);
 app.use('/api/tv', contentRateLimit);
+app.use('/api/person', contentRateLimit);
+app.use('/api/collection', contentRateLimit);
+app.use('/api/find', contentRateLimit);
 app.use('/api/categories', categoriesRouter);
 app.use('/api/upcoming', upcomingRouter);
+app.use('/api/calendar', contentRateLimit, calendarRouter); // Reads many titles per request
+app.use('/api/providers', providersRouter);
+app.use('/api/admin', requireAdminToken(config.admin.token), adminRouter);
 app.use('/api', contentRouter);
 
 // 404 handler for unmatched routes
@@ -110,6 +150,14 @@ app.use(errorHandler);
 
 // Start server only if this file is run directly (not imported)
 if (require.main === module) {
+  // Replace the built-in image sizes with TMDB's (falls back to them on failure)
+  tmdbService.loadImageConfiguration();
+
+  // Snapshot watch providers over time for streaming dates and provider feeds
+  if (config.streaming.snapshotJob.enabled) {
+    providerSnapshotJob.start();
+  }
+
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -123,8 +171,20 @@ if (require.main === module) {
     console.log('  GET /api/upcoming - Combined upcoming content');
     console.log('  GET /api/upcoming/movies - Upcoming movies');
     console.log('  GET /api/upcoming/tv - Upcoming TV shows');
+    console.log('  GET /api/calendar - Release calendar by day, week or month');
     console.log('  GET /api/movie/:id - Movie details');
     console.log('  GET /api/tv/:id - TV show details');
+    console.log('  GET /api/collection/:id - Collection parts in watch order');
+    console.log('  GET /api/find/:source/:externalId - Look up IMDb, TVDB, ... IDs');
+    console.log('  GET /api/tv/:id/season/:season - TV season episodes');
+    console.log('  GET /api/tv/:id/season/:season/episode/:episode - TV episode details');
+    console.log('  GET /api/:mediaType/:id/reviews - User reviews with excerpts');
+    console.log('  GET /api/providers/:providerId/new - Titles new on a streaming service');
+    console.log('  GET /api/providers/:providerId/leaving - Titles that left a streaming service');
+    console.log('  GET|POST /api/admin/categories - Custom categories (admin token)');
+    console.log('  GET|PUT|DELETE /api/admin/categories/:key - Custom category (admin token)');
+    console.log('  GET /api/person/:id - Person profile and filmography');
+    console.log('  GET /api/person/:id/credits?role=... - Titles by role');
     console.log('  GET /api/search/multi?query=... - Multi search');
     console.log('  GET /api/search/movies?query=... - Movie search');
     console.log('  GET /api/search/tv?query=... - TV search');
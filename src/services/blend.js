@@ -0,0 +1,145 @@
+/**
+ * Blending of several paged result streams into one
+ * Sources are interleaved by weight (a weight 2 source contributes two items for
+ * each item of a weight 1 source) and a duplicate keeps its first position, so
+ * the blended order only depends on the sources' order and pages don't shift
+ */
+
+/**
+ * Reads a paged source one item at a time, fetching pages as they are needed
+ */
+class PagedStream {
+  /**
+   * @param {Function} fetchPage - (page) => Promise<{ results, total_pages, total_results }>
+   * @param {string} label - Name used in warnings
+   * @param {Object} start - { page, offset } position to start reading at (see position)
+   */
+  constructor(fetchPage, label = 'source', { page = 1, offset = 0 } = {}) {
+    this.fetchPage = fetchPage;
+    this.label = label;
+    this.buffer = [];
+    this.nextPage = page;
+    this.skip = offset;
+    this.offset = 0;
+    this.totalPages = null;
+    this.totalResults = 0;
+    this.error = null;
+  }
+
+  /**
+   * Position of the next item, to resume reading from later
+   * @returns {Object|null} { page, offset } or null when the stream is done
+   */
+  get position() {
+    if (this.done) return null;
+    if (this.buffer.length === 0) return { page: this.nextPage, offset: this.skip };
+    return { page: this.nextPage - 1, offset: this.offset };
+  }
+
+  /**
+   * Whether the stream has no items left
+   * @returns {boolean} True once every page was read or the source failed
+   */
+  get done() {
+    return this.buffer.length === 0 && (this.error !== null ||
+      (this.totalPages !== null && this.nextPage > this.totalPages));
+  }
+
+  /**
+   * Fetch the next page into the buffer
+   * A failing source ends its stream with a warning, so the other sources are still served
+   * @returns {Promise<void>}
+   */
+  async fill() {
+    if (this.done || this.buffer.length > 0) return;
+
+    try {
+      const response = await this.fetchPage(this.nextPage);
+      const results = (response && response.results) || [];
+
+      this.totalResults = (response && response.total_results) || this.totalResults;
+      // An empty page ends the stream even if TMDB reports more pages
+      this.totalPages = results.length > 0 ? (response.total_pages || this.nextPage) : this.nextPage;
+      this.nextPage++;
+      this.buffer.push(...results.slice(this.skip));
+      this.offset = Math.min(this.skip, results.length);
+      this.skip = 0;
+    } catch (error) {
+      console.warn(`Failed to fetch ${this.label} page ${this.nextPage}:`, error.message);
+      this.error = error;
+    }
+  }
+
+  /**
+   * Look at the next item without taking it
+   * @returns {Promise<Object|null>} Item, or null when the stream is done
+   */
+  async peek() {
+    while (this.buffer.length === 0 && !this.done) {
+      await this.fill();
+    }
+    return this.buffer[0] || null;
+  }
+
+  /**
+   * Take the next item
+   * @returns {Promise<Object|null>} Item, or null when the stream is done
+   */
+  async next() {
+    const item = await this.peek();
+    if (item) {
+      this.buffer.shift();
+      this.offset++;
+    }
+    return item;
+  }
+}
+
+/**
+ * Key identifying an item across sources
+ * @param {Object} item - Movie or TV show with media_type
+ * @returns {string} e.g. 'movie:550'
+ */
+function getItemKey(item) {
+  return `${item.media_type}:${item.id}`;
+}
+
+/**
+ * Blend weighted streams, from the start, until `count` unique items are taken
+ * @param {Array} sources - [{ stream: PagedStream, weight }]
+ * @param {number} count - Items wanted
+ * @returns {Promise<Array>} Up to `count` items; fewer when every stream ran out
+ */
+async function blendStreams(sources, count) {
+  const results = [];
+  const seen = new Set();
+
+  // The first page of every source is needed straight away
+  await Promise.all(sources.map(source => source.stream.fill()));
+
+  let active = sources;
+  while (results.length < count && active.length > 0) {
+    for (const { stream, weight = 1 } of active) {
+      let taken = 0;
+      while (taken < weight && results.length < count) {
+        const item = await stream.next();
+        if (!item) break;
+
+        const key = getItemKey(item);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        results.push(item);
+        taken++;
+      }
+    }
+    active = active.filter(source => !source.stream.done);
+  }
+
+  return results;
+}
+
+module.exports = {
+  PagedStream,
+  getItemKey,
+  blendStreams
+};
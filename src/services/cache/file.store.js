@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File-backed cache store
+ * Persists each entry as a JSON file so cached responses survive restarts
+ */
+class FileCacheStore {
+  constructor({ directory = '.cache/tmdb' } = {}) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Map a cache key to a file path (keys contain characters unsafe for file names)
+   * @param {string} key - Cache key
+   * @returns {string} Absolute file path
+   */
+  getFilePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    const filePath = this.getFilePath(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      // Missing or corrupt files are treated as cache misses
+      return undefined;
+    }
+
+    if (entry.key !== key) return undefined;
+
+    if (entry.staleUntil <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial entry
+    const filePath = this.getFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ ...entry, key }));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => fs.unlink(path.join(this.directory, file)).catch(() => {}))
+    );
+  }
+
+  async size() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(file => file.endsWith('.json')).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+module.exports = FileCacheStore;
@@ -0,0 +1,44 @@
+const LRUCacheStore = require('./lru.store');
+const FileCacheStore = require('./file.store');
+const ResponseCache = require('./response.cache');
+
+/**
+ * Create a cache store for the configured backend
+ * @param {Object} options - Cache options (backend, maxEntries, directory)
+ * @returns {LRUCacheStore|FileCacheStore} Cache store
+ */
+function createCacheStore(options = {}) {
+  const { backend = 'memory' } = options;
+
+  switch (backend) {
+    case 'memory':
+      return new LRUCacheStore({ maxEntries: options.maxEntries });
+    case 'file':
+      return new FileCacheStore({ directory: options.directory });
+    default:
+      throw new Error(`Unsupported cache backend: ${backend}`);
+  }
+}
+
+/**
+ * Create a response cache from configuration
+ * @param {Object} options - Cache configuration (see config.cache)
+ * @returns {ResponseCache|null} Response cache, or null when caching is disabled
+ */
+function createResponseCache(options = {}) {
+  if (options.enabled === false) {
+    return null;
+  }
+
+  return new ResponseCache(createCacheStore(options), {
+    staleTtlMs: options.staleTtlMs
+  });
+}
+
+module.exports = {
+  LRUCacheStore,
+  FileCacheStore,
+  ResponseCache,
+  createCacheStore,
+  createResponseCache
+};
@@ -0,0 +1,64 @@
+/**
+ * In-memory LRU cache store
+ * Keeps at most `maxEntries` entries, evicting the least recently used first
+ */
+class LRUCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error('maxEntries must be a positive integer');
+    }
+
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cache entry and mark it as most recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Stored entry
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Drop entries that are past their stale window
+    if (entry.staleUntil <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to move the key to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a cache entry, evicting the least recently used entries if needed
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCacheStore;
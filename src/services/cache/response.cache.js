@@ -0,0 +1,98 @@
+const { getCacheTTL } = require('../../config/cache');
+
+/**
+ * Response cache for TMDB API data
+ * Wraps a cache store with per-endpoint TTLs and keeps expired entries around
+ * for a stale window so they can still be served when the upstream is failing
+ */
+class ResponseCache {
+  constructor(store, { ttlResolver = getCacheTTL, staleTtlMs = 24 * 60 * 60 * 1000 } = {}) {
+    if (!store) {
+      throw new Error('Cache store is required');
+    }
+
+    this.store = store;
+    this.ttlResolver = ttlResolver;
+    this.staleTtlMs = staleTtlMs;
+    this.stats = { hits: 0, misses: 0, stale: 0, errors: 0 };
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { value, stale, storedAt } or null on miss
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      // A broken cache backend must never fail the request
+      this.stats.errors++;
+      console.warn(`Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const stale = entry.expiresAt <= Date.now();
+    if (stale) {
+      this.stats.stale++;
+    } else {
+      this.stats.hits++;
+    }
+
+    return {
+      value: this.clone(entry.value),
+      stale,
+      storedAt: entry.storedAt
+    };
+  }
+
+  /**
+   * Store a response using the TTL configured for its endpoint
+   * @param {string} key - Cache key
+   * @param {*} value - Raw response data
+   * @param {string} endpoint - TMDB endpoint the data came from
+   */
+  async set(key, value, endpoint) {
+    const now = Date.now();
+    const ttl = this.ttlResolver(endpoint);
+
+    try {
+      await this.store.set(key, {
+        value: this.clone(value),
+        storedAt: now,
+        expiresAt: now + ttl,
+        staleUntil: now + ttl + this.staleTtlMs
+      });
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`Cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Deep copy cached data so callers can mutate responses freely
+   */
+  clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,616 @@
+const CategoryService = require('./category.service');
+const { getRequestLocale } = require('./requestContext');
+const { getCategoryMapping } = require('../config/categories');
+const { formatReleaseDates } = require('../config/releases');
+const { CALENDAR, ICAL, addDays, daysBetween, getToday, getLocalDate, getBucket, getTVGenreIds } = require('../config/calendar');
+
+// Order of entries sharing a date
+const ENTRY_TYPES = ['movie_release', 'tv_premiere', 'episode'];
+
+// What a movie release event says is happening, by release type
+const RELEASE_LABELS = {
+  theatrical: 'in theaters',
+  digital: 'digital release'
+};
+
+const UPCOMING_FEED_NAMES = {
+  all: 'Upcoming releases',
+  movie: 'Upcoming movies',
+  tv: 'Upcoming TV premieres'
+};
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * CalendarService builds the release calendar: movie releases, TV premieres and
+ * episode air dates between two dates, grouped into day, week or month buckets
+ */
+class CalendarService {
+  /**
+   * @param {TMDBService} tmdbService - TMDB service
+   * @param {Object} options - { categories, calendar }
+   *   categories: CategoryService upcoming movies and TV shows are read from
+   *   calendar: overrides of the calendar limits (see CALENDAR)
+   */
+  constructor(tmdbService, { categories, calendar } = {}) {
+    if (!tmdbService) {
+      throw new Error('TMDBService instance is required');
+    }
+    this.tmdbService = tmdbService;
+    this.categories = categories || new CategoryService(tmdbService);
+    this.limits = { ...CALENDAR, ...calendar };
+  }
+
+  /**
+   * Get the release calendar of the request region
+   * @param {Object} options - Calendar options
+   * @param {string} options.from - First date (YYYY-MM-DD), today in timeZone by default
+   * @param {string} options.to - Last date (YYYY-MM-DD), defaultDays after from by default
+   * @param {string} options.type - 'all', 'movie' or 'tv'
+   * @param {string} options.bucket - 'day', 'week' or 'month'
+   * @param {string} options.genre - Genre registry key (e.g. 'comedy')
+   * @param {string} options.network - Network registry key (e.g. 'hbo'), TV only
+   * @param {string} options.timeZone - IANA time zone "today" is taken in and entries are dated and grouped in
+   * @returns {Promise<Object>} Calendar data
+   * @throws {Error} VALIDATION_ERROR when the range is invalid
+   */
+  async getCalendar({ from, to, type = 'all', bucket = 'day', genre, network, timeZone = 'UTC' } = {}) {
+    const today = getToday(timeZone);
+    const start = from || today;
+    const end = to || addDays(start, this.limits.defaultDays - 1);
+    this.validateRange(start, end);
+
+    // West of UTC, TMDB dates fall on the day before, so the day after the range is read too
+    const window = { from: start, to: getLocalDate(addDays(end, 1), timeZone) === end ? addDays(end, 1) : end };
+    const { genreIds, includeMovies, includeTV, tvFilters } = this.getFilters({ type, genre, network });
+    const tvOptions = { ...window, ...tvFilters };
+    const none = { entries: [], truncated: false };
+
+    try {
+      const [movies, premieres, episodes] = await Promise.all([
+        includeMovies ? this.getMovieReleases(window, genreIds) : none,
+        includeTV ? this.getTVPremieres(tvOptions) : none,
+        includeTV ? this.getEpisodeAirDates(tvOptions) : none
+      ]);
+
+      // A premiere's first episode is already on the calendar as the premiere
+      const premiered = new Set(premieres.entries.map(entry => `${entry.id}:${entry.date}`));
+      const entries = [
+        ...movies.entries,
+        ...premieres.entries,
+        ...episodes.entries.filter(entry => !premiered.has(`${entry.id}:${entry.date}`))
+      ]
+        .map(entry => this.moveToTimeZone(entry, timeZone))
+        .filter(entry => entry.date >= start && entry.date <= end);
+
+      return {
+        success: true,
+        data: {
+          from: start,
+          to: end,
+          today,
+          time_zone: timeZone,
+          region: getRequestLocale().region,
+          type,
+          bucket,
+          buckets: this.groupEntries(entries, bucket),
+          total_results: entries.length,
+          // Some sources had more titles than the calendar reads
+          truncated: movies.truncated || premieres.truncated || episodes.truncated
+        }
+      };
+    } catch (error) {
+      throw this.createCalendarError('Failed to fetch release calendar', error);
+    }
+  }
+
+  /**
+   * Resolve the type, genre and network filters of a calendar
+   * @param {Object} filters - { type, genre, network } as given to getCalendar
+   * @returns {Object} { genreIds, includeMovies, includeTV, tvFilters }
+   */
+  getFilters({ type = 'all', genre, network }) {
+    const genreIds = genre ? getCategoryMapping('genres', genre).genres : null;
+    const networkIds = network ? getCategoryMapping('networks', network).with_networks.split('|') : null;
+    const tvGenreIds = genreIds ? getTVGenreIds(genreIds) : null;
+
+    // Networks only air TV, and some movie genres (e.g. horror) have no TV genre
+    return {
+      genreIds,
+      includeMovies: type !== 'tv' && !networkIds,
+      includeTV: type !== 'movie' && !(tvGenreIds && tvGenreIds.length === 0),
+      tvFilters: {
+        ...(tvGenreIds && { genres: tvGenreIds }),
+        ...(networkIds && { networks: networkIds })
+      }
+    };
+  }
+
+  /**
+   * Check a calendar range
+   * @param {string} from - First date
+   * @param {string} to - Last date
+   * @throws {Error} VALIDATION_ERROR when to is before from or the range is too long
+   */
+  validateRange(from, to) {
+    const days = daysBetween(from, to) + 1;
+
+    if (days < 1) {
+      throw this.createError('The calendar end date must not be before its start date', 'VALIDATION_ERROR');
+    }
+    if (days > this.limits.maxDays) {
+      throw this.createError(`The calendar covers at most ${this.limits.maxDays} days`, 'VALIDATION_ERROR');
+    }
+  }
+
+  /**
+   * Get theatrical movie releases in the request region
+   * Movies are dated with their release in the region rather than their first
+   * release anywhere
+   * @param {Object} window - { from, to }
+   * @param {number[]} genreIds - Movie genre ids to filter by
+   * @param {number} maxPages - Discover pages to read at most
+   * @returns {Promise<Object>} { entries, truncated }
+   */
+  async getMovieReleases(window, genreIds, maxPages = this.limits.moviePages) {
+    const options = { ...window, ...(genreIds && { genres: genreIds }) };
+    const { results, truncated } = await this.readPages(
+      page => this.categories.getUpcomingMovies(page, options),
+      maxPages
+    );
+
+    const entries = await this.mapInBatches(results, async movie => {
+      const release = await this.getRegionalRelease(movie, window);
+      if (!release) return null;
+
+      return {
+        type: 'movie_release',
+        date: release.date,
+        date_formatted: this.categories.formatReleaseDate(release.date),
+        media_type: 'movie',
+        id: movie.id,
+        title: movie.title,
+        overview: movie.overview,
+        tagline: movie.tagline,
+        poster_path: movie.poster_path,
+        poster_url: movie.poster_url,
+        poster_srcset: movie.poster_srcset,
+        backdrop_path: movie.backdrop_path,
+        backdrop_url: movie.backdrop_url,
+        backdrop_srcset: movie.backdrop_srcset,
+        genre_ids: movie.genre_ids || [],
+        popularity: movie.popularity || 0,
+        release_type: release.type
+      };
+    });
+
+    return { entries, truncated };
+  }
+
+  /**
+   * Find the date a movie is released in the request region within a window
+   * The earliest theatrical (or limited theatrical) release in the window wins
+   * @param {Object} movie - Movie from discover
+   * @param {Object} window - { from, to }
+   * @returns {Promise<Object|null>} { date, type } or null when it isn't released in the window
+   */
+  async getRegionalRelease(movie, window) {
+    const inWindow = date => date && date >= window.from && date <= window.to;
+
+    try {
+      const { region } = getRequestLocale();
+      const country = formatReleaseDates(await this.tmdbService.getMovieReleaseDates(movie.id))[region];
+
+      if (country) {
+        const releases = ['theatrical_limited', 'theatrical']
+          .map(type => ({ type, date: country.dates[type] }))
+          .filter(release => inWindow(release.date))
+          .sort((a, b) => a.date.localeCompare(b.date));
+        return releases[0] || null;
+      }
+    } catch (error) {
+      console.warn(`Failed to fetch release dates for movie ${movie.id}:`, error.message);
+    }
+
+    // Without regional dates, fall back to the first release anywhere
+    return inWindow(movie.release_date) ? { date: movie.release_date, type: null } : null;
+  }
+
+  /**
+   * Get TV shows premiering in a window
+   * @param {Object} options - { from, to, genres, networks }
+   * @param {number} maxPages - Discover pages to read at most
+   * @returns {Promise<Object>} { entries, truncated }
+   */
+  async getTVPremieres(options, maxPages = this.limits.premierePages) {
+    const { results, truncated } = await this.readPages(
+      page => this.categories.getUpcomingTV(page, options),
+      maxPages
+    );
+
+    const entries = results
+      .filter(show => show.first_air_date >= options.from && show.first_air_date <= options.to)
+      .map(show => ({
+        type: 'tv_premiere',
+        date: show.first_air_date,
+        date_formatted: this.categories.formatReleaseDate(show.first_air_date),
+        media_type: 'tv',
+        id: show.id,
+        name: show.name,
+        overview: show.overview,
+        tagline: show.tagline,
+        poster_path: show.poster_path,
+        poster_url: show.poster_url,
+        poster_srcset: show.poster_srcset,
+        backdrop_path: show.backdrop_path,
+        backdrop_url: show.backdrop_url,
+        backdrop_srcset: show.backdrop_srcset,
+        genre_ids: show.genre_ids || [],
+        popularity: show.popularity || 0
+      }));
+
+    return { entries, truncated };
+  }
+
+  /**
+   * Get the episodes of the most popular shows airing in a window
+   * Discover only says a show airs in the window, so episode dates come from its seasons
+   * @param {Object} options - { from, to, genres, networks }
+   * @returns {Promise<Object>} { entries, truncated }
+   */
+  async getEpisodeAirDates(options) {
+    const response = await this.tmdbService.discoverTV({
+      'air_date.gte': options.from,
+      'air_date.lte': options.to,
+      sort_by: 'popularity.desc',
+      ...(options.genres && { with_genres: options.genres.join(',') }),
+      ...(options.networks && { with_networks: options.networks.join('|') }),
+      page: 1
+    });
+
+    const shows = (response.results || []).slice(0, this.limits.episodeShows);
+    const episodes = await this.mapInBatches(shows, show => this.getShowEpisodes(show, options));
+
+    return {
+      entries: episodes.flat(),
+      truncated: (response.total_results || 0) > shows.length
+    };
+  }
+
+  /**
+   * Get the episodes of a show airing in a window
+   * Only the seasons of the last and next episode are read, which covers
+   * anything currently airing
+   * @param {Object} show - Show from discover
+   * @param {Object} window - { from, to }
+   * @returns {Promise<Array>} Episode entries; empty when the show can't be fetched
+   */
+  async getShowEpisodes(show, window) {
+    try {
+      const details = await this.tmdbService.getTVShow(show.id);
+      const seasonNumbers = [...new Set([details.last_episode_to_air, details.next_episode_to_air]
+        .filter(episode => episode && Number.isInteger(episode.season_number))
+        .map(episode => episode.season_number))];
+
+      const seasons = await Promise.all(seasonNumbers.map(number => this.tmdbService.getTVSeason(show.id, number)));
+
+      return seasons
+        .flatMap(season => season.episodes || [])
+        .filter(episode => episode.air_date >= window.from && episode.air_date <= window.to)
+        .map(episode => this.createEpisodeEntry({ ...show, name: details.name || show.name }, episode));
+    } catch (error) {
+      console.warn(`Failed to fetch episodes for TV show ${show.id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Create the calendar entry of an episode
+   * @param {Object} show - Show the episode belongs to
+   * @param {Object} episode - Episode from a season
+   * @returns {Object} Episode entry
+   */
+  createEpisodeEntry(show, episode) {
+    return {
+      type: 'episode',
+      date: episode.air_date,
+      date_formatted: this.categories.formatReleaseDate(episode.air_date),
+      media_type: 'tv',
+      id: show.id,
+      name: show.name,
+      poster_path: show.poster_path,
+      poster_url: show.poster_url,
+      poster_srcset: show.poster_srcset,
+      backdrop_path: show.backdrop_path,
+      backdrop_url: show.backdrop_url,
+      backdrop_srcset: show.backdrop_srcset,
+      genre_ids: show.genre_ids || [],
+      popularity: show.popularity || 0,
+      season_number: episode.season_number,
+      episode_number: episode.episode_number,
+      episode_name: episode.name,
+      overview: episode.overview,
+      still_path: episode.still_path,
+      still_url: episode.still_url,
+      still_srcset: episode.still_srcset
+    };
+  }
+
+  /**
+   * Get the iCalendar feed of a movie: its theatrical and digital release in the request region
+   * Without regional release dates, the first release anywhere is used as the theatrical one
+   * @param {number} id - Movie ID
+   * @param {string} timeZone - IANA time zone events are dated in
+   * @returns {Promise<Object>} Feed { name, description, timeZone, events } (see buildCalendar)
+   * @throws {Error} NOT_FOUND when TMDB has no such movie
+   */
+  async getMovieFeed(id, timeZone = 'UTC') {
+    try {
+      const movie = await this.tmdbService.getMovie(id, 'release_dates');
+      const { region } = getRequestLocale();
+      const country = formatReleaseDates(movie.release_dates)[region];
+      const theatrical = country
+        ? [country.dates.theatrical_limited, country.dates.theatrical].filter(Boolean).sort()[0]
+        : movie.release_date;
+
+      const entries = [
+        { type: 'theatrical', date: theatrical },
+        { type: 'digital', date: country && country.dates.digital }
+      ]
+        .filter(release => release.date)
+        .map(release => ({
+          type: 'movie_release',
+          date: release.date,
+          media_type: 'movie',
+          id: movie.id,
+          title: movie.title,
+          overview: movie.overview,
+          tagline: movie.tagline,
+          release_type: release.type
+        }));
+
+      return {
+        name: movie.title,
+        description: `Release dates of ${movie.title} in ${region}`,
+        timeZone,
+        events: entries.map(entry => this.createEvent(this.moveToTimeZone(entry, timeZone)))
+      };
+    } catch (error) {
+      throw this.createFeedError('Movie', id, error);
+    }
+  }
+
+  /**
+   * Get the iCalendar feed of a TV show: each of its upcoming episodes
+   * Seasons are read from the season of the next episode on, so a feed is empty
+   * until TMDB knows when the show airs next
+   * @param {number} id - TV show ID
+   * @param {string} timeZone - IANA time zone events are dated in
+   * @returns {Promise<Object>} Feed { name, description, timeZone, events } (see buildCalendar)
+   * @throws {Error} NOT_FOUND when TMDB has no such show
+   */
+  async getShowFeed(id, timeZone = 'UTC') {
+    try {
+      const show = await this.tmdbService.getTVShow(id);
+      const next = show.next_episode_to_air;
+      const seasonNumbers = next
+        ? [...new Set([next.season_number, ...(show.seasons || [])
+          .map(season => season.season_number)
+          .filter(number => number > next.season_number)])]
+        : [];
+
+      const seasons = await this.mapInBatches(seasonNumbers, number => this.tmdbService.getTVSeason(id, number));
+      const entry = { ...show, genre_ids: (show.genres || []).map(genre => genre.id) };
+      const events = seasons
+        .flatMap(season => season.episodes || [])
+        .filter(episode => episode.air_date && this.categories.isUpcoming(episode.air_date))
+        .map(episode => this.createEvent(this.moveToTimeZone(this.createEpisodeEntry(entry, episode), timeZone)));
+
+      return {
+        name: show.name,
+        description: `Upcoming episodes of ${show.name}`,
+        timeZone,
+        events
+      };
+    } catch (error) {
+      throw this.createFeedError('TV show', id, error);
+    }
+  }
+
+  /**
+   * Get the iCalendar feed of upcoming movie releases and TV premieres
+   * Covers the window of the upcoming categories; movies are dated by their
+   * release in the request region
+   * @param {Object} filters - { type, genre, network, timeZone } as for getCalendar
+   * @returns {Promise<Object>} Feed { name, description, timeZone, events } (see buildCalendar)
+   */
+  async getUpcomingFeed({ type = 'all', genre, network, timeZone = 'UTC' } = {}) {
+    const window = this.categories.getUpcomingWindow();
+    const { genreIds, includeMovies, includeTV, tvFilters } = this.getFilters({ type, genre, network });
+    const none = { entries: [], truncated: false };
+
+    try {
+      const [movies, premieres] = await Promise.all([
+        includeMovies ? this.getMovieReleases(window, genreIds, ICAL.upcomingPages) : none,
+        includeTV ? this.getTVPremieres({ ...window, ...tvFilters }, ICAL.upcomingPages) : none
+      ]);
+
+      const events = [...movies.entries, ...premieres.entries]
+        .filter(entry => this.categories.isUpcoming(entry.date))
+        .sort((a, b) => a.date.localeCompare(b.date) || b.popularity - a.popularity)
+        .map(entry => this.createEvent(this.moveToTimeZone(entry, timeZone)));
+
+      const filters = [genre, network].filter(Boolean).join(', ');
+      return {
+        name: filters ? `${UPCOMING_FEED_NAMES[type]} (${filters})` : UPCOMING_FEED_NAMES[type],
+        description: `Upcoming releases in ${getRequestLocale().region}`,
+        timeZone,
+        events
+      };
+    } catch (error) {
+      throw this.createCalendarError('Failed to build upcoming calendar feed', error);
+    }
+  }
+
+  /**
+   * Date an entry in a time zone
+   * @param {Object} entry - Calendar entry dated by TMDB (UTC)
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} Entry with date and date_formatted in the time zone
+   */
+  moveToTimeZone(entry, timeZone) {
+    const date = getLocalDate(entry.date, timeZone);
+    if (date === entry.date) return entry;
+
+    return {
+      ...entry,
+      date,
+      ...(entry.date_formatted !== undefined && { date_formatted: this.categories.formatReleaseDate(date) })
+    };
+  }
+
+  /**
+   * Create the iCalendar event of a calendar entry
+   * UIDs name the release or episode, so a moved date updates the event
+   * instead of adding another one
+   * @param {Object} entry - Movie release, TV premiere or episode entry
+   * @returns {Object} Event { uid, date, summary, description, url }
+   */
+  createEvent(entry) {
+    if (entry.type === 'episode') {
+      const code = `S${pad(entry.season_number)}E${pad(entry.episode_number)}`;
+      return {
+        uid: `tv-${entry.id}-s${entry.season_number}e${entry.episode_number}`,
+        date: entry.date,
+        summary: `${entry.name} ${code}${entry.episode_name ? `: ${entry.episode_name}` : ''}`,
+        description: entry.overview,
+        url: `${ICAL.titleBaseUrl}/tv/${entry.id}/season/${entry.season_number}/episode/${entry.episode_number}`
+      };
+    }
+
+    const description = [entry.tagline, entry.overview].filter(Boolean).join('\n\n');
+
+    if (entry.type === 'tv_premiere') {
+      return {
+        uid: `tv-${entry.id}-premiere`,
+        date: entry.date,
+        summary: `${entry.name} (series premiere)`,
+        description,
+        url: `${ICAL.titleBaseUrl}/tv/${entry.id}`
+      };
+    }
+
+    // Limited and wide theatrical releases are the same event
+    const release = entry.release_type === 'digital' ? 'digital' : 'theatrical';
+    return {
+      uid: `movie-${entry.id}-${release}-${getRequestLocale().region}`,
+      date: entry.date,
+      summary: `${entry.title} (${RELEASE_LABELS[release]})`,
+      description,
+      url: `${ICAL.titleBaseUrl}/movie/${entry.id}`
+    };
+  }
+
+  /**
+   * Group entries into buckets, each sorted by date, then type, then popularity
+   * Only buckets with entries are returned
+   * @param {Array} entries - Calendar entries
+   * @param {string} bucket - 'day', 'week' or 'month'
+   * @returns {Array} [{ key, start, end, total_results, entries }], earliest first
+   */
+  groupEntries(entries, bucket) {
+    const buckets = new Map();
+
+    entries.forEach(entry => {
+      const { key, start, end } = getBucket(entry.date, bucket);
+      if (!buckets.has(key)) {
+        buckets.set(key, { key, start, end, total_results: 0, entries: [] });
+      }
+      buckets.get(key).entries.push(entry);
+    });
+
+    return Array.from(buckets.values())
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(group => ({
+        ...group,
+        total_results: group.entries.length,
+        entries: group.entries.sort((a, b) =>
+          a.date.localeCompare(b.date) ||
+          ENTRY_TYPES.indexOf(a.type) - ENTRY_TYPES.indexOf(b.type) ||
+          b.popularity - a.popularity)
+      }));
+  }
+
+  /**
+   * Read the first pages of a paged CategoryService list
+   * @param {Function} fetchPage - (page) => Promise<{ data: { results, total_pages } }>
+   * @param {number} maxPages - Pages to read at most
+   * @returns {Promise<Object>} { results, truncated }
+   */
+  async readPages(fetchPage, maxPages) {
+    const first = await fetchPage(1);
+    const totalPages = first.data.total_pages || 1;
+    const pageCount = Math.min(totalPages, maxPages);
+
+    const rest = await Promise.all(
+      Array.from({ length: pageCount - 1 }, (_, i) => fetchPage(i + 2))
+    );
+
+    return {
+      results: [first, ...rest].flatMap(response => response.data.results || []),
+      truncated: totalPages > maxPages
+    };
+  }
+
+  /**
+   * Map items in batches of maxConcurrent, leaving out null results
+   * @param {Array} items - Items
+   * @param {Function} map - async (item) => result or null
+   * @returns {Promise<Array>} Results
+   */
+  async mapInBatches(items, map) {
+    const results = [];
+
+    for (let i = 0; i < items.length; i += this.limits.maxConcurrent) {
+      const batch = await Promise.all(items.slice(i, i + this.limits.maxConcurrent).map(map));
+      results.push(...batch.filter(result => result !== null));
+    }
+
+    return results;
+  }
+
+  /**
+   * Create a calendar error wrapping the upstream failure
+   * @param {string} message - Error message
+   * @param {Error} originalError - Original error object
+   * @returns {Error} Formatted error
+   */
+  createCalendarError(message, originalError) {
+    const error = this.createError(message, 'CALENDAR_SERVICE_ERROR');
+    error.originalError = originalError;
+    error.timestamp = new Date().toISOString();
+    return error;
+  }
+
+  /**
+   * Create the error of a per-title feed, NOT_FOUND when TMDB has no such title
+   * @param {string} label - 'Movie' or 'TV show'
+   * @param {number} id - Title ID
+   * @param {Error} originalError - Original error object
+   * @returns {Error} Formatted error
+   */
+  createFeedError(label, id, originalError) {
+    if (originalError.code === 'TMDB_API_ERROR' && originalError.status === 404) {
+      return this.createError(`${label} not found: ${id}`, 'NOT_FOUND');
+    }
+    return this.createCalendarError(`Failed to build calendar feed for ${label.toLowerCase()} ${id}`, originalError);
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = CalendarService;
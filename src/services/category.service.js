@@ -1,15 +1,39 @@
-const { getCategoryMapping, convertToTMDBParams, getMediaType } = require('../config/categories');
+const { getCategoryMapping, convertToTMDBParams, getMediaType, BLENDED_CATEGORIES } = require('../config/categories');
+const { getRequestLocale } = require('./requestContext');
+const StreamingDatesService = require('./streamingDates.service');
+const { getStreamingRecencyScore } = require('../config/streaming');
+const { STREAMING_PLATFORMS, STREAMING_NOW, getWatchProviderFilters, getPlatformByProviderId } = require('../config/platforms');
+const { PagedStream, blendStreams } = require('./blend');
+const { decodeCursor, readMergedFeed } = require('./mergedFeed');
+const { isCalendarDate } = require('../config/calendar');
+
+const COMBINED_UPCOMING_SOURCES = 2; // Movies and TV shows, see getCombinedUpcomingSources
+
+// Date window kept in combined upcoming cursors
+const isDateWindow = window => window !== null && typeof window === 'object' &&
+  Object.keys(window).length === 2 && isCalendarDate(window.from) && isCalendarDate(window.to) &&
+  window.from <= window.to;
 
 /**
  * CategoryService for organizing content into different categories
  * Handles trending, mood-based, award-winning, studio, network, and genre content
  */
 class CategoryService {
-  constructor(tmdbService) {
+  /**
+   * @param {TMDBService} tmdbService - TMDB service
+   * @param {Object} options - { streamingDates, streamingNow, blend }
+   *   streamingDates: shared StreamingDatesService, so every category sees the same provider snapshot history
+   *   streamingNow: overrides of the streaming-now pipeline ({ platforms, windowDays, minVoteCount, maxConcurrent })
+   *   blend: overrides of the blended category limits (see BLENDED_CATEGORIES)
+   */
+  constructor(tmdbService, { streamingDates, streamingNow, blend } = {}) {
     if (!tmdbService) {
       throw new Error('TMDBService instance is required');
     }
     this.tmdbService = tmdbService;
+    this.streamingDates = streamingDates || new StreamingDatesService(tmdbService);
+    this.streamingNow = { platforms: STREAMING_PLATFORMS, ...STREAMING_NOW, ...streamingNow };
+    this.blend = { ...BLENDED_CATEGORIES, ...blend };
   }
 
   /**
@@ -190,103 +214,29 @@ class CategoryService {
    */
   async getStreamingNow(page = 1) {
     try {
-      const ottOriginalMovies = [];
-
-      // Get movies released directly on streaming platforms (focus on very recent releases)
+      const { platforms, windowDays, minVoteCount, maxConcurrent } = this.streamingNow;
       const today = new Date();
-      const threeDaysAgo = new Date();
-      threeDaysAgo.setDate(today.getDate() - 3);
-
-      const oneWeekAgo = new Date();
-      oneWeekAgo.setDate(today.getDate() - 7);
-
-      const twoWeeksAgo = new Date();
-      twoWeeksAgo.setDate(today.getDate() - 14);
-
-      const oneMonthAgo = new Date();
-      oneMonthAgo.setMonth(today.getMonth() - 1);
-
-      // Search for OTT originals from ALL streaming platforms with tiered date ranges
-      const allOTTPlatforms = [
-        'Netflix', 'Prime Video', 'Disney+', 'Apple TV+', 'HBO Max', 'Hulu',
-        'Paramount+', 'Peacock', 'Showtime', 'Starz', 'Crunchyroll', 'Funimation',
-        'YouTube Premium', 'Tubi', 'Pluto TV', 'Roku Channel', 'IMDb TV',
-        'Vudu', 'Crackle', 'Plex', 'Kanopy', 'Hoopla'
-      ];
-
-      // Priority 1: Ultra-recent releases (last 3 days) - highest priority
-      const ultraRecentPromises = allOTTPlatforms.map(platform =>
-        this.getOTTOriginalsBatch(platform, threeDaysAgo, today, 1)
-      );
-
-      // Priority 2: Very recent releases (3-7 days ago)
-      const veryRecentPromises = allOTTPlatforms.map(platform =>
-        this.getOTTOriginalsBatch(platform, oneWeekAgo, threeDaysAgo, 1)
-      );
-
-      // Priority 3: Recent releases (1-2 weeks ago)
-      const recentPromises = allOTTPlatforms.map(platform =>
-        this.getOTTOriginalsBatch(platform, twoWeeksAgo, oneWeekAgo, 1)
-      );
-
-      // Priority 4: Moderately recent releases (2-4 weeks ago) - lower priority
-      const moderatePromises = allOTTPlatforms.map(platform =>
-        this.getOTTOriginalsBatch(platform, oneMonthAgo, twoWeeksAgo, 1)
-      );
-
-      const searchPromises = [...ultraRecentPromises, ...veryRecentPromises, ...recentPromises, ...moderatePromises];
-
-      const batchResults = await Promise.allSettled(searchPromises);
-
-      // Combine all successful results
-      const allMovies = [];
-      batchResults.forEach(result => {
-        if (result.status === 'fulfilled' && result.value) {
-          allMovies.push(...result.value);
-        }
+      const windowStart = new Date();
+      windowStart.setDate(today.getDate() - windowDays);
+
+      // A single discover call covers every platform: TMDB ORs "|"-separated provider ids
+      const response = await this.tmdbService.discoverMovies({
+        sort_by: 'release_date.desc',
+        'release_date.gte': this.formatDateForAPI(windowStart),
+        'release_date.lte': this.formatDateForAPI(today),
+        'vote_count.gte': minVoteCount,
+        ...getWatchProviderFilters(platforms, getRequestLocale().region),
+        page
       });
 
-      // Remove duplicates based on movie ID
-      const uniqueMovies = allMovies.filter((movie, index, self) =>
-        index === self.findIndex(m => m.id === movie.id)
-      );
-
-      // Process each movie to verify it's an OTT original
-      for (const movie of uniqueMovies) {
-        try {
-          const watchProviders = await this.tmdbService.getMovieWatchProviders(movie.id);
-          const isOTTOriginal = this.isOTTOriginal(movie, watchProviders);
-
-          if (isOTTOriginal) {
-            const daysSinceRelease = this.getDaysSinceRelease(movie.release_date);
-            const streamingReleaseScore = this.calculateStreamingReleaseRecency(movie, watchProviders, daysSinceRelease);
-
-            // Only include movies that are likely recently added to streaming platforms
-            if (streamingReleaseScore >= 6 || daysSinceRelease <= 14) {
-              ottOriginalMovies.push({
-                ...movie,
-                watch_providers: this.formatWatchProviders(watchProviders),
-                is_ott_original: true,
-                days_since_release: daysSinceRelease,
-                streaming_release_score: streamingReleaseScore,
-                release_date_formatted: this.formatReleaseDate(movie.release_date),
-                streaming_platform: this.identifyPrimaryStreamingPlatform(watchProviders),
-                is_recent_release: daysSinceRelease <= 7, // Released in last 7 days
-                is_ultra_recent: daysSinceRelease <= 3, // Released in last 3 days
-                is_brand_new: daysSinceRelease <= 1, // Released today or yesterday
-                likely_new_to_streaming: streamingReleaseScore >= 8,
-                estimated_streaming_add_date: this.estimateStreamingAddDate(movie.release_date, streamingReleaseScore)
-              });
-            }
-          }
-
-          // Limit results to prevent too many API calls
-          if (ottOriginalMovies.length >= 20) break;
+      const candidates = response.results || [];
+      const ottOriginalMovies = [];
 
-        } catch (error) {
-          // Continue with next movie if this one fails
-          continue;
-        }
+      // Check watch providers a few movies at a time to avoid rate limiting
+      for (let i = 0; i < candidates.length; i += maxConcurrent) {
+        const batch = candidates.slice(i, i + maxConcurrent);
+        const processed = await Promise.all(batch.map(movie => this.getStreamingNowEntry(movie)));
+        ottOriginalMovies.push(...processed.filter(Boolean));
       }
 
       // Sort by latest streaming platform release first (prioritize movies just added to streaming)
@@ -341,83 +291,59 @@ class CategoryService {
           results: enrichedResults,
           total_results: enrichedResults.length,
           recent_releases_count: enrichedResults.filter(m => m.is_recent_release).length,
-          page: 1
+          page,
+          total_pages: response.total_pages || 0
         },
         category: 'streaming-now',
         description: 'Movies released directly on OTT platforms (streaming originals)',
         page
       };
     } catch (error) {
-      throw this.createCategoryError('Failed to fetch OTT original movies', error);
+      throw this.createCategoryError('Failed to fetch streaming movies', error);
     }
   }
 
   /**
-   * Get OTT original movies for a specific platform
-   * @param {string} platform - Platform name (Netflix, Prime Video, etc.)
-   * @param {Date} startDate - Start date for search
-   * @param {Date} endDate - End date for search
-   * @param {number} page - Page number
-   * @returns {Promise<Array>} Array of movies
+   * Build the streaming-now entry for a discovered movie
+   * @param {Object} movie - Movie from discover
+   * @returns {Promise<Object|null>} Entry, or null when the movie isn't a recent
+   *   streaming original or its providers can't be fetched
    */
-  async getOTTOriginalsBatch(platform, startDate, endDate, page = 1) {
-    const params = {
-      sort_by: 'release_date.desc',
-      'release_date.gte': this.formatDateForAPI(startDate),
-      'release_date.lte': this.formatDateForAPI(endDate),
-      'vote_count.gte': 50, // Lower threshold for newer releases
-      with_watch_monetization_types: 'flatrate',
-      page
-    };
+  async getStreamingNowEntry(movie) {
+    try {
+      const watchProviders = await this.tmdbService.getMovieWatchProviders(movie.id);
+      if (!this.isOTTOriginal(movie, watchProviders)) return null;
 
-    // Add platform-specific company filters
-    const companyIds = this.getStreamingCompanyIds(platform);
-    if (companyIds.length > 0) {
-      params.with_companies = companyIds.join('|');
-    }
+      const daysSinceRelease = this.getDaysSinceRelease(movie.release_date);
+      const streamingDate = await this.streamingDates.getStreamingDate('movie', movie);
+      const daysSinceStreaming = this.getDaysSinceRelease(streamingDate.date);
+      const streamingReleaseScore = this.calculateStreamingReleaseRecency(streamingDate);
 
-    try {
-      const response = await this.tmdbService.discoverMovies(params);
-      return response.results || [];
+      // Only include movies that are likely recently added to streaming platforms
+      if (streamingReleaseScore < 6 && daysSinceRelease > 14) return null;
+
+      return {
+        ...movie,
+        watch_providers: this.formatWatchProviders(watchProviders),
+        is_ott_original: true,
+        days_since_release: daysSinceRelease,
+        streaming_release_score: streamingReleaseScore,
+        release_date_formatted: this.formatReleaseDate(movie.release_date),
+        streaming_platform: this.identifyPrimaryStreamingPlatform(watchProviders),
+        is_recent_release: daysSinceRelease <= 7, // Released in last 7 days
+        is_ultra_recent: daysSinceRelease <= 3, // Released in last 3 days
+        is_brand_new: daysSinceRelease <= 1, // Released today or yesterday
+        likely_new_to_streaming: streamingReleaseScore >= 8,
+        streaming_date: streamingDate,
+        days_since_streaming: daysSinceStreaming,
+        estimated_streaming_add_date: streamingDate.date ? this.formatReleaseDate(streamingDate.date) : 'Unknown'
+      };
     } catch (error) {
-      return [];
+      // Leave the movie out if its providers can't be checked
+      return null;
     }
   }
 
-  /**
-   * Get company IDs for streaming platforms
-   * @param {string} platform - Platform name
-   * @returns {Array} Array of company IDs
-   */
-  getStreamingCompanyIds(platform) {
-    const companyMap = {
-      'Netflix': [2, 4640], // Netflix
-      'Prime Video': [1024, 11073], // Amazon Studios, Amazon Prime Video
-      'Disney+': [2, 3166, 6125], // Walt Disney Pictures, Disney+
-      'Apple TV+': [11481], // Apple Original Films
-      'HBO Max': [174, 3268], // Warner Bros, HBO
-      'Hulu': [2739], // Hulu
-      'Paramount+': [4, 491], // Paramount Pictures, MTV Entertainment Studios
-      'Peacock': [1778], // NBCUniversal
-      'Showtime': [2605], // Showtime Networks
-      'Starz': [432], // Starz Entertainment
-      'Crunchyroll': [4906], // Crunchyroll
-      'Funimation': [1957], // Funimation
-      'YouTube Premium': [11073], // YouTube Originals
-      'Tubi': [11073], // Tubi
-      'Pluto TV': [11073], // Pluto TV
-      'Roku Channel': [11073], // Roku
-      'IMDb TV': [1024], // Amazon (IMDb TV)
-      'Vudu': [7505], // Vudu
-      'Crackle': [11073], // Crackle
-      'Plex': [11073], // Plex
-      'Kanopy': [11073], // Kanopy
-      'Hoopla': [11073] // Hoopla
-    };
-
-    return companyMap[platform] || [];
-  }
-
   /**
    * Check if a movie is an OTT original (not theatrical release)
    * @param {Object} movie - Movie object
@@ -433,17 +359,15 @@ class CategoryService {
     }
 
     // 2. Check if only available on streaming (not in theaters)
-    if (watchProviders && watchProviders.results) {
-      const usProviders = watchProviders.results.US;
-      if (usProviders) {
-        // Has streaming but no theatrical indicators
-        const hasStreaming = !!(usProviders.flatrate || usProviders.ads);
-        const hasRental = !!(usProviders.rent || usProviders.buy);
-
-        // If only streaming available (no rental/buy), likely original
-        if (hasStreaming && !hasRental) {
-          return true;
-        }
+    const regionalProviders = this.getRegionalProviders(watchProviders);
+    if (regionalProviders) {
+      // Has streaming but no theatrical indicators
+      const hasStreaming = !!(regionalProviders.flatrate || regionalProviders.ads);
+      const hasRental = !!(regionalProviders.rent || regionalProviders.buy);
+
+      // If only streaming available (no rental/buy), likely original
+      if (hasStreaming && !hasRental) {
+        return true;
       }
     }
 
@@ -480,44 +404,16 @@ class CategoryService {
    * @returns {string} Primary platform name
    */
   identifyPrimaryStreamingPlatform(watchProviders) {
-    if (!watchProviders || !watchProviders.results) return 'Unknown';
-
-    const usProviders = watchProviders.results.US;
-    if (!usProviders || !usProviders.flatrate) return 'Unknown';
-
-    const platformMap = {
-      8: 'Netflix',
-      9: 'Amazon Prime Video',
-      337: 'Disney+',
-      350: 'Apple TV+',
-      384: 'HBO Max',
-      15: 'Hulu',
-      531: 'Paramount+',
-      386: 'Peacock',
-      37: 'Showtime',
-      43: 'Starz',
-      283: 'Crunchyroll',
-      269: 'Funimation',
-      188: 'YouTube Premium',
-      583: 'Tubi',
-      300: 'Pluto TV',
-      207: 'Roku Channel',
-      613: 'IMDb TV',
-      7: 'Vudu',
-      12: 'Crackle',
-      538: 'Plex',
-      191: 'Kanopy',
-      212: 'Hoopla'
-    };
+    const regionalProviders = this.getRegionalProviders(watchProviders);
+    if (!regionalProviders || !regionalProviders.flatrate) return 'Unknown';
 
-    // Return the first recognized platform
-    for (const provider of usProviders.flatrate) {
-      if (platformMap[provider.provider_id]) {
-        return platformMap[provider.provider_id];
-      }
+    // Return the first configured platform
+    for (const provider of regionalProviders.flatrate) {
+      const platform = getPlatformByProviderId(provider.provider_id, this.streamingNow.platforms);
+      if (platform) return platform.name;
     }
 
-    return usProviders.flatrate[0]?.provider_name || 'Unknown';
+    return regionalProviders.flatrate[0]?.provider_name || 'Unknown';
   }
 
   /**
@@ -544,86 +440,15 @@ class CategoryService {
   }
 
   /**
-   * Calculate streaming release recency score (how likely movie was just added to streaming)
-   * @param {Object} movie - Movie object
-   * @param {Object} watchProviders - Watch providers data
-   * @param {number} daysSinceRelease - Days since theatrical release
-   * @returns {number} Score from 1-10 (higher = more likely recently added to streaming)
-   */
-  calculateStreamingReleaseRecency(movie, watchProviders, daysSinceRelease) {
-    let score = 5; // Base score
-
-    // Very recent releases are most likely to be newly added to streaming
-    if (daysSinceRelease <= 3) {
-      score += 4; // Maximum boost for ultra-recent
-    } else if (daysSinceRelease <= 7) {
-      score += 3; // High boost for very recent
-    } else if (daysSinceRelease <= 14) {
-      score += 2; // Medium boost for recent
-    } else if (daysSinceRelease <= 30) {
-      score += 1; // Small boost for moderately recent
-    }
-
-    // High popularity suggests current attention (possibly due to recent streaming addition)
-    if (movie.popularity > 100) {
-      score += 2;
-    } else if (movie.popularity > 50) {
-      score += 1;
-    }
-
-    // Recent high vote activity suggests current relevance
-    if (movie.vote_count > 500 && movie.vote_average >= 7.0) {
-      score += 1;
-    }
-
-    // Check if available on major streaming platforms (more likely to be recently added)
-    if (watchProviders && watchProviders.results && watchProviders.results.US) {
-      const usProviders = watchProviders.results.US;
-      if (usProviders.flatrate && usProviders.flatrate.length > 0) {
-        score += 1; // Available on subscription services
-
-        // Bonus for being on multiple platforms (suggests recent wide release)
-        if (usProviders.flatrate.length > 1) {
-          score += 1;
-        }
-      }
-    }
-
-    return Math.min(score, 10); // Cap at 10
-  }
-
-  /**
-   * Estimate when movie was likely added to streaming platform
-   * @param {string} releaseDate - Original release date
-   * @param {number} streamingScore - Streaming recency score
-   * @returns {string} Estimated streaming add date
+   * Score how recently a movie was added to streaming (0-10)
+   * Based on its streaming date, lowered the less confident that date is
+   * @param {Object} streamingDate - From StreamingDatesService.getStreamingDate
+   * @returns {number} Streaming recency score
    */
-  estimateStreamingAddDate(releaseDate, streamingScore) {
-    if (!releaseDate) return 'Unknown';
+  calculateStreamingReleaseRecency(streamingDate) {
+    if (!streamingDate || !streamingDate.date) return 0;
 
-    try {
-      const originalDate = new Date(releaseDate);
-      const today = new Date();
-
-      // Estimate based on streaming score
-      let estimatedDaysAgo;
-      if (streamingScore >= 9) {
-        estimatedDaysAgo = Math.floor(Math.random() * 3); // 0-3 days ago
-      } else if (streamingScore >= 8) {
-        estimatedDaysAgo = Math.floor(Math.random() * 7) + 1; // 1-7 days ago
-      } else if (streamingScore >= 7) {
-        estimatedDaysAgo = Math.floor(Math.random() * 14) + 1; // 1-14 days ago
-      } else {
-        estimatedDaysAgo = Math.floor(Math.random() * 30) + 1; // 1-30 days ago
-      }
-
-      const estimatedDate = new Date(today);
-      estimatedDate.setDate(today.getDate() - estimatedDaysAgo);
-
-      return this.formatReleaseDate(estimatedDate.toISOString().split('T')[0]);
-    } catch (error) {
-      return 'Unknown';
-    }
+    return getStreamingRecencyScore(this.getDaysSinceRelease(streamingDate.date), streamingDate.confidence);
   }
 
   /**
@@ -638,6 +463,10 @@ class CategoryService {
       throw new Error(`Unsupported mood category: ${moodCategory}`);
     }
 
+    if (mapping.blend) {
+      return this.getBlendedContent(`mood-${moodCategory}`, mapping.blend, page);
+    }
+
     try {
       const mediaType = getMediaType('mood', moodCategory);
       const params = { ...convertToTMDBParams(mapping), page };
@@ -678,6 +507,10 @@ class CategoryService {
       throw new Error(`Unsupported award type: ${awardType}`);
     }
 
+    if (mapping.blend) {
+      return this.getBlendedContent(`awards-${awardType}`, mapping.blend, page);
+    }
+
     try {
       const mediaType = getMediaType('awards', awardType);
       const params = { ...convertToTMDBParams(mapping), page };
@@ -706,6 +539,132 @@ class CategoryService {
     }
   }
 
+  /**
+   * Get a blended category, interleaving its sources by weight without duplicates
+   * Every page is cut from the same blend walked from its start, so paging neither
+   * skips nor repeats titles
+   * @param {string} category - Category name used in the response (e.g. 'awards-top-rated')
+   * @param {Object} blend - { sources } (see validateBlend in config/categories.js)
+   * @param {number} page - Page number for pagination
+   * @returns {Promise<Object>} Blended content data, mixing movies and TV shows
+   * @throws {Error} VALIDATION_ERROR when the page is past maxPages
+   */
+  async getBlendedContent(category, blend, page = 1) {
+    const { pageSize, maxPages } = this.blend;
+
+    // Deeper pages would need the whole blend up to them
+    if (page > maxPages) {
+      const error = new Error(`Page must be between 1 and ${maxPages} for ${category}`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    try {
+      const sources = blend.sources.map(source => ({
+        source,
+        weight: source.weight || 1,
+        stream: new PagedStream(sourcePage => this.fetchBlendSourcePage(source, sourcePage), `${source.type} ${source.media_type}`)
+      }));
+
+      // One extra item tells whether another page follows
+      const blended = await blendStreams(sources, page * pageSize + 1);
+      if (blended.length === 0 && sources.every(({ stream }) => stream.error)) {
+        throw sources[0].stream.error;
+      }
+
+      // Duplicates are only known once reached, so the total is an upper bound until the blend runs out
+      const exhausted = blended.length <= page * pageSize;
+      const estimated = sources.reduce((total, { stream }) => total + stream.totalResults, 0);
+      const totalResults = exhausted ? blended.length : Math.min(Math.max(estimated, blended.length), maxPages * pageSize);
+
+      const results = await this.tmdbService.enrichWithTaglines(blended.slice((page - 1) * pageSize, page * pageSize));
+
+      return {
+        success: true,
+        data: {
+          results: results || [],
+          page,
+          total_pages: Math.ceil(totalResults / pageSize),
+          total_results: totalResults,
+          sources: sources.map(({ source, weight, stream }) => ({
+            type: source.type,
+            media_type: source.media_type,
+            weight,
+            total_results: stream.totalResults
+          }))
+        },
+        category,
+        mediaType: 'all',
+        page
+      };
+    } catch (error) {
+      throw this.createCategoryError(`Failed to fetch blended content for ${category}`, error);
+    }
+  }
+
+  /**
+   * Fetch one page of a blend source, with media_type set on every result
+   * @param {Object} source - Blend source ({ type: 'discover' | 'trending' | 'list', ... })
+   * @param {number} page - Source page
+   * @returns {Promise<Object>} { results, total_pages, total_results }
+   */
+  async fetchBlendSourcePage(source, page) {
+    let response;
+    if (source.type === 'list') {
+      response = await this.fetchCuratedListPage(source, page);
+    } else if (source.type === 'trending') {
+      response = await this.tmdbService.makeRequest(`/trending/${source.media_type}/${source.time_window || 'week'}`, { page });
+    } else {
+      const params = { ...convertToTMDBParams(source.discover), page };
+      response = source.media_type === 'tv'
+        ? await this.tmdbService.discoverTV(params)
+        : await this.tmdbService.discoverMovies(params);
+    }
+
+    const results = (response.results || [])
+      .map(item => ({ ...item, media_type: item.media_type || source.media_type }))
+      // Trending "all" also lists people
+      .filter(item => ['movie', 'tv'].includes(item.media_type));
+
+    return { ...response, results };
+  }
+
+  /**
+   * Fetch one page of a curated id list
+   * Titles that can't be fetched (e.g. removed from TMDB) are left out
+   * @param {Object} source - List source ({ media_type, ids })
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} { results, total_pages, total_results }
+   */
+  async fetchCuratedListPage(source, page) {
+    const { pageSize, maxConcurrent } = this.blend;
+    const ids = source.ids.slice((page - 1) * pageSize, page * pageSize);
+    const results = [];
+
+    for (let i = 0; i < ids.length; i += maxConcurrent) {
+      const batch = await Promise.all(ids.slice(i, i + maxConcurrent).map(async id => {
+        try {
+          const details = source.media_type === 'tv'
+            ? await this.tmdbService.getTVShow(id)
+            : await this.tmdbService.getMovie(id);
+          // Shaped like list results, which carry genre ids rather than genres
+          return { ...details, genre_ids: (details.genres || []).map(genre => genre.id) };
+        } catch (error) {
+          console.warn(`Failed to fetch curated ${source.media_type} ${id}:`, error.message);
+          return null;
+        }
+      }));
+      results.push(...batch.filter(Boolean));
+    }
+
+    return {
+      page,
+      results,
+      total_pages: Math.ceil(source.ids.length / pageSize),
+      total_results: source.ids.length
+    };
+  }
+
   /**
    * Get studio-specific content
    * @param {string} studio - The studio name (disney, pixar, marvel, etc.)
@@ -814,12 +773,22 @@ class CategoryService {
 
   /**
    * Get upcoming movies
+   * Without a window this is TMDB's upcoming list; with one, the theatrical
+   * releases in the request region between the two dates, soonest first
    * @param {number} page - Page number for pagination
+   * @param {Object} options - { from, to, genres } window (YYYY-MM-DD) and genre ids
    * @returns {Promise<Object>} Upcoming movies data
    */
-  async getUpcomingMovies(page = 1) {
+  async getUpcomingMovies(page = 1, { from, to, genres } = {}) {
     try {
-      const response = await this.tmdbService.getUpcoming(page);
+      const response = from && to
+        ? await this.tmdbService.discoverMovies({
+          ...this.getTheatricalReleaseParams({ from, to }),
+          sort_by: 'primary_release_date.asc',
+          ...(genres && { with_genres: genres.join(',') }),
+          page
+        })
+        : await this.tmdbService.getUpcoming(page);
 
       // Enrich with taglines
       if (response.results) {
@@ -850,19 +819,20 @@ class CategoryService {
   /**
    * Get upcoming TV shows
    * @param {number} page - Page number for pagination
+   * @param {Object} options - { from, to, genres, networks } premiere window (YYYY-MM-DD,
+   *   the next 6 months by default), TV genre ids and network ids
    * @returns {Promise<Object>} Upcoming TV shows data
    */
-  async getUpcomingTV(page = 1) {
+  async getUpcomingTV(page = 1, { from, to, genres, networks } = {}) {
     try {
       // TMDB doesn't have a direct upcoming TV endpoint, so we use discover with air date filters
-      const today = new Date();
-      const futureDate = new Date();
-      futureDate.setMonth(today.getMonth() + 6); // Next 6 months
-
+      const window = from && to ? { from, to } : this.getUpcomingWindow();
       const params = {
-        'first_air_date.gte': this.formatDateForAPI(today),
-        'first_air_date.lte': this.formatDateForAPI(futureDate),
+        'first_air_date.gte': window.from,
+        'first_air_date.lte': window.to,
         sort_by: 'first_air_date.asc',
+        ...(genres && { with_genres: genres.join(',') }),
+        ...(networks && { with_networks: networks.join('|') }),
         page
       };
 
@@ -895,48 +865,135 @@ class CategoryService {
   }
 
   /**
-   * Get combined upcoming content (movies and TV shows)
-   * @param {number} moviePage - Page number for movies
-   * @param {number} tvPage - Page number for TV shows
+   * Get the dates upcoming content is looked for between
+   * @returns {Object} { from, to } API dates, today to 6 months ahead
+   */
+  getUpcomingWindow() {
+    const today = new Date();
+    const futureDate = new Date();
+    futureDate.setMonth(today.getMonth() + 6); // Next 6 months
+
+    return { from: this.formatDateForAPI(today), to: this.formatDateForAPI(futureDate) };
+  }
+
+  /**
+   * Get the discover parameters of theatrical releases between two dates
+   * TMDB only applies with_release_type together with the release_date filters,
+   * against the releases in the request region (added to discover by applyLocale)
+   * @param {Object} window - { from, to } dates (YYYY-MM-DD)
+   * @returns {Object} Discover parameters
+   */
+  getTheatricalReleaseParams({ from, to }) {
+    return {
+      'release_date.gte': from,
+      'release_date.lte': to,
+      with_release_type: '2|3' // Theatrical, as /movie/upcoming
+    };
+  }
+
+  /**
+   * Get combined upcoming content (movies and TV shows), soonest first
+   * Movies and TV shows are read from date-sorted discover queries and merged, so
+   * paging with nextCursor neither skips nor repeats titles
+   * @param {string} cursor - nextCursor of the previous page, nothing for the first page
+   * @param {number} pageSize - Titles per page
    * @returns {Promise<Object>} Combined upcoming content data
+   * @throws {Error} VALIDATION_ERROR when the cursor is invalid
    */
-  async getCombinedUpcoming(moviePage = 1, tvPage = 1) {
-    try {
-      // Fetch both movies and TV shows concurrently
-      const [moviesResponse, tvResponse] = await Promise.all([
-        this.getUpcomingMovies(moviePage),
-        this.getUpcomingTV(tvPage)
-      ]);
-
-      // Combine and sort by release/air date
-      const combinedResults = [
-        ...moviesResponse.data.results.map(item => ({ ...item, media_type: 'movie' })),
-        ...tvResponse.data.results.map(item => ({ ...item, media_type: 'tv' }))
-      ];
+  async getCombinedUpcoming(cursor, pageSize = 20) {
+    const { positions, params } = decodeCursor(cursor, 'upcoming', COMBINED_UPCOMING_SOURCES, isDateWindow);
+    // Later pages keep the first page's window, so a new day doesn't shift the sources under the cursor
+    const window = params || this.getUpcomingWindow();
 
-      // Sort by release date (ascending - soonest first)
-      combinedResults.sort((a, b) => {
-        const dateA = new Date(a.release_date || a.first_air_date);
-        const dateB = new Date(b.release_date || b.first_air_date);
-        return dateA - dateB;
+    try {
+      const { results, nextCursor } = await readMergedFeed({
+        feed: 'upcoming',
+        sources: this.getCombinedUpcomingSources(window),
+        compare: (a, b) => this.compareReleaseDates(a, b),
+        positions,
+        pageSize,
+        params: window
       });
 
       return {
         success: true,
         data: {
-          results: combinedResults,
-          total_results: moviesResponse.data.total_results + tvResponse.data.total_results,
-          total_pages: Math.max(moviesResponse.data.total_pages, tvResponse.data.total_pages)
+          results: (await this.tmdbService.enrichWithTaglines(results)) || []
         },
         category: 'upcoming-combined',
-        moviePage,
-        tvPage
+        cursor: cursor || null,
+        nextCursor
       };
     } catch (error) {
       throw this.createCategoryError('Failed to fetch combined upcoming content', error);
     }
   }
 
+  /**
+   * Get the sources of the combined upcoming feed, each sorted by date
+   * /movie/upcoming is sorted by popularity, so movies come from discover instead
+   * @param {Object} window - { from, to } dates (YYYY-MM-DD) the titles are released between
+   * @returns {Array} Merged feed sources (see readMergedFeed)
+   */
+  getCombinedUpcomingSources(window) {
+    const { from, to } = window;
+
+    return [
+      {
+        label: 'upcoming movies',
+        fetchPage: async page => {
+          const response = await this.tmdbService.discoverMovies({
+            ...this.getTheatricalReleaseParams({ from, to }),
+            sort_by: 'primary_release_date.asc',
+            page
+          });
+          return {
+            ...response,
+            results: (response.results || []).map(movie => ({
+              ...movie,
+              media_type: 'movie',
+              release_date_formatted: this.formatReleaseDate(movie.release_date),
+              is_upcoming: this.isUpcoming(movie.release_date)
+            }))
+          };
+        }
+      },
+      {
+        label: 'upcoming TV',
+        fetchPage: async page => {
+          const response = await this.tmdbService.discoverTV({
+            'first_air_date.gte': from,
+            'first_air_date.lte': to,
+            sort_by: 'first_air_date.asc',
+            page
+          });
+          return {
+            ...response,
+            results: (response.results || []).map(show => ({
+              ...show,
+              media_type: 'tv',
+              first_air_date_formatted: this.formatReleaseDate(show.first_air_date),
+              is_upcoming: this.isUpcoming(show.first_air_date)
+            }))
+          };
+        }
+      }
+    ];
+  }
+
+  /**
+   * Order movies and TV shows by release or first air date, undated titles last
+   * @param {Object} a - Movie or TV show
+   * @param {Object} b - Movie or TV show
+   * @returns {number} Negative when a comes first
+   */
+  compareReleaseDates(a, b) {
+    const dateA = a.release_date || a.first_air_date || '';
+    const dateB = b.release_date || b.first_air_date || '';
+    if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+    return dateA.localeCompare(dateB);
+  }
+
   /**
    * Format date for display
    * @param {string} dateString - ISO date string
@@ -951,7 +1008,7 @@ class CategoryService {
       if (isNaN(date.getTime())) {
         return dateString;
       }
-      return date.toLocaleDateString('en-US', {
+      return date.toLocaleDateString(getRequestLocale().language, {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
@@ -1038,14 +1095,23 @@ class CategoryService {
    * @returns {boolean} True if streaming options are available
    */
   hasStreamingAvailability(watchProviders) {
-    if (!watchProviders || !watchProviders.results) return false;
-
-    // Check US market (you can modify this for other regions)
-    const usProviders = watchProviders.results.US;
-    if (!usProviders) return false;
+    // Check the market of the current request
+    const regionalProviders = this.getRegionalProviders(watchProviders);
+    if (!regionalProviders) return false;
 
     // Check for flatrate (subscription) or ads (free with ads) options
-    return !!(usProviders.flatrate || usProviders.ads);
+    return !!(regionalProviders.flatrate || regionalProviders.ads);
+  }
+
+  /**
+   * Get the watch providers for the current request's region
+   * @param {Object} watchProviders - Watch providers data from TMDB
+   * @returns {Object|null} Providers of the region, null when unavailable there
+   */
+  getRegionalProviders(watchProviders) {
+    if (!watchProviders || !watchProviders.results) return null;
+
+    return watchProviders.results[getRequestLocale().region] || null;
   }
 
   /**
@@ -1054,16 +1120,14 @@ class CategoryService {
    * @returns {Object} Formatted watch providers
    */
   formatWatchProviders(watchProviders) {
-    if (!watchProviders || !watchProviders.results) return null;
-
-    const usProviders = watchProviders.results.US;
-    if (!usProviders) return null;
+    const regionalProviders = this.getRegionalProviders(watchProviders);
+    if (!regionalProviders) return null;
 
     return {
-      streaming: usProviders.flatrate || [],
-      free: usProviders.ads || [],
-      rent: usProviders.rent || [],
-      buy: usProviders.buy || []
+      streaming: regionalProviders.flatrate || [],
+      free: regionalProviders.ads || [],
+      rent: regionalProviders.rent || [],
+      buy: regionalProviders.buy || []
     };
   }
 
@@ -0,0 +1,128 @@
+/**
+ * Circuit breaker for the TMDB upstream
+ * Trips open after repeated failures so requests fail fast instead of waiting
+ * for timeouts, then half-opens after a cool-down to probe whether TMDB recovered
+ */
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, halfOpenMaxRequests = 1 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxRequests = halfOpenMaxRequests;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenRequests = 0;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, trips: 0 };
+  }
+
+  /**
+   * Check whether a request may be sent upstream
+   * Moves an open breaker to half-open once the reset timeout has elapsed
+   * @returns {boolean} True if the request may proceed
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.halfOpenRequests = 0;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && this.halfOpenRequests < this.halfOpenMaxRequests) {
+      this.halfOpenRequests++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful upstream call, closing the breaker
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.state = STATES.CLOSED;
+    this.openedAt = null;
+    this.halfOpenRequests = 0;
+  }
+
+  /**
+   * Record an upstream call that says nothing about TMDB's health (e.g. rate limiting)
+   * Leaves the failure streak alone but frees a half-open probe slot for the next request
+   */
+  recordNeutral() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenRequests > 0) {
+      this.halfOpenRequests--;
+    }
+  }
+
+  /**
+   * Record a failed upstream call, opening the breaker when the threshold is reached
+   * @param {Error} error - The upstream error
+   */
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      message: error ? error.message : undefined,
+      code: error ? error.code : undefined,
+      at: new Date().toISOString()
+    };
+
+    // A failed probe re-opens the breaker immediately
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.trip();
+    }
+  }
+
+  trip() {
+    if (this.state !== STATES.OPEN) {
+      this.stats.trips++;
+    }
+    this.state = STATES.OPEN;
+    this.openedAt = Date.now();
+    this.halfOpenRequests = 0;
+  }
+
+  /**
+   * Milliseconds until an open breaker will allow a probe request
+   * @returns {number} Remaining cool-down (0 when not open)
+   */
+  getRetryAfterMs() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Snapshot of the breaker for health reporting
+   * @returns {Object} Breaker state
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
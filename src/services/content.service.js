@@ -1,4 +1,27 @@
 const TMDBService = require('./tmdb.service');
+const { getRequestLocale } = require('./requestContext');
+const { EXTERNAL_ID_SOURCES } = require('../config/externalIds');
+const { RELEASE_TYPE_PRIORITY, formatReleaseDates, formatContentRatings } = require('../config/releases');
+const { sanitizeString } = require('../middleware/validation');
+
+const DEFAULT_REVIEW_EXCERPT_LENGTH = 300;
+
+// Spoiler markup used in reviews: >!Reddit!<, ||Discord|| and [spoiler]BBCode[/spoiler]
+const SPOILER_PATTERNS = [/>!([\s\S]*?)!</g, /\|\|([\s\S]*?)\|\|/g, /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi];
+
+/**
+ * Reduce markdown to its text (links, emphasis, headings, quotes, lists, code)
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>+|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+    .replace(/(\*{1,3}|_{2,3}|~~|`+)(\S[\s\S]*?)\1/g, '$2')
+    .replace(/(^|\s)_(\S[\s\S]*?)_(?=\s|[.,;:!?]|$)/g, '$1$2');
+}
 
 /**
  * ContentService for handling detailed movie and TV show information
@@ -24,7 +47,10 @@ class ContentService {
 
     try {
       // Get basic movie details with appended responses for efficiency
-      const movieData = await this.tmdbService.getMovie(id, 'credits,videos,recommendations,watch/providers');
+      const movieData = await this.tmdbService.getMovie(id, 'credits,videos,recommendations,watch/providers,release_dates,external_ids');
+      const { region } = getRequestLocale();
+      const collection = await this.getMovieCollection(movieData);
+      const releaseDates = formatReleaseDates(movieData.release_dates);
       
       // Transform and structure the response
       return {
@@ -34,8 +60,10 @@ class ContentService {
         overview: movieData.overview || '',
         backdrop_path: movieData.backdrop_path,
         backdrop_url: movieData.backdrop_url,
+        backdrop_srcset: movieData.backdrop_srcset,
         poster_path: movieData.poster_path,
         poster_url: movieData.poster_url,
+        poster_srcset: movieData.poster_srcset,
         release_date: movieData.release_date,
         vote_average: movieData.vote_average,
         vote_count: movieData.vote_count,
@@ -49,7 +77,14 @@ class ContentService {
         credits: movieData.credits || { cast: [], crew: [] },
         videos: movieData.videos || { results: [] },
         recommendations: movieData.recommendations || { results: [] },
-        watch_providers: movieData['watch/providers'] || { results: {} }
+        watch_providers: movieData['watch/providers'] || { results: {} },
+        region,
+        regional_release_date: this.getRegionalReleaseDate(movieData.release_dates, region),
+        release_dates: releaseDates,
+        certification: releaseDates[region] ? releaseDates[region].certification : null,
+        regional_watch_providers: this.getRegionalWatchProviders(movieData['watch/providers'], region),
+        external_ids: this.formatExternalIds(movieData.external_ids),
+        collection
       };
     } catch (error) {
       const contentError = new Error(`Failed to get movie details: ${error.message}`);
@@ -71,7 +106,9 @@ class ContentService {
 
     try {
       // Get basic TV show details with appended responses for efficiency
-      const tvData = await this.tmdbService.getTVShow(id, 'credits,videos,recommendations,watch/providers');
+      const tvData = await this.tmdbService.getTVShow(id, 'credits,videos,recommendations,watch/providers,external_ids,content_ratings');
+      const { region } = getRequestLocale();
+      const contentRatings = formatContentRatings(tvData.content_ratings);
       
       // Transform and structure the response
       return {
@@ -81,8 +118,10 @@ class ContentService {
         overview: tvData.overview || '',
         backdrop_path: tvData.backdrop_path,
         backdrop_url: tvData.backdrop_url,
+        backdrop_srcset: tvData.backdrop_srcset,
         poster_path: tvData.poster_path,
         poster_url: tvData.poster_url,
+        poster_srcset: tvData.poster_srcset,
         first_air_date: tvData.first_air_date,
         vote_average: tvData.vote_average,
         vote_count: tvData.vote_count,
@@ -90,12 +129,20 @@ class ContentService {
         status: tvData.status,
         number_of_seasons: tvData.number_of_seasons,
         number_of_episodes: tvData.number_of_episodes,
+        seasons: tvData.seasons || [],
+        last_episode_to_air: tvData.last_episode_to_air || null,
+        next_episode_to_air: tvData.next_episode_to_air || null,
         networks: tvData.networks || [],
         original_language: tvData.original_language,
         credits: tvData.credits || { cast: [], crew: [] },
         videos: tvData.videos || { results: [] },
         recommendations: tvData.recommendations || { results: [] },
-        watch_providers: tvData['watch/providers'] || { results: {} }
+        watch_providers: tvData['watch/providers'] || { results: {} },
+        region,
+        regional_watch_providers: this.getRegionalWatchProviders(tvData['watch/providers'], region),
+        content_ratings: contentRatings,
+        certification: contentRatings[region] ? contentRatings[region].rating : null,
+        external_ids: this.formatExternalIds(tvData.external_ids)
       };
     } catch (error) {
       const contentError = new Error(`Failed to get TV show details: ${error.message}`);
@@ -105,6 +152,305 @@ class ContentService {
     }
   }
 
+  /**
+   * Find movies, TV shows, people and episodes by an external ID
+   * @param {string} source - EXTERNAL_ID_SOURCES key (e.g. 'imdb')
+   * @param {string} externalId - ID in that source (e.g. 'tt0137523')
+   * @returns {Object} Matches by media type
+   */
+  async findByExternalId(source, externalId) {
+    const sourceConfig = EXTERNAL_ID_SOURCES[source];
+    if (!sourceConfig) {
+      throw new Error(`Source must be one of: ${Object.keys(EXTERNAL_ID_SOURCES).join(', ')}`);
+    }
+
+    if (!externalId || !sourceConfig.pattern.test(externalId)) {
+      throw new Error(`Invalid ${source} ID (e.g. ${sourceConfig.example})`);
+    }
+
+    try {
+      const found = await this.tmdbService.findByExternalId(externalId, sourceConfig.externalSource);
+      const results = {
+        movie_results: found.movie_results || [],
+        tv_results: found.tv_results || [],
+        person_results: found.person_results || [],
+        tv_season_results: found.tv_season_results || [],
+        tv_episode_results: found.tv_episode_results || []
+      };
+
+      return {
+        source,
+        external_id: externalId,
+        total_results: Object.values(results).reduce((sum, list) => sum + list.length, 0),
+        ...results
+      };
+    } catch (error) {
+      const contentError = new Error(`Failed to find external ID: ${error.message}`);
+      contentError.code = 'CONTENT_SERVICE_ERROR';
+      contentError.originalError = error;
+      throw contentError;
+    }
+  }
+
+  /**
+   * Format the external_ids appended to details
+   * @param {Object} externalIds - external_ids data from TMDB
+   * @returns {Object} External IDs without TMDB's own ID
+   */
+  formatExternalIds(externalIds) {
+    const formatted = { ...externalIds };
+    delete formatted.id;
+    return formatted;
+  }
+
+  /**
+   * Get a collection (franchise) with its parts in watch order
+   * @param {number} id - Collection ID
+   * @returns {Object} Collection with parts, total runtime and aggregate rating
+   */
+  async getCollectionDetails(id) {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid collection ID is required');
+    }
+
+    try {
+      const collection = await this.tmdbService.getCollection(id);
+      const runtimes = await this.getRuntimes(this.getCollectionParts(collection).map(part => part.id));
+      return this.buildCollectionSummary(collection, runtimes);
+    } catch (error) {
+      const contentError = new Error(`Failed to get collection details: ${error.message}`);
+      contentError.code = 'CONTENT_SERVICE_ERROR';
+      contentError.originalError = error;
+      throw contentError;
+    }
+  }
+
+  /**
+   * Get the collection summary embedded in movie details
+   * Runtimes are left out: they take a request per part, so only the collection
+   * endpoint adds them up. A failing collection lookup shouldn't fail the movie,
+   * so it falls back to the basic belongs_to_collection data
+   * @param {Object} movieData - Movie details from TMDB
+   * @returns {Object|null} Collection summary with the movie's position, null when not part of one
+   */
+  async getMovieCollection(movieData) {
+    const belongsTo = movieData.belongs_to_collection;
+    if (!belongsTo || !belongsTo.id) return null;
+
+    try {
+      const collection = await this.tmdbService.getCollection(belongsTo.id);
+      const summary = this.buildCollectionSummary(collection);
+      const current = summary.parts.find(part => part.id === movieData.id);
+
+      return {
+        ...summary,
+        position: current ? current.watch_order : null
+      };
+    } catch (error) {
+      console.warn(`Failed to get collection ${belongsTo.id} for movie ${movieData.id}:`, error.message);
+      return {
+        id: belongsTo.id,
+        name: belongsTo.name,
+        poster_path: belongsTo.poster_path,
+        poster_url: belongsTo.poster_url,
+        backdrop_path: belongsTo.backdrop_path,
+        backdrop_url: belongsTo.backdrop_url,
+        parts: [],
+        position: null
+      };
+    }
+  }
+
+  /**
+   * Get a collection's movie parts in release (watch) order
+   * @param {Object} collection - Collection from TMDB
+   * @returns {Array} Parts, unannounced ones last
+   */
+  getCollectionParts(collection) {
+    return (collection.parts || [])
+      .filter(part => part.media_type === undefined || part.media_type === 'movie')
+      .sort((a, b) => {
+        // Unannounced parts (no release date) come last
+        if (!a.release_date !== !b.release_date) return a.release_date ? -1 : 1;
+        return (a.release_date || '').localeCompare(b.release_date || '');
+      });
+  }
+
+  /**
+   * Order a collection's parts by release date and add rating (and runtime) totals
+   * @param {Object} collection - Collection from TMDB
+   * @param {Object|null} runtimes - Runtimes by movie ID (from getRuntimes); runtime fields are left out without them
+   * @returns {Object} Collection summary
+   */
+  buildCollectionSummary(collection, runtimes = null) {
+    const today = new Date().toISOString().split('T')[0];
+
+    const formattedParts = this.getCollectionParts(collection).map((part, index) => ({
+      id: part.id,
+      title: part.title,
+      overview: part.overview || '',
+      release_date: part.release_date || null,
+      released: Boolean(part.release_date) && part.release_date <= today,
+      watch_order: index + 1,
+      ...(runtimes ? { runtime: runtimes[part.id] || null } : {}),
+      poster_path: part.poster_path,
+      poster_url: part.poster_url,
+      poster_srcset: part.poster_srcset,
+      vote_average: part.vote_average,
+      vote_count: part.vote_count
+    }));
+
+    // Weighted by vote count so a barely-rated part doesn't skew the franchise rating
+    const rated = formattedParts.filter(part => part.vote_count > 0);
+    const totalVotes = rated.reduce((sum, part) => sum + part.vote_count, 0);
+    const weightedRating = rated.reduce((sum, part) => sum + part.vote_average * part.vote_count, 0);
+
+    return {
+      id: collection.id,
+      name: collection.name,
+      overview: collection.overview || '',
+      poster_path: collection.poster_path,
+      poster_url: collection.poster_url,
+      backdrop_path: collection.backdrop_path,
+      backdrop_url: collection.backdrop_url,
+      part_count: formattedParts.length,
+      ...(runtimes ? { total_runtime: formattedParts.reduce((sum, part) => sum + (part.runtime || 0), 0) } : {}),
+      vote_average: totalVotes > 0 ? Math.round((weightedRating / totalVotes) * 10) / 10 : null,
+      vote_count: totalVotes,
+      parts: formattedParts
+    };
+  }
+
+  /**
+   * Get the runtimes of movies
+   * TMDB's collection parts don't include runtimes, so each movie's details are fetched.
+   * Failed lookups leave the runtime unknown rather than failing the whole collection
+   * @param {Array} movieIds - Movie IDs
+   * @param {number} maxConcurrent - Maximum concurrent requests (default: 5)
+   * @returns {Promise<Object>} Runtimes by movie ID
+   */
+  async getRuntimes(movieIds, maxConcurrent = 5) {
+    const runtimes = {};
+
+    for (let i = 0; i < movieIds.length; i += maxConcurrent) {
+      const batch = movieIds.slice(i, i + maxConcurrent);
+
+      await Promise.all(batch.map(async (movieId) => {
+        try {
+          const movie = await this.tmdbService.getMovie(movieId);
+          runtimes[movieId] = movie.runtime || null;
+        } catch (error) {
+          console.warn(`Failed to get runtime for movie ID ${movieId}:`, error.message);
+          runtimes[movieId] = null;
+        }
+      }));
+    }
+
+    return runtimes;
+  }
+
+  /**
+   * Get a TV season with its episodes
+   * @param {number} id - TV show ID
+   * @param {number} seasonNumber - Season number (0 for specials)
+   * @returns {Object} Season details
+   */
+  async getSeasonDetails(id, seasonNumber) {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid TV show ID is required');
+    }
+
+    if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+      throw new Error('Season number must be a non-negative integer');
+    }
+
+    try {
+      const season = await this.tmdbService.getTVSeason(id, seasonNumber);
+      const episodes = (season.episodes || []).map(episode => this.formatEpisode(episode));
+
+      return {
+        id: season.id,
+        show_id: id,
+        season_number: season.season_number,
+        name: season.name,
+        overview: season.overview || '',
+        air_date: season.air_date || null,
+        poster_path: season.poster_path,
+        poster_url: season.poster_url,
+        poster_srcset: season.poster_srcset,
+        vote_average: season.vote_average,
+        episode_count: episodes.length,
+        episodes
+      };
+    } catch (error) {
+      const contentError = new Error(`Failed to get season details: ${error.message}`);
+      contentError.code = 'CONTENT_SERVICE_ERROR';
+      contentError.originalError = error;
+      throw contentError;
+    }
+  }
+
+  /**
+   * Get a single TV episode
+   * @param {number} id - TV show ID
+   * @param {number} seasonNumber - Season number (0 for specials)
+   * @param {number} episodeNumber - Episode number within the season
+   * @returns {Object} Episode details
+   */
+  async getEpisodeDetails(id, seasonNumber, episodeNumber) {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid TV show ID is required');
+    }
+
+    if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+      throw new Error('Season number must be a non-negative integer');
+    }
+
+    if (!Number.isInteger(episodeNumber) || episodeNumber < 1) {
+      throw new Error('Episode number must be a positive integer');
+    }
+
+    try {
+      const episode = await this.tmdbService.getTVEpisode(id, seasonNumber, episodeNumber);
+
+      return {
+        ...this.formatEpisode(episode),
+        show_id: id,
+        production_code: episode.production_code || ''
+      };
+    } catch (error) {
+      const contentError = new Error(`Failed to get episode details: ${error.message}`);
+      contentError.code = 'CONTENT_SERVICE_ERROR';
+      contentError.originalError = error;
+      throw contentError;
+    }
+  }
+
+  /**
+   * Format a TMDB episode for tracking clients
+   * @param {Object} episode - Episode from a season or episode response
+   * @returns {Object} Formatted episode
+   */
+  formatEpisode(episode) {
+    return {
+      id: episode.id,
+      season_number: episode.season_number,
+      episode_number: episode.episode_number,
+      episode_type: episode.episode_type || 'standard',
+      name: episode.name,
+      overview: episode.overview || '',
+      air_date: episode.air_date || null,
+      runtime: episode.runtime || null,
+      still_path: episode.still_path,
+      still_url: episode.still_url,
+      still_srcset: episode.still_srcset,
+      vote_average: episode.vote_average,
+      vote_count: episode.vote_count,
+      guest_stars: episode.guest_stars || [],
+      crew: episode.crew || []
+    };
+  }
+
   /**
    * Get credits (cast and crew) for a movie or TV show
    * @param {number} id - Content ID
@@ -212,6 +558,105 @@ class ContentService {
     }
   }
 
+  /**
+   * Get user reviews for a movie or TV show
+   * @param {number} id - Content ID
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {number} page - Page number
+   * @param {number} excerptLength - Maximum excerpt length in characters
+   * @returns {Object} Paginated reviews with plain-text content and excerpts
+   */
+  async getReviews(id, mediaType, page = 1, excerptLength = DEFAULT_REVIEW_EXCERPT_LENGTH) {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid content ID is required');
+    }
+
+    if (!mediaType || !['movie', 'tv'].includes(mediaType)) {
+      throw new Error('Media type must be "movie" or "tv"');
+    }
+
+    try {
+      const reviews = mediaType === 'movie'
+        ? await this.tmdbService.getMovieReviews(id, page)
+        : await this.tmdbService.getTVReviews(id, page);
+
+      return {
+        id,
+        page: reviews.page,
+        total_pages: reviews.total_pages,
+        total_results: reviews.total_results,
+        results: (reviews.results || []).map(review => this.formatReview(review, excerptLength))
+      };
+    } catch (error) {
+      const contentError = new Error(`Failed to get reviews: ${error.message}`);
+      contentError.code = 'CONTENT_SERVICE_ERROR';
+      contentError.originalError = error;
+      throw contentError;
+    }
+  }
+
+  /**
+   * Format a TMDB review
+   * HTML and markdown are stripped from the content; the excerpt also drops
+   * spoiler-tagged passages so it's safe to show before the full review
+   * @param {Object} review - Review from TMDB
+   * @param {number} excerptLength - Maximum excerpt length in characters
+   * @returns {Object} Formatted review
+   */
+  formatReview(review, excerptLength = DEFAULT_REVIEW_EXCERPT_LENGTH) {
+    const content = review.content || '';
+    const details = review.author_details || {};
+    const hasSpoilers = SPOILER_PATTERNS.some(pattern => content.search(pattern) !== -1);
+
+    const fullText = this.toPlainText(SPOILER_PATTERNS.reduce((text, pattern) => text.replace(pattern, '$1'), content));
+    // Measured once escaped, so the excerpt the client gets stays within excerptLength
+    const excerpt = sanitizeString(this.toPlainText(SPOILER_PATTERNS.reduce((text, pattern) => text.replace(pattern, ' '), content)));
+    const truncated = excerpt.length > excerptLength;
+
+    return {
+      id: review.id,
+      author: review.author,
+      author_username: details.username || null,
+      author_avatar_path: details.avatar_path || null,
+      rating: typeof details.rating === 'number' ? details.rating : null,
+      created_at: review.created_at,
+      updated_at: review.updated_at || review.created_at,
+      url: review.url || null,
+      content: sanitizeString(fullText),
+      excerpt: truncated ? this.truncateText(excerpt, excerptLength) : excerpt,
+      truncated,
+      has_spoilers: hasSpoilers
+    };
+  }
+
+  /**
+   * Strip markdown and tags and collapse whitespace, so excerpts aren't spent
+   * on markup (sanitizeString still does the actual HTML sanitizing)
+   * @param {string} text - Review text
+   * @returns {string} Plain text on a single line
+   */
+  toPlainText(text) {
+    return stripMarkdown(text)
+      .replace(/<(br|\/?p|\/?div|\/?li)\b[^>]*>/gi, ' ')
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Shorten text to a word boundary, ending it with an ellipsis
+   * Escaped characters (&amp; etc.) are never split
+   * @param {string} text - Sanitized text
+   * @param {number} maxLength - Maximum length including the ellipsis
+   * @returns {string} Shortened text
+   */
+  truncateText(text, maxLength) {
+    const cut = text.slice(0, maxLength - 1).replace(/&[#\w]*$/, '');
+    const lastSpace = cut.lastIndexOf(' ');
+    const shortened = lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut;
+    return `${shortened.replace(/(?:[\s.,:!?-]|(?<!&[#\w]+);)+$/, '')}…`;
+  }
+
   /**
    * Get watch providers (streaming platforms) for a movie or TV show
    * @param {number} id - Content ID
@@ -232,8 +677,12 @@ class ContentService {
         ? await this.tmdbService.getMovieWatchProviders(id)
         : await this.tmdbService.getTVWatchProviders(id);
 
+      const { region } = getRequestLocale();
+
       return {
         id,
+        region,
+        regional: this.getRegionalWatchProviders(watchProviders, region),
         results: watchProviders.results || {}
       };
     } catch (error) {
@@ -244,6 +693,44 @@ class ContentService {
     }
   }
 
+  /**
+   * Get the watch providers of a single region
+   * @param {Object} watchProviders - Watch providers data from TMDB
+   * @param {string} region - ISO 3166-1 country code
+   * @returns {Object|null} Providers in the region, null when unavailable there
+   */
+  getRegionalWatchProviders(watchProviders, region) {
+    if (!watchProviders || !watchProviders.results) return null;
+    return watchProviders.results[region] || null;
+  }
+
+  /**
+   * Get a movie's release date in a region from its release_dates
+   * Prefers the theatrical release, then other release types
+   * @param {Object} releaseDates - release_dates data from TMDB
+   * @param {string} region - ISO 3166-1 country code
+   * @returns {string|null} Release date (YYYY-MM-DD), null when not released in the region
+   */
+  getRegionalReleaseDate(releaseDates, region) {
+    if (!releaseDates || !Array.isArray(releaseDates.results)) return null;
+
+    const regional = releaseDates.results.find(entry => entry.iso_3166_1 === region);
+    if (!regional || !Array.isArray(regional.release_dates)) return null;
+
+    for (const type of RELEASE_TYPE_PRIORITY) {
+      const dates = regional.release_dates
+        .filter(release => release.type === type && release.release_date)
+        .map(release => release.release_date)
+        .sort();
+
+      if (dates.length > 0) {
+        return dates[0].split('T')[0];
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get movies by a specific director for "More by this Director" functionality
    * @param {number} directorId - Director's person ID
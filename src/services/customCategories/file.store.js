@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File-backed custom category store
+ * Keeps every category in one JSON file that is rewritten (atomically) on each change
+ */
+class FileCustomCategoryStore {
+  constructor({ file = 'data/custom-categories.json' } = {}) {
+    this.file = path.resolve(file);
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the categories from disk
+   * A missing file means no categories yet; an unreadable one is an error, so
+   * it is never overwritten by an empty list
+   * @returns {Promise<Array>} Categories
+   */
+  async load() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const data = JSON.parse(contents);
+    if (!data || !Array.isArray(data.categories)) {
+      throw new Error(`${this.file} has no categories list`);
+    }
+    return data.categories;
+  }
+
+  /**
+   * Write the categories, one write at a time so later changes are never
+   * overwritten by an earlier, slower write
+   * @param {Array} categories - Categories
+   */
+  async save(categories) {
+    const contents = JSON.stringify({ version: 1, categories }, null, 2);
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+      // Write to a temporary file first so readers never see a partial file
+      const tempPath = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, contents);
+      await fs.rename(tempPath, this.file);
+    };
+
+    this.writing = this.writing.catch(() => {}).then(write);
+    return this.writing;
+  }
+}
+
+module.exports = FileCustomCategoryStore;
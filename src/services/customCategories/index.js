@@ -0,0 +1,26 @@
+const MemoryCustomCategoryStore = require('./memory.store');
+const FileCustomCategoryStore = require('./file.store');
+
+/**
+ * Create a custom category store for the configured backend
+ * @param {Object} options - Store options (backend, file)
+ * @returns {MemoryCustomCategoryStore|FileCustomCategoryStore} Custom category store
+ */
+function createCustomCategoryStore(options = {}) {
+  const { backend = 'memory' } = options;
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryCustomCategoryStore();
+    case 'file':
+      return new FileCustomCategoryStore({ file: options.file });
+    default:
+      throw new Error(`Unsupported custom category backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  MemoryCustomCategoryStore,
+  FileCustomCategoryStore,
+  createCustomCategoryStore
+};
@@ -0,0 +1,27 @@
+/**
+ * In-memory custom category store
+ * Categories are lost on restart; used in tests and when persistence is disabled
+ */
+class MemoryCustomCategoryStore {
+  constructor() {
+    this.categories = [];
+  }
+
+  /**
+   * Get every stored category
+   * @returns {Promise<Array>} Categories
+   */
+  async load() {
+    return JSON.parse(JSON.stringify(this.categories));
+  }
+
+  /**
+   * Replace the stored categories
+   * @param {Array} categories - Categories
+   */
+  async save(categories) {
+    this.categories = JSON.parse(JSON.stringify(categories));
+  }
+}
+
+module.exports = MemoryCustomCategoryStore;
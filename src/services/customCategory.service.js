@@ -0,0 +1,203 @@
+const { validateCustomCategory } = require('../config/customCategories');
+const { CUSTOM_CATEGORY_TYPE, setCustomCategories, isRegistryCategory } = require('../config/categories');
+
+/**
+ * CustomCategoryService manages categories created through the admin API
+ * Categories are persisted in a store and registered next to the category
+ * registry, so they are served by /api/categories/mood/:key like built-in moods
+ */
+class CustomCategoryService {
+  /**
+   * @param {Object} options - { store } custom category store (see ./customCategories)
+   */
+  constructor({ store } = {}) {
+    if (!store) {
+      throw new Error('Custom category store is required');
+    }
+
+    this.store = store;
+    this.categories = new Map();
+    this.loading = null;
+    this.loadError = null;
+    // Changes are applied one at a time so concurrent requests can't lose each other's writes
+    this.changing = Promise.resolve();
+  }
+
+  /**
+   * Load the stored categories and register them, once
+   * Stored categories that no longer validate are skipped with a warning
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.load()
+        .then(categories => {
+          categories.forEach(category => {
+            const problems = validateCustomCategory(category);
+            if (problems.length > 0 || isRegistryCategory(CUSTOM_CATEGORY_TYPE, category.key)) {
+              console.warn(`Skipping custom category ${category && category.key}:`, problems.join('; ') || 'key is used by the registry');
+              return;
+            }
+            this.categories.set(category.key, category);
+          });
+          setCustomCategories(this.list());
+        })
+        .catch(error => {
+          // Keep serving the registry, but refuse changes so the stored categories aren't overwritten
+          console.warn('Could not load custom categories:', error.message);
+          this.loadError = error;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Get every custom category
+   * @returns {Array} Categories, oldest first
+   */
+  list() {
+    return Array.from(this.categories.values());
+  }
+
+  /**
+   * Get a custom category
+   * @param {string} key - Category key
+   * @returns {Promise<Object>} Category
+   * @throws {Error} NOT_FOUND when there is no such category
+   */
+  async get(key) {
+    await this.load();
+    return this.getExisting(this.categories, key);
+  }
+
+  /**
+   * Create a custom category
+   * @param {Object} input - { key, name, media_type, filters, sort_by }
+   * @returns {Promise<Object>} Created category
+   * @throws {Error} VALIDATION_ERROR for invalid filters, CONFLICT when the key is taken
+   */
+  async create(input) {
+    return this.change(categories => {
+      const category = this.buildCategory(input);
+
+      if (categories.has(category.key) || isRegistryCategory(CUSTOM_CATEGORY_TYPE, category.key)) {
+        throw this.createError(`Category already exists: ${category.key}`, 'CONFLICT');
+      }
+
+      const now = new Date().toISOString();
+      categories.set(category.key, { ...category, created_at: now, updated_at: now });
+      return categories.get(category.key);
+    });
+  }
+
+  /**
+   * Replace a custom category's definition
+   * @param {string} key - Category key
+   * @param {Object} input - { name, media_type, filters, sort_by }
+   * @returns {Promise<Object>} Updated category
+   * @throws {Error} NOT_FOUND or VALIDATION_ERROR
+   */
+  async update(key, input) {
+    return this.change(categories => {
+      const existing = this.getExisting(categories, key);
+      const category = this.buildCategory({ ...input, key });
+
+      categories.set(key, { ...category, created_at: existing.created_at, updated_at: new Date().toISOString() });
+      return categories.get(key);
+    });
+  }
+
+  /**
+   * Delete a custom category
+   * @param {string} key - Category key
+   * @returns {Promise<Object>} Deleted category
+   * @throws {Error} NOT_FOUND when there is no such category
+   */
+  async delete(key) {
+    return this.change(categories => {
+      const existing = this.getExisting(categories, key);
+      categories.delete(key);
+      return existing;
+    });
+  }
+
+  /**
+   * Apply one change to a copy of the categories, persist it, then register it
+   * @param {Function} apply - Changes the Map of categories it is given and returns the result
+   * @returns {Promise<Object>} What apply returned
+   */
+  async change(apply) {
+    const run = async () => {
+      await this.load();
+      if (this.loadError) {
+        throw this.createError(`Custom categories are unavailable: ${this.loadError.message}`, 'SERVICE_UNAVAILABLE');
+      }
+
+      const next = new Map(this.categories);
+      const result = apply(next);
+
+      try {
+        await this.store.save(Array.from(next.values()));
+      } catch (error) {
+        const storeError = this.createError(`Failed to save custom categories: ${error.message}`, 'CATEGORY_SERVICE_ERROR');
+        storeError.originalError = error;
+        throw storeError;
+      }
+
+      this.categories = next;
+      setCustomCategories(this.list());
+      return result;
+    };
+
+    const result = this.changing.then(run);
+    this.changing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get a category that must exist
+   * @param {Map} categories - Categories
+   * @param {string} key - Category key
+   * @returns {Object} Category
+   * @throws {Error} NOT_FOUND when there is no such category
+   */
+  getExisting(categories, key) {
+    const category = categories.get(key);
+    if (!category) {
+      throw this.createError(`Custom category not found: ${key}`, 'NOT_FOUND');
+    }
+    return category;
+  }
+
+  /**
+   * Validate input and keep only the category's own fields
+   * @param {Object} input - Request body
+   * @returns {Object} { key, name, media_type, sort_by, filters }
+   * @throws {Error} VALIDATION_ERROR listing every problem
+   */
+  buildCategory(input) {
+    const problems = validateCustomCategory(input);
+    if (problems.length > 0) {
+      const error = this.createError('Invalid custom category', 'VALIDATION_ERROR');
+      error.details = problems;
+      throw error;
+    }
+
+    return {
+      key: input.key,
+      name: input.name.trim(),
+      media_type: input.media_type || 'movie',
+      sort_by: input.sort_by || 'popularity.desc',
+      filters: input.filters
+    };
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = CustomCategoryService;
@@ -0,0 +1,119 @@
+/**
+ * iCalendar (RFC 5545) serialization of release calendars
+ * Releases are all-day events, dated in the feed's time zone (X-WR-TIMEZONE);
+ * calendar apps match events by UID, so a UID must name what the event is
+ * (e.g. an episode), never when it happens
+ */
+const { ICAL, addDays } = require('../config/calendar');
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * Continuation lines start with a space; characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, CRLF separated
+ */
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+/**
+ * Format a calendar date as an iCalendar DATE
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Format a time as an iCalendar UTC DATE-TIME
+ * @param {Date} time - Time
+ * @returns {string} e.g. 20240601T120000Z
+ */
+function formatTimestamp(time) {
+  return time.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an all-day VEVENT
+ * @param {Object} event - { uid, date, summary, description, url }
+ * @param {Date} now - Time the feed is built (DTSTAMP)
+ * @returns {string[]} Unfolded content lines
+ */
+function buildEvent(event, now) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${ICAL.uidDomain}`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(event.date, 1))}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    ...(event.url ? [`URL:${event.url}`] : []),
+    'TRANSP:TRANSPARENT', // A release doesn't make anyone busy
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build an iCalendar feed
+ * @param {Object} calendar - { name, description, timeZone, events }
+ * @param {Date} now - Time the feed is built
+ * @returns {string} text/calendar body
+ */
+function buildCalendar({ name, description, timeZone, events }, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL.prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${ICAL.refreshInterval}`,
+    `X-PUBLISHED-TTL:${ICAL.refreshInterval}`,
+    ...events.flatMap(event => buildEvent(event, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,53 @@
+const config = require('../config');
+const TMDBService = require('./tmdb.service');
+const StreamingDatesService = require('./streamingDates.service');
+const { createResponseCache } = require('./cache');
+const { createSnapshotStore, ProviderSnapshotJob } = require('./snapshots');
+const CustomCategoryService = require('./customCategory.service');
+const { createCustomCategoryStore } = require('./customCategories');
+
+/**
+ * Shared TMDB service instance used by all routes
+ * Sharing one instance means every route benefits from the same response cache,
+ * rate limit bookkeeping and circuit breaker
+ */
+const tmdbService = new TMDBService(config.tmdb.apiKey, config.tmdb.baseUrl, {
+  accessToken: config.tmdb.accessToken,
+  locale: config.locale,
+  transport: config.transport,
+  cache: createResponseCache(config.cache),
+  retry: config.retry,
+  circuitBreaker: config.circuitBreaker
+});
+
+/**
+ * Shared streaming dates service, so every route records into and reads from
+ * the same watch-provider snapshot history
+ */
+const streamingDatesService = new StreamingDatesService(tmdbService, {
+  store: createSnapshotStore(config.streaming.snapshots)
+});
+
+/**
+ * Background job feeding the snapshot history (started by the server)
+ */
+const providerSnapshotJob = new ProviderSnapshotJob(tmdbService, streamingDatesService, {
+  intervalMs: config.streaming.snapshotJob.intervalMs,
+  popularPages: config.streaming.snapshotJob.popularPages,
+  maxTrackedTitles: config.streaming.snapshotJob.maxTrackedTitles,
+  retentionDays: config.streaming.snapshotJob.retentionDays
+});
+
+/**
+ * Custom categories managed through the admin API and served with the registry's
+ */
+const customCategoryService = new CustomCategoryService({
+  store: createCustomCategoryStore(config.customCategories)
+});
+
+module.exports = {
+  tmdbService,
+  streamingDatesService,
+  providerSnapshotJob,
+  customCategoryService
+};
@@ -0,0 +1,127 @@
+/**
+ * Merged feeds: several sorted paged sources read as one sorted stream
+ * A page of the feed ends with an opaque cursor recording where each source
+ * stopped, so the next page carries on exactly there instead of re-sorting
+ * whole source pages. The cursor also carries the feed's parameters (e.g. a date
+ * window), so later pages read the same source result sets as the first one
+ */
+const { PagedStream } = require('./blend');
+
+const CURSOR_VERSION = 2;
+const MAX_SOURCE_PAGE = 1000; // TMDB doesn't serve pages past 500
+const MAX_SOURCE_OFFSET = 1000;
+
+const isPosition = position => Array.isArray(position) && position.length === 2 &&
+  Number.isInteger(position[0]) && position[0] >= 1 && position[0] <= MAX_SOURCE_PAGE &&
+  Number.isInteger(position[1]) && position[1] >= 0 && position[1] <= MAX_SOURCE_OFFSET;
+
+/**
+ * Encode the source positions of a feed as a cursor
+ * @param {string} feed - Feed name, so a cursor can't be replayed against another feed
+ * @param {Array} positions - Per source { page, offset }, or null for finished sources
+ * @param {Object} params - Parameters the sources were read with, if any
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(feed, positions, params = null) {
+  const state = {
+    v: CURSOR_VERSION,
+    f: feed,
+    p: positions.map(position => position ? [position.page, position.offset] : null),
+    ...(params && { q: params })
+  };
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor, or nothing for the first page
+ * @param {string} feed - Feed the cursor must belong to
+ * @param {number} sourceCount - Number of sources of the feed
+ * @param {Function} isValidParams - Check of the feed's parameters; by default a feed has none
+ * @returns {Object} { positions, params }: per source { page, offset } (null for finished
+ *   sources) and the parameters of the first page (null without a cursor)
+ * @throws {Error} VALIDATION_ERROR when the cursor is malformed or belongs to another feed
+ */
+function decodeCursor(cursor, feed, sourceCount, isValidParams = params => params === null) {
+  if (!cursor) {
+    return {
+      positions: Array.from({ length: sourceCount }, () => ({ page: 1, offset: 0 })),
+      params: null
+    };
+  }
+
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    state = null;
+  }
+
+  const valid = state !== null && typeof state === 'object' && state.v === CURSOR_VERSION && state.f === feed &&
+    Array.isArray(state.p) && state.p.length === sourceCount &&
+    state.p.every(position => position === null || isPosition(position)) &&
+    isValidParams(state.q === undefined ? null : state.q);
+  if (!valid) {
+    const error = new Error('Invalid cursor');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return {
+    positions: state.p.map(position => position && { page: position[0], offset: position[1] }),
+    params: state.q === undefined ? null : state.q
+  };
+}
+
+/**
+ * Read one page of a merged feed
+ * Sources must each be sorted by `compare`; ties go to the earlier source
+ * @param {Object} options - Feed options
+ * @param {string} options.feed - Feed name (see encodeCursor)
+ * @param {Array} options.sources - [{ label, fetchPage: (page) => Promise<{ results, total_pages, total_results }> }]
+ * @param {Function} options.compare - Sort order of the items, as for Array.prototype.sort
+ * @param {Array} options.positions - Where each source starts, from decodeCursor
+ * @param {number} options.pageSize - Items per page
+ * @param {Object} options.params - Parameters the sources are read with, kept in the cursor
+ * @returns {Promise<Object>} { results, nextCursor } (nextCursor is null on the last page)
+ * @throws {Error} The source's error when a source fails, since skipping it would lose its items for good
+ */
+async function readMergedFeed({ feed, sources, compare, positions, pageSize = 20, params = null }) {
+  const streams = sources.map((source, i) => positions[i]
+    ? new PagedStream(source.fetchPage, source.label, positions[i])
+    : null);
+  const active = () => streams.filter(stream => stream && !stream.done);
+  const results = [];
+
+  const throwIfFailed = () => {
+    const failed = streams.find(stream => stream && stream.error);
+    if (failed) throw failed.error;
+  };
+
+  while (results.length < pageSize) {
+    const heads = await Promise.all(active().map(async stream => ({ stream, item: await stream.peek() })));
+    throwIfFailed();
+
+    const candidates = heads.filter(head => head.item);
+    if (candidates.length === 0) break;
+
+    const first = candidates.reduce((best, head) => compare(head.item, best.item) < 0 ? head : best);
+    results.push(await first.stream.next());
+  }
+
+  // Look ahead so the last page doesn't hand out a cursor to an empty one
+  await Promise.all(active().map(stream => stream.peek()));
+  throwIfFailed();
+
+  const nextPositions = streams.map(stream => stream && stream.position);
+  return {
+    results,
+    nextCursor: nextPositions.some(Boolean) ? encodeCursor(feed, nextPositions, params) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  readMergedFeed
+};
@@ -0,0 +1,249 @@
+const TMDBService = require('./tmdb.service');
+const { PERSON_ROLES, CREDIT_MEDIA_TYPES, CREDIT_SORTS } = require('../config/roles');
+
+// TMDB departments mapped to filmography groups; other departments are keyed by their lowercased name
+const FILMOGRAPHY_DEPARTMENTS = {
+  Acting: 'acting',
+  Directing: 'directing',
+  Writing: 'writing',
+  Production: 'producing'
+};
+
+/**
+ * PersonService for handling people (actors, directors, writers, ...)
+ * Combines person details, external IDs, images and movie + TV credits into one profile
+ */
+class PersonService {
+  constructor(tmdbService) {
+    if (!tmdbService || !(tmdbService instanceof TMDBService)) {
+      throw new Error('Valid TMDBService instance is required');
+    }
+    this.tmdbService = tmdbService;
+  }
+
+  /**
+   * Get a person's full profile with their combined filmography
+   * @param {number} id - Person ID
+   * @returns {Object} Person profile
+   */
+  async getPersonDetails(id) {
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid person ID is required');
+    }
+
+    try {
+      const person = await this.tmdbService.getPerson(id, 'combined_credits,external_ids,images');
+      const externalIds = { ...person.external_ids };
+      delete externalIds.id;
+      const images = (person.images && person.images.profiles) || [];
+
+      return {
+        id: person.id,
+        name: person.name,
+        also_known_as: person.also_known_as || [],
+        biography: person.biography || '',
+        birthday: person.birthday || null,
+        deathday: person.deathday || null,
+        place_of_birth: person.place_of_birth || null,
+        gender: person.gender,
+        known_for_department: person.known_for_department,
+        homepage: person.homepage || null,
+        popularity: person.popularity,
+        profile_path: person.profile_path,
+        profile_url: person.profile_url,
+        profile_srcset: person.profile_srcset,
+        // Profile images come as file_path; shape them like profiles so they get URLs too
+        images: images.map(image => this.tmdbService.transformResponse({
+          profile_path: image.file_path,
+          width: image.width,
+          height: image.height,
+          aspect_ratio: image.aspect_ratio
+        })),
+        external_ids: externalIds,
+        filmography: this.buildFilmography(person.combined_credits)
+      };
+    } catch (error) {
+      const personError = new Error(`Failed to get person details: ${error.message}`);
+      personError.code = 'CONTENT_SERVICE_ERROR';
+      personError.originalError = error;
+      throw personError;
+    }
+  }
+
+  /**
+   * Get a person's titles in one role ("More from this composer")
+   * @param {number} id - Person ID
+   * @param {Object} options - { role, mediaType ('all', 'movie', 'tv'), sort, excludeId, excludeMediaType }
+   *   excludeId and excludeMediaType ('movie' or 'tv') name the title left out
+   * @returns {Object} Titles with the person's roles merged per title
+   */
+  async getPersonCredits(id, options = {}) {
+    const { role = 'director', mediaType = 'all', sort = 'newest', excludeId = null, excludeMediaType = null } = options;
+
+    if (!id || typeof id !== 'number') {
+      throw new Error('Valid person ID is required');
+    }
+
+    if (!PERSON_ROLES[role]) {
+      throw new Error(`Role must be one of: ${Object.keys(PERSON_ROLES).join(', ')}`);
+    }
+
+    if (!CREDIT_MEDIA_TYPES.includes(mediaType)) {
+      throw new Error(`Media type must be one of: ${CREDIT_MEDIA_TYPES.join(', ')}`);
+    }
+
+    if (!CREDIT_SORTS[sort]) {
+      throw new Error(`Sort must be one of: ${Object.keys(CREDIT_SORTS).join(', ')}`);
+    }
+
+    // Movie and TV ids are separate namespaces, so an id alone doesn't name a title
+    if (excludeId !== null && !['movie', 'tv'].includes(excludeMediaType)) {
+      throw new Error('Excluded media type must be movie or tv');
+    }
+    const excludeKey = excludeId !== null ? `${excludeMediaType}:${excludeId}` : null;
+
+    try {
+      const { cast = [], crew = [] } = await this.tmdbService.getPersonCombinedCredits(id);
+      const credits = PERSON_ROLES[role].cast
+        ? cast.map(credit => ({ credit, role: credit.character }))
+        : crew.filter(credit => this.matchesRole(credit, role)).map(credit => ({ credit, role: credit.job }));
+
+      const titles = new Map();
+      credits
+        .filter(({ credit }) => mediaType === 'all' || this.getMediaType(credit) === mediaType)
+        .filter(({ credit }) => this.getTitleKey(credit) !== excludeKey)
+        .forEach(({ credit, role: creditRole }) => this.addCredit(titles, credit, creditRole));
+
+      const results = this.sortTitles(Array.from(titles.values()), sort);
+
+      return {
+        person_id: id,
+        role,
+        media_type: mediaType,
+        sort,
+        total_results: results.length,
+        results
+      };
+    } catch (error) {
+      const personError = new Error(`Failed to get person credits: ${error.message}`);
+      personError.code = 'CONTENT_SERVICE_ERROR';
+      personError.originalError = error;
+      throw personError;
+    }
+  }
+
+  /**
+   * Check whether a crew credit is in a role
+   * @param {Object} credit - Crew credit
+   * @param {string} role - PERSON_ROLES key
+   * @returns {boolean} Whether the credit matches
+   */
+  matchesRole(credit, role) {
+    const { jobs = [], departments = [] } = PERSON_ROLES[role];
+    return jobs.includes(credit.job) || departments.includes(credit.department);
+  }
+
+  /**
+   * Group combined credits by department, one entry per title with all roles merged
+   * @param {Object} combinedCredits - { cast, crew } from TMDB combined_credits
+   * @returns {Object} Titles per department, newest first
+   */
+  buildFilmography(combinedCredits) {
+    const { cast = [], crew = [] } = combinedCredits || {};
+    const groups = { acting: new Map(), directing: new Map(), writing: new Map(), producing: new Map() };
+
+    const addToDepartment = (department, credit, role) => {
+      if (!groups[department]) {
+        groups[department] = new Map();
+      }
+      this.addCredit(groups[department], credit, role);
+    };
+
+    cast.forEach(credit => addToDepartment('acting', credit, credit.character));
+    crew.forEach(credit => {
+      const department = FILMOGRAPHY_DEPARTMENTS[credit.department] || String(credit.department || 'crew').toLowerCase();
+      addToDepartment(department, credit, credit.job);
+    });
+
+    return Object.keys(groups).reduce((filmography, department) => {
+      filmography[department] = this.sortTitles(Array.from(groups[department].values()), 'newest');
+      return filmography;
+    }, {});
+  }
+
+  /**
+   * Add a credit to a map of titles, merging roles and episode counts of the same title
+   * @param {Map} titles - Titles keyed by media type and ID
+   * @param {Object} credit - Credit from TMDB
+   * @param {string} role - Character or job
+   */
+  addCredit(titles, credit, role) {
+    const key = this.getTitleKey(credit);
+    const entry = titles.get(key) || this.formatFilmographyTitle(credit);
+
+    if (role && !entry.roles.includes(role)) {
+      entry.roles.push(role);
+    }
+    entry.episode_count += credit.episode_count || 0;
+    titles.set(key, entry);
+  }
+
+  /**
+   * Get the key of the title a credit is for
+   * @param {Object} credit - Credit from TMDB
+   * @returns {string} e.g. 'movie:550'
+   */
+  getTitleKey(credit) {
+    return `${this.getMediaType(credit)}:${credit.id}`;
+  }
+
+  /**
+   * Get the media type of a credit
+   * @param {Object} credit - Credit from TMDB
+   * @returns {string} 'movie' or 'tv'
+   */
+  getMediaType(credit) {
+    return credit.media_type || (credit.title ? 'movie' : 'tv');
+  }
+
+  /**
+   * Format a credit as a filmography title (without role information)
+   * @param {Object} credit - Credit from combined_credits
+   * @returns {Object} Filmography title
+   */
+  formatFilmographyTitle(credit) {
+    const mediaType = this.getMediaType(credit);
+
+    return {
+      id: credit.id,
+      media_type: mediaType,
+      title: credit.title || credit.name,
+      date: (mediaType === 'movie' ? credit.release_date : credit.first_air_date) || null,
+      poster_path: credit.poster_path,
+      poster_url: credit.poster_url,
+      poster_srcset: credit.poster_srcset,
+      vote_average: credit.vote_average,
+      vote_count: credit.vote_count,
+      popularity: credit.popularity,
+      roles: [],
+      episode_count: 0
+    };
+  }
+
+  /**
+   * Sort titles; undated (unannounced) titles come first when sorting by newest
+   * @param {Array} titles - Filmography titles
+   * @param {string} sort - CREDIT_SORTS key
+   * @returns {Array} Sorted titles
+   */
+  sortTitles(titles, sort) {
+    return titles.sort((a, b) => {
+      if (sort === 'newest' && !a.date !== !b.date) {
+        return a.date ? 1 : -1;
+      }
+      return CREDIT_SORTS[sort](a, b) || (b.popularity || 0) - (a.popularity || 0);
+    });
+  }
+}
+
+module.exports = PersonService;
@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_LOCALE } = require('../config/locale');
+
+/**
+ * Per-request context shared between middleware and services
+ * Lets TMDBService report what happened during a request (e.g. cache hits)
+ * without every service having to pass the information along
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create an empty request context
+ * @param {Object} locale - Optional { language, region } requested by the client
+ * @returns {Object} Request context
+ */
+function createRequestContext(locale = null) {
+  return {
+    cache: { hits: 0, misses: 0, stale: 0 },
+    locale,
+    images: null
+  };
+}
+
+/**
+ * Run a function inside a new request context
+ * @param {Function} fn - Function to run
+ * @param {Object} context - Optional context to use
+ * @returns {*} Return value of fn
+ */
+function runWithRequestContext(fn, context = createRequestContext()) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function outside of any request context
+ * For background work that shouldn't be attributed to the request that triggered it
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runOutsideRequestContext(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Get the context of the current request
+ * @returns {Object|undefined} Request context, undefined outside of a request
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Record a cache lookup outcome for the current request
+ * @param {string} outcome - 'hit', 'miss' or 'stale' (expired data served because TMDB failed)
+ */
+function recordCacheOutcome(outcome) {
+  const context = getRequestContext();
+  if (!context) return;
+
+  if (outcome === 'hit') {
+    context.cache.hits++;
+  } else if (outcome === 'miss') {
+    context.cache.misses++;
+  } else if (outcome === 'stale') {
+    context.cache.stale++;
+  }
+}
+
+/**
+ * Set the locale of the current request
+ * @param {Object} locale - { language, region }
+ */
+function setRequestLocale(locale) {
+  const context = getRequestContext();
+  if (context) {
+    context.locale = locale;
+  }
+}
+
+/**
+ * Get the locale of the current request
+ * @returns {Object} { language, region }, TMDB's defaults outside of a localized request
+ */
+function getRequestLocale() {
+  const context = getRequestContext();
+  return (context && context.locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Set the image options of the current request
+ * @param {Object} images - { size, srcset } where size is an IMAGE_SIZE_PRESETS name
+ */
+function setRequestImageOptions(images) {
+  const context = getRequestContext();
+  if (context) {
+    context.images = images;
+  }
+}
+
+/**
+ * Get the image options of the current request
+ * @returns {Object} { size, srcset }, default sizes without srcsets outside of a request
+ */
+function getRequestImageOptions() {
+  const context = getRequestContext();
+  return (context && context.images) || { size: null, srcset: false };
+}
+
+module.exports = {
+  createRequestContext,
+  runWithRequestContext,
+  runOutsideRequestContext,
+  getRequestContext,
+  recordCacheOutcome,
+  setRequestLocale,
+  getRequestLocale,
+  setRequestImageOptions,
+  getRequestImageOptions
+};
@@ -229,8 +229,10 @@ class SearchService {
       tagline: item.tagline || '',
       posterPath: item.poster_path,
       posterUrl: item.poster_url,
+      posterSrcset: item.poster_srcset,
       backdropPath: item.backdrop_path,
       backdropUrl: item.backdrop_url,
+      backdropSrcset: item.backdrop_srcset,
       popularity: item.popularity,
       voteAverage: item.vote_average,
       voteCount: item.vote_count,
@@ -261,6 +263,7 @@ class SearchService {
         originalName: item.original_name,
         profilePath: item.profile_path,
         profileUrl: item.profile_url,
+        profileSrcset: item.profile_srcset,
         popularity: item.popularity,
         adult: item.adult || false,
         knownFor: (item.known_for || []).map(knownItem => 
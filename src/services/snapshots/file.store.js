@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File-backed provider snapshot store
+ * Keeps every title's record in one JSON file so the history survives restarts.
+ * The file is read once; changes are batched and the file rewritten (atomically)
+ * at most once per flushDelayMs, or when flush() is called
+ */
+class FileSnapshotStore {
+  constructor({ file = '.cache/streaming/snapshots.json', flushDelayMs = 1000 } = {}) {
+    this.file = path.resolve(file);
+    this.flushDelayMs = flushDelayMs;
+    this.records = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+    this.dirty = false;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Load the records from disk on first use
+   * @returns {Promise<Object>} Records keyed by title key
+   */
+  async load() {
+    if (this.records) return this.records;
+
+    if (!this.loading) {
+      this.loading = fs.readFile(this.file, 'utf8')
+        .then(contents => JSON.parse(contents).records || {})
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.warn(`Could not read provider snapshots from ${this.file}:`, error.message);
+          }
+          return {};
+        })
+        .then(records => {
+          this.records = records;
+          return records;
+        });
+    }
+
+    return this.loading;
+  }
+
+  async get(key) {
+    const records = await this.load();
+    return records[key] ? JSON.parse(JSON.stringify(records[key])) : undefined;
+  }
+
+  async set(key, record) {
+    const records = await this.load();
+    records[key] = JSON.parse(JSON.stringify(record));
+    this.scheduleFlush();
+  }
+
+  async delete(key) {
+    const records = await this.load();
+    delete records[key];
+    this.scheduleFlush();
+  }
+
+  async values() {
+    const records = await this.load();
+    return Object.values(records).map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  async clear() {
+    this.records = {};
+    this.dirty = true;
+    await this.flush();
+  }
+
+  /**
+   * Write pending changes after flushDelayMs, batching the changes made until then
+   */
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(error => {
+        console.warn(`Could not write provider snapshots to ${this.file}:`, error.message);
+      });
+    }, this.flushDelayMs);
+    // Don't keep the process alive just for a pending write
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise} Resolves once the records are on disk
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.dirty) return this.writing.catch(() => {});
+
+    this.dirty = false;
+    return this.persist();
+  }
+
+  /**
+   * Write the records, one write at a time so later changes are never
+   * overwritten by an earlier, slower write
+   */
+  async persist() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+      // Write to a temporary file first so readers never see a partial file
+      const tempPath = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ version: 1, records: this.records }));
+      await fs.rename(tempPath, this.file);
+    };
+
+    this.writing = this.writing.catch(() => {}).then(write);
+    return this.writing;
+  }
+}
+
+module.exports = FileSnapshotStore;
@@ -0,0 +1,28 @@
+const MemorySnapshotStore = require('./memory.store');
+const FileSnapshotStore = require('./file.store');
+const ProviderSnapshotJob = require('./snapshot.job');
+
+/**
+ * Create a provider snapshot store for the configured backend
+ * @param {Object} options - Snapshot options (backend, file)
+ * @returns {MemorySnapshotStore|FileSnapshotStore} Snapshot store
+ */
+function createSnapshotStore(options = {}) {
+  const { backend = 'memory' } = options;
+
+  switch (backend) {
+    case 'memory':
+      return new MemorySnapshotStore();
+    case 'file':
+      return new FileSnapshotStore({ file: options.file });
+    default:
+      throw new Error(`Unsupported snapshot backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  MemorySnapshotStore,
+  FileSnapshotStore,
+  ProviderSnapshotJob,
+  createSnapshotStore
+};
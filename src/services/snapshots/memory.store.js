@@ -0,0 +1,46 @@
+/**
+ * In-memory provider snapshot store
+ * Snapshots are lost on restart; used in tests and when persistence is disabled
+ */
+class MemorySnapshotStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get the snapshot record of a title
+   * @param {string} key - Title key (e.g. movie:550)
+   * @returns {Promise<Object|undefined>} Record, undefined when never observed
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? JSON.parse(JSON.stringify(record)) : undefined;
+  }
+
+  async set(key, record) {
+    this.records.set(key, JSON.parse(JSON.stringify(record)));
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Save pending changes (nothing to save in memory)
+   */
+  async flush() {}
+
+  /**
+   * Get every stored record
+   * @returns {Promise<Array>} Records
+   */
+  async values() {
+    return Array.from(this.records.values()).map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+module.exports = MemorySnapshotStore;
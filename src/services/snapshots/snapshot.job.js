@@ -0,0 +1,205 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Background job that snapshots watch providers
+ * Each run fetches the providers of popular titles plus every title already
+ * being tracked and records them, so provider changes are observed over time.
+ * Titles nobody requested within the retention period stop being tracked
+ */
+class ProviderSnapshotJob {
+  /**
+   * @param {TMDBService} tmdbService - TMDB service
+   * @param {StreamingDatesService} streamingDates - Records the snapshots
+   * @param {Object} options - { intervalMs, popularPages, maxTrackedTitles, retentionDays, maxConcurrent }
+   */
+  constructor(tmdbService, streamingDates, {
+    intervalMs = 6 * 60 * 60 * 1000,
+    popularPages = 1,
+    maxTrackedTitles = 500,
+    retentionDays = 90,
+    maxConcurrent = 4
+  } = {}) {
+    if (!tmdbService || !streamingDates) {
+      throw new Error('TMDBService and StreamingDatesService instances are required');
+    }
+
+    this.tmdbService = tmdbService;
+    this.streamingDates = streamingDates;
+    this.intervalMs = intervalMs;
+    this.popularPages = popularPages;
+    this.maxTrackedTitles = maxTrackedTitles;
+    this.retentionDays = retentionDays;
+    this.maxConcurrent = maxConcurrent;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Run now and then every intervalMs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.run().catch(() => {});
+    this.timer = setInterval(() => this.run().catch(() => {}), this.intervalMs);
+    // Don't keep the process alive just for snapshots
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Snapshot the providers of every collected title
+   * Concurrent calls share the run in progress
+   * @returns {Promise<Object>} { started_at, finished_at, titles, recorded, failed, pruned }
+   */
+  async run() {
+    if (!this.running) {
+      this.running = this.snapshotAll().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  async snapshotAll() {
+    const startedAt = new Date().toISOString();
+    const titles = await this.collectTitles();
+    let recorded = 0;
+    let failed = 0;
+
+    for (let i = 0; i < titles.length; i += this.maxConcurrent) {
+      const batch = titles.slice(i, i + this.maxConcurrent);
+
+      await Promise.all(batch.map(async ({ mediaType, title }) => {
+        try {
+          const watchProviders = mediaType === 'movie'
+            ? await this.tmdbService.getMovieWatchProviders(title.id)
+            : await this.tmdbService.getTVWatchProviders(title.id);
+
+          await this.streamingDates.recordSnapshot(mediaType, title, watchProviders);
+          recorded++;
+        } catch (error) {
+          failed++;
+        }
+      }));
+    }
+
+    if (failed > 0) {
+      console.warn(`Provider snapshot job could not snapshot ${failed} of ${titles.length} titles`);
+    }
+
+    const pruned = await this.pruneTitles(titles);
+
+    try {
+      // Stores may batch writes; the whole run is saved at once
+      await this.streamingDates.store.flush();
+    } catch (error) {
+      console.warn('Provider snapshot job could not save snapshots:', error.message);
+    }
+
+    this.lastRun = { started_at: startedAt, finished_at: new Date().toISOString(), titles: titles.length, recorded, failed, pruned };
+    return this.lastRun;
+  }
+
+  /**
+   * Collect the titles to snapshot: tracked titles first (up to maxTrackedTitles), then popular ones
+   * @returns {Promise<Array>} [{ mediaType, title, popular }] without duplicates
+   */
+  async collectTitles() {
+    const titles = new Map();
+    const add = (mediaType, title, popular = false) => {
+      const key = this.streamingDates.getKey(mediaType, title.id);
+      const entry = titles.get(key) || { mediaType, title, popular };
+      entry.popular = entry.popular || popular;
+      titles.set(key, entry);
+    };
+
+    try {
+      const tracked = new Map((await this.streamingDates.store.values())
+        .map(record => [this.streamingDates.getKey(record.media_type, record.id), {
+          mediaType: record.media_type,
+          title: { id: record.id, ...this.getTitleFields(record) },
+          lastObservedAt: record.last_observed_at
+        }]));
+
+      // Requested titles without a snapshot yet are tracked from this run
+      this.streamingDates.getRequestedTitles().forEach(({ mediaType, title }) => {
+        const key = this.streamingDates.getKey(mediaType, title.id);
+        if (!tracked.has(key)) tracked.set(key, { mediaType, title, lastObservedAt: null });
+      });
+
+      Array.from(tracked.values())
+        // Titles never observed go first, then the least recently observed,
+        // so the cap rotates through every title
+        .sort((a, b) => this.compareObserved(a.lastObservedAt, b.lastObservedAt))
+        .slice(0, this.maxTrackedTitles)
+        .forEach(({ mediaType, title }) => add(mediaType, title));
+    } catch (error) {
+      console.warn('Provider snapshot job could not read tracked titles:', error.message);
+    }
+
+    for (let page = 1; page <= this.popularPages; page++) {
+      const [movies, shows] = await Promise.allSettled([
+        this.tmdbService.getPopularMovies(page),
+        this.tmdbService.getPopularTV(page)
+      ]);
+
+      if (movies.status === 'fulfilled') (movies.value.results || []).forEach(movie => add('movie', movie, true));
+      if (shows.status === 'fulfilled') (shows.value.results || []).forEach(show => add('tv', show, true));
+    }
+
+    return Array.from(titles.values());
+  }
+
+  /**
+   * Stop tracking titles not requested within the retention period
+   * Titles popular in this run are kept
+   * @param {Array} titles - Titles of this run, from collectTitles
+   * @returns {Promise<number>} Titles removed
+   */
+  async pruneTitles(titles) {
+    const keep = new Set(titles
+      .filter(({ popular }) => popular)
+      .map(({ mediaType, title }) => this.streamingDates.getKey(mediaType, title.id)));
+
+    try {
+      const before = new Date(this.streamingDates.now().getTime() - this.retentionDays * DAY_MS);
+      return await this.streamingDates.pruneTitles({ before, keep });
+    } catch (error) {
+      console.warn('Provider snapshot job could not prune tracked titles:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Order last_observed_at times, never observed (null) first
+   * @param {string|null} a - ISO time
+   * @param {string|null} b - ISO time
+   * @returns {number} Sort order
+   */
+  compareObserved(a, b) {
+    if (a === b) return 0;
+    if (!a) return -1;
+    if (!b) return 1;
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Get the title fields kept in a snapshot record
+   * @param {Object} record - Snapshot record
+   * @returns {Object} { title, poster_path, release_date } or {}
+   */
+  getTitleFields(record) {
+    return record.details
+      ? { title: record.details.title, poster_path: record.details.poster_path, release_date: record.details.release_date }
+      : {};
+  }
+}
+
+module.exports = ProviderSnapshotJob;
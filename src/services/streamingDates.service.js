@@ -0,0 +1,415 @@
+const TMDBService = require('./tmdb.service');
+const { getRequestLocale } = require('./requestContext');
+const { MemorySnapshotStore } = require('./snapshots');
+const { formatReleaseDates } = require('../config/releases');
+const {
+  STREAMING_PROVIDER_TYPES,
+  STREAMING_DATE_SOURCES,
+  DEFAULT_PROVIDER_FEED_DAYS,
+  getObservationConfidence
+} = require('../config/streaming');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_PAGE_SIZE = 20;
+const MAX_REQUESTED_TITLES = 5000; // Requested titles held until the snapshot job gets to them
+
+/**
+ * StreamingDatesService for working out when titles became available to stream
+ * Dates are derived from TMDB digital release dates and from provider changes
+ * observed between watch-provider snapshots, so they're the same on every request
+ */
+class StreamingDatesService {
+  /**
+   * @param {TMDBService} tmdbService - TMDB service
+   * @param {Object} options - { store, now }
+   */
+  constructor(tmdbService, { store = new MemorySnapshotStore(), now = () => new Date() } = {}) {
+    if (!tmdbService || !(tmdbService instanceof TMDBService)) {
+      throw new Error('Valid TMDBService instance is required');
+    }
+    this.tmdbService = tmdbService;
+    this.store = store;
+    this.now = now;
+    // Titles requested since the snapshot job last observed them, by title key;
+    // kept in memory so requests never write to the store
+    this.requested = new Map();
+  }
+
+  /**
+   * Get the snapshot store key of a title
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {number} id - Content ID
+   * @returns {string} Key (e.g. movie:550)
+   */
+  getKey(mediaType, id) {
+    return `${mediaType}:${id}`;
+  }
+
+  /**
+   * Create the snapshot record of a title that hasn't been observed yet
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} title - Title with id
+   * @returns {Object} Snapshot record
+   */
+  createRecord(mediaType, title) {
+    return {
+      media_type: mediaType,
+      id: title.id,
+      details: null,
+      first_observed_at: null,
+      last_observed_at: null,
+      last_requested_at: null,
+      regions: {}
+    };
+  }
+
+  /**
+   * Keep the title fields feeds show on a snapshot record
+   * @param {Object} record - Snapshot record
+   * @param {Object} title - Title with title/name, poster_path and release date
+   */
+  setRecordDetails(record, title) {
+    if (title.title || title.name) {
+      record.details = {
+        title: title.title || title.name,
+        poster_path: title.poster_path || null,
+        release_date: title.release_date || title.first_air_date || null
+      };
+    }
+  }
+
+  /**
+   * Note a request for a title, so the snapshot job tracks it from its next run
+   * Observations only come from the job, so provider dates follow the job's
+   * interval rather than request traffic
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} title - Title with id (and title/name, poster_path for feeds)
+   * @returns {boolean} False when too many requested titles are waiting for the job
+   */
+  trackTitle(mediaType, title) {
+    const key = this.getKey(mediaType, title.id);
+    if (!this.requested.has(key) && this.requested.size >= MAX_REQUESTED_TITLES) return false;
+
+    // Only the fields snapshot records keep, not the whole TMDB title
+    this.requested.set(key, {
+      mediaType,
+      title: {
+        id: title.id,
+        title: title.title || title.name,
+        poster_path: title.poster_path || null,
+        release_date: title.release_date || title.first_air_date || null
+      },
+      requested_at: this.now().toISOString()
+    });
+    return true;
+  }
+
+  /**
+   * Get the titles requested since the snapshot job last observed them
+   * @returns {Array} [{ mediaType, title, requested_at }]
+   */
+  getRequestedTitles() {
+    return Array.from(this.requested.values());
+  }
+
+  /**
+   * Stop tracking titles nobody requested in a long time
+   * Titles never requested count from their first snapshot
+   * @param {Object} options - { before, keep }
+   * @param {Date} options.before - Titles last requested before this are removed
+   * @param {Set} options.keep - Title keys to keep regardless (e.g. popular titles)
+   * @returns {Promise<number>} Titles removed
+   */
+  async pruneTitles({ before, keep = new Set() }) {
+    const cutoff = new Date(before).toISOString();
+    const records = await this.store.values();
+    const stale = records.filter(record => {
+      const key = this.getKey(record.media_type, record.id);
+      const lastWanted = record.last_requested_at || record.first_observed_at;
+      return !keep.has(key) && !this.requested.has(key) && lastWanted && lastWanted < cutoff;
+    });
+
+    await Promise.all(stale.map(record => this.store.delete(this.getKey(record.media_type, record.id))));
+    return stale.length;
+  }
+
+  /**
+   * Record a watch-provider snapshot of a title
+   * Providers missing from the previous snapshot are recorded as added since
+   * then, providers that disappeared as removed
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} title - Title with id (and title/name, poster_path for feeds)
+   * @param {Object} watchProviders - watch/providers data from TMDB
+   * @param {Date} observedAt - When the snapshot was taken
+   * @returns {Promise<Object>} Updated snapshot record
+   */
+  async recordSnapshot(mediaType, title, watchProviders, observedAt = this.now()) {
+    const key = this.getKey(mediaType, title.id);
+    const observed = new Date(observedAt).toISOString();
+    const record = (await this.store.get(key)) || this.createRecord(mediaType, title);
+    this.setRecordDetails(record, title);
+
+    // An older snapshot can't be placed in the history any more
+    if (record.last_observed_at && observed <= record.last_observed_at) {
+      return record;
+    }
+
+    const request = this.requested.get(key);
+    if (request) {
+      record.last_requested_at = request.requested_at;
+      this.requested.delete(key);
+    }
+
+    const results = (watchProviders && watchProviders.results) || {};
+    const regions = new Set([...Object.keys(results), ...Object.keys(record.regions)]);
+
+    regions.forEach(region => {
+      const providers = record.regions[region] || {};
+      const current = this.getStreamingProviders(results[region]);
+
+      current.forEach(provider => {
+        const known = providers[provider.provider_id];
+        if (known && !known.removed_at) {
+          known.types = provider.types;
+          known.last_seen_at = observed;
+          return;
+        }
+
+        providers[provider.provider_id] = {
+          ...provider,
+          // null when the provider was already there at the first snapshot
+          added_after: record.last_observed_at,
+          first_seen_at: observed,
+          last_seen_at: observed,
+          removed_at: null
+        };
+      });
+
+      Object.values(providers).forEach(provider => {
+        if (!provider.removed_at && !current.some(entry => entry.provider_id === provider.provider_id)) {
+          provider.removed_at = observed;
+        }
+      });
+
+      record.regions[region] = providers;
+    });
+
+    record.first_observed_at = record.first_observed_at || observed;
+    record.last_observed_at = observed;
+    await this.store.set(key, record);
+    return record;
+  }
+
+  /**
+   * Get the streaming providers of one region, merging a provider's offer types
+   * @param {Object} regionalProviders - One region of watch/providers results
+   * @returns {Array} [{ provider_id, provider_name, logo_path, types }]
+   */
+  getStreamingProviders(regionalProviders) {
+    const providers = new Map();
+    if (!regionalProviders) return [];
+
+    STREAMING_PROVIDER_TYPES.forEach(type => {
+      (regionalProviders[type] || []).forEach(provider => {
+        const entry = providers.get(provider.provider_id) || {
+          provider_id: provider.provider_id,
+          provider_name: provider.provider_name,
+          logo_path: provider.logo_path || null,
+          types: []
+        };
+        entry.types.push(type);
+        providers.set(provider.provider_id, entry);
+      });
+    });
+
+    return Array.from(providers.values());
+  }
+
+  /**
+   * Work out when a title became available to stream in the request's region
+   * Reads snapshots only; the request is noted for the snapshot job
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {Object} title - Title with id and release_date / first_air_date
+   * @param {Object} options - Data already fetched for the title
+   * @param {Object} options.releaseDates - release_dates data (fetched for movies when omitted)
+   * @returns {Promise<Object>} { date, confidence, source, provider, window }
+   */
+  async getStreamingDate(mediaType, title, { releaseDates } = {}) {
+    const { region } = getRequestLocale();
+
+    let record;
+    try {
+      this.trackTitle(mediaType, title);
+      record = await this.store.get(this.getKey(mediaType, title.id));
+    } catch (error) {
+      // A broken snapshot store must never fail the request
+      console.warn(`Provider snapshot failed for ${this.getKey(mediaType, title.id)}:`, error.message);
+    }
+
+    const regionalDates = mediaType === 'movie'
+      ? await this.getRegionalReleaseDates(title.id, region, releaseDates)
+      : null;
+
+    return this.resolveStreamingDate({
+      providers: record && record.regions[region] ? Object.values(record.regions[region]) : [],
+      digitalReleaseDate: regionalDates ? regionalDates.digital : null,
+      theatricalReleaseDate: regionalDates ? regionalDates.theatrical || regionalDates.theatrical_limited : null,
+      releaseDate: title.release_date || title.first_air_date || null
+    });
+  }
+
+  /**
+   * Get a movie's release dates by type in a region
+   * @param {number} movieId - Movie ID
+   * @param {string} region - ISO 3166-1 country code
+   * @param {Object} releaseDates - release_dates data, fetched when omitted
+   * @returns {Promise<Object|null>} Dates by release type, null when unavailable
+   */
+  async getRegionalReleaseDates(movieId, region, releaseDates) {
+    try {
+      const data = releaseDates || await this.tmdbService.getMovieReleaseDates(movieId);
+      const regional = formatReleaseDates(data)[region];
+      return regional ? regional.dates : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pick the best-supported streaming date
+   * 1. A provider addition observed between snapshots (confirmed by the digital
+   *    release date when that falls in the same window)
+   * 2. The digital release date, most reliable for streaming originals that
+   *    had no theatrical run before it
+   * 3. The release date, a lower bound
+   * @param {Object} evidence - { providers, digitalReleaseDate, theatricalReleaseDate, releaseDate }
+   * @returns {Object} { date, confidence, source, provider, window }
+   */
+  resolveStreamingDate({ providers = [], digitalReleaseDate = null, theatricalReleaseDate = null, releaseDate = null }) {
+    const active = providers.filter(provider => !provider.removed_at);
+    const addition = active
+      .filter(provider => provider.added_after)
+      .sort((a, b) => b.first_seen_at.localeCompare(a.first_seen_at))[0];
+
+    if (addition) {
+      const window = { from: addition.added_after.split('T')[0], to: addition.first_seen_at.split('T')[0] };
+      const provider = this.formatProvider(addition);
+
+      if (digitalReleaseDate && digitalReleaseDate >= window.from && digitalReleaseDate <= window.to) {
+        return { date: digitalReleaseDate, confidence: 'high', source: STREAMING_DATE_SOURCES.digitalRelease, provider, window };
+      }
+
+      const gapDays = (new Date(addition.first_seen_at) - new Date(addition.added_after)) / DAY_MS;
+      return { date: window.to, confidence: getObservationConfidence(gapDays), source: STREAMING_DATE_SOURCES.snapshot, provider, window };
+    }
+
+    const provider = active.length > 0 ? this.formatProvider(active[0]) : null;
+
+    if (digitalReleaseDate) {
+      const streamingFirst = !theatricalReleaseDate || theatricalReleaseDate >= digitalReleaseDate;
+      return {
+        date: digitalReleaseDate,
+        confidence: streamingFirst ? 'high' : 'medium',
+        source: STREAMING_DATE_SOURCES.digitalRelease,
+        provider,
+        window: null
+      };
+    }
+
+    if (releaseDate) {
+      return { date: releaseDate, confidence: 'low', source: STREAMING_DATE_SOURCES.releaseDate, provider, window: null };
+    }
+
+    return { date: null, confidence: 'none', source: null, provider, window: null };
+  }
+
+  /**
+   * Get the titles that arrived on ('new') or left ('leaving') a provider in
+   * the request's region, as observed between snapshots
+   * @param {number} providerId - TMDB watch provider ID
+   * @param {Object} options - { change, days, mediaType, page }
+   * @returns {Promise<Object>} Paginated titles, most recent change first
+   */
+  async getProviderFeed(providerId, { change = 'new', days = DEFAULT_PROVIDER_FEED_DAYS, mediaType = 'all', page = 1 } = {}) {
+    const { region } = getRequestLocale();
+    const since = new Date(this.now().getTime() - days * DAY_MS).toISOString();
+    let provider = null;
+
+    try {
+      const records = await this.store.values();
+      const items = [];
+
+      records.forEach(record => {
+        const entry = record.regions[region] && record.regions[region][providerId];
+        if (!entry || (mediaType !== 'all' && record.media_type !== mediaType)) return;
+
+        provider = provider || this.formatProvider(entry);
+
+        const window = this.getChangeWindow(entry, change);
+        if (!window || window.to < since) return;
+
+        const gapDays = (new Date(window.to) - new Date(window.from)) / DAY_MS;
+        items.push(this.tmdbService.transformResponse({
+          media_type: record.media_type,
+          id: record.id,
+          title: record.details ? record.details.title : null,
+          poster_path: record.details ? record.details.poster_path : null,
+          release_date: record.details ? record.details.release_date : null,
+          date: window.to.split('T')[0],
+          confidence: getObservationConfidence(gapDays),
+          window: { from: window.from.split('T')[0], to: window.to.split('T')[0] }
+        }));
+      });
+
+      items.sort((a, b) => b.date.localeCompare(a.date) || String(a.title).localeCompare(String(b.title)));
+
+      return {
+        provider: provider || { provider_id: providerId, provider_name: null, logo_path: null },
+        region,
+        change,
+        days,
+        media_type: mediaType,
+        page,
+        total_pages: Math.max(Math.ceil(items.length / FEED_PAGE_SIZE), 1),
+        total_results: items.length,
+        results: items.slice((page - 1) * FEED_PAGE_SIZE, page * FEED_PAGE_SIZE)
+      };
+    } catch (error) {
+      const feedError = new Error(`Failed to get provider feed: ${error.message}`);
+      feedError.code = 'CONTENT_SERVICE_ERROR';
+      feedError.originalError = error;
+      throw feedError;
+    }
+  }
+
+  /**
+   * Get the snapshot window a provider change happened in
+   * @param {Object} provider - Provider from a snapshot record
+   * @param {string} change - 'new' or 'leaving'
+   * @returns {Object|null} { from, to } timestamps, null when the change wasn't observed
+   */
+  getChangeWindow(provider, change) {
+    if (change === 'leaving') {
+      return provider.removed_at ? { from: provider.last_seen_at, to: provider.removed_at } : null;
+    }
+
+    return !provider.removed_at && provider.added_after
+      ? { from: provider.added_after, to: provider.first_seen_at }
+      : null;
+  }
+
+  /**
+   * Format a recorded provider for responses
+   * @param {Object} provider - Provider from a snapshot record
+   * @returns {Object} { provider_id, provider_name, logo_path }
+   */
+  formatProvider(provider) {
+    return {
+      provider_id: provider.provider_id,
+      provider_name: provider.provider_name,
+      logo_path: provider.logo_path
+    };
+  }
+}
+
+module.exports = StreamingDatesService;
@@ -1,18 +1,68 @@
 const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const { HttpTransport, createTransport } = require('./transports');
+const {
+  recordCacheOutcome,
+  getRequestContext,
+  getRequestImageOptions,
+  runOutsideRequestContext
+} = require('./requestContext');
+const { getLocaleParams } = require('../config/locale');
+const {
+  IMAGE_TYPES,
+  DEFAULT_IMAGE_CONFIGURATION,
+  DEFAULT_IMAGE_SIZES,
+  IMAGE_SIZE_PRESETS,
+  resolveImageSize
+} = require('../config/images');
 
 /**
  * TMDB Service for handling all interactions with The Movie Database API
  * Provides authentication, rate limiting, error handling, and response transformation
  */
 class TMDBService {
-  constructor(apiKey, baseURL = 'https://api.themoviedb.org/3') {
-    if (!apiKey) {
-      throw new Error('TMDB API key is required');
+  constructor(apiKey, baseURL = 'https://api.themoviedb.org/3', options = {}) {
+    // Replaying recorded fixtures works fully offline, so no credentials are needed
+    const isReplay = options.transport && options.transport.mode === 'replay';
+    if (!apiKey && !options.accessToken && !isReplay) {
+      throw new Error('TMDB API key or access token is required');
     }
 
     this.apiKey = apiKey;
+    this.accessToken = options.accessToken || null;
+    // v4 read access tokens go in a header and take precedence over the v3 api_key query parameter
+    this.authMode = this.accessToken ? 'bearer' : 'api_key';
     this.baseURL = baseURL;
-    this.imageBaseURL = 'https://image.tmdb.org/t/p/';
+
+    // Image CDN settings, replaced by TMDB's /configuration once loadImageConfiguration has run
+    this.imageBaseURL = DEFAULT_IMAGE_CONFIGURATION.baseUrl;
+    this.imageSizes = { ...DEFAULT_IMAGE_CONFIGURATION.sizes };
+    this.imageConfigTtlMs = options.imageConfigTtlMs || 24 * 60 * 60 * 1000;
+    this.imageConfigLoadedAt = null;
+    this.imageConfigAttemptedAt = null;
+    this.imageConfigPromise = null;
+
+    // Optional response cache (see services/cache), shared by all callers of makeRequest
+    this.cache = options.cache || null;
+
+    // Single-flight bookkeeping: identical concurrent requests share one upstream call
+    this.inFlightRequests = new Map();
+    this.coalescedRequestCount = 0;
+
+    // Retries for transient failures (429, 5xx, network errors)
+    this.retryOptions = {
+      maxRetries: 2,
+      baseDelayMs: 300,
+      maxDelayMs: 5000,
+      budgetMs: 10000, // Total time a single request may spend retrying
+      ...options.retry
+    };
+
+    // Locale for calls made outside of a localized request (e.g. { language: 'en-US', region: 'US' })
+    this.defaultLocale = options.locale || null;
+
+    // Circuit breaker so a TMDB outage fails fast instead of waiting for timeouts
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
     
     // Rate limiting: TMDB allows 40 requests per 10 seconds
     this.requestQueue = [];
@@ -24,9 +74,7 @@ class TMDBService {
     this.axiosInstance = axios.create({
       baseURL: this.baseURL,
       timeout: 10000,
-      params: {
-        api_key: this.apiKey
-      }
+      ...this.getAuthConfig()
     });
 
     // Add response interceptor for error handling
@@ -34,6 +82,24 @@ class TMDBService {
       (response) => response,
       (error) => this.handleAPIError(error)
     );
+
+    // Transport used for upstream calls: live HTTP, or record/replay of fixtures
+    this.transport = createTransport(
+      options.transport,
+      new HttpTransport(() => this.axiosInstance)
+    );
+  }
+
+  /**
+   * Build the axios config that authenticates requests
+   * @returns {Object} Headers for bearer auth, or default params for api_key auth
+   */
+  getAuthConfig() {
+    if (this.authMode === 'bearer') {
+      return { headers: { Authorization: `Bearer ${this.accessToken}` } };
+    }
+
+    return { params: { api_key: this.apiKey } };
   }
 
   /**
@@ -71,11 +137,16 @@ class TMDBService {
       // TMDB API returned an error response
       const { status, data } = error.response;
       
-      const tmdbError = new Error(data.status_message || 'TMDB API Error');
+      const tmdbError = new Error((data && data.status_message) || 'TMDB API Error');
       tmdbError.code = 'TMDB_API_ERROR';
       tmdbError.status = status;
-      tmdbError.tmdbCode = data.status_code;
+      tmdbError.tmdbCode = data && data.status_code;
       tmdbError.originalError = error;
+
+      const retryAfterMs = this.parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+      if (retryAfterMs !== null) {
+        tmdbError.retryAfterMs = retryAfterMs;
+      }
       
       throw tmdbError;
     } else if (error.request) {
@@ -96,52 +167,423 @@ class TMDBService {
   }
 
   /**
-   * Make authenticated request to TMDB API with rate limiting
+   * Build a stable key identifying a request by endpoint and params
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {Object} params - Query parameters
+   * @returns {string} Request key
+   */
+  buildRequestKey(endpoint, params = {}) {
+    const query = Object.keys(params)
+      .filter(key => params[key] !== undefined && params[key] !== null && key !== 'api_key')
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+
+    return query ? `${endpoint}?${query}` : endpoint;
+  }
+
+  /**
+   * Make authenticated request to TMDB API with caching, coalescing and rate limiting
    */
   async makeRequest(endpoint, params = {}) {
-    await this.enforceRateLimit();
+    if (endpoint !== '/configuration') {
+      this.refreshImageConfigurationIfStale();
+    }
+    params = this.applyLocale(endpoint, params);
+    const requestKey = this.buildRequestKey(endpoint, params);
+
+    let cached = null;
+    if (this.cache) {
+      cached = await this.cache.get(requestKey);
+      if (cached && !cached.stale) {
+        recordCacheOutcome('hit');
+        return this.transformResponse(cached.value);
+      }
+    }
 
     try {
-      const response = await this.axiosInstance.get(endpoint, { params });
-      return this.transformResponse(response.data);
+      const data = await this.coalesceRequest(requestKey, () =>
+        this.fetchFromUpstream(endpoint, params, requestKey)
+      );
+
+      return this.transformResponse(data);
     } catch (error) {
-      throw error; // Error already handled by interceptor
+      // Serve last-known-good data while TMDB is unavailable
+      if (cached && this.isUpstreamUnavailableError(error)) {
+        console.warn(`Serving stale cached data for ${requestKey}:`, error.message);
+        recordCacheOutcome('stale');
+        return this.transformResponse(cached.value);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add the current request's language and region to the params an endpoint supports
+   * Locale is part of the params, so cache and coalescing keys stay per-locale
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {Object} params - Query parameters
+   * @returns {Object} Params with locale parameters added
+   */
+  applyLocale(endpoint, params) {
+    const context = getRequestContext();
+    const locale = (context && context.locale) || this.defaultLocale;
+    if (!locale) return params;
+
+    return { ...params, ...getLocaleParams(endpoint, params, locale) };
+  }
+
+  /**
+   * Fetch raw data from TMDB and populate the cache
+   * Transient failures are retried with jittered exponential backoff; every TMDB
+   * call is an idempotent GET so retrying is always safe
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {Object} params - Query parameters
+   * @param {string} requestKey - Key from buildRequestKey
+   * @returns {Promise<Object>} Raw (untransformed) response data
+   */
+  async fetchFromUpstream(endpoint, params, requestKey) {
+    const { maxRetries, budgetMs } = this.retryOptions;
+    const startedAt = Date.now();
+    let attempt = 0;
+
+    while (true) {
+      if (!this.circuitBreaker.allowRequest()) {
+        throw this.createCircuitOpenError(attempt);
+      }
+
+      // Replayed fixtures never reach TMDB, so they don't count towards its rate limit
+      if (!this.transport.offline) {
+        await this.enforceRateLimit();
+      }
+
+      try {
+        const data = await this.transport.get(endpoint, params, requestKey);
+        this.circuitBreaker.recordSuccess();
+
+        if (this.cache) {
+          await this.cache.set(requestKey, data, endpoint);
+          recordCacheOutcome('miss');
+        }
+
+        return data;
+      } catch (error) {
+        // Error already transformed by the interceptor
+        if (this.isUpstreamFailure(error)) {
+          this.circuitBreaker.recordFailure(error);
+        } else if (error.status === 429) {
+          // Rate limiting is about our request volume, not whether TMDB is healthy
+          this.circuitBreaker.recordNeutral();
+        } else {
+          // Client errors (404 etc.) still prove TMDB is reachable
+          this.circuitBreaker.recordSuccess();
+        }
+
+        const retryable = this.isRetryableError(error);
+        const delay = this.getRetryDelay(error, attempt);
+        const withinBudget = Date.now() - startedAt + delay <= budgetMs;
+
+        if (!retryable || attempt >= maxRetries || !withinBudget) {
+          if (attempt > 0) {
+            error.retries = attempt;
+            error.retryExhausted = retryable;
+            console.warn(`TMDB request ${requestKey} failed after ${attempt} ${attempt === 1 ? 'retry' : 'retries'}:`, error.message);
+          }
+          throw error;
+        }
+
+        attempt++;
+        console.warn(`Retrying TMDB request ${requestKey} in ${delay}ms (attempt ${attempt}/${maxRetries}):`, error.message);
+        await this.delay(delay);
+      }
+    }
+  }
+
+  /**
+   * Check whether a failed request is worth retrying
+   * @param {Error} error - Error from handleAPIError
+   * @returns {boolean} True for rate limiting, server and network errors
+   */
+  isRetryableError(error) {
+    if (error.code === 'NETWORK_ERROR') {
+      return true;
+    }
+
+    if (error.code === 'TMDB_API_ERROR' && error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether an error indicates TMDB itself is failing (counts towards the breaker)
+   * @param {Error} error - Error from handleAPIError
+   * @returns {boolean} True for network and server errors
+   */
+  isUpstreamFailure(error) {
+    if (error.code === 'NETWORK_ERROR') {
+      return true;
+    }
+
+    return error.code === 'TMDB_API_ERROR' && error.status >= 500;
+  }
+
+  /**
+   * Check whether an error means TMDB could not serve the request, so stale data may be used
+   * @param {Error} error - Error thrown by fetchFromUpstream
+   * @returns {boolean} True when falling back to stale data is appropriate
+   */
+  isUpstreamUnavailableError(error) {
+    return error.code === 'SERVICE_UNAVAILABLE' || this.isRetryableError(error);
+  }
+
+  /**
+   * Create the fail-fast error thrown while the circuit breaker is open
+   * @param {number} retries - Retries already made for this request
+   * @returns {Error} Service unavailable error
+   */
+  createCircuitOpenError(retries = 0) {
+    const error = new Error('TMDB API is temporarily unavailable');
+    error.code = 'SERVICE_UNAVAILABLE';
+    error.status = 503;
+    error.circuitState = this.circuitBreaker.state;
+    error.retryAfterMs = this.circuitBreaker.getRetryAfterMs();
+    if (retries > 0) {
+      error.retries = retries;
+    }
+    return error;
+  }
+
+  /**
+   * Report upstream health (circuit breaker, cache and coalescing stats)
+   * @returns {Object} Upstream status
+   */
+  getUpstreamStatus() {
+    return {
+      transport: this.transport.mode,
+      auth: this.authMode,
+      circuitBreaker: this.circuitBreaker.getState(),
+      cache: this.cache ? this.cache.getStats() : null,
+      coalescedRequests: this.coalescedRequestCount,
+      inFlightRequests: this.inFlightRequests.size
+    };
+  }
+
+  /**
+   * Calculate how long to wait before the next retry
+   * Honors TMDB's Retry-After header, otherwise uses exponential backoff with jitter
+   * @param {Error} error - Error from handleAPIError
+   * @param {number} attempt - Number of retries already made
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    if (typeof error.retryAfterMs === 'number') {
+      return error.retryAfterMs;
+    }
+
+    const { baseDelayMs, maxDelayMs } = this.retryOptions;
+    const exponentialDelay = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+
+    // Jitter between 50% and 100% of the delay so concurrent retries spread out
+    return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+  }
+
+  /**
+   * Parse a Retry-After header value (seconds or HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in milliseconds or null if absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Share a single in-flight upstream call between concurrent identical requests
+   * @param {string} requestKey - Key from buildRequestKey
+   * @param {Function} fetcher - Function starting the upstream call
+   * @returns {Promise<Object>} Raw response data (a private copy when shared)
+   */
+  coalesceRequest(requestKey, fetcher) {
+    const existing = this.inFlightRequests.get(requestKey);
+    if (existing) {
+      existing.waiters++;
+      this.coalescedRequestCount++;
+      // transformResponse mutates data, so every waiter gets its own copy
+      return existing.promise.then(data => this.cloneData(data));
     }
+
+    const entry = { waiters: 0 };
+    // Remove the entry before any caller resumes so late callers start a fresh request
+    entry.promise = fetcher().finally(() => this.inFlightRequests.delete(requestKey));
+    this.inFlightRequests.set(requestKey, entry);
+
+    return entry.promise.then(data => (entry.waiters > 0 ? this.cloneData(data) : data));
+  }
+
+  /**
+   * Deep copy JSON response data
+   */
+  cloneData(data) {
+    return data === undefined ? data : JSON.parse(JSON.stringify(data));
   }
 
   /**
    * Transform TMDB response data for consistent client consumption
+   * Every `<type>_path` image (at any depth) gets a `<type>_url` in the size the
+   * request asked for, plus a `<type>_srcset` map of all sizes when requested
    */
   transformResponse(data) {
     if (!data) return data;
 
-    // Transform image paths to full URLs
-    if (data.poster_path) {
-      data.poster_url = this.getImageURL(data.poster_path, 'w500');
-    }
-    
-    if (data.backdrop_path) {
-      data.backdrop_url = this.getImageURL(data.backdrop_path, 'w1280');
-    }
+    const { size, srcset } = getRequestImageOptions();
+    return this.transformImages(data, size, srcset);
+  }
 
-    if (data.profile_path) {
-      data.profile_url = this.getImageURL(data.profile_path, 'w185');
+  /**
+   * Add image URLs to an object or array and everything nested in it
+   * @param {*} value - Response data (mutated)
+   * @param {string|null} preset - IMAGE_SIZE_PRESETS name, null for default sizes
+   * @param {boolean} srcset - Whether to add srcset maps
+   * @returns {*} The same value
+   */
+  transformImages(value, preset, srcset) {
+    if (!value || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => this.transformImages(item, preset, srcset));
+      return value;
     }
 
-    // Transform arrays of items with image paths
-    if (data.results && Array.isArray(data.results)) {
-      data.results = data.results.map(item => this.transformResponse(item));
+    IMAGE_TYPES.forEach(type => {
+      const imagePath = value[`${type}_path`];
+      if (!imagePath) return;
+
+      value[`${type}_url`] = this.getImageURL(imagePath, this.getImageSize(type, preset));
+      if (srcset) {
+        value[`${type}_srcset`] = this.getImageSrcset(type, imagePath);
+      }
+    });
+
+    Object.keys(value).forEach(key => this.transformImages(value[key], preset, srcset));
+    return value;
+  }
+
+  /**
+   * Get the size to use for an image type
+   * @param {string} type - Image type (poster, backdrop, profile, logo, still)
+   * @param {string|null} preset - IMAGE_SIZE_PRESETS name, null for the default size
+   * @returns {string} A size TMDB offers for the type
+   */
+  getImageSize(type, preset = null) {
+    const wanted = (IMAGE_SIZE_PRESETS[preset] || DEFAULT_IMAGE_SIZES)[type];
+    return resolveImageSize(this.imageSizes[type], wanted);
+  }
+
+  /**
+   * Get URLs for every size TMDB offers for an image
+   * @param {string} type - Image type
+   * @param {string} imagePath - TMDB image path
+   * @returns {Object|null} Map of size name to URL
+   */
+  getImageSrcset(type, imagePath) {
+    if (!imagePath) return null;
+
+    return (this.imageSizes[type] || []).reduce((srcset, size) => {
+      srcset[size] = this.getImageURL(imagePath, size);
+      return srcset;
+    }, {});
+  }
+
+  /**
+   * Load image base URL and sizes from TMDB's /configuration
+   * Concurrent calls share one load; on failure the current values are kept
+   * @returns {Promise<Object>} Image configuration in use
+   */
+  loadImageConfiguration() {
+    if (!this.imageConfigPromise) {
+      this.imageConfigAttemptedAt = Date.now();
+      // Not part of whichever request triggered it (cache counters, locale, image options)
+      this.imageConfigPromise = runOutsideRequestContext(() => this.makeRequest('/configuration'))
+        .then(data => {
+          this.applyImageConfiguration(data && data.images);
+          this.imageConfigLoadedAt = Date.now();
+        })
+        .catch(error => {
+          console.warn('Failed to load TMDB image configuration, keeping current sizes:', error.message);
+        })
+        .then(() => {
+          this.imageConfigPromise = null;
+          return this.getImageConfiguration();
+        });
     }
 
-    if (data.cast && Array.isArray(data.cast)) {
-      data.cast = data.cast.map(person => this.transformResponse(person));
+    return this.imageConfigPromise;
+  }
+
+  /**
+   * Apply the `images` section of a /configuration response
+   * @param {Object} images - TMDB image configuration
+   */
+  applyImageConfiguration(images) {
+    if (!images) return;
+
+    if (images.secure_base_url) {
+      this.imageBaseURL = images.secure_base_url;
     }
 
-    if (data.crew && Array.isArray(data.crew)) {
-      data.crew = data.crew.map(person => this.transformResponse(person));
+    IMAGE_TYPES.forEach(type => {
+      const sizes = images[`${type}_sizes`];
+      if (Array.isArray(sizes) && sizes.length > 0) {
+        this.imageSizes[type] = sizes;
+      }
+    });
+  }
+
+  /**
+   * Reload the image configuration in the background once it has expired
+   * Only after a first successful load, so services that never load it make no extra calls;
+   * a failed reload is retried after another TTL rather than on every request
+   */
+  refreshImageConfigurationIfStale() {
+    if (!this.imageConfigLoadedAt || this.imageConfigPromise) return;
+
+    if (Date.now() - this.imageConfigAttemptedAt > this.imageConfigTtlMs) {
+      this.loadImageConfiguration();
     }
+  }
 
-    return data;
+  /**
+   * Get the image configuration in use
+   * @returns {Object} { baseUrl, sizes, loadedAt } (loadedAt is null while using defaults)
+   */
+  getImageConfiguration() {
+    return {
+      baseUrl: this.imageBaseURL,
+      sizes: this.imageSizes,
+      loadedAt: this.imageConfigLoadedAt ? new Date(this.imageConfigLoadedAt).toISOString() : null
+    };
   }
 
   /**
@@ -227,6 +669,36 @@ class TMDBService {
     return this.makeRequest(`/tv/${id}`, params);
   }
 
+  /**
+   * Find movies, TV shows and people by an external ID (IMDb, TVDB, ...)
+   */
+  async findByExternalId(externalId, externalSource) {
+    return this.makeRequest(`/find/${encodeURIComponent(externalId)}`, { external_source: externalSource });
+  }
+
+  /**
+   * Get a collection (franchise) with its parts
+   */
+  async getCollection(id) {
+    return this.makeRequest(`/collection/${id}`);
+  }
+
+  /**
+   * Get a TV season with its episodes
+   */
+  async getTVSeason(id, seasonNumber, appendToResponse = '') {
+    const params = appendToResponse ? { append_to_response: appendToResponse } : {};
+    return this.makeRequest(`/tv/${id}/season/${seasonNumber}`, params);
+  }
+
+  /**
+   * Get a TV episode
+   */
+  async getTVEpisode(id, seasonNumber, episodeNumber, appendToResponse = '') {
+    const params = appendToResponse ? { append_to_response: appendToResponse } : {};
+    return this.makeRequest(`/tv/${id}/season/${seasonNumber}/episode/${episodeNumber}`, params);
+  }
+
   /**
    * Search for movies, TV shows, and people
    */
@@ -325,6 +797,34 @@ class TMDBService {
     return this.makeRequest(`/tv/${id}/recommendations`, { page });
   }
 
+  /**
+   * Get a movie's release dates and certifications by country
+   */
+  async getMovieReleaseDates(id) {
+    return this.makeRequest(`/movie/${id}/release_dates`);
+  }
+
+  /**
+   * Get a TV show's content ratings by country
+   */
+  async getTVContentRatings(id) {
+    return this.makeRequest(`/tv/${id}/content_ratings`);
+  }
+
+  /**
+   * Get movie reviews
+   */
+  async getMovieReviews(id, page = 1) {
+    return this.makeRequest(`/movie/${id}/reviews`, { page });
+  }
+
+  /**
+   * Get TV show reviews
+   */
+  async getTVReviews(id, page = 1) {
+    return this.makeRequest(`/tv/${id}/reviews`, { page });
+  }
+
   /**
    * Get watch providers for a movie
    */
@@ -342,8 +842,18 @@ class TMDBService {
   /**
    * Get person details (for directors, actors, etc.)
    */
-  async getPerson(id) {
-    return this.makeRequest(`/person/${id}`);
+  async getPerson(id, appendToResponse = '') {
+    if (!appendToResponse) {
+      return this.makeRequest(`/person/${id}`);
+    }
+    return this.makeRequest(`/person/${id}`, { append_to_response: appendToResponse });
+  }
+
+  /**
+   * Get a person's movie and TV credits in one list
+   */
+  async getPersonCombinedCredits(id) {
+    return this.makeRequest(`/person/${id}/combined_credits`);
   }
 
   /**
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Fixture store for recorded TMDB responses
+ * Fixtures are grouped in directories mirroring the endpoint path, e.g.
+ * fixtures/tmdb/movie/550/3f2a9c1b7d4e.json, so they are easy to browse and review
+ */
+class FixtureStore {
+  constructor(directory = 'fixtures/tmdb') {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Map a request to its fixture file
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {string} requestKey - Key identifying endpoint + params
+   * @returns {string} Absolute file path
+   */
+  getFilePath(endpoint, requestKey) {
+    const endpointDir = endpoint.replace(/^\/+/, '').replace(/[^a-zA-Z0-9/_-]/g, '_');
+    const hash = crypto.createHash('sha1').update(requestKey).digest('hex').slice(0, 12);
+    return path.join(this.directory, endpointDir, `${hash}.json`);
+  }
+
+  /**
+   * Read a recorded fixture
+   * @returns {Promise<Object|null>} Fixture or null when none was recorded
+   */
+  async read(endpoint, requestKey) {
+    try {
+      const fixture = JSON.parse(await fs.readFile(this.getFilePath(endpoint, requestKey), 'utf8'));
+      return fixture.request && fixture.request.key === requestKey ? fixture : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a fixture, replacing any previous recording of the same request
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {string} requestKey - Key identifying endpoint + params
+   * @param {Object} recording - { data } for successes or { error } for TMDB errors
+   */
+  async write(endpoint, requestKey, recording) {
+    const filePath = this.getFilePath(endpoint, requestKey);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const fixture = {
+      request: { endpoint, key: requestKey },
+      recordedAt: new Date().toISOString(),
+      ...recording
+    };
+
+    await fs.writeFile(filePath, JSON.stringify(fixture, null, 2) + '\n');
+  }
+}
+
+module.exports = FixtureStore;
@@ -0,0 +1,27 @@
+/**
+ * Live HTTP transport
+ * Sends requests to the TMDB API through TMDBService's axios instance
+ */
+class HttpTransport {
+  /**
+   * @param {Function} getAxiosInstance - Returns the axios instance to use (resolved per request)
+   */
+  constructor(getAxiosInstance) {
+    this.mode = 'live';
+    this.offline = false;
+    this.getAxiosInstance = getAxiosInstance;
+  }
+
+  /**
+   * Perform a GET request
+   * @param {string} endpoint - TMDB endpoint path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Raw response data
+   */
+  async get(endpoint, params) {
+    const response = await this.getAxiosInstance().get(endpoint, { params });
+    return response.data;
+  }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,36 @@
+const HttpTransport = require('./http.transport');
+const RecordTransport = require('./record.transport');
+const ReplayTransport = require('./replay.transport');
+const FixtureStore = require('./fixture.store');
+
+const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Create the transport for the configured mode
+ * @param {Object} options - { mode: 'live' | 'record' | 'replay', fixturesDir }
+ * @param {HttpTransport} liveTransport - Transport used for live requests
+ * @returns {HttpTransport|RecordTransport|ReplayTransport} Transport
+ */
+function createTransport(options = {}, liveTransport) {
+  const { mode = 'live', fixturesDir } = options;
+
+  switch (mode) {
+    case 'live':
+      return liveTransport;
+    case 'record':
+      return new RecordTransport(liveTransport, fixturesDir);
+    case 'replay':
+      return new ReplayTransport(fixturesDir);
+    default:
+      throw new Error(`Unsupported TMDB transport mode: ${mode}. Expected one of: ${TRANSPORT_MODES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  HttpTransport,
+  RecordTransport,
+  ReplayTransport,
+  FixtureStore,
+  TRANSPORT_MODES,
+  createTransport
+};
@@ -0,0 +1,54 @@
+const FixtureStore = require('./fixture.store');
+
+/**
+ * Record transport
+ * Forwards requests to a live transport and writes every response to the
+ * fixtures directory so it can be replayed later without network access
+ */
+class RecordTransport {
+  constructor(liveTransport, fixturesDir) {
+    if (!liveTransport) {
+      throw new Error('A live transport is required for recording');
+    }
+
+    this.mode = 'record';
+    this.offline = false;
+    this.liveTransport = liveTransport;
+    this.fixtures = new FixtureStore(fixturesDir);
+  }
+
+  async get(endpoint, params, requestKey) {
+    let data;
+    try {
+      data = await this.liveTransport.get(endpoint, params, requestKey);
+    } catch (error) {
+      // Record TMDB client errors (e.g. 404) so replays reproduce them; network failures are not recorded
+      if (error.code === 'TMDB_API_ERROR' && error.status >= 400 && error.status < 500 && error.status !== 429) {
+        await this.safeWrite(endpoint, requestKey, {
+          error: {
+            status: error.status,
+            status_code: error.tmdbCode,
+            status_message: error.message
+          }
+        });
+      }
+      throw error;
+    }
+
+    await this.safeWrite(endpoint, requestKey, { data });
+    return data;
+  }
+
+  /**
+   * Write a fixture without letting recording problems fail the request
+   */
+  async safeWrite(endpoint, requestKey, recording) {
+    try {
+      await this.fixtures.write(endpoint, requestKey, recording);
+    } catch (error) {
+      console.warn(`Failed to record fixture for ${requestKey}:`, error.message);
+    }
+  }
+}
+
+module.exports = RecordTransport;
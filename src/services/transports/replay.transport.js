@@ -0,0 +1,38 @@
+const FixtureStore = require('./fixture.store');
+
+/**
+ * Replay transport
+ * Serves previously recorded fixtures without touching the network
+ */
+class ReplayTransport {
+  constructor(fixturesDir) {
+    this.mode = 'replay';
+    this.offline = true;
+    this.fixtures = new FixtureStore(fixturesDir);
+  }
+
+  async get(endpoint, params, requestKey) {
+    const fixture = await this.fixtures.read(endpoint, requestKey);
+
+    if (!fixture) {
+      const missingError = new Error(`No recorded fixture for ${requestKey}`);
+      missingError.code = 'TMDB_API_ERROR';
+      missingError.status = 404;
+      missingError.fixtureMissing = true;
+      throw missingError;
+    }
+
+    if (fixture.error) {
+      // Reproduce the recorded TMDB error in the same shape as TMDBService.handleAPIError
+      const tmdbError = new Error(fixture.error.status_message || 'TMDB API Error');
+      tmdbError.code = 'TMDB_API_ERROR';
+      tmdbError.status = fixture.error.status;
+      tmdbError.tmdbCode = fixture.error.status_code;
+      throw tmdbError;
+    }
+
+    return fixture.data;
+  }
+}
+
+module.exports = ReplayTransport;
@@ -0,0 +1,390 @@
+const request = require('supertest');
+const TMDBService = require('../../src/services/tmdb.service');
+const ContentService = require('../../src/services/content.service');
+const SearchService = require('../../src/services/search.service');
+const PersonService = require('../../src/services/person.service');
+const StreamingDatesService = require('../../src/services/streamingDates.service');
+const { createMockTMDBApp, startMockTMDBServer } = require('../../src/mock/tmdb.server');
+
+describe('Mock TMDB Server', () => {
+  describe('TMDB contract', () => {
+    let app;
+
+    beforeEach(() => {
+      app = createMockTMDBApp({ apiKey: 'mock-key' });
+    });
+
+    it('should reject requests without a valid credential', async () => {
+      const response = await request(app).get('/3/movie/550?api_key=wrong').expect(401);
+
+      expect(response.body).toEqual({
+        success: false,
+        status_code: 7,
+        status_message: 'Invalid API key: You must be granted a valid key.'
+      });
+    });
+
+    it('should accept a bearer token', async () => {
+      await request(app)
+        .get('/3/movie/550')
+        .set('Authorization', 'Bearer mock-key')
+        .expect(200);
+    });
+
+    it('should append sub-resources to details', async () => {
+      const response = await request(app)
+        .get('/3/movie/550?api_key=mock-key&append_to_response=credits,watch/providers')
+        .expect(200);
+
+      expect(response.body.genres).toEqual([{ id: 18, name: 'Drama' }, { id: 53, name: 'Thriller' }]);
+      expect(response.body.credits.crew).toEqual([
+        expect.objectContaining({ id: 7467, name: 'David Fincher', job: 'Director' })
+      ]);
+      expect(response.body['watch/providers'].results.US.flatrate[0].provider_name).toBe('Max');
+      expect(response.body.videos).toBeUndefined();
+    });
+
+    it('should apply discover filters and sorting', async () => {
+      const response = await request(app)
+        .get('/3/discover/movie')
+        .query({ api_key: 'mock-key', with_companies: '9993', sort_by: 'release_date.asc' })
+        .expect(200);
+
+      expect(response.body.results.map(movie => movie.id)).toEqual([155, 414906]);
+      expect(response.body.total_results).toBe(2);
+    });
+
+    it('should date upcoming movies relative to the clock', async () => {
+      const now = new Date('2030-01-01T12:00:00Z');
+      const response = await request(createMockTMDBApp({ now: () => now }))
+        .get('/3/movie/upcoming?api_key=any')
+        .expect(200);
+
+      expect(response.body.dates).toEqual({ minimum: '2030-01-01', maximum: '2030-05-01' });
+      expect(response.body.results.map(movie => movie.title)).toEqual(['The Long Orbit', 'Midnight Ledger']);
+    });
+
+    it('should serve custom seed data', async () => {
+      const seeded = createMockTMDBApp({
+        fixtures: { movies: [{ id: 1, title: 'Seeded', release_date: '2020-01-01', genre_ids: [] }] }
+      });
+
+      const response = await request(seeded).get('/3/search/movie?api_key=any&query=seed').expect(200);
+
+      expect(response.body.results).toEqual([expect.objectContaining({ id: 1, title: 'Seeded' })]);
+    });
+
+    it('should simulate failures per request and through registered faults', async () => {
+      await request(app).get('/3/movie/550?api_key=mock-key').set('X-Mock-Status', '500').expect(500);
+
+      await request(app)
+        .post('/__mock/faults')
+        .send({ path: '/trending/*', status: 429, times: 1, retryAfter: 3 })
+        .expect(201);
+
+      const limited = await request(app).get('/3/trending/movie/day?api_key=mock-key').expect(429);
+      expect(limited.headers['retry-after']).toBe('3');
+      expect(limited.body.status_code).toBe(25);
+
+      await request(app).get('/3/trending/movie/day?api_key=mock-key').expect(200);
+    });
+
+    it('should serve seasons and episodes with air dates relative to the clock', async () => {
+      const now = new Date('2030-01-01T12:00:00Z');
+      const seeded = createMockTMDBApp({ now: () => now });
+
+      const season = await request(seeded).get('/3/tv/900201/season/1?api_key=any').expect(200);
+      expect(season.body.episodes).toHaveLength(8);
+      expect(season.body.episodes[2]).toMatchObject({
+        air_date: '2029-12-16',
+        guest_stars: [expect.objectContaining({ name: 'Paul Rudd', character: 'The Conductor' })]
+      });
+
+      const show = await request(seeded).get('/3/tv/900201?api_key=any').expect(200);
+      expect(show.body.seasons).toEqual([expect.objectContaining({ season_number: 1, episode_count: 8 })]);
+      expect(show.body.last_episode_to_air).toMatchObject({ episode_number: 5, air_date: '2029-12-30' });
+      expect(show.body.next_episode_to_air).toMatchObject({ episode_number: 6, air_date: '2030-01-06' });
+
+      await request(seeded).get('/3/tv/900201/season/1/episode/9?api_key=any').expect(404);
+    });
+
+    it('should record requests without credentials', async () => {
+      await request(app).get('/3/search/tv?api_key=mock-key&query=breaking').expect(200);
+
+      const response = await request(app).get('/__mock/requests').expect(200);
+
+      expect(response.body.requests).toEqual([
+        expect.objectContaining({ method: 'GET', path: '/search/tv', query: { query: 'breaking' } })
+      ]);
+    });
+  });
+
+  describe('with TMDBService', () => {
+    let mock;
+    let tmdbService;
+
+    beforeAll(async () => {
+      mock = await startMockTMDBServer({ apiKey: 'mock-key' });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => mock.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mock.app.locals.mock.reset();
+      tmdbService = new TMDBService('mock-key', mock.baseUrl, {
+        retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 1 }
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should serve movie details end to end', async () => {
+      const movie = await new ContentService(tmdbService).getMovieDetails(550);
+
+      expect(movie.title).toBe('Fight Club');
+      expect(movie.poster_url).toBe('https://image.tmdb.org/t/p/w500/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg');
+      expect(movie.credits.cast.map(member => member.name)).toEqual(['Edward Norton', 'Brad Pitt']);
+      expect(movie.videos.results[0].key).toBe('SUXWAEX2jlg');
+      expect(movie.recommendations.results.map(title => title.id)).toEqual([27205, 155]);
+      expect(movie.watch_providers.results.US.rent[0].provider_name).toBe('Apple TV');
+    });
+
+    it('should serve release dates and certifications end to end', async () => {
+      const contentService = new ContentService(tmdbService);
+
+      const movie = await contentService.getMovieDetails(550);
+      expect(movie.certification).toBe('R');
+      expect(movie.release_dates.US.dates).toMatchObject({ premiere: '1999-09-10', theatrical: '1999-10-15', physical: '2000-06-06' });
+      expect(movie.release_dates.GB.certification).toBe('18');
+
+      const show = await contentService.getTVDetails(1396);
+      expect(show.certification).toBe('TV-MA');
+      expect(Object.keys(show.content_ratings)).toEqual(['US', 'GB', 'DE']);
+    });
+
+    it('should derive streaming dates from digital releases end to end', async () => {
+      const streamingDate = await new StreamingDatesService(tmdbService).getStreamingDate('movie', { id: 900001 });
+      const releaseDates = await tmdbService.getMovieReleaseDates(900001);
+      const digital = releaseDates.results.find(entry => entry.iso_3166_1 === 'US').release_dates.find(release => release.type === 4);
+
+      expect(streamingDate).toMatchObject({
+        date: digital.release_date.split('T')[0],
+        confidence: 'medium',
+        source: 'tmdb_digital_release'
+      });
+    });
+
+    it('should serve collections end to end', async () => {
+      const contentService = new ContentService(tmdbService);
+      const movie = await contentService.getMovieDetails(693134);
+
+      expect(movie.collection).toMatchObject({
+        id: 726871,
+        name: 'Dune Collection',
+        part_count: 2,
+        position: 2
+      });
+      expect(movie.collection.parts.map(part => part.title)).toEqual(['Dune', 'Dune: Part Two']);
+
+      const collection = await contentService.getCollectionDetails(726871);
+      expect(collection.total_runtime).toBe(322);
+    });
+
+    it('should resolve external IDs end to end', async () => {
+      const contentService = new ContentService(tmdbService);
+
+      const imdb = await contentService.findByExternalId('imdb', 'tt0137523');
+      expect(imdb.total_results).toBe(1);
+      expect(imdb.movie_results[0]).toMatchObject({ id: 550, title: 'Fight Club', media_type: 'movie' });
+
+      const person = await contentService.findByExternalId('imdb', 'nm0000399');
+      expect(person.person_results.map(result => result.name)).toEqual(['David Fincher']);
+
+      const tvdb = await contentService.findByExternalId('tvdb', '81189');
+      expect(tvdb.tv_results.map(result => result.name)).toEqual(['Breaking Bad']);
+
+      const show = await contentService.getTVDetails(1396);
+      expect(show.external_ids).toMatchObject({ imdb_id: 'tt0903747', tvdb_id: 81189 });
+    });
+
+    it('should serve reviews end to end', async () => {
+      const reviews = await new ContentService(tmdbService).getReviews(550, 'movie', 1, 80);
+
+      expect(reviews.total_results).toBe(2);
+      expect(reviews.results.map(review => review.author)).toEqual(['Goddard', 'Brett Pascoe']);
+      expect(reviews.results[0]).toMatchObject({ rating: 10, has_spoilers: true, truncated: true });
+      expect(reviews.results[0].excerpt).not.toContain('narrator');
+      expect(reviews.results[1].content).toBe('In my top 5 of all time favourite movies. Great story line and a movie you can watch over and over again.');
+    });
+
+    it('should serve seasons and episodes end to end', async () => {
+      const contentService = new ContentService(tmdbService);
+
+      const season = await contentService.getSeasonDetails(1396, 1);
+      expect(season.episodes.map(episode => episode.name)).toEqual(['Pilot', 'Cat\'s in the Bag...']);
+
+      const episode = await contentService.getEpisodeDetails(1396, 1, 1);
+      expect(episode.still_url).toBe('https://image.tmdb.org/t/p/w300/ydlY3iPfeOAvu8gVqrxPoMvzNCn.jpg');
+      expect(episode.crew.map(member => member.job)).toEqual(['Director', 'Writer']);
+      expect(episode.runtime).toBe(58);
+    });
+
+    it('should serve director filmographies from person credits', async () => {
+      const directed = await new ContentService(tmdbService).getDirectorMovies(525);
+
+      expect(directed.results.map(movie => movie.title)).toEqual(['Inception', 'The Dark Knight']);
+    });
+
+    it('should serve person profiles end to end', async () => {
+      const person = await new PersonService(tmdbService).getPersonDetails(525);
+
+      expect(person.external_ids.imdb_id).toBe('nm0634240');
+      expect(person.images[0].profile_url).toBe('https://image.tmdb.org/t/p/w185/xuAIuYSmsUzKlUMBFGVZaWsY3DZ.jpg');
+      expect(person.filmography.directing.map(title => title.title)).toEqual(['Inception', 'The Dark Knight']);
+      expect(person.filmography.writing.map(title => title.roles)).toEqual([['Screenplay']]);
+    });
+
+    it('should serve role-aware person credits end to end', async () => {
+      const personService = new PersonService(tmdbService);
+
+      const composer = await personService.getPersonCredits(947, { role: 'composer', excludeId: 155, excludeMediaType: 'movie' });
+      expect(composer.results.map(title => title.title)).toEqual(['Dune: Part Two', 'Dune', 'Inception']);
+
+      const creator = await personService.getPersonCredits(66633, { role: 'creator', mediaType: 'tv' });
+      expect(creator.results.map(title => title.title)).toEqual(['Breaking Bad']);
+    });
+
+    it('should serve search results end to end', async () => {
+      const results = await new SearchService(tmdbService).searchMulti('the');
+
+      expect(results.results.length).toBeGreaterThan(0);
+      expect(mock.app.locals.mock.requests[0]).toMatchObject({ path: '/search/multi', query: { query: 'the', page: '1' } });
+    });
+
+    it('should surface simulated not found errors', async () => {
+      await expect(tmdbService.getMovie(1)).rejects.toMatchObject({
+        code: 'TMDB_API_ERROR',
+        status: 404,
+        tmdbCode: 34
+      });
+    });
+
+    it('should surface simulated authentication errors', async () => {
+      const unauthorized = new TMDBService('wrong-key', mock.baseUrl);
+
+      await expect(unauthorized.getMovie(550)).rejects.toMatchObject({ status: 401, tmdbCode: 7 });
+    });
+
+    it('should retry simulated rate limiting and server errors', async () => {
+      mock.app.locals.mock.addFault({ path: '/movie/550', status: 429, times: 1, retryAfter: 0 });
+      mock.app.locals.mock.addFault({ path: '/tv/1399', status: 500, times: 1 });
+
+      await expect(tmdbService.getMovie(550)).resolves.toMatchObject({ id: 550 });
+      await expect(tmdbService.getTVShow(1399)).resolves.toMatchObject({ id: 1399 });
+      expect(mock.app.locals.mock.requests.map(entry => entry.path))
+        .toEqual(['/movie/550', '/movie/550', '/tv/1399', '/tv/1399']);
+    });
+
+    it('should give up once simulated server errors persist', async () => {
+      mock.app.locals.mock.addFault({ path: '/movie/550', status: 500 });
+
+      await expect(tmdbService.getMovie(550)).rejects.toMatchObject({ status: 500, retryExhausted: true });
+    });
+  });
+
+  describe('through the API', () => {
+    const env = {
+      TMDB_API_KEY: 'mock-key',
+      TMDB_ACCESS_TOKEN: '',
+      TMDB_CACHE_ENABLED: 'false',
+      TMDB_TRANSPORT: 'live',
+      STREAMING_SNAPSHOT_BACKEND: 'memory',
+      CUSTOM_CATEGORIES_BACKEND: 'memory'
+    };
+    const originalEnv = {};
+    let mock;
+    let app;
+
+    const get = path => request(app).get(path).set('User-Agent', 'test-agent/1.0');
+
+    beforeAll(async () => {
+      mock = await startMockTMDBServer({ apiKey: 'mock-key' });
+      Object.entries({ ...env, TMDB_BASE_URL: mock.baseUrl }).forEach(([name, value]) => {
+        originalEnv[name] = process.env[name];
+        process.env[name] = value;
+      });
+      // A fresh module registry, so the shared services are built from the environment above
+      jest.isolateModules(() => {
+        app = require('../../src/server');
+      });
+    });
+
+    afterAll(async () => {
+      Object.entries(originalEnv).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      await new Promise(resolve => mock.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mock.app.locals.mock.reset();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should serve person credits rather than the movie and TV credits route', async () => {
+      const response = await get('/api/person/947/credits?role=composer&exclude=155&excludeMediaType=movie').expect(200);
+
+      expect(response.body.data.results.map(title => title.title)).toEqual(['Dune: Part Two', 'Dune', 'Inception']);
+    });
+
+    it('should take calendar time zones with a slash', async () => {
+      const response = await get('/api/calendar?type=movie&tz=Asia/Kolkata').expect(200);
+
+      expect(response.body.data.time_zone).toBe('Asia/Kolkata');
+    });
+
+    it('should date calendar feeds in the requested time zone', async () => {
+      const response = await get('/api/calendar/movie/693134.ics?tz=America/Los_Angeles').expect(200);
+
+      expect(response.text).toContain('X-WR-TIMEZONE:America/Los_Angeles\r\n');
+    });
+
+    it('should reject pages past the last page of a blended category', async () => {
+      const response = await get('/api/categories/awards/top-rated?page=11').expect(400);
+
+      expect(response.body.error).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'Page must be between 1 and 10 for awards-top-rated'
+      });
+    });
+
+    it('should let browsers write to the admin API only', async () => {
+      const preflight = path => request(app)
+        .options(path)
+        .set('User-Agent', 'test-agent/1.0')
+        .set('Origin', 'http://localhost:3000')
+        .set('Access-Control-Request-Method', 'PUT')
+        .set('Access-Control-Request-Headers', 'Authorization, Content-Type');
+
+      const admin = await preflight('/api/admin/categories/cozy').expect(204);
+      expect(admin.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+      expect(admin.headers['access-control-allow-methods']).toBe('GET,POST,PUT,DELETE,OPTIONS');
+      expect(admin.headers['access-control-allow-headers']).toContain('Authorization');
+
+      const content = await preflight('/api/movie/550').expect(204);
+      expect(content.headers['access-control-allow-methods']).toBe('GET,OPTIONS');
+    });
+  });
+});
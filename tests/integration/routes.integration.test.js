@@ -12,7 +12,10 @@ describe('API Routes Integration Tests', () => {
         status: 'OK',
         message: 'Movie TV Tracking API is running',
         timestamp: expect.any(String),
-        version: '1.0.0'
+        version: '1.0.0',
+        upstream: expect.objectContaining({
+          circuitBreaker: expect.objectContaining({ state: 'CLOSED' })
+        })
       });
     });
   });
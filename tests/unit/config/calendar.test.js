@@ -0,0 +1,62 @@
+const {
+  addDays,
+  daysBetween,
+  isCalendarDate,
+  isValidTimeZone,
+  getToday,
+  getLocalDate,
+  getBucket,
+  getTVGenreIds
+} = require('../../../src/config/calendar');
+
+describe('Calendar Rules', () => {
+  test('should do calendar date arithmetic', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    expect(daysBetween('2024-06-01', '2024-07-01')).toBe(30);
+    expect(daysBetween('2024-07-01', '2024-06-01')).toBe(-30);
+  });
+
+  test('should only accept real calendar dates', () => {
+    expect(isCalendarDate('2024-02-29')).toBe(true);
+    expect(isCalendarDate('2023-02-29')).toBe(false);
+    expect(isCalendarDate('2024-6-1')).toBe(false);
+    expect(isCalendarDate('2024-06-01T00:00:00Z')).toBe(false);
+  });
+
+  test('should recognize IANA time zones', () => {
+    expect(isValidTimeZone('America/New_York')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('should take today in the time zone', () => {
+    const now = new Date('2024-06-30T22:00:00Z');
+
+    expect(getToday('UTC', now)).toBe('2024-06-30');
+    expect(getToday('Asia/Tokyo', now)).toBe('2024-07-01');
+    expect(getToday('America/Los_Angeles', now)).toBe('2024-06-30');
+  });
+
+  test('should move TMDB dates to a time zone', () => {
+    expect(getLocalDate('2024-09-02', 'UTC')).toBe('2024-09-02');
+    expect(getLocalDate('2024-09-02', 'Asia/Kolkata')).toBe('2024-09-02');
+    expect(getLocalDate('2024-09-02', 'America/New_York')).toBe('2024-09-01');
+  });
+
+  test('should bucket dates by day, ISO week and month', () => {
+    expect(getBucket('2024-06-12', 'day')).toEqual({ key: '2024-06-12', start: '2024-06-12', end: '2024-06-12' });
+    // Sunday belongs to the week starting the Monday before, across the month boundary
+    expect(getBucket('2024-09-01', 'week')).toEqual({ key: '2024-08-26', start: '2024-08-26', end: '2024-09-01' });
+    expect(getBucket('2024-09-02', 'week')).toEqual({ key: '2024-09-02', start: '2024-09-02', end: '2024-09-08' });
+    expect(getBucket('2024-02-10', 'month')).toEqual({ key: '2024-02', start: '2024-02-01', end: '2024-02-29' });
+    expect(getBucket('2024-12-31', 'month')).toEqual({ key: '2024-12', start: '2024-12-01', end: '2024-12-31' });
+  });
+
+  test('should translate movie genres to TV genres', () => {
+    expect(getTVGenreIds([28, 12])).toEqual([10759]);
+    expect(getTVGenreIds([35])).toEqual([35]);
+    expect(getTVGenreIds([27])).toEqual([]);
+  });
+});
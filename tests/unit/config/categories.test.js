@@ -1,5 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   CATEGORY_MAPPINGS,
+  CATEGORY_REGISTRY,
+  validateCategoryRegistry,
+  loadCategoryRegistry,
+  buildCategoryMappings,
+  getCategoryOverview,
   getCategoryMapping,
   convertToTMDBParams,
   isValidCategory,
@@ -280,4 +288,156 @@ describe('Additional category validation', () => {
         expect(mapping.genres.length).toBeGreaterThan(0);
       });
     });
-  });
\ No newline at end of file
+  });
+
+describe('Category registry', () => {
+  const registry = (groups) => ({ version: 1, groups });
+  const studios = (categories) => ({ key: 'studio-picks', name: 'Studio Picks', type: 'studios', categories });
+
+  test('should ship a valid registry', () => {
+    expect(validateCategoryRegistry(CATEGORY_REGISTRY)).toEqual([]);
+  });
+
+  test('should build the mappings from the registry', () => {
+    const mappings = buildCategoryMappings(registry([
+      studios([{ key: 'a24', name: 'A24', discover: { with_companies: '41077', sort_by: 'popularity.desc' } }]),
+      { key: 'by-network', name: 'By Network', type: 'networks', categories: [
+        { key: 'hbo', name: 'HBO', media_type: 'tv', discover: { with_networks: '49' } }
+      ] }
+    ]));
+
+    expect(mappings).toEqual({
+      studios: { a24: { with_companies: '41077', sort_by: 'popularity.desc' } },
+      networks: { hbo: { with_networks: '49', media_type: 'tv' } }
+    });
+  });
+
+  test('should list every problem with a clear location', () => {
+    const problems = validateCategoryRegistry(registry([
+      studios([
+        { key: 'disney', name: 'Disney', discover: { with_companies: '2' } },
+        { key: 'disney', name: 'Disney again', discover: { with_companies: '2' } },
+        { key: 'Bad Key', name: '', media_type: 'film', discover: { genres: ['action'] } }
+      ]),
+      { key: 'studio-picks', name: 'More Studios', type: 'studios', categories: [
+        { key: 'latest', name: 'Latest', endpoint: 'latest' }
+      ] },
+      { key: 'extras', name: 'Extras', categories: [{ key: 'latest', name: 'Latest', endpoint: 'latest' }] },
+      { key: 'podcasts', name: 'Podcasts', type: 'podcasts', categories: [] }
+    ]));
+
+    expect(problems).toEqual([
+      'groups[0].categories[1].key "disney" is already used in studio-picks',
+      'groups[0].categories[2].key must be lowercase letters, numbers and hyphens',
+      'groups[0].categories[2].name is required',
+      'groups[0].categories[2].media_type must be one of: movie, tv',
+      'groups[0].categories[2].discover.genres must be a non-empty array of genre ids',
+      'groups[1].key "studio-picks" is already used',
+      'groups[1].type "studios" is already used',
+      'groups[1].categories[0].discover must be an object of TMDB discover parameters',
+      'groups[2].categories[0].endpoint must be an /api/ path',
+      'groups[3].type must be one of: mood, awards, studios, networks, genres',
+      'groups[3].categories must be a non-empty array'
+    ]);
+  });
+
+  test('should map blended categories to their sources', () => {
+    const blend = {
+      sources: [
+        { type: 'discover', media_type: 'movie', weight: 2, discover: { 'vote_average.gte': 8 } },
+        { type: 'list', media_type: 'tv', ids: [1396, 1399] }
+      ]
+    };
+
+    expect(buildCategoryMappings(registry([
+      { key: 'mood-picks', name: 'Mood Picks', type: 'mood', categories: [{ key: 'staff-picks', name: 'Staff Picks', blend }] }
+    ]))).toEqual({ mood: { 'staff-picks': { blend } } });
+    expect(getCategoryMapping('awards', 'top-rated').blend.sources.map(source => source.media_type)).toEqual(['movie', 'tv']);
+  });
+
+  test('should list every problem of blended categories', () => {
+    const problems = validateCategoryRegistry(registry([
+      { key: 'mood-picks', name: 'Mood Picks', type: 'mood', categories: [
+        { key: 'one-source', name: 'One Source', blend: { sources: [{ type: 'trending', media_type: 'all' }] } },
+        { key: 'broken', name: 'Broken', media_type: 'movie', discover: { sort_by: 'popularity.desc' }, blend: { sources: [
+          { type: 'search', media_type: 'movie' },
+          { type: 'discover', media_type: 'all', weight: 0, discover: {} },
+          { type: 'trending', media_type: 'tv', time_window: 'month' },
+          { type: 'list', media_type: 'movie', ids: [550, 550] },
+          { type: 'list', media_type: 'movie', ids: ['550'] }
+        ] } }
+      ] },
+      studios([{ key: 'blended', name: 'Blended', blend: { sources: [
+        { type: 'trending', media_type: 'movie' },
+        { type: 'trending', media_type: 'tv' }
+      ] } }])
+    ]));
+
+    expect(problems).toEqual([
+      'groups[0].categories[0].blend.sources must be an array of 2 to 5 sources',
+      'groups[0].categories[1] must have either discover or blend, not both',
+      'groups[0].categories[1].media_type must be set on each blend source instead',
+      'groups[0].categories[1].blend.sources[0].type must be one of: discover, trending, list',
+      'groups[0].categories[1].blend.sources[1].media_type must be one of: movie, tv',
+      'groups[0].categories[1].blend.sources[1].weight must be an integer between 1 and 10',
+      'groups[0].categories[1].blend.sources[1].discover must be an object of TMDB discover parameters',
+      'groups[0].categories[1].blend.sources[2].time_window must be either "day" or "week"',
+      'groups[0].categories[1].blend.sources[3].ids must not repeat ids',
+      'groups[0].categories[1].blend.sources[4].ids must be an array of 1 to 200 TMDB ids',
+      'groups[1].categories[0].blend is only supported in mood and awards groups'
+    ]);
+  });
+
+  test('should reject registries without groups', () => {
+    expect(validateCategoryRegistry([])).toEqual(['registry must be an object with a groups array']);
+  });
+
+  describe('loadCategoryRegistry', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'category-registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should fail with a CONFIG_ERROR naming the file and problems', () => {
+      const file = path.join(directory, 'categories.json');
+      fs.writeFileSync(file, JSON.stringify(registry([studios([{ key: 'a24', name: 'A24' }])])));
+
+      expect(() => loadCategoryRegistry(file)).toThrow(expect.objectContaining({
+        code: 'CONFIG_ERROR',
+        message: `Invalid category registry ${file}: groups[0].categories[0].discover must be an object of TMDB discover parameters`
+      }));
+    });
+
+    test('should report files that are not JSON', () => {
+      const file = path.join(directory, 'categories.json');
+      fs.writeFileSync(file, '{ groups: [');
+
+      expect(() => loadCategoryRegistry(file)).toThrow(expect.objectContaining({ code: 'CONFIG_ERROR' }));
+    });
+  });
+
+  describe('getCategoryOverview', () => {
+    test('should point every category at a route that exists', () => {
+      const overview = getCategoryOverview();
+
+      expect(Object.keys(overview)).toEqual(['new-trending', 'mood-picks', 'award-winners', 'studio-picks', 'by-network', 'by-genre']);
+      expect(overview['new-trending'].subcategories[0]).toEqual({
+        key: 'trending-movies', name: 'Trending Movies', endpoint: '/api/categories/trending/movies'
+      });
+      expect(overview['studio-picks'].subcategories).toContainEqual({
+        key: 'pixar', name: 'Pixar', endpoint: '/api/categories/studio/pixar'
+      });
+      expect(overview['mood-picks'].subcategories.map(category => category.key)).toEqual(Object.keys(CATEGORY_MAPPINGS.mood));
+    });
+  });
+
+  test('should not mistake object properties for categories', () => {
+    expect(getCategoryMapping('studios', 'constructor')).toBeNull();
+    expect(getCategoryMapping('toString', 'x')).toBeNull();
+  });
+});
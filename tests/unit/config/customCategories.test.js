@@ -0,0 +1,109 @@
+const { validateCustomCategory, toCategoryMapping } = require('../../../src/config/customCategories');
+
+describe('Custom Category Rules', () => {
+  const cozyMysteries = {
+    key: 'cozy-mysteries',
+    name: 'Cozy Mysteries',
+    media_type: 'movie',
+    filters: { genres: [9648, 35], without_genres: [27], min_votes: 100 },
+    sort_by: 'vote_average.desc'
+  };
+
+  describe('validateCustomCategory', () => {
+    test('should accept a valid filter set', () => {
+      expect(validateCustomCategory(cozyMysteries)).toEqual([]);
+      expect(validateCustomCategory({ key: 'hbo-dramas', name: 'HBO Dramas', media_type: 'tv', filters: { networks: [49], genres: [18] } })).toEqual([]);
+    });
+
+    test('should reject malformed fields', () => {
+      expect(validateCustomCategory({
+        key: 'Cozy Mysteries',
+        name: '<b>Cozy</b>',
+        sort_by: 'title.asc',
+        filters: { genres: 'mystery', min_rating: 11, released_after: '2024-13-01', mood: 'cozy' }
+      })).toEqual([
+        'key must be 1-50 lowercase letters, numbers and hyphens',
+        'name must not contain HTML',
+        'sort_by must be one of: popularity.desc, vote_average.desc, vote_count.desc, primary_release_date.desc, revenue.desc',
+        'Unknown filters: mood (supported: genres, without_genres, keywords, companies, networks, min_rating, max_rating, min_votes, released_after, released_before, released_within_days)',
+        'filters.genres must be a non-empty array of TMDB ids',
+        'filters.min_rating must be a number between 0 and 10',
+        'filters.released_after must be a date (YYYY-MM-DD)'
+      ]);
+      expect(validateCustomCategory({ ...cozyMysteries, media_type: 'podcast' })).toEqual(['media_type must be either "movie" or "tv"']);
+      expect(validateCustomCategory(null)).toEqual(['Category must be an object']);
+    });
+
+    test('should reject filter combinations that can never match', () => {
+      expect(validateCustomCategory({
+        key: 'broken',
+        name: 'Broken',
+        media_type: 'movie',
+        filters: {
+          networks: [49],
+          genres: [10759, 27],
+          without_genres: [27],
+          min_rating: 8,
+          max_rating: 6,
+          released_after: '2024-06-01',
+          released_before: '2024-01-01',
+          released_within_days: 30
+        },
+        sort_by: 'vote_average.desc'
+      })).toEqual([
+        'filters.networks only applies to TV categories',
+        'filters.genres has genres that don\'t exist for movie: 10759',
+        'filters.genres and filters.without_genres both contain: 27',
+        'filters.min_rating must not be above filters.max_rating',
+        'filters.released_after must not be after filters.released_before',
+        'filters.released_within_days cannot be combined with released_after or released_before',
+        'sort_by vote_average.desc requires filters.min_votes'
+      ]);
+    });
+
+    test('should require at least one narrowing filter', () => {
+      expect(validateCustomCategory({ key: 'all', name: 'All', filters: { without_genres: [27] } })).toEqual([
+        'filters must narrow the category with at least one filter besides without_genres'
+      ]);
+    });
+  });
+
+  describe('toCategoryMapping', () => {
+    test('should convert filters to discover parameters', () => {
+      expect(toCategoryMapping(cozyMysteries)).toEqual({
+        genres: [9648, 35],
+        without_genres: '27',
+        'vote_count.gte': 100,
+        sort_by: 'vote_average.desc',
+        media_type: 'movie'
+      });
+    });
+
+    test('should combine keywords, companies and networks as any of', () => {
+      expect(toCategoryMapping({
+        media_type: 'tv',
+        filters: { keywords: [9715, 10349], networks: [49, 213], min_rating: 7, max_rating: 9.5 }
+      })).toEqual({
+        with_keywords: '9715|10349',
+        with_networks: '49|213',
+        'vote_average.gte': 7,
+        'vote_average.lte': 9.5,
+        sort_by: 'popularity.desc',
+        media_type: 'tv'
+      });
+    });
+
+    test('should resolve release windows on the media type\'s date field', () => {
+      const now = new Date('2024-03-31T12:00:00Z');
+
+      expect(toCategoryMapping({ media_type: 'tv', filters: { genres: [18], released_within_days: 30 } }, now)).toMatchObject({
+        'first_air_date.gte': '2024-03-01',
+        'first_air_date.lte': '2024-03-31'
+      });
+      expect(toCategoryMapping({ filters: { genres: [18], released_after: '1990-01-01', released_before: '1999-12-31' } })).toMatchObject({
+        'primary_release_date.gte': '1990-01-01',
+        'primary_release_date.lte': '1999-12-31'
+      });
+    });
+  });
+});
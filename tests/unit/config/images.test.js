@@ -0,0 +1,42 @@
+const {
+  IMAGE_TYPES,
+  DEFAULT_IMAGE_CONFIGURATION,
+  DEFAULT_IMAGE_SIZES,
+  IMAGE_SIZE_PRESETS,
+  resolveImageSize
+} = require('../../../src/config/images');
+
+describe('Image Configuration', () => {
+  describe('presets', () => {
+    test('should only use sizes from the default configuration', () => {
+      [DEFAULT_IMAGE_SIZES, ...Object.values(IMAGE_SIZE_PRESETS)].forEach(sizes => {
+        IMAGE_TYPES.forEach(type => {
+          expect(DEFAULT_IMAGE_CONFIGURATION.sizes[type]).toContain(sizes[type]);
+        });
+      });
+    });
+  });
+
+  describe('resolveImageSize', () => {
+    test('should keep sizes that are available', () => {
+      expect(resolveImageSize(['w92', 'w500', 'original'], 'w500')).toBe('w500');
+    });
+
+    test('should pick the next larger available size', () => {
+      expect(resolveImageSize(['w92', 'w342', 'w600', 'original'], 'w500')).toBe('w600');
+      expect(resolveImageSize(['original', 'w342', 'w92'], 'w185')).toBe('w342');
+      expect(resolveImageSize(['w45', 'h632', 'original'], 'w185')).toBe('h632');
+    });
+
+    test('should fall back to the largest size', () => {
+      expect(resolveImageSize(['w92', 'w1280'], 'original')).toBe('w1280');
+      expect(resolveImageSize(['w92', 'original'], 'w3000')).toBe('original');
+      expect(resolveImageSize(['w92', 'w342'], 'w500')).toBe('w342');
+    });
+
+    test('should keep the wanted size when nothing is known', () => {
+      expect(resolveImageSize([], 'w500')).toBe('w500');
+      expect(resolveImageSize(undefined, 'w500')).toBe('w500');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  normalizeLanguage,
+  normalizeRegion,
+  getLanguageRegion,
+  getLocaleParams
+} = require('../../../src/config/locale');
+
+describe('Locale Configuration', () => {
+  describe('normalizeLanguage', () => {
+    test('should normalize language tags to TMDB format', () => {
+      expect(normalizeLanguage('pt-br')).toBe('pt-BR');
+      expect(normalizeLanguage('EN_us')).toBe('en-US');
+      expect(normalizeLanguage('FR')).toBe('fr');
+    });
+
+    test('should reject invalid tags', () => {
+      expect(normalizeLanguage('english')).toBeNull();
+      expect(normalizeLanguage('zh-Hant-TW')).toBeNull();
+      expect(normalizeLanguage(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeRegion', () => {
+    test('should upper-case valid country codes', () => {
+      expect(normalizeRegion('in')).toBe('IN');
+      expect(normalizeRegion('USA')).toBeNull();
+    });
+  });
+
+  describe('getLanguageRegion', () => {
+    test('should extract the region of a language tag', () => {
+      expect(getLanguageRegion('hi-IN')).toBe('IN');
+      expect(getLanguageRegion('hi')).toBeNull();
+    });
+  });
+
+  describe('getLocaleParams', () => {
+    const locale = { language: 'es-ES', region: 'ES' };
+
+    test('should only send region to endpoints that use it', () => {
+      expect(getLocaleParams('/movie/now_playing', {}, locale)).toEqual({ language: 'es-ES', region: 'ES' });
+      expect(getLocaleParams('/search/movie', {}, locale)).toEqual({ language: 'es-ES', region: 'ES' });
+      expect(getLocaleParams('/search/multi', {}, locale)).toEqual({ language: 'es-ES' });
+      expect(getLocaleParams('/tv/popular', {}, locale)).toEqual({ language: 'es-ES' });
+    });
+
+    test('should skip language for language-independent endpoints', () => {
+      expect(getLocaleParams('/configuration', {}, locale)).toEqual({});
+      expect(getLocaleParams('/tv/1399/watch/providers', {}, locale)).toEqual({});
+    });
+
+    test('should add watch_region when discovering by provider', () => {
+      expect(getLocaleParams('/discover/movie', { with_watch_monetization_types: 'flatrate' }, locale))
+        .toEqual({ language: 'es-ES', region: 'ES', watch_region: 'ES' });
+    });
+
+    test('should not override params set by the caller', () => {
+      expect(getLocaleParams('/movie/upcoming', { language: 'en-US' }, locale)).toEqual({ region: 'ES' });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const {
+  STREAMING_PLATFORMS,
+  getWatchProviderFilters,
+  getPlatformByProviderId
+} = require('../../../src/config/platforms');
+
+describe('Platforms Configuration', () => {
+  test('should give every platform a unique TMDB provider id', () => {
+    const ids = STREAMING_PLATFORMS.map(platform => platform.providerId);
+
+    expect(ids.every(Number.isInteger)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  describe('getWatchProviderFilters', () => {
+    test('should match any of the platforms in the region', () => {
+      const platforms = [
+        { name: 'Netflix', providerId: 8, types: ['flatrate'] },
+        { name: 'Tubi', providerId: 73, types: ['ads', 'free'] },
+        { name: 'Peacock', providerId: 386, types: ['flatrate', 'ads'] }
+      ];
+
+      expect(getWatchProviderFilters(platforms, 'GB')).toEqual({
+        with_watch_providers: '8|73|386',
+        watch_region: 'GB',
+        with_watch_monetization_types: 'flatrate|ads|free'
+      });
+    });
+  });
+
+  describe('getPlatformByProviderId', () => {
+    test('should find configured platforms only', () => {
+      expect(getPlatformByProviderId(8).name).toBe('Netflix');
+      expect(getPlatformByProviderId(2)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  RELEASE_TYPES,
+  RELEASE_TYPE_PRIORITY,
+  formatReleaseDates,
+  formatContentRatings
+} = require('../../../src/config/releases');
+
+describe('Release Configuration', () => {
+  describe('release types', () => {
+    test('should rank every release type', () => {
+      expect(RELEASE_TYPE_PRIORITY.map(String).sort()).toEqual(Object.keys(RELEASE_TYPES).sort());
+    });
+  });
+
+  describe('formatReleaseDates', () => {
+    const releaseDates = {
+      results: [
+        {
+          iso_3166_1: 'US',
+          release_dates: [
+            { type: 5, release_date: '2000-06-06T00:00:00.000Z', certification: 'R', note: 'DVD' },
+            { type: 3, release_date: '1999-10-15T00:00:00.000Z', certification: 'R', note: '' },
+            { type: 1, release_date: '1999-09-10T00:00:00.000Z', certification: '', note: 'Venice Film Festival' }
+          ]
+        },
+        {
+          iso_3166_1: 'IN',
+          release_dates: [
+            { type: 4, release_date: '2000-03-01T00:00:00.000Z', certification: 'U/A 16+' },
+            { type: 3, release_date: '1999-12-01T00:00:00.000Z', certification: 'A' }
+          ]
+        },
+        { iso_3166_1: 'FR', release_dates: [{ type: 9, release_date: '1999-11-10T00:00:00.000Z' }] }
+      ]
+    };
+
+    test('should list each country\'s releases in date order', () => {
+      const formatted = formatReleaseDates(releaseDates);
+
+      expect(formatted.US.releases).toEqual([
+        { type: 'premiere', date: '1999-09-10', certification: null, note: 'Venice Film Festival' },
+        { type: 'theatrical', date: '1999-10-15', certification: 'R', note: null },
+        { type: 'physical', date: '2000-06-06', certification: 'R', note: 'DVD' }
+      ]);
+      expect(formatted.US.dates).toEqual({
+        premiere: '1999-09-10',
+        theatrical_limited: null,
+        theatrical: '1999-10-15',
+        digital: null,
+        physical: '2000-06-06',
+        tv: null
+      });
+    });
+
+    test('should prefer the theatrical certification', () => {
+      const formatted = formatReleaseDates(releaseDates);
+
+      expect(formatted.US.certification).toBe('R');
+      expect(formatted.IN.certification).toBe('A');
+      expect(formatted.IN.dates.digital).toBe('2000-03-01');
+    });
+
+    test('should skip countries without known release types', () => {
+      expect(formatReleaseDates(releaseDates).FR).toBeUndefined();
+      expect(formatReleaseDates(undefined)).toEqual({});
+    });
+  });
+
+  describe('formatContentRatings', () => {
+    test('should key ratings by country', () => {
+      expect(formatContentRatings({
+        results: [
+          { iso_3166_1: 'US', rating: 'TV-MA', descriptors: [] },
+          { iso_3166_1: 'DE', rating: '', descriptors: [] }
+        ]
+      })).toEqual({ US: { rating: 'TV-MA', descriptors: [] } });
+      expect(formatContentRatings(null)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { getObservationConfidence, getStreamingRecencyScore } = require('../../../src/config/streaming');
+
+describe('Streaming Configuration', () => {
+  describe('getObservationConfidence', () => {
+    test('should lose confidence as the gap between snapshots grows', () => {
+      expect(getObservationConfidence(1)).toBe('high');
+      expect(getObservationConfidence(2)).toBe('high');
+      expect(getObservationConfidence(7.5)).toBe('medium');
+      expect(getObservationConfidence(30)).toBe('low');
+    });
+  });
+
+  describe('getStreamingRecencyScore', () => {
+    test('should favour recent additions', () => {
+      expect(getStreamingRecencyScore(0, 'high')).toBe(10);
+      expect(getStreamingRecencyScore(10, 'high')).toBe(7);
+      expect(getStreamingRecencyScore(90, 'high')).toBe(1);
+    });
+
+    test('should discount less certain dates', () => {
+      expect(getStreamingRecencyScore(10, 'medium')).toBe(6);
+      expect(getStreamingRecencyScore(10, 'low')).toBe(4);
+      expect(getStreamingRecencyScore(90, 'low')).toBe(0);
+    });
+
+    test('should not score missing, future or unknown dates', () => {
+      expect(getStreamingRecencyScore(null, 'high')).toBe(0);
+      expect(getStreamingRecencyScore(-3, 'high')).toBe(0);
+      expect(getStreamingRecencyScore(3, 'none')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  attachRequestContext,
+  cacheStatusHeaders,
+  getCacheStatus
+} = require('../../../src/middleware/context');
+const { recordCacheOutcome, getRequestContext } = require('../../../src/services/requestContext');
+
+describe('Request Context Middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(attachRequestContext);
+    app.use(cacheStatusHeaders);
+  });
+
+  describe('attachRequestContext', () => {
+    test('should give each request its own context', async () => {
+      app.get('/test', async (req, res) => {
+        await Promise.resolve();
+        recordCacheOutcome('hit');
+        res.json({ cache: getRequestContext().cache });
+      });
+
+      const first = await request(app).get('/test').expect(200);
+      const second = await request(app).get('/test').expect(200);
+
+      expect(first.body.cache).toEqual({ hits: 1, misses: 0, stale: 0 });
+      expect(second.body.cache).toEqual({ hits: 1, misses: 0, stale: 0 });
+    });
+  });
+
+  describe('cacheStatusHeaders', () => {
+    test('should report cache hits and misses', async () => {
+      app.get('/test', (req, res) => {
+        recordCacheOutcome('hit');
+        recordCacheOutcome('miss');
+        res.json({ success: true });
+      });
+
+      const response = await request(app).get('/test').expect(200);
+
+      expect(response.headers['x-cache']).toBe('PARTIAL');
+      expect(response.headers['x-cache-hits']).toBe('1');
+      expect(response.headers['x-cache-misses']).toBe('1');
+    });
+
+    test('should flag responses containing stale data', async () => {
+      app.get('/test', (req, res) => {
+        recordCacheOutcome('hit');
+        recordCacheOutcome('stale');
+        res.json({ success: true });
+      });
+
+      const response = await request(app).get('/test').expect(200);
+
+      expect(response.headers['x-cache']).toBe('STALE');
+      expect(response.headers['x-cache-stale']).toBe('1');
+      expect(response.headers['warning']).toBe('110 - "Response is Stale"');
+    });
+
+    test('should not add headers when TMDB was not called', async () => {
+      app.get('/test', (req, res) => res.json({ success: true }));
+
+      const response = await request(app).get('/test').expect(200);
+
+      expect(response.headers['x-cache']).toBeUndefined();
+    });
+  });
+
+  describe('getCacheStatus', () => {
+    test('should summarize cache counters', () => {
+      expect(getCacheStatus({ hits: 0, misses: 0 })).toBeNull();
+      expect(getCacheStatus({ hits: 3, misses: 0 })).toBe('HIT');
+      expect(getCacheStatus({ hits: 0, misses: 2 })).toBe('MISS');
+      expect(getCacheStatus({ hits: 1, misses: 2 })).toBe('PARTIAL');
+      expect(getCacheStatus({ hits: 1, misses: 0, stale: 1 })).toBe('STALE');
+    });
+  });
+});
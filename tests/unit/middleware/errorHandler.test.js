@@ -232,6 +232,29 @@ describe('Error Handler Middleware', () => {
       });
     });
 
+    it('should keep 503 for circuit breaker errors wrapped by a service', () => {
+      const cause = new Error('TMDB API is temporarily unavailable');
+      cause.code = 'SERVICE_UNAVAILABLE';
+      cause.retryAfterMs = 12500;
+      const error = new Error('Failed to get movie details: TMDB API is temporarily unavailable');
+      error.code = 'CONTENT_SERVICE_ERROR';
+      error.originalError = cause;
+      res.set = jest.fn();
+      
+      errorHandler(error, req, res, next);
+      
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '13');
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Failed to get movie details: TMDB API is temporarily unavailable'
+        },
+        timestamp: expect.any(String)
+      });
+    });
+
     it('should handle VALIDATION_ERROR code correctly', () => {
       const error = new Error('Validation failed');
       error.code = 'VALIDATION_ERROR';
@@ -249,6 +272,44 @@ describe('Error Handler Middleware', () => {
       });
     });
 
+    it('should include the problems of VALIDATION_ERROR errors', () => {
+      const error = new Error('Invalid custom category');
+      error.code = 'VALIDATION_ERROR';
+      error.details = ['filters.networks only applies to TV categories'];
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toEqual({
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid custom category',
+        details: ['filters.networks only applies to TV categories']
+      });
+    });
+
+    it('should handle CALENDAR_SERVICE_ERROR code correctly', () => {
+      const error = new Error('Failed to fetch release calendar');
+      error.code = 'CALENDAR_SERVICE_ERROR';
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0].error.code).toBe('CALENDAR_SERVICE_ERROR');
+    });
+
+    it('should handle CONFLICT code correctly', () => {
+      const error = new Error('Category already exists: halloween');
+      error.code = 'CONFLICT';
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].error).toEqual({
+        code: 'CONFLICT',
+        message: 'Category already exists: halloween'
+      });
+    });
+
     it('should handle validation errors by message content', () => {
       const error = new Error('Field is required');
       
@@ -0,0 +1,39 @@
+const request = require('supertest');
+const express = require('express');
+const { attachRequestContext } = require('../../../src/middleware/context');
+const { attachImageOptions } = require('../../../src/middleware/images');
+const { validateImageQuery } = require('../../../src/middleware/validation');
+const { getRequestImageOptions } = require('../../../src/services/requestContext');
+
+describe('Image Middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(attachRequestContext);
+    app.use(validateImageQuery, attachImageOptions);
+    app.get('/test', async (req, res) => {
+      await Promise.resolve();
+      res.json({ images: getRequestImageOptions() });
+    });
+  });
+
+  test('should use default sizes without srcsets', async () => {
+    const response = await request(app).get('/test').expect(200);
+
+    expect(response.body.images).toEqual({ size: null, srcset: false });
+  });
+
+  test('should honor imageSize and imageSrcset', async () => {
+    const response = await request(app).get('/test?imageSize=large&imageSrcset=true').expect(200);
+
+    expect(response.body.images).toEqual({ size: 'large', srcset: true });
+  });
+
+  test('should reject unknown presets and non-boolean srcset values', async () => {
+    const response = await request(app).get('/test?imageSize=huge&imageSrcset=maybe').expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.map(detail => detail.path)).toEqual(['imageSize', 'imageSrcset']);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const { attachRequestContext } = require('../../../src/middleware/context');
+const { attachLocale, resolveLocale, parseAcceptLanguage } = require('../../../src/middleware/locale');
+const { validateLocaleQuery } = require('../../../src/middleware/validation');
+const { getRequestLocale } = require('../../../src/services/requestContext');
+
+describe('Locale Middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(attachRequestContext);
+    app.use(validateLocaleQuery, attachLocale);
+    app.get('/test', async (req, res) => {
+      await Promise.resolve();
+      res.json({ locale: getRequestLocale() });
+    });
+  });
+
+  describe('attachLocale', () => {
+    test('should use the configured defaults', async () => {
+      const response = await request(app).get('/test').expect(200);
+
+      expect(response.body.locale).toEqual({ language: 'en-US', region: 'US' });
+      expect(response.headers['content-language']).toBe('en-US');
+      expect(response.headers['vary']).toMatch(/Accept-Language/);
+    });
+
+    test('should honor language and region query parameters', async () => {
+      const response = await request(app).get('/test?language=pt-br&region=in').expect(200);
+
+      expect(response.body.locale).toEqual({ language: 'pt-BR', region: 'IN' });
+    });
+
+    test('should fall back to Accept-Language', async () => {
+      const response = await request(app)
+        .get('/test')
+        .set('Accept-Language', 'de;q=0.7, hi-IN, en;q=0.9')
+        .expect(200);
+
+      expect(response.body.locale).toEqual({ language: 'hi-IN', region: 'IN' });
+    });
+
+    test('should reject invalid locale parameters', async () => {
+      const response = await request(app).get('/test?language=english&region=INDIA').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details.map(detail => detail.path)).toEqual(['language', 'region']);
+    });
+  });
+
+  describe('resolveLocale', () => {
+    const buildRequest = (query, acceptLanguage) => ({ query, get: () => acceptLanguage });
+
+    test('should prefer the query language over Accept-Language', () => {
+      expect(resolveLocale(buildRequest({ language: 'fr' }, 'de-DE'), { language: 'en-US', region: 'US' }))
+        .toEqual({ language: 'fr', region: 'US' });
+    });
+
+    test('should prefer an explicit region over the language region', () => {
+      expect(resolveLocale(buildRequest({ region: 'GB' }, 'en-IN'), { language: 'en-US', region: 'US' }))
+        .toEqual({ language: 'en-IN', region: 'GB' });
+    });
+  });
+
+  describe('parseAcceptLanguage', () => {
+    test('should pick the highest quality supported language', () => {
+      expect(parseAcceptLanguage('*, fr-CA;q=0.8, es;q=0.9')).toBe('es');
+      expect(parseAcceptLanguage('en;q=0')).toBeNull();
+      expect(parseAcceptLanguage('')).toBeNull();
+    });
+  });
+});
@@ -8,6 +8,7 @@ const {
   additionalSecurityHeaders,
   validateRequestSize,
   validateUserAgent,
+  requireAdminToken,
   securityLogger
 } = require('../../../src/middleware/security');
 
@@ -128,6 +129,54 @@ describe('Security Middleware', () => {
     });
   });
 
+  describe('requireAdminToken', () => {
+    const setup = (token) => {
+      app.use(requireAdminToken(token));
+      app.get('/admin', (req, res) => {
+        res.json({ success: true });
+      });
+    };
+
+    test('should accept the admin bearer token', async () => {
+      setup('s3cret');
+
+      await request(app)
+        .get('/admin')
+        .set('Authorization', 'Bearer s3cret')
+        .expect(200);
+    });
+
+    test('should reject missing or wrong tokens', async () => {
+      setup('s3cret');
+
+      const missing = await request(app)
+        .get('/admin')
+        .expect(401);
+      expect(missing.body.error.code).toBe('UNAUTHORIZED');
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+      await request(app)
+        .get('/admin')
+        .set('Authorization', 'Bearer wrong')
+        .expect(401);
+      await request(app)
+        .get('/admin')
+        .set('Authorization', 's3cret')
+        .expect(401);
+    });
+
+    test('should disable the admin API without a configured token', async () => {
+      setup(undefined);
+
+      const response = await request(app)
+        .get('/admin')
+        .set('Authorization', 'Bearer undefined')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ADMIN_API_DISABLED');
+    });
+  });
+
   describe('securityLogger', () => {
     let consoleSpy;
 
@@ -3,12 +3,22 @@ const express = require('express');
 const { 
   validateSearchQuery, 
   validateContentId, 
+  validateExternalId,
+  validateSeasonNumber,
+  validateEpisodeNumber,
+  validatePersonCreditsQuery,
   validateMediaType,
   validateCategoryParam,
   validateStudioParam,
   validateNetworkParam,
   validateGenreParam,
   validateAwardTypeParam,
+  validateReviewQuery,
+  validateProviderFeed,
+  validateCursorQuery,
+  validateCalendarQuery,
+  validateCalendarFeedQuery,
+  validateCalendarTimeZone,
   sanitizeString,
   sanitizeQuery,
   sanitizeParams
@@ -146,6 +156,97 @@ describe('Validation Middleware', () => {
     });
   });
 
+  describe('validateExternalId', () => {
+    beforeEach(() => {
+      app.get('/test/:source/:externalId', validateExternalId, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept IDs in each source\'s format', async () => {
+      await request(app).get('/test/imdb/tt0137523').expect(200);
+      await request(app).get('/test/imdb/nm0001570').expect(200);
+      await request(app).get('/test/tvdb/81189').expect(200);
+      await request(app).get('/test/wikidata/Q190050').expect(200);
+    });
+
+    test('should reject unknown sources', async () => {
+      const response = await request(app)
+        .get('/test/letterboxd/fight-club')
+        .expect(400);
+
+      expect(response.body.error.details[0].path).toBe('source');
+    });
+
+    test('should reject IDs that don\'t match the source format', async () => {
+      const response = await request(app)
+        .get('/test/imdb/0137523')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Invalid imdb ID (e.g. tt0137523)');
+    });
+  });
+
+  describe('validateSeasonNumber and validateEpisodeNumber', () => {
+    beforeEach(() => {
+      app.get('/test/:season/:episode', validateSeasonNumber, validateEpisodeNumber, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept specials (season 0)', async () => {
+      await request(app)
+        .get('/test/0/1')
+        .expect(200);
+    });
+
+    test('should reject invalid season numbers', async () => {
+      const response = await request(app)
+        .get('/test/-1/1')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Season number must be a non-negative integer');
+    });
+
+    test('should reject episode 0', async () => {
+      const response = await request(app)
+        .get('/test/1/0')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Episode number must be a positive integer');
+    });
+  });
+
+  describe('validatePersonCreditsQuery', () => {
+    beforeEach(() => {
+      app.get('/test', validatePersonCreditsQuery, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept valid filters', async () => {
+      await request(app)
+        .get('/test?role=composer&mediaType=tv&sort=rated&exclude=550&excludeMediaType=movie')
+        .expect(200);
+    });
+
+    test('should reject unknown roles, media types and sorts', async () => {
+      const response = await request(app)
+        .get('/test?role=gaffer&mediaType=person&sort=oldest&exclude=abc')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.path)).toEqual(['role', 'mediaType', 'sort', 'exclude', 'excludeMediaType']);
+    });
+
+    test('should require the media type of an excluded title', async () => {
+      const response = await request(app)
+        .get('/test?exclude=1396')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.msg)).toEqual(['Excluded media type must be movie or tv']);
+    });
+  });
+
   describe('validateMediaType', () => {
     beforeEach(() => {
       app.get('/test/:mediaType', validateMediaType, (req, res) => {
@@ -205,6 +306,14 @@ describe('Validation Middleware', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
+
+    test('should only accept studios in the category registry', async () => {
+      const response = await request(app)
+        .get('/test/constructor')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Invalid studio name');
+    });
   });
 
   describe('validateNetworkParam', () => {
@@ -233,6 +342,141 @@ describe('Validation Middleware', () => {
     });
   });
 
+  describe('validateReviewQuery', () => {
+    beforeEach(() => {
+      app.get('/test', validateReviewQuery, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept a page and excerpt length', async () => {
+      await request(app)
+        .get('/test?page=2&excerptLength=120')
+        .expect(200);
+    });
+
+    test('should reject excerpt lengths out of range', async () => {
+      const response = await request(app)
+        .get('/test?excerptLength=10')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Excerpt length must be an integer between 50 and 2000');
+    });
+  });
+
+  describe('validateProviderFeed', () => {
+    beforeEach(() => {
+      app.get('/test/:providerId', validateProviderFeed, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept a provider with feed options', async () => {
+      await request(app)
+        .get('/test/8?days=7&mediaType=tv&page=2')
+        .expect(200);
+    });
+
+    test('should reject invalid provider IDs and day ranges', async () => {
+      const badProvider = await request(app)
+        .get('/test/netflix')
+        .expect(400);
+      expect(badProvider.body.error.details[0].msg).toBe('Provider ID must be a positive integer');
+
+      const badDays = await request(app)
+        .get('/test/8?days=400')
+        .expect(400);
+      expect(badDays.body.error.details[0].msg).toBe('Days must be an integer between 1 and 365');
+    });
+  });
+
+  describe('validateCursorQuery', () => {
+    beforeEach(() => {
+      app.get('/test', validateCursorQuery, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept URL-safe cursors or none', async () => {
+      await request(app).get('/test').expect(200);
+      await request(app).get('/test?cursor=eyJ2IjoxfQ').expect(200);
+    });
+
+    test('should reject cursors that were not handed out', async () => {
+      const response = await request(app)
+        .get('/test?cursor=%3Cscript%3E')
+        .expect(400);
+
+      expect(response.body.error.details[0].msg).toBe('Cursor must be the nextCursor of a previous page');
+    });
+  });
+
+  describe('validateCalendarQuery', () => {
+    beforeEach(() => {
+      app.get('/test', validateCalendarQuery, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept calendar options', async () => {
+      await request(app)
+        .get('/test?from=2024-06-01&to=2024-06-30&type=tv&bucket=week&genre=comedy&network=hbo&tz=Europe/Berlin')
+        .expect(200);
+    });
+
+    test('should reject invalid calendar options', async () => {
+      const response = await request(app)
+        .get('/test?from=2024-02-30&bucket=year&genre=podcasts&tz=Mars/Base')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.msg)).toEqual([
+        'Dates must be calendar dates (YYYY-MM-DD)',
+        'Bucket must be one of: day, week, month',
+        'Invalid genre',
+        'Time zone must be an IANA time zone (e.g. "America/New_York")'
+      ]);
+    });
+  });
+
+  describe('validateCalendarFeedQuery', () => {
+    beforeEach(() => {
+      app.get('/test', validateCalendarFeedQuery, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept feed filters', async () => {
+      await request(app).get('/test?type=tv&genre=drama&network=hbo&tz=Europe/Berlin').expect(200);
+    });
+
+    test('should reject invalid feed filters', async () => {
+      const response = await request(app).get('/test?type=podcast&network=unknown&tz=Mars/Base').expect(400);
+
+      expect(response.body.error.details.map(detail => detail.msg)).toEqual([
+        'Type must be one of: all, movie, tv',
+        'Invalid network',
+        'Time zone must be an IANA time zone (e.g. "America/New_York")'
+      ]);
+    });
+  });
+
+  describe('validateCalendarTimeZone', () => {
+    beforeEach(() => {
+      app.get('/test', validateCalendarTimeZone, (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    test('should accept IANA time zones', async () => {
+      await request(app).get('/test?tz=America/Los_Angeles').expect(200);
+      await request(app).get('/test').expect(200);
+    });
+
+    test('should reject unknown time zones', async () => {
+      await request(app).get('/test?tz=Mars/Base').expect(400);
+    });
+  });
+
   describe('sanitizeString', () => {
     test('should remove XSS attempts', () => {
       const malicious = '<script>alert("xss")</script>';
@@ -0,0 +1,105 @@
+const { PagedStream, blendStreams } = require('../../../src/services/blend');
+
+describe('Blend', () => {
+  // Pages of `size` items with ids from `ids`
+  const pagedSource = (mediaType, ids, size = 2) => jest.fn(async page => ({
+    page,
+    results: ids.slice((page - 1) * size, page * size).map(id => ({ id, media_type: mediaType })),
+    total_pages: Math.ceil(ids.length / size),
+    total_results: ids.length
+  }));
+  const keys = items => items.map(item => `${item.media_type}:${item.id}`);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PagedStream', () => {
+    it('should fetch pages only as items are taken', async () => {
+      const fetchPage = pagedSource('movie', [1, 2, 3]);
+      const stream = new PagedStream(fetchPage);
+
+      expect((await stream.next()).id).toBe(1);
+      expect((await stream.next()).id).toBe(2);
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+      expect((await stream.next()).id).toBe(3);
+      expect(await stream.next()).toBeNull();
+      expect(stream.done).toBe(true);
+      expect(stream.totalResults).toBe(3);
+      expect(fetchPage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should start at a position and report where it stopped', async () => {
+      const fetchPage = pagedSource('movie', [1, 2, 3, 4, 5]);
+      const stream = new PagedStream(fetchPage, 'movies', { page: 2, offset: 1 });
+
+      expect(stream.position).toEqual({ page: 2, offset: 1 });
+      expect((await stream.next()).id).toBe(4);
+      expect(fetchPage).toHaveBeenCalledWith(2);
+      expect(stream.position).toEqual({ page: 3, offset: 0 });
+      expect((await stream.peek()).id).toBe(5);
+      expect(stream.position).toEqual({ page: 3, offset: 0 });
+      await stream.next();
+      expect(stream.position).toBeNull();
+    });
+
+    it('should stop on an empty page even when more pages are reported', async () => {
+      const fetchPage = jest.fn().mockResolvedValue({ results: [], total_pages: 500 });
+      const stream = new PagedStream(fetchPage);
+
+      expect(await stream.next()).toBeNull();
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should end with a warning when a page fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const stream = new PagedStream(jest.fn().mockRejectedValue(new Error('TMDB down')), 'discover movie');
+
+      expect(await stream.next()).toBeNull();
+      expect(stream.error.message).toBe('TMDB down');
+      expect(console.warn).toHaveBeenCalledWith('Failed to fetch discover movie page 1:', 'TMDB down');
+    });
+  });
+
+  describe('blendStreams', () => {
+    it('should interleave sources by weight', async () => {
+      const blended = await blendStreams([
+        { stream: new PagedStream(pagedSource('movie', [1, 2, 3, 4, 5])), weight: 2 },
+        { stream: new PagedStream(pagedSource('tv', [1, 2, 3])), weight: 1 }
+      ], 10);
+
+      expect(keys(blended)).toEqual(['movie:1', 'movie:2', 'tv:1', 'movie:3', 'movie:4', 'tv:2', 'movie:5', 'tv:3']);
+    });
+
+    it('should keep the first position of duplicates without losing a source\'s turn', async () => {
+      const blended = await blendStreams([
+        { stream: new PagedStream(pagedSource('movie', [1, 2, 3])) },
+        { stream: new PagedStream(pagedSource('movie', [1, 4, 2, 5])) }
+      ], 10);
+
+      expect(keys(blended)).toEqual(['movie:1', 'movie:4', 'movie:2', 'movie:5', 'movie:3']);
+    });
+
+    it('should give the same order whatever the count', async () => {
+      const blend = count => blendStreams([
+        { stream: new PagedStream(pagedSource('movie', [1, 2, 3, 4, 5, 6])), weight: 3 },
+        { stream: new PagedStream(pagedSource('tv', [1, 2, 3, 4])), weight: 2 }
+      ], count);
+
+      const all = await blend(10);
+      expect(await blend(4)).toEqual(all.slice(0, 4));
+      expect(await blend(7)).toEqual(all.slice(0, 7));
+    });
+
+    it('should keep serving the other sources when one fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const blended = await blendStreams([
+        { stream: new PagedStream(jest.fn().mockRejectedValue(new Error('TMDB down'))) },
+        { stream: new PagedStream(pagedSource('tv', [1, 2])) }
+      ], 10);
+
+      expect(keys(blended)).toEqual(['tv:1', 'tv:2']);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LRUCacheStore,
+  FileCacheStore,
+  ResponseCache,
+  createCacheStore,
+  createResponseCache
+} = require('../../../src/services/cache');
+const { getCacheTTL, DEFAULT_TTL } = require('../../../src/config/cache');
+
+const createEntry = (value, { ttl = 60000, staleTtl = 60000 } = {}) => {
+  const now = Date.now();
+  return { value, storedAt: now, expiresAt: now + ttl, staleUntil: now + ttl + staleTtl };
+};
+
+describe('Cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('LRUCacheStore', () => {
+    it('should store and retrieve entries', async () => {
+      const store = new LRUCacheStore({ maxEntries: 10 });
+      const entry = createEntry({ id: 1 });
+
+      await store.set('a', entry);
+
+      expect(await store.get('a')).toBe(entry);
+      expect(await store.get('missing')).toBeUndefined();
+    });
+
+    it('should evict the least recently used entry when full', async () => {
+      const store = new LRUCacheStore({ maxEntries: 2 });
+
+      await store.set('a', createEntry(1));
+      await store.set('b', createEntry(2));
+      await store.get('a'); // 'b' is now least recently used
+      await store.set('c', createEntry(3));
+
+      expect(await store.get('a')).toBeDefined();
+      expect(await store.get('b')).toBeUndefined();
+      expect(await store.get('c')).toBeDefined();
+      expect(await store.size()).toBe(2);
+    });
+
+    it('should drop entries past their stale window', async () => {
+      const store = new LRUCacheStore();
+      await store.set('a', createEntry(1, { ttl: -2000, staleTtl: 1000 }));
+
+      expect(await store.get('a')).toBeUndefined();
+      expect(await store.size()).toBe(0);
+    });
+
+    it('should reject invalid maxEntries', () => {
+      expect(() => new LRUCacheStore({ maxEntries: 0 })).toThrow('maxEntries must be a positive integer');
+    });
+  });
+
+  describe('FileCacheStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-cache-'));
+      store = new FileCacheStore({ directory });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should persist entries to disk', async () => {
+      await store.set('/movie/550', createEntry({ id: 550 }));
+
+      const reopened = new FileCacheStore({ directory });
+      const entry = await reopened.get('/movie/550');
+
+      expect(entry.value).toEqual({ id: 550 });
+      expect(await reopened.size()).toBe(1);
+    });
+
+    it('should treat missing and corrupt files as misses', async () => {
+      expect(await store.get('/movie/1')).toBeUndefined();
+
+      fs.writeFileSync(store.getFilePath('/movie/2'), '{not json');
+      expect(await store.get('/movie/2')).toBeUndefined();
+    });
+
+    it('should delete and clear entries', async () => {
+      await store.set('a', createEntry(1));
+      await store.set('b', createEntry(2));
+
+      await store.delete('a');
+      expect(await store.get('a')).toBeUndefined();
+
+      await store.clear();
+      expect(await store.size()).toBe(0);
+    });
+  });
+
+  describe('ResponseCache', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new ResponseCache(new LRUCacheStore(), {
+        ttlResolver: () => 1000,
+        staleTtlMs: 5000
+      });
+    });
+
+    it('should require a store', () => {
+      expect(() => new ResponseCache()).toThrow('Cache store is required');
+    });
+
+    it('should return fresh entries as not stale', async () => {
+      await cache.set('key', { results: [1] }, '/trending/movie/week');
+
+      const cached = await cache.get('key');
+
+      expect(cached.value).toEqual({ results: [1] });
+      expect(cached.stale).toBe(false);
+      expect(cache.getStats()).toMatchObject({ hits: 1, misses: 0 });
+    });
+
+    it('should return expired entries as stale within the stale window', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cache.set('key', { id: 1 }, '/movie/1');
+
+      Date.now.mockReturnValue(now + 2000);
+      const cached = await cache.get('key');
+
+      expect(cached.stale).toBe(true);
+      expect(cache.getStats().stale).toBe(1);
+    });
+
+    it('should count misses', async () => {
+      expect(await cache.get('missing')).toBeNull();
+      expect(cache.getStats().misses).toBe(1);
+    });
+
+    it('should isolate cached data from caller mutations', async () => {
+      const data = { results: [{ id: 1 }] };
+      await cache.set('key', data, '/discover/movie');
+      data.results.push({ id: 2 });
+
+      const first = await cache.get('key');
+      first.value.results[0].tagline = 'mutated';
+      const second = await cache.get('key');
+
+      expect(second.value).toEqual({ results: [{ id: 1 }] });
+    });
+
+    it('should use the TTL for the endpoint', async () => {
+      const ttlResolver = jest.fn().mockReturnValue(1000);
+      cache = new ResponseCache(new LRUCacheStore(), { ttlResolver });
+
+      await cache.set('key', {}, '/genre/movie/list');
+
+      expect(ttlResolver).toHaveBeenCalledWith('/genre/movie/list');
+    });
+
+    it('should not throw when the store fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('disk full')),
+        set: jest.fn().mockRejectedValue(new Error('disk full'))
+      };
+      cache = new ResponseCache(store);
+
+      await expect(cache.set('key', {}, '/movie/1')).resolves.toBeUndefined();
+      await expect(cache.get('key')).resolves.toBeNull();
+      expect(cache.getStats().errors).toBe(2);
+    });
+  });
+
+  describe('factories', () => {
+    it('should create stores for supported backends', () => {
+      expect(createCacheStore({ backend: 'memory' })).toBeInstanceOf(LRUCacheStore);
+      expect(createCacheStore({ backend: 'file', directory: os.tmpdir() })).toBeInstanceOf(FileCacheStore);
+      expect(() => createCacheStore({ backend: 'redis' })).toThrow('Unsupported cache backend: redis');
+    });
+
+    it('should return null when caching is disabled', () => {
+      expect(createResponseCache({ enabled: false })).toBeNull();
+      expect(createResponseCache({ enabled: true })).toBeInstanceOf(ResponseCache);
+    });
+  });
+
+  describe('getCacheTTL', () => {
+    it('should resolve per-endpoint TTLs', () => {
+      expect(getCacheTTL('/genre/movie/list')).toBe(24 * 60 * 60 * 1000);
+      expect(getCacheTTL('/trending/movie/week')).toBe(10 * 60 * 1000);
+      expect(getCacheTTL('/movie/550')).toBe(6 * 60 * 60 * 1000);
+      expect(getCacheTTL('/movie/550/watch/providers')).toBe(60 * 60 * 1000);
+      expect(getCacheTTL('/movie/550/reviews')).toBe(60 * 60 * 1000);
+      expect(getCacheTTL('/movie/upcoming')).toBe(30 * 60 * 1000);
+    });
+
+    it('should fall back to the default TTL', () => {
+      expect(getCacheTTL('/unknown/endpoint')).toBe(DEFAULT_TTL);
+    });
+  });
+});
@@ -0,0 +1,370 @@
+const CalendarService = require('../../../src/services/calendar.service');
+const CategoryService = require('../../../src/services/category.service');
+const TMDBService = require('../../../src/services/tmdb.service');
+const { createRequestContext, runWithRequestContext } = require('../../../src/services/requestContext');
+
+describe('CalendarService', () => {
+  let mockTMDBService;
+  let calendarService;
+
+  const page = (results, totalPages = 1) => ({ page: 1, results, total_pages: totalPages, total_results: results.length * totalPages });
+  const releaseDates = (country, ...releases) => ({
+    results: [{ iso_3166_1: country, release_dates: releases.map(([type, date]) => ({ type, release_date: `${date}T00:00:00.000Z` })) }]
+  });
+  const summary = result => result.data.buckets.map(bucket => ({
+    key: bucket.key,
+    entries: bucket.entries.map(entry => `${entry.type}:${entry.id}${entry.episode_number ? `:S${entry.season_number}E${entry.episode_number}` : ''}`)
+  }));
+  const inRegion = (region, fn) => runWithRequestContext(fn, createRequestContext({ language: 'en-US', region }));
+
+  beforeEach(() => {
+    mockTMDBService = {
+      discoverMovies: jest.fn().mockResolvedValue(page([
+        { id: 10, title: 'Summer Blockbuster', release_date: '2024-06-14', popularity: 50 },
+        { id: 11, title: 'Festival Darling', release_date: '2024-05-20', popularity: 10 }
+      ])),
+      getMovieReleaseDates: jest.fn(async id => id === 10
+        ? releaseDates('US', [3, '2024-06-14'])
+        : releaseDates('US', [1, '2024-05-20'], [2, '2024-06-07'])),
+      discoverTV: jest.fn(async params => params['first_air_date.gte']
+        ? page([{ id: 20, name: 'New Show', first_air_date: '2024-06-10', popularity: 30 }])
+        : page([
+          { id: 20, name: 'New Show', popularity: 30 },
+          { id: 21, name: 'Returning Show', popularity: 80 }
+        ])),
+      getTVShow: jest.fn(async id => ({
+        id,
+        name: id === 20 ? 'New Show' : 'Returning Show',
+        last_episode_to_air: { season_number: id === 20 ? 1 : 3 },
+        next_episode_to_air: { season_number: id === 20 ? 1 : 3 }
+      })),
+      getTVSeason: jest.fn(async (id, season) => ({
+        episodes: id === 20
+          ? [
+            { season_number: 1, episode_number: 1, name: 'Pilot', air_date: '2024-06-10' },
+            { season_number: 1, episode_number: 2, name: 'Second', air_date: '2024-06-17' }
+          ]
+          : [
+            { season_number: season, episode_number: 1, name: 'Back', air_date: '2024-05-27' },
+            { season_number: season, episode_number: 2, name: 'Again', air_date: '2024-06-10' },
+            { season_number: season, episode_number: 3, name: 'Finale', air_date: '2024-07-08' }
+          ]
+      })),
+      enrichWithTaglines: jest.fn(async results => results),
+      getUpcoming: jest.fn()
+    };
+    Object.setPrototypeOf(mockTMDBService, TMDBService.prototype);
+
+    calendarService = new CalendarService(mockTMDBService, { categories: new CategoryService(mockTMDBService) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require a TMDB service', () => {
+    expect(() => new CalendarService()).toThrow('TMDBService instance is required');
+  });
+
+  it('should group releases, premieres and episodes by day', async () => {
+    const result = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30' });
+
+    expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith({
+      'release_date.gte': '2024-06-01',
+      'release_date.lte': '2024-06-30',
+      with_release_type: '2|3',
+      sort_by: 'primary_release_date.asc',
+      page: 1
+    });
+    expect(mockTMDBService.discoverTV).toHaveBeenCalledWith(expect.objectContaining({
+      'air_date.gte': '2024-06-01',
+      'air_date.lte': '2024-06-30',
+      sort_by: 'popularity.desc'
+    }));
+    expect(summary(result)).toEqual([
+      { key: '2024-06-07', entries: ['movie_release:11'] },
+      // The pilot is listed as the premiere only
+      { key: '2024-06-10', entries: ['tv_premiere:20', 'episode:21:S3E2'] },
+      { key: '2024-06-14', entries: ['movie_release:10'] },
+      { key: '2024-06-17', entries: ['episode:20:S1E2'] }
+    ]);
+    expect(result.data).toMatchObject({
+      from: '2024-06-01',
+      to: '2024-06-30',
+      region: 'US',
+      type: 'all',
+      bucket: 'day',
+      total_results: 5,
+      truncated: false
+    });
+    expect(result.data.buckets[0].entries[0]).toMatchObject({
+      title: 'Festival Darling',
+      date: '2024-06-07',
+      release_type: 'theatrical_limited'
+    });
+    expect(result.data.buckets[1].entries[1]).toMatchObject({ name: 'Returning Show', episode_name: 'Again' });
+  });
+
+  it('should keep the image URLs of titles and episodes', async () => {
+    const images = type => ({
+      [`${type}_path`]: `/${type}.jpg`,
+      [`${type}_url`]: `https://image.tmdb.org/t/p/w500/${type}.jpg`,
+      [`${type}_srcset`]: { w500: `https://image.tmdb.org/t/p/w500/${type}.jpg` }
+    });
+    mockTMDBService.discoverMovies.mockResolvedValue(page([
+      { id: 10, title: 'Summer Blockbuster', release_date: '2024-06-14', ...images('poster'), ...images('backdrop') }
+    ]));
+    mockTMDBService.getTVSeason.mockResolvedValue({
+      episodes: [{ season_number: 3, episode_number: 2, name: 'Again', air_date: '2024-06-10', ...images('still') }]
+    });
+
+    const result = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30' });
+    const entries = result.data.buckets.flatMap(bucket => bucket.entries);
+
+    expect(entries.find(entry => entry.type === 'movie_release')).toMatchObject({ ...images('poster'), ...images('backdrop') });
+    expect(entries.find(entry => entry.type === 'episode')).toMatchObject(images('still'));
+  });
+
+  it('should bucket by week and month', async () => {
+    const weeks = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-07-31', bucket: 'week' });
+    const months = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-07-31', bucket: 'month' });
+
+    expect(weeks.data.buckets.map(bucket => [bucket.start, bucket.end, bucket.total_results])).toEqual([
+      ['2024-06-03', '2024-06-09', 1],
+      ['2024-06-10', '2024-06-16', 3],
+      ['2024-06-17', '2024-06-23', 1],
+      ['2024-07-08', '2024-07-14', 1]
+    ]);
+    expect(months.data.buckets.map(bucket => [bucket.key, bucket.total_results])).toEqual([['2024-06', 5], ['2024-07', 1]]);
+  });
+
+  it('should date movies with their release in the request region', async () => {
+    mockTMDBService.getMovieReleaseDates.mockImplementation(async id => id === 10
+      ? releaseDates('GB', [3, '2024-06-28'])
+      : releaseDates('US', [3, '2024-06-07']));
+
+    const result = await inRegion('GB', () => calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30', type: 'movie' }));
+
+    // Without GB dates the first release anywhere is used
+    expect(summary(result)).toEqual([
+      { key: '2024-06-28', entries: ['movie_release:10'] }
+    ]);
+    expect(result.data.region).toBe('GB');
+    expect(mockTMDBService.discoverTV).not.toHaveBeenCalled();
+  });
+
+  it('should filter by network and genre', async () => {
+    await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30', network: 'hbo', genre: 'action' });
+
+    expect(mockTMDBService.discoverMovies).not.toHaveBeenCalled();
+    expect(mockTMDBService.discoverTV).toHaveBeenCalledWith(expect.objectContaining({
+      'first_air_date.gte': '2024-06-01',
+      with_genres: '10759',
+      with_networks: '49'
+    }));
+  });
+
+  it('should leave out TV for genres TV does not have', async () => {
+    await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30', genre: 'horror' });
+
+    expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith(expect.objectContaining({ with_genres: '27' }));
+    expect(mockTMDBService.discoverTV).not.toHaveBeenCalled();
+  });
+
+  it('should start today in the requested time zone', async () => {
+    jest.useFakeTimers({ now: new Date('2024-06-30T22:00:00Z') });
+
+    try {
+      const result = await calendarService.getCalendar({ type: 'tv', timeZone: 'Asia/Tokyo' });
+      expect(result.data).toMatchObject({ from: '2024-07-01', to: '2024-07-30', today: '2024-07-01', time_zone: 'Asia/Tokyo' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should date and group entries in the requested time zone', async () => {
+    const options = { from: '2024-06-01', to: '2024-06-30', type: 'tv', bucket: 'week' };
+    const weeks = result => result.data.buckets.map(bucket => [bucket.key, bucket.total_results]);
+
+    const utc = await calendarService.getCalendar(options);
+    const newYork = await calendarService.getCalendar({ ...options, timeZone: 'America/New_York' });
+
+    // Monday 2024-06-10 at midnight UTC is still Sunday in New York, the week before
+    expect(weeks(utc)).toEqual([['2024-06-10', 2], ['2024-06-17', 1]]);
+    expect(weeks(newYork)).toEqual([['2024-06-03', 2], ['2024-06-10', 1]]);
+    expect(newYork.data.buckets[0].entries[0]).toMatchObject({ type: 'tv_premiere', date: '2024-06-09' });
+  });
+
+  it('should say when sources were cut short', async () => {
+    mockTMDBService.discoverMovies.mockResolvedValue(page([], 5));
+
+    const result = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30', type: 'movie' });
+
+    expect(mockTMDBService.discoverMovies).toHaveBeenCalledTimes(2);
+    expect(result.data.truncated).toBe(true);
+  });
+
+  it('should skip shows whose episodes cannot be fetched', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockTMDBService.getTVShow.mockRejectedValueOnce(new Error('Not found'));
+
+    const result = await calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30', type: 'tv' });
+
+    expect(result.data.total_results).toBe(2);
+    expect(console.warn).toHaveBeenCalledWith('Failed to fetch episodes for TV show 20:', 'Not found');
+  });
+
+  it('should reject invalid ranges', async () => {
+    await expect(calendarService.getCalendar({ from: '2024-06-30', to: '2024-06-01' })).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'The calendar end date must not be before its start date'
+    });
+    await expect(calendarService.getCalendar({ from: '2024-01-01', to: '2024-12-31' })).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'The calendar covers at most 92 days'
+    });
+    expect(mockTMDBService.discoverMovies).not.toHaveBeenCalled();
+  });
+
+  describe('iCalendar feeds', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-06-12T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should build a movie feed from its regional release dates', async () => {
+      mockTMDBService.getMovie = jest.fn().mockResolvedValue({
+        id: 10,
+        title: 'Summer Blockbuster',
+        tagline: 'Bigger.',
+        overview: 'Things explode.',
+        release_date: '2024-06-01',
+        release_dates: releaseDates('US', [1, '2024-06-01'], [3, '2024-06-14'], [2, '2024-06-07'], [4, '2024-08-02'])
+      });
+
+      const feed = await calendarService.getMovieFeed(10);
+
+      expect(mockTMDBService.getMovie).toHaveBeenCalledWith(10, 'release_dates');
+      expect(feed).toEqual({
+        name: 'Summer Blockbuster',
+        description: 'Release dates of Summer Blockbuster in US',
+        timeZone: 'UTC',
+        events: [
+          {
+            uid: 'movie-10-theatrical-US',
+            date: '2024-06-07',
+            summary: 'Summer Blockbuster (in theaters)',
+            description: 'Bigger.\n\nThings explode.',
+            url: 'https://www.themoviedb.org/movie/10'
+          },
+          expect.objectContaining({ uid: 'movie-10-digital-US', date: '2024-08-02', summary: 'Summer Blockbuster (digital release)' })
+        ]
+      });
+    });
+
+    it('should date feed events in the requested time zone', async () => {
+      mockTMDBService.getMovie = jest.fn().mockResolvedValue({
+        id: 10,
+        title: 'Summer Blockbuster',
+        release_dates: releaseDates('US', [3, '2024-06-14'], [4, '2024-08-02'])
+      });
+
+      const feed = await calendarService.getMovieFeed(10, 'America/Los_Angeles');
+
+      expect(feed.timeZone).toBe('America/Los_Angeles');
+      expect(feed.events.map(event => event.date)).toEqual(['2024-06-13', '2024-08-01']);
+    });
+
+    it('should fall back to the first release without regional dates', async () => {
+      mockTMDBService.getMovie = jest.fn().mockResolvedValue({
+        id: 10,
+        title: 'Summer Blockbuster',
+        release_date: '2024-06-01',
+        release_dates: releaseDates('US', [3, '2024-06-14'])
+      });
+
+      const feed = await inRegion('GB', () => calendarService.getMovieFeed(10));
+
+      expect(feed.events).toEqual([expect.objectContaining({ uid: 'movie-10-theatrical-GB', date: '2024-06-01' })]);
+    });
+
+    it('should build a show feed of its upcoming episodes', async () => {
+      mockTMDBService.getTVShow.mockResolvedValue({
+        id: 21,
+        name: 'Returning Show',
+        genres: [{ id: 18 }],
+        next_episode_to_air: { season_number: 3 },
+        seasons: [{ season_number: 0 }, { season_number: 1 }, { season_number: 3 }, { season_number: 4 }]
+      });
+
+      const feed = await calendarService.getShowFeed(21);
+
+      expect(mockTMDBService.getTVSeason.mock.calls.map(call => call[1])).toEqual([3, 4]);
+      expect(feed.name).toBe('Returning Show');
+      expect(feed.events.map(event => [event.uid, event.date, event.summary])).toEqual([
+        ['tv-21-s3e3', '2024-07-08', 'Returning Show S03E03: Finale'],
+        ['tv-21-s4e3', '2024-07-08', 'Returning Show S04E03: Finale']
+      ]);
+      expect(feed.events[0].url).toBe('https://www.themoviedb.org/tv/21/season/3/episode/3');
+    });
+
+    it('should build an empty show feed until the next episode is known', async () => {
+      mockTMDBService.getTVShow.mockResolvedValue({ id: 21, name: 'Ended Show', next_episode_to_air: null });
+
+      const feed = await calendarService.getShowFeed(21);
+
+      expect(feed.events).toEqual([]);
+      expect(mockTMDBService.getTVSeason).not.toHaveBeenCalled();
+    });
+
+    it('should report titles TMDB does not know as not found', async () => {
+      const notFound = Object.assign(new Error('The resource you requested could not be found.'), { code: 'TMDB_API_ERROR', status: 404 });
+      mockTMDBService.getMovie = jest.fn().mockRejectedValue(notFound);
+      mockTMDBService.getTVShow.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(calendarService.getMovieFeed(999)).rejects.toMatchObject({ code: 'NOT_FOUND', message: 'Movie not found: 999' });
+      await expect(calendarService.getShowFeed(21)).rejects.toMatchObject({
+        code: 'CALENDAR_SERVICE_ERROR',
+        message: 'Failed to build calendar feed for tv show 21'
+      });
+    });
+
+    it('should build the upcoming feed from releases and premieres still to come', async () => {
+      mockTMDBService.discoverTV.mockResolvedValue(page([
+        { id: 20, name: 'New Show', first_air_date: '2024-06-10', popularity: 30 },
+        { id: 22, name: 'Later Show', first_air_date: '2024-06-20', overview: 'Later.', popularity: 5 }
+      ]));
+
+      const feed = await calendarService.getUpcomingFeed({ genre: 'drama' });
+
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith(expect.objectContaining({
+        'release_date.gte': '2024-06-12',
+        'release_date.lte': '2024-12-12',
+        with_genres: '18'
+      }));
+      expect(feed.name).toBe('Upcoming releases (drama)');
+      expect(feed.events.map(event => event.uid)).toEqual(['movie-10-theatrical-US', 'tv-22-premiere']);
+      expect(feed.events[1]).toMatchObject({ summary: 'Later Show (series premiere)', description: 'Later.' });
+    });
+
+    it('should leave movies out of network feeds', async () => {
+      const feed = await calendarService.getUpcomingFeed({ type: 'tv', network: 'hbo' });
+
+      expect(mockTMDBService.discoverMovies).not.toHaveBeenCalled();
+      expect(mockTMDBService.discoverTV).toHaveBeenCalledWith(expect.objectContaining({ with_networks: '49' }));
+      expect(feed.name).toBe('Upcoming TV premieres (hbo)');
+    });
+  });
+
+  it('should wrap upstream failures', async () => {
+    mockTMDBService.discoverMovies.mockRejectedValue(new Error('TMDB API Error'));
+
+    await expect(calendarService.getCalendar({ from: '2024-06-01', to: '2024-06-30' })).rejects.toMatchObject({
+      code: 'CALENDAR_SERVICE_ERROR',
+      message: 'Failed to fetch release calendar'
+    });
+  });
+});
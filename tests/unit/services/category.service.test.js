@@ -1,5 +1,7 @@
 const CategoryService = require('../../../src/services/category.service');
 const TMDBService = require('../../../src/services/tmdb.service');
+const StreamingDatesService = require('../../../src/services/streamingDates.service');
+const { createRequestContext, runWithRequestContext } = require('../../../src/services/requestContext');
 
 // Mock the TMDBService
 jest.mock('../../../src/services/tmdb.service');
@@ -145,23 +147,91 @@ describe('CategoryService', () => {
   });
 
   describe('getStreamingNow', () => {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const netflixOnly = { results: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] } } };
+
+    beforeEach(() => {
+      mockTMDBService.getMovieWatchProviders = jest.fn().mockResolvedValue(netflixOnly);
+      mockTMDBService.enrichWithTaglines = jest.fn(results => Promise.resolve(results));
+      categoryService = new CategoryService(mockTMDBService, {
+        streamingDates: { getStreamingDate: jest.fn().mockResolvedValue({ date: null, confidence: 'none', source: null }) }
+      });
+    });
+
     it('should fetch streaming movies successfully', async () => {
-      mockTMDBService.discoverMovies.mockResolvedValue(mockMovieResponse);
+      mockTMDBService.discoverMovies.mockResolvedValue({
+        page: 2,
+        results: [
+          { id: 1, title: 'New Original', release_date: daysAgo(2), vote_count: 80 },
+          { id: 2, title: 'Older Original', release_date: daysAgo(25), vote_count: 120 }
+        ],
+        total_pages: 3,
+        total_results: 45
+      });
 
-      const result = await categoryService.getStreamingNow();
+      const result = await categoryService.getStreamingNow(2);
 
-      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith({
-        sort_by: 'popularity.desc',
-        'vote_average.gte': 6.0,
-        'vote_count.gte': 100,
-        page: 1
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledTimes(1);
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith(expect.objectContaining({
+        with_watch_providers: expect.stringMatching(/^8\|9\|337\|/),
+        watch_region: 'US',
+        with_watch_monetization_types: 'flatrate|ads|free',
+        'release_date.lte': daysAgo(0),
+        page: 2
+      }));
+      expect(result.data).toMatchObject({ page: 2, total_pages: 3, total_results: 1 });
+      expect(result.data.results.map(movie => movie.id)).toEqual([1]);
+      expect(result.data.results[0].streaming_platform).toBe('Netflix');
+    });
+
+    it('should search the request region and configured platforms', async () => {
+      mockTMDBService.discoverMovies.mockResolvedValue({ results: [], total_pages: 0 });
+      categoryService = new CategoryService(mockTMDBService, {
+        streamingNow: { platforms: [{ name: 'Tubi', providerId: 73, types: ['ads', 'free'] }] }
       });
-      expect(result).toEqual({
-        success: true,
-        data: mockMovieResponse,
-        category: 'streaming-now',
-        page: 1
+
+      await runWithRequestContext(
+        () => categoryService.getStreamingNow(),
+        createRequestContext({ language: 'en-GB', region: 'GB' })
+      );
+
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith(expect.objectContaining({
+        with_watch_providers: '73',
+        watch_region: 'GB',
+        with_watch_monetization_types: 'ads|free'
+      }));
+    });
+
+    it('should check watch providers with bounded concurrency', async () => {
+      const movies = Array.from({ length: 7 }, (_, i) => ({ id: i + 1, title: `Movie ${i + 1}`, release_date: daysAgo(1), vote_count: 60 }));
+      mockTMDBService.discoverMovies.mockResolvedValue({ results: movies, total_pages: 1 });
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockTMDBService.getMovieWatchProviders.mockImplementation(async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return netflixOnly;
       });
+      categoryService.streamingNow.maxConcurrent = 3;
+
+      const result = await categoryService.getStreamingNow();
+
+      expect(mockTMDBService.getMovieWatchProviders).toHaveBeenCalledTimes(7);
+      expect(maxInFlight).toBe(3);
+      expect(result.data.results).toHaveLength(7);
+    });
+
+    it('should leave out movies whose providers cannot be fetched', async () => {
+      mockTMDBService.discoverMovies.mockResolvedValue({
+        results: [{ id: 1, release_date: daysAgo(1), vote_count: 60 }, { id: 2, release_date: daysAgo(1), vote_count: 60 }],
+        total_pages: 1
+      });
+      mockTMDBService.getMovieWatchProviders.mockRejectedValueOnce(new Error('TMDB API Error'));
+
+      const result = await categoryService.getStreamingNow();
+
+      expect(result.data.results.map(movie => movie.id)).toEqual([2]);
     });
 
     it('should handle errors when fetching streaming movies', async () => {
@@ -270,6 +340,124 @@ describe('CategoryService', () => {
     });
   });
 
+  describe('getBlendedContent', () => {
+    // Discover-like pages of `size` items with ids from `ids`
+    const discoverPages = (ids, size) => async ({ page }) => ({
+      page,
+      results: ids.slice((page - 1) * size, page * size).map(id => ({ id })),
+      total_pages: Math.ceil(ids.length / size),
+      total_results: ids.length
+    });
+    const keys = result => result.data.results.map(item => `${item.media_type}:${item.id}`);
+
+    beforeEach(() => {
+      mockTMDBService.enrichWithTaglines = jest.fn(async results => results);
+      mockTMDBService.makeRequest = jest.fn();
+      mockTMDBService.getMovie = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should blend movies and TV shows for Top Rated', async () => {
+      mockTMDBService.discoverMovies.mockImplementation(discoverPages([1, 2, 3], 20));
+      mockTMDBService.discoverTV.mockImplementation(discoverPages([1, 2], 20));
+
+      const result = await categoryService.getAwardWinners('top-rated');
+
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith({
+        sort_by: 'vote_average.desc',
+        'vote_average.gte': 8,
+        'vote_count.gte': 5000,
+        page: 1
+      });
+      expect(mockTMDBService.discoverTV).toHaveBeenCalledWith(expect.objectContaining({ 'vote_count.gte': 2000, page: 1 }));
+      expect(keys(result)).toEqual(['movie:1', 'tv:1', 'movie:2', 'tv:2', 'movie:3']);
+      expect(result).toMatchObject({
+        success: true,
+        category: 'awards-top-rated',
+        mediaType: 'all',
+        page: 1,
+        data: {
+          page: 1,
+          total_pages: 1,
+          total_results: 5,
+          sources: [
+            { type: 'discover', media_type: 'movie', weight: 1, total_results: 3 },
+            { type: 'discover', media_type: 'tv', weight: 1, total_results: 2 }
+          ]
+        }
+      });
+    });
+
+    it('should page through the blend without skipping or repeating titles', async () => {
+      const service = new CategoryService(mockTMDBService, { blend: { pageSize: 3 } });
+      const blend = {
+        sources: [
+          { type: 'discover', media_type: 'movie', weight: 2, discover: { sort_by: 'popularity.desc' } },
+          { type: 'trending', media_type: 'all', time_window: 'day' }
+        ]
+      };
+      mockTMDBService.discoverMovies.mockImplementation(discoverPages([1, 2, 3, 4, 5], 2));
+      mockTMDBService.makeRequest.mockImplementation(async (endpoint, { page }) => ({
+        results: page === 1
+          ? [{ id: 2, media_type: 'movie' }, { id: 9, media_type: 'person' }, { id: 7, media_type: 'tv' }]
+          : [],
+        total_pages: 1,
+        total_results: 3
+      }));
+
+      const first = await service.getBlendedContent('mood-test', blend, 1);
+      const second = await service.getBlendedContent('mood-test', blend, 2);
+
+      expect(mockTMDBService.makeRequest).toHaveBeenCalledWith('/trending/all/day', { page: 1 });
+      expect(keys(first)).toEqual(['movie:1', 'movie:2', 'tv:7']);
+      expect(keys(second)).toEqual(['movie:3', 'movie:4', 'movie:5']);
+      expect(first.data).toMatchObject({ page: 1, total_pages: 3, total_results: 8 });
+      expect(second.data).toMatchObject({ page: 2, total_pages: 2, total_results: 6 });
+    });
+
+    it('should fetch curated lists and leave out titles that fail', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockTMDBService.getMovie.mockImplementation(async id => {
+        if (id === 404) throw new Error('Not found');
+        return { id, title: `Movie ${id}`, genres: [{ id: 18, name: 'Drama' }] };
+      });
+      mockTMDBService.discoverTV.mockImplementation(discoverPages([1], 20));
+
+      const result = await categoryService.getBlendedContent('mood-staff-picks', {
+        sources: [
+          { type: 'list', media_type: 'movie', ids: [238, 404, 278] },
+          { type: 'discover', media_type: 'tv', discover: { with_networks: '49' } }
+        ]
+      });
+
+      expect(keys(result)).toEqual(['movie:238', 'tv:1', 'movie:278']);
+      expect(result.data.results[0]).toMatchObject({ title: 'Movie 238', genre_ids: [18] });
+      expect(console.warn).toHaveBeenCalledWith('Failed to fetch curated movie 404:', 'Not found');
+    });
+
+    it('should reject pages past the last blended page', async () => {
+      await expect(categoryService.getBlendedContent('awards-top-rated', { sources: [] }, 11)).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'Page must be between 1 and 10 for awards-top-rated'
+      });
+      expect(mockTMDBService.discoverMovies).not.toHaveBeenCalled();
+    });
+
+    it('should fail when every source fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockTMDBService.discoverMovies.mockRejectedValue(new Error('TMDB API Error'));
+      mockTMDBService.discoverTV.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(categoryService.getAwardWinners('top-rated')).rejects.toMatchObject({
+        code: 'CATEGORY_SERVICE_ERROR',
+        message: 'Failed to fetch blended content for awards-top-rated'
+      });
+    });
+  });
+
   describe('getStudioContent', () => {
     it('should fetch Disney content successfully', async () => {
       mockTMDBService.discoverMovies.mockResolvedValue(mockMovieResponse);
@@ -490,6 +678,38 @@ describe('CategoryService', () => {
     });
   });
 
+  describe('upcoming windows', () => {
+    it('should read upcoming movies of a window from discover', async () => {
+      mockTMDBService.discoverMovies.mockResolvedValue({ results: [], total_pages: 0 });
+
+      await categoryService.getUpcomingMovies(2, { from: '2024-06-01', to: '2024-06-30', genres: [35, 18] });
+
+      expect(mockTMDBService.getUpcoming).not.toHaveBeenCalled();
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith({
+        'release_date.gte': '2024-06-01',
+        'release_date.lte': '2024-06-30',
+        with_release_type: '2|3',
+        sort_by: 'primary_release_date.asc',
+        with_genres: '35,18',
+        page: 2
+      });
+    });
+
+    it('should filter upcoming TV shows of a window', async () => {
+      mockTMDBService.discoverTV.mockResolvedValue({ results: [], total_pages: 0 });
+
+      await categoryService.getUpcomingTV(1, { from: '2024-06-01', to: '2024-06-30', networks: ['49', '213'] });
+
+      expect(mockTMDBService.discoverTV).toHaveBeenCalledWith({
+        'first_air_date.gte': '2024-06-01',
+        'first_air_date.lte': '2024-06-30',
+        sort_by: 'first_air_date.asc',
+        with_networks: '49|213',
+        page: 1
+      });
+    });
+  });
+
   describe('getUpcomingTV', () => {
     const mockUpcomingTVResponse = {
       page: 1,
@@ -603,184 +823,121 @@ describe('CategoryService', () => {
   });
 
   describe('getCombinedUpcoming', () => {
-    const mockUpcomingMoviesResponse = {
-      page: 1,
-      results: [
-        {
-          id: 1,
-          title: 'Upcoming Movie',
-          poster_path: '/movie.jpg',
-          vote_average: 7.5,
-          release_date: '2024-07-15'
-        }
-      ],
-      total_pages: 5,
-      total_results: 100
-    };
-
-    const mockUpcomingTVResponse = {
-      page: 1,
-      results: [
-        {
-          id: 2,
-          name: 'Upcoming TV Show',
-          poster_path: '/tv.jpg',
-          vote_average: 8.0,
-          first_air_date: '2024-06-20'
-        }
-      ],
-      total_pages: 3,
-      total_results: 60
-    };
+    // Date-sorted discover pages of `size` titles
+    const datedPages = (titles, size) => async ({ page }) => ({
+      page,
+      results: titles.slice((page - 1) * size, page * size),
+      total_pages: Math.ceil(titles.length / size),
+      total_results: titles.length
+    });
+    const movies = [
+      { id: 1, title: 'Movie 1', release_date: '2024-06-01' },
+      { id: 2, title: 'Movie 2', release_date: '2024-06-10' },
+      { id: 3, title: 'Movie 3', release_date: '2024-06-10' },
+      { id: 4, title: 'Movie 4', release_date: '2024-07-01' },
+      { id: 5, title: 'Movie 5', release_date: '2024-09-01' }
+    ];
+    const shows = [
+      { id: 1, name: 'Show 1', first_air_date: '2024-06-05' },
+      { id: 2, name: 'Show 2', first_air_date: '2024-06-10' },
+      { id: 3, name: 'Show 3', first_air_date: '2024-08-01' }
+    ];
+    const keys = results => results.map(item => `${item.media_type}:${item.id}`);
 
     beforeEach(() => {
-      // Mock the individual methods
-      categoryService.getUpcomingMovies = jest.fn();
-      categoryService.getUpcomingTV = jest.fn();
+      mockTMDBService.enrichWithTaglines = jest.fn(async results => results);
+      mockTMDBService.discoverMovies.mockImplementation(datedPages(movies, 2));
+      mockTMDBService.discoverTV.mockImplementation(datedPages(shows, 2));
     });
 
-    it('should fetch and combine upcoming movies and TV shows successfully', async () => {
-      categoryService.getUpcomingMovies.mockResolvedValue({
-        success: true,
-        data: mockUpcomingMoviesResponse,
-        category: 'upcoming-movies',
-        page: 1
-      });
-
-      categoryService.getUpcomingTV.mockResolvedValue({
-        success: true,
-        data: mockUpcomingTVResponse,
-        category: 'upcoming-tv',
-        page: 1
-      });
-
-      const result = await categoryService.getCombinedUpcoming();
-
-      expect(categoryService.getUpcomingMovies).toHaveBeenCalledWith(1);
-      expect(categoryService.getUpcomingTV).toHaveBeenCalledWith(1);
-      expect(result.success).toBe(true);
-      expect(result.category).toBe('upcoming-combined');
-      expect(result.data.results).toHaveLength(2);
-      expect(result.data.total_results).toBe(160); // 100 + 60
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
-    it('should add media_type to each item', async () => {
-      categoryService.getUpcomingMovies.mockResolvedValue({
-        success: true,
-        data: mockUpcomingMoviesResponse,
-        category: 'upcoming-movies',
-        page: 1
-      });
+    it('should merge date-sorted movies and TV shows, soonest first', async () => {
+      const result = await categoryService.getCombinedUpcoming();
 
-      categoryService.getUpcomingTV.mockResolvedValue({
-        success: true,
-        data: mockUpcomingTVResponse,
-        category: 'upcoming-tv',
+      expect(mockTMDBService.discoverMovies).toHaveBeenCalledWith({
+        'release_date.gte': expect.any(String),
+        'release_date.lte': expect.any(String),
+        with_release_type: '2|3',
+        sort_by: 'primary_release_date.asc',
         page: 1
       });
-
-      const result = await categoryService.getCombinedUpcoming();
-
-      const movieItem = result.data.results.find(item => item.title);
-      const tvItem = result.data.results.find(item => item.name);
-
-      expect(movieItem.media_type).toBe('movie');
-      expect(tvItem.media_type).toBe('tv');
+      expect(mockTMDBService.discoverTV).toHaveBeenCalledWith(expect.objectContaining({ sort_by: 'first_air_date.asc', page: 1 }));
+      expect(keys(result.data.results)).toEqual([
+        'movie:1', 'tv:1', 'movie:2', 'movie:3', 'tv:2', 'movie:4', 'tv:3', 'movie:5'
+      ]);
+      expect(result.data.results[0]).toHaveProperty('release_date_formatted');
+      expect(result.data.results[1]).toHaveProperty('first_air_date_formatted');
+      expect(result).toMatchObject({ success: true, category: 'upcoming-combined', cursor: null, nextCursor: null });
     });
 
-    it('should sort combined results by release date (ascending)', async () => {
-      const moviesWithLaterDate = {
-        ...mockUpcomingMoviesResponse,
-        results: [
-          {
-            id: 1,
-            title: 'Later Movie',
-            release_date: '2024-08-15'
-          }
-        ]
-      };
-
-      const tvWithEarlierDate = {
-        ...mockUpcomingTVResponse,
-        results: [
-          {
-            id: 2,
-            name: 'Earlier TV Show',
-            first_air_date: '2024-06-10'
-          }
-        ]
-      };
-
-      categoryService.getUpcomingMovies.mockResolvedValue({
-        success: true,
-        data: moviesWithLaterDate,
-        category: 'upcoming-movies',
-        page: 1
-      });
+    it('should page with cursors without skipping or repeating titles', async () => {
+      const seen = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const result = await categoryService.getCombinedUpcoming(cursor, 3);
+        expect(result.cursor).toBe(cursor || null);
+        seen.push(...keys(result.data.results));
+        cursor = result.nextCursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(seen).toEqual(['movie:1', 'tv:1', 'movie:2', 'movie:3', 'tv:2', 'movie:4', 'tv:3', 'movie:5']);
+    });
 
-      categoryService.getUpcomingTV.mockResolvedValue({
-        success: true,
-        data: tvWithEarlierDate,
-        category: 'upcoming-tv',
-        page: 1
-      });
+    it('should keep the first page\'s window when the date changes between pages', async () => {
+      jest.useFakeTimers({ now: new Date('2024-06-01T23:59:00Z') });
+
+      try {
+        const first = await categoryService.getCombinedUpcoming(undefined, 3);
+        jest.setSystemTime(new Date('2024-06-02T00:01:00Z'));
+        const second = await categoryService.getCombinedUpcoming(first.nextCursor, 3);
+
+        const movieWindows = mockTMDBService.discoverMovies.mock.calls.map(([params]) => params['release_date.gte']);
+        const tvWindows = mockTMDBService.discoverTV.mock.calls.map(([params]) => params['first_air_date.gte']);
+        expect(new Set([...movieWindows, ...tvWindows])).toEqual(new Set(['2024-06-01']));
+        expect(keys(second.data.results)).toEqual(['movie:3', 'tv:2', 'movie:4']);
+        expect(second.nextCursor).not.toBeNull();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
 
-      const result = await categoryService.getCombinedUpcoming();
+    it('should not hand out a cursor to an empty page', async () => {
+      const result = await categoryService.getCombinedUpcoming(undefined, 8);
 
-      // TV show should come first (earlier date)
-      expect(result.data.results[0].name).toBe('Earlier TV Show');
-      expect(result.data.results[1].title).toBe('Later Movie');
+      expect(result.data.results).toHaveLength(8);
+      expect(result.nextCursor).toBeNull();
     });
 
-    it('should support custom page parameters', async () => {
-      categoryService.getUpcomingMovies.mockResolvedValue({
-        success: true,
-        data: mockUpcomingMoviesResponse,
-        category: 'upcoming-movies',
-        page: 2
-      });
-
-      categoryService.getUpcomingTV.mockResolvedValue({
-        success: true,
-        data: mockUpcomingTVResponse,
-        category: 'upcoming-tv',
-        page: 3
+    it('should reject invalid cursors', async () => {
+      await expect(categoryService.getCombinedUpcoming('not-a-cursor')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid cursor'
       });
-
-      const result = await categoryService.getCombinedUpcoming(2, 3);
-
-      expect(categoryService.getUpcomingMovies).toHaveBeenCalledWith(2);
-      expect(categoryService.getUpcomingTV).toHaveBeenCalledWith(3);
-      expect(result.moviePage).toBe(2);
-      expect(result.tvPage).toBe(3);
+      expect(mockTMDBService.discoverMovies).not.toHaveBeenCalled();
     });
 
     it('should handle errors when fetching combined upcoming content', async () => {
-      const error = new Error('TMDB API Error');
-      categoryService.getUpcomingMovies.mockRejectedValue(error);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockTMDBService.discoverTV.mockRejectedValue(new Error('TMDB API Error'));
 
       await expect(categoryService.getCombinedUpcoming()).rejects.toThrow('Failed to fetch combined upcoming content');
     });
 
     it('should handle empty results from both sources', async () => {
-      categoryService.getUpcomingMovies.mockResolvedValue({
-        success: true,
-        data: { ...mockUpcomingMoviesResponse, results: [], total_results: 0 },
-        category: 'upcoming-movies',
-        page: 1
-      });
-
-      categoryService.getUpcomingTV.mockResolvedValue({
-        success: true,
-        data: { ...mockUpcomingTVResponse, results: [], total_results: 0 },
-        category: 'upcoming-tv',
-        page: 1
-      });
+      mockTMDBService.discoverMovies.mockResolvedValue({ results: [], total_pages: 0, total_results: 0 });
+      mockTMDBService.discoverTV.mockResolvedValue({ results: [], total_pages: 0, total_results: 0 });
 
       const result = await categoryService.getCombinedUpcoming();
 
       expect(result.data.results).toEqual([]);
-      expect(result.data.total_results).toBe(0);
+      expect(result.nextCursor).toBeNull();
     });
   });
 
@@ -801,6 +958,14 @@ describe('CategoryService', () => {
         const result = categoryService.formatReleaseDate('invalid-date');
         expect(result).toBe('invalid-date'); // Should return original string if parsing fails
       });
+
+      it('should format dates in the requested language', () => {
+        const formatted = runWithRequestContext(
+          () => categoryService.formatReleaseDate('2024-06-15'),
+          createRequestContext({ language: 'de-DE', region: 'DE' })
+        );
+        expect(formatted).toBe('15. Juni 2024');
+      });
     });
 
     describe('formatDateForAPI', () => {
@@ -843,6 +1008,59 @@ describe('CategoryService', () => {
     });
   });
 
+  describe('Regional watch providers', () => {
+    const watchProviders = {
+      results: {
+        US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] },
+        IN: { flatrate: [{ provider_id: 122, provider_name: 'JioHotstar' }], rent: [{ provider_id: 2, provider_name: 'Apple TV' }] }
+      }
+    };
+    const inIndia = (fn) => runWithRequestContext(fn, createRequestContext({ language: 'en-IN', region: 'IN' }));
+
+    it('should default to US providers outside of a localized request', () => {
+      expect(categoryService.identifyPrimaryStreamingPlatform(watchProviders)).toBe('Netflix');
+    });
+
+    it('should use the providers of the requested region', () => {
+      expect(inIndia(() => categoryService.identifyPrimaryStreamingPlatform(watchProviders))).toBe('JioHotstar');
+      expect(inIndia(() => categoryService.formatWatchProviders(watchProviders))).toEqual({
+        streaming: watchProviders.results.IN.flatrate,
+        free: [],
+        rent: watchProviders.results.IN.rent,
+        buy: []
+      });
+    });
+
+    it('should treat titles unavailable in the region as not streaming', () => {
+      const usOnly = { results: { US: watchProviders.results.US } };
+
+      expect(inIndia(() => categoryService.hasStreamingAvailability(usOnly))).toBe(false);
+      expect(inIndia(() => categoryService.identifyPrimaryStreamingPlatform(usOnly))).toBe('Unknown');
+    });
+  });
+
+  describe('Streaming dates', () => {
+    it('should create its own streaming dates service unless one is shared', () => {
+      const streamingDates = new StreamingDatesService(mockTMDBService);
+
+      expect(categoryService.streamingDates).toBeInstanceOf(StreamingDatesService);
+      expect(new CategoryService(mockTMDBService, { streamingDates }).streamingDates).toBe(streamingDates);
+    });
+
+    it('should no longer invent streaming dates', () => {
+      expect(categoryService.estimateStreamingAddDate).toBeUndefined();
+    });
+
+    it('should score recency from the resolved streaming date', () => {
+      const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      expect(categoryService.calculateStreamingReleaseRecency({ date: daysAgo(2), confidence: 'high' })).toBe(9);
+      expect(categoryService.calculateStreamingReleaseRecency({ date: daysAgo(2), confidence: 'low' })).toBe(6);
+      expect(categoryService.calculateStreamingReleaseRecency({ date: null, confidence: 'none' })).toBe(0);
+      expect(categoryService.calculateStreamingReleaseRecency(null)).toBe(0);
+    });
+  });
+
   describe('createCategoryError', () => {
     it('should create properly formatted error', () => {
       const originalError = new Error('Original error');
@@ -0,0 +1,103 @@
+const CircuitBreaker = require('../../../src/services/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const failTimes = (count) => {
+    for (let i = 0; i < count; i++) {
+      breaker.recordFailure(new Error('timeout'));
+    }
+  };
+
+  it('should start closed and allow requests', () => {
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should trip open after consecutive failures reach the threshold', () => {
+    failTimes(2);
+    expect(breaker.state).toBe('CLOSED');
+
+    failTimes(1);
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getState().stats).toMatchObject({ trips: 1, rejected: 1 });
+  });
+
+  it('should reset the failure count on success', () => {
+    failTimes(2);
+    breaker.recordSuccess();
+    failTimes(2);
+
+    expect(breaker.state).toBe('CLOSED');
+  });
+
+  it('should half-open after the reset timeout and allow a single probe', () => {
+    failTimes(3);
+    now += 10000;
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('should close when the probe succeeds', () => {
+    failTimes(3);
+    now += 10000;
+    breaker.allowRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should re-open when the probe fails', () => {
+    failTimes(3);
+    now += 10000;
+    breaker.allowRequest();
+
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.getRetryAfterMs()).toBe(10000);
+  });
+
+  it('should free the probe without closing when the outcome is neutral', () => {
+    failTimes(3);
+    now += 10000;
+    breaker.allowRequest();
+
+    breaker.recordNeutral();
+
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(breaker.getState().stats.successes).toBe(0);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should report its state for health checks', () => {
+    failTimes(3);
+    now += 4000;
+
+    expect(breaker.getState()).toEqual({
+      state: 'OPEN',
+      consecutiveFailures: 3,
+      failureThreshold: 3,
+      openedAt: new Date(1700000000000).toISOString(),
+      retryAfterMs: 6000,
+      lastFailure: { message: 'timeout', code: undefined, at: expect.any(String) },
+      stats: { successes: 0, failures: 3, rejected: 0, trips: 1 }
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const ContentService = require('../../../src/services/content.service');
 const TMDBService = require('../../../src/services/tmdb.service');
+const { createRequestContext, runWithRequestContext } = require('../../../src/services/requestContext');
 
 // Mock TMDBService
 jest.mock('../../../src/services/tmdb.service');
@@ -16,12 +17,18 @@ describe('ContentService', () => {
     mockTMDBService = {
       getMovie: jest.fn(),
       getTVShow: jest.fn(),
+      getCollection: jest.fn(),
+      findByExternalId: jest.fn(),
+      getTVSeason: jest.fn(),
+      getTVEpisode: jest.fn(),
       getMovieCredits: jest.fn(),
       getTVCredits: jest.fn(),
       getMovieVideos: jest.fn(),
       getTVVideos: jest.fn(),
       getMovieRecommendations: jest.fn(),
       getTVRecommendations: jest.fn(),
+      getMovieReviews: jest.fn(),
+      getTVReviews: jest.fn(),
       getMovieWatchProviders: jest.fn(),
       getTVWatchProviders: jest.fn(),
       getPersonMovies: jest.fn()
@@ -79,7 +86,7 @@ describe('ContentService', () => {
 
       const result = await contentService.getMovieDetails(123);
 
-      expect(mockTMDBService.getMovie).toHaveBeenCalledWith(123, 'credits,videos,recommendations,watch/providers');
+      expect(mockTMDBService.getMovie).toHaveBeenCalledWith(123, 'credits,videos,recommendations,watch/providers,release_dates,external_ids');
       expect(result).toEqual({
         id: 123,
         title: 'Test Movie',
@@ -102,10 +109,107 @@ describe('ContentService', () => {
         credits: { cast: [], crew: [] },
         videos: { results: [] },
         recommendations: { results: [] },
-        watch_providers: { results: {} }
+        watch_providers: { results: {} },
+        region: 'US',
+        regional_release_date: null,
+        release_dates: {},
+        certification: null,
+        regional_watch_providers: null,
+        external_ids: {},
+        collection: null
       });
     });
 
+    it('should include release types and certifications by country', async () => {
+      mockTMDBService.getMovie.mockResolvedValue({
+        ...mockMovieData,
+        release_dates: {
+          results: [
+            { iso_3166_1: 'US', release_dates: [{ type: 3, release_date: '2023-01-01T00:00:00.000Z', certification: 'PG-13' }, { type: 4, release_date: '2023-02-14T00:00:00.000Z', certification: '' }] },
+            { iso_3166_1: 'GB', release_dates: [{ type: 3, release_date: '2023-01-06T00:00:00.000Z', certification: '12A' }] }
+          ]
+        }
+      });
+
+      const result = await contentService.getMovieDetails(123);
+
+      expect(result.certification).toBe('PG-13');
+      expect(result.release_dates.US.dates).toMatchObject({ theatrical: '2023-01-01', digital: '2023-02-14', physical: null });
+      expect(result.release_dates.GB.certification).toBe('12A');
+    });
+
+    it('should embed the collection the movie belongs to', async () => {
+      mockTMDBService.getMovie.mockImplementation(async (id) => (id === 123
+        ? { ...mockMovieData, belongs_to_collection: { id: 9, name: 'Test Collection' } }
+        : { id, runtime: 100 }));
+      mockTMDBService.getCollection.mockResolvedValue({
+        id: 9,
+        name: 'Test Collection',
+        parts: [
+          { id: 124, title: 'Test Movie 2', release_date: '2025-01-01', vote_average: 7, vote_count: 100 },
+          { id: 123, title: 'Test Movie', release_date: '2023-01-01', vote_average: 8.5, vote_count: 1000 }
+        ]
+      });
+
+      const result = await contentService.getMovieDetails(123);
+
+      expect(mockTMDBService.getCollection).toHaveBeenCalledWith(9);
+      // Runtimes would take a request per part, so they're only on the collection endpoint
+      expect(mockTMDBService.getMovie).toHaveBeenCalledTimes(1);
+      expect(result.collection).toMatchObject({
+        id: 9,
+        name: 'Test Collection',
+        part_count: 2,
+        position: 1
+      });
+      expect(result.collection).not.toHaveProperty('total_runtime');
+      expect(result.collection.parts.map(part => part.id)).toEqual([123, 124]);
+      expect(result.collection.parts[0]).not.toHaveProperty('runtime');
+    });
+
+    it('should fall back to the basic collection when it cannot be loaded', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockTMDBService.getMovie.mockResolvedValue({
+        ...mockMovieData,
+        belongs_to_collection: { id: 9, name: 'Test Collection', poster_path: '/c.jpg' }
+      });
+      mockTMDBService.getCollection.mockRejectedValue(new Error('TMDB API Error'));
+
+      const result = await contentService.getMovieDetails(123);
+
+      expect(result.collection).toMatchObject({ id: 9, name: 'Test Collection', poster_path: '/c.jpg', parts: [], position: null });
+      console.warn.mockRestore();
+    });
+
+    it('should report the release date and providers of the requested region', async () => {
+      mockTMDBService.getMovie.mockResolvedValue({
+        ...mockMovieData,
+        release_dates: {
+          results: [
+            { iso_3166_1: 'US', release_dates: [{ type: 3, release_date: '2023-01-01T00:00:00.000Z' }] },
+            {
+              iso_3166_1: 'IN',
+              release_dates: [
+                { type: 4, release_date: '2023-03-10T00:00:00.000Z' },
+                { type: 3, release_date: '2023-02-03T00:00:00.000Z' }
+              ]
+            }
+          ]
+        },
+        'watch/providers': { results: { IN: { flatrate: [{ provider_id: 122, provider_name: 'Hotstar' }] } } }
+      });
+
+      const result = await runWithRequestContext(
+        () => contentService.getMovieDetails(123),
+        createRequestContext({ language: 'hi-IN', region: 'IN' })
+      );
+
+      expect(result.region).toBe('IN');
+      expect(result.release_date).toBe('2023-01-01');
+      expect(result.regional_release_date).toBe('2023-02-03');
+      expect(result.regional_watch_providers.flatrate[0].provider_name).toBe('Hotstar');
+    });
+
     it('should handle missing optional fields', async () => {
       const minimalMovieData = {
         id: 123,
@@ -170,7 +274,7 @@ describe('ContentService', () => {
 
       const result = await contentService.getTVDetails(456);
 
-      expect(mockTMDBService.getTVShow).toHaveBeenCalledWith(456, 'credits,videos,recommendations,watch/providers');
+      expect(mockTMDBService.getTVShow).toHaveBeenCalledWith(456, 'credits,videos,recommendations,watch/providers,external_ids,content_ratings');
       expect(result).toEqual({
         id: 456,
         name: 'Test TV Show',
@@ -187,21 +291,287 @@ describe('ContentService', () => {
         status: 'Returning Series',
         number_of_seasons: 3,
         number_of_episodes: 30,
+        seasons: [],
+        last_episode_to_air: null,
+        next_episode_to_air: null,
         networks: [{ id: 1, name: 'Test Network' }],
         original_language: 'en',
         credits: { cast: [], crew: [] },
         videos: { results: [] },
         recommendations: { results: [] },
-        watch_providers: { results: {} }
+        watch_providers: { results: {} },
+        region: 'US',
+        regional_watch_providers: null,
+        content_ratings: {},
+        certification: null,
+        external_ids: {}
       });
     });
 
+    it('should include content ratings and the regional certification', async () => {
+      mockTMDBService.getTVShow.mockResolvedValue({
+        ...mockTVData,
+        content_ratings: { results: [{ iso_3166_1: 'US', rating: 'TV-MA', descriptors: [] }, { iso_3166_1: 'GB', rating: '18', descriptors: [] }] }
+      });
+
+      const result = await contentService.getTVDetails(456);
+
+      expect(result.certification).toBe('TV-MA');
+      expect(result.content_ratings.GB).toEqual({ rating: '18', descriptors: [] });
+    });
+
+    it('should include external IDs without the TMDB ID', async () => {
+      mockTMDBService.getTVShow.mockResolvedValue({
+        ...mockTVData,
+        external_ids: { id: 456, imdb_id: 'tt0903747', tvdb_id: 81189, wikidata_id: null }
+      });
+
+      const result = await contentService.getTVDetails(456);
+
+      expect(result.external_ids).toEqual({ imdb_id: 'tt0903747', tvdb_id: 81189, wikidata_id: null });
+    });
+
     it('should throw error for invalid TV show ID', async () => {
       await expect(contentService.getTVDetails()).rejects.toThrow('Valid TV show ID is required');
       await expect(contentService.getTVDetails('invalid')).rejects.toThrow('Valid TV show ID is required');
     });
   });
 
+  describe('getCollectionDetails', () => {
+    const mockCollection = {
+      id: 726871,
+      name: 'Dune Collection',
+      overview: 'The saga of Paul Atreides.',
+      poster_path: '/collection.jpg',
+      parts: [
+        { id: 3, title: 'Dune: Part Three', release_date: '', vote_average: 0, vote_count: 0 },
+        { id: 2, title: 'Dune: Part Two', release_date: '2024-02-27', vote_average: 8.2, vote_count: 5000 },
+        { id: 1, title: 'Dune', release_date: '2021-09-15', vote_average: 7.8, vote_count: 15000 }
+      ]
+    };
+
+    beforeEach(() => {
+      mockTMDBService.getCollection.mockResolvedValue(mockCollection);
+      mockTMDBService.getMovie.mockImplementation(async (id) => ({ id, runtime: { 1: 155, 2: 166 }[id] || 0 }));
+    });
+
+    it('should list parts in watch order with totals', async () => {
+      const result = await contentService.getCollectionDetails(726871);
+
+      expect(mockTMDBService.getCollection).toHaveBeenCalledWith(726871);
+      expect(result).toMatchObject({
+        id: 726871,
+        name: 'Dune Collection',
+        part_count: 3,
+        total_runtime: 321,
+        vote_average: 7.9,
+        vote_count: 20000
+      });
+      expect(result.parts.map(part => [part.title, part.watch_order, part.runtime, part.released])).toEqual([
+        ['Dune', 1, 155, true],
+        ['Dune: Part Two', 2, 166, true],
+        ['Dune: Part Three', 3, null, false]
+      ]);
+    });
+
+    it('should leave runtimes unknown when part details fail', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockTMDBService.getMovie.mockRejectedValue(new Error('TMDB API Error'));
+
+      const result = await contentService.getCollectionDetails(726871);
+
+      expect(result.total_runtime).toBe(0);
+      expect(result.parts.every(part => part.runtime === null)).toBe(true);
+      console.warn.mockRestore();
+    });
+
+    it('should throw error for invalid collection ID', async () => {
+      await expect(contentService.getCollectionDetails()).rejects.toThrow('Valid collection ID is required');
+    });
+
+    it('should wrap TMDB errors', async () => {
+      mockTMDBService.getCollection.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(contentService.getCollectionDetails(726871)).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to get collection details: TMDB API Error'
+      });
+    });
+  });
+
+  describe('findByExternalId', () => {
+    it('should look up the ID with its TMDB external source', async () => {
+      mockTMDBService.findByExternalId.mockResolvedValue({
+        movie_results: [{ id: 550, title: 'Fight Club', media_type: 'movie' }],
+        person_results: [],
+        tv_results: [],
+        tv_episode_results: [],
+        tv_season_results: []
+      });
+
+      const result = await contentService.findByExternalId('imdb', 'tt0137523');
+
+      expect(mockTMDBService.findByExternalId).toHaveBeenCalledWith('tt0137523', 'imdb_id');
+      expect(result).toEqual({
+        source: 'imdb',
+        external_id: 'tt0137523',
+        total_results: 1,
+        movie_results: [{ id: 550, title: 'Fight Club', media_type: 'movie' }],
+        tv_results: [],
+        person_results: [],
+        tv_season_results: [],
+        tv_episode_results: []
+      });
+    });
+
+    it('should return empty results when nothing matches', async () => {
+      mockTMDBService.findByExternalId.mockResolvedValue({});
+
+      const result = await contentService.findByExternalId('tvdb', '999999');
+
+      expect(mockTMDBService.findByExternalId).toHaveBeenCalledWith('999999', 'tvdb_id');
+      expect(result.total_results).toBe(0);
+      expect(result.tv_results).toEqual([]);
+    });
+
+    it('should throw error for unknown sources and malformed IDs', async () => {
+      await expect(contentService.findByExternalId('letterboxd', 'fight-club')).rejects.toThrow('Source must be one of');
+      await expect(contentService.findByExternalId('imdb', '0137523')).rejects.toThrow('Invalid imdb ID (e.g. tt0137523)');
+      expect(mockTMDBService.findByExternalId).not.toHaveBeenCalled();
+    });
+
+    it('should wrap TMDB errors', async () => {
+      mockTMDBService.findByExternalId.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(contentService.findByExternalId('imdb', 'tt0137523')).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to find external ID: TMDB API Error'
+      });
+    });
+  });
+
+  describe('getSeasonDetails', () => {
+    const mockEpisode = {
+      id: 62085,
+      season_number: 1,
+      episode_number: 1,
+      episode_type: 'standard',
+      name: 'Pilot',
+      overview: 'Walter White is diagnosed with cancer.',
+      air_date: '2008-01-20',
+      runtime: 58,
+      still_path: '/still.jpg',
+      still_url: 'https://image.tmdb.org/t/p/w300/still.jpg',
+      vote_average: 8.3,
+      vote_count: 250,
+      production_code: '',
+      show_id: 1396,
+      guest_stars: [{ id: 1, name: 'Guest Star', character: 'Neighbor' }],
+      crew: [{ id: 66633, name: 'Vince Gilligan', job: 'Director' }]
+    };
+
+    it('should get a season with formatted episodes', async () => {
+      mockTMDBService.getTVSeason.mockResolvedValue({
+        id: 3572,
+        name: 'Season 1',
+        overview: '',
+        air_date: '2008-01-20',
+        season_number: 1,
+        poster_path: '/season.jpg',
+        poster_url: 'https://image.tmdb.org/t/p/w500/season.jpg',
+        vote_average: 8.2,
+        episodes: [mockEpisode]
+      });
+
+      const result = await contentService.getSeasonDetails(1396, 1);
+
+      expect(mockTMDBService.getTVSeason).toHaveBeenCalledWith(1396, 1);
+      expect(result).toEqual({
+        id: 3572,
+        show_id: 1396,
+        season_number: 1,
+        name: 'Season 1',
+        overview: '',
+        air_date: '2008-01-20',
+        poster_path: '/season.jpg',
+        poster_url: 'https://image.tmdb.org/t/p/w500/season.jpg',
+        vote_average: 8.2,
+        episode_count: 1,
+        episodes: [{
+          id: 62085,
+          season_number: 1,
+          episode_number: 1,
+          episode_type: 'standard',
+          name: 'Pilot',
+          overview: 'Walter White is diagnosed with cancer.',
+          air_date: '2008-01-20',
+          runtime: 58,
+          still_path: '/still.jpg',
+          still_url: 'https://image.tmdb.org/t/p/w300/still.jpg',
+          vote_average: 8.3,
+          vote_count: 250,
+          guest_stars: [{ id: 1, name: 'Guest Star', character: 'Neighbor' }],
+          crew: [{ id: 66633, name: 'Vince Gilligan', job: 'Director' }]
+        }]
+      });
+    });
+
+    it('should accept specials and reject invalid season numbers', async () => {
+      mockTMDBService.getTVSeason.mockResolvedValue({ id: 1, season_number: 0, episodes: [] });
+
+      await expect(contentService.getSeasonDetails(1396, 0)).resolves.toMatchObject({ episode_count: 0 });
+      await expect(contentService.getSeasonDetails(1396, -1)).rejects.toThrow('Season number must be a non-negative integer');
+      await expect(contentService.getSeasonDetails('1396', 1)).rejects.toThrow('Valid TV show ID is required');
+    });
+
+    it('should wrap TMDB errors', async () => {
+      mockTMDBService.getTVSeason.mockRejectedValue(new Error('The resource you requested could not be found.'));
+
+      await expect(contentService.getSeasonDetails(1396, 99)).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to get season details: The resource you requested could not be found.'
+      });
+    });
+  });
+
+  describe('getEpisodeDetails', () => {
+    it('should get a single episode', async () => {
+      mockTMDBService.getTVEpisode.mockResolvedValue({
+        id: 62086,
+        season_number: 1,
+        episode_number: 2,
+        name: 'Cat\'s in the Bag...',
+        air_date: '2008-01-27',
+        runtime: 48,
+        still_path: null,
+        production_code: '1ABC02',
+        guest_stars: [],
+        crew: []
+      });
+
+      const result = await contentService.getEpisodeDetails(1396, 1, 2);
+
+      expect(mockTMDBService.getTVEpisode).toHaveBeenCalledWith(1396, 1, 2);
+      expect(result).toMatchObject({
+        id: 62086,
+        show_id: 1396,
+        season_number: 1,
+        episode_number: 2,
+        episode_type: 'standard',
+        name: 'Cat\'s in the Bag...',
+        runtime: 48,
+        production_code: '1ABC02',
+        guest_stars: [],
+        crew: []
+      });
+    });
+
+    it('should throw error for invalid episode numbers', async () => {
+      await expect(contentService.getEpisodeDetails(1396, 1, 0)).rejects.toThrow('Episode number must be a positive integer');
+      await expect(contentService.getEpisodeDetails(1396, 1.5, 1)).rejects.toThrow('Season number must be a non-negative integer');
+    });
+  });
+
   describe('getCredits', () => {
     const mockCredits = {
       cast: [
@@ -319,6 +689,98 @@ describe('ContentService', () => {
     });
   });
 
+  describe('getReviews', () => {
+    const mockReviews = {
+      page: 1,
+      total_pages: 1,
+      total_results: 2,
+      results: [
+        {
+          id: 'r1',
+          author: 'Goddard',
+          author_details: { username: 'Goddard', avatar_path: '/avatar.jpg', rating: 10 },
+          content: 'Pretty **awesome** movie.\r\n\r\n>!Tyler is the narrator.!<\r\n\r\nSee [Fight Club](https://example.com) & tell <em>everyone</em>.',
+          created_at: '2018-06-09T17:51:53.359Z',
+          updated_at: '2021-06-23T15:58:09.421Z',
+          url: 'https://www.themoviedb.org/review/r1'
+        },
+        {
+          id: 'r2',
+          author: 'Brett',
+          author_details: { username: 'BPascoe', rating: null },
+          content: 'Great story line and a movie you can watch over and over again, and again, and again.',
+          created_at: '2018-05-02T15:22:24.497Z'
+        }
+      ]
+    };
+
+    it('should get paginated reviews with plain-text content', async () => {
+      mockTMDBService.getMovieReviews.mockResolvedValue(mockReviews);
+
+      const result = await contentService.getReviews(550, 'movie', 1);
+
+      expect(mockTMDBService.getMovieReviews).toHaveBeenCalledWith(550, 1);
+      expect(result).toMatchObject({ id: 550, page: 1, total_pages: 1, total_results: 2 });
+      expect(result.results[0]).toEqual({
+        id: 'r1',
+        author: 'Goddard',
+        author_username: 'Goddard',
+        author_avatar_path: '/avatar.jpg',
+        rating: 10,
+        created_at: '2018-06-09T17:51:53.359Z',
+        updated_at: '2021-06-23T15:58:09.421Z',
+        url: 'https://www.themoviedb.org/review/r1',
+        content: 'Pretty awesome movie. Tyler is the narrator. See Fight Club &amp; tell everyone.',
+        excerpt: 'Pretty awesome movie. See Fight Club &amp; tell everyone.',
+        truncated: false,
+        has_spoilers: true
+      });
+      expect(result.results[1]).toMatchObject({ rating: null, updated_at: '2018-05-02T15:22:24.497Z', has_spoilers: false });
+    });
+
+    it('should trim excerpts to the requested length at a word boundary', async () => {
+      mockTMDBService.getTVReviews.mockResolvedValue(mockReviews);
+
+      const result = await contentService.getReviews(1396, 'tv', 2, 50);
+
+      expect(mockTMDBService.getTVReviews).toHaveBeenCalledWith(1396, 2);
+      expect(result.results[1].excerpt).toBe('Great story line and a movie you can watch over…');
+      expect(result.results[1].truncated).toBe(true);
+      expect(result.results[1].content).toBe(mockReviews.results[1].content);
+    });
+
+    it('should keep escaped excerpts within the requested length', async () => {
+      mockTMDBService.getMovieReviews.mockResolvedValue({
+        ...mockReviews,
+        results: [{ id: 'r3', author: 'Critic', content: "Tom & Jerry's \"best\" caper & more & more", created_at: '2020-01-01T00:00:00.000Z' }]
+      });
+
+      const result = await contentService.getReviews(550, 'movie', 1, 30);
+
+      expect(result.results[0].excerpt).toBe('Tom &amp; Jerry&#x27;s…');
+      expect(result.results[0].excerpt.length).toBeLessThanOrEqual(30);
+      expect(result.results[0].truncated).toBe(true);
+    });
+
+    it('should not split escaped characters when trimming', () => {
+      expect(contentService.truncateText('Tom &amp; Jerry &amp; more', 12)).toBe('Tom &amp;…');
+      expect(contentService.truncateText('Tom &amp; Jerry', 8)).toBe('Tom…');
+    });
+
+    it('should throw error for invalid media type', async () => {
+      await expect(contentService.getReviews(550, 'person')).rejects.toThrow('Media type must be "movie" or "tv"');
+    });
+
+    it('should wrap TMDB errors', async () => {
+      mockTMDBService.getMovieReviews.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(contentService.getReviews(550, 'movie')).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to get reviews: TMDB API Error'
+      });
+    });
+  });
+
   describe('getWatchProviders', () => {
     const mockWatchProviders = {
       results: {
@@ -337,10 +799,25 @@ describe('ContentService', () => {
       expect(mockTMDBService.getMovieWatchProviders).toHaveBeenCalledWith(123);
       expect(result).toEqual({
         id: 123,
+        region: 'US',
+        regional: mockWatchProviders.results.US,
         results: mockWatchProviders.results
       });
     });
 
+    it('should pick the providers of the requested region', async () => {
+      mockTMDBService.getMovieWatchProviders.mockResolvedValue(mockWatchProviders);
+
+      const result = await runWithRequestContext(
+        () => contentService.getWatchProviders(123, 'movie'),
+        createRequestContext({ language: 'de-DE', region: 'DE' })
+      );
+
+      expect(result.region).toBe('DE');
+      expect(result.regional).toBeNull();
+      expect(result.results).toBe(mockWatchProviders.results);
+    });
+
     it('should handle empty watch providers', async () => {
       mockTMDBService.getMovieWatchProviders.mockResolvedValue({ results: {} });
 
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CustomCategoryService = require('../../../src/services/customCategory.service');
+const {
+  MemoryCustomCategoryStore,
+  FileCustomCategoryStore,
+  createCustomCategoryStore
+} = require('../../../src/services/customCategories');
+const { getCategoryMapping, getCategoryOverview, setCustomCategories } = require('../../../src/config/categories');
+
+describe('CustomCategoryService', () => {
+  const cozyMysteries = {
+    key: 'cozy-mysteries',
+    name: ' Cozy Mysteries ',
+    filters: { genres: [9648, 35], without_genres: [27], min_votes: 100 },
+    sort_by: 'vote_average.desc'
+  };
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = new MemoryCustomCategoryStore();
+    service = new CustomCategoryService({ store });
+  });
+
+  afterEach(() => {
+    setCustomCategories([]);
+    jest.restoreAllMocks();
+  });
+
+  it('should require a store', () => {
+    expect(() => new CustomCategoryService()).toThrow('Custom category store is required');
+  });
+
+  describe('create', () => {
+    it('should store and register the category as a mood', async () => {
+      const created = await service.create({ ...cozyMysteries, extra: 'ignored' });
+
+      expect(created).toMatchObject({
+        key: 'cozy-mysteries',
+        name: 'Cozy Mysteries',
+        media_type: 'movie',
+        sort_by: 'vote_average.desc'
+      });
+      expect(created.extra).toBeUndefined();
+      expect(created.created_at).toBe(created.updated_at);
+      expect(await store.load()).toEqual([created]);
+      expect(await service.get('cozy-mysteries')).toEqual(created);
+
+      expect(getCategoryMapping('mood', 'cozy-mysteries')).toEqual({
+        genres: [9648, 35],
+        without_genres: '27',
+        'vote_count.gte': 100,
+        sort_by: 'vote_average.desc',
+        media_type: 'movie'
+      });
+      expect(getCategoryOverview()['mood-picks'].subcategories).toContainEqual({
+        key: 'cozy-mysteries',
+        name: 'Cozy Mysteries',
+        endpoint: '/api/categories/mood/cozy-mysteries',
+        custom: true
+      });
+    });
+
+    it('should reject keys that are taken', async () => {
+      await service.create(cozyMysteries);
+
+      await expect(service.create(cozyMysteries)).rejects.toMatchObject({ code: 'CONFLICT' });
+      await expect(service.create({ ...cozyMysteries, key: 'halloween' })).rejects.toMatchObject({
+        code: 'CONFLICT',
+        message: 'Category already exists: halloween'
+      });
+    });
+
+    it('should list every problem of invalid categories', async () => {
+      const error = await service.create({ ...cozyMysteries, filters: { networks: [49] } }).catch(e => e);
+
+      expect(error.code).toBe('VALIDATION_ERROR');
+      expect(error.details).toEqual([
+        'filters.networks only applies to TV categories',
+        'sort_by vote_average.desc requires filters.min_votes'
+      ]);
+      expect(await store.load()).toEqual([]);
+    });
+
+    it('should leave the categories unchanged when saving fails', async () => {
+      jest.spyOn(store, 'save').mockRejectedValue(new Error('disk full'));
+
+      await expect(service.create(cozyMysteries)).rejects.toMatchObject({
+        code: 'CATEGORY_SERVICE_ERROR',
+        message: 'Failed to save custom categories: disk full'
+      });
+      expect(service.list()).toEqual([]);
+      expect(getCategoryMapping('mood', 'cozy-mysteries')).toBeNull();
+    });
+
+    it('should apply concurrent changes one at a time', async () => {
+      await Promise.all([
+        service.create(cozyMysteries),
+        service.create({ ...cozyMysteries, key: 'nineties-comedies', filters: { genres: [35], released_after: '1990-01-01' }, sort_by: 'popularity.desc' })
+      ]);
+
+      expect((await store.load()).map(category => category.key)).toEqual(['cozy-mysteries', 'nineties-comedies']);
+    });
+  });
+
+  describe('update', () => {
+    it('should replace the definition and keep the creation date', async () => {
+      const created = await service.create(cozyMysteries);
+      const updated = await service.update('cozy-mysteries', {
+        key: 'ignored',
+        name: 'Cozy TV Mysteries',
+        media_type: 'tv',
+        filters: { genres: [9648] }
+      });
+
+      expect(updated).toMatchObject({
+        key: 'cozy-mysteries',
+        name: 'Cozy TV Mysteries',
+        media_type: 'tv',
+        sort_by: 'popularity.desc',
+        created_at: created.created_at
+      });
+      expect(getCategoryMapping('mood', 'cozy-mysteries').media_type).toBe('tv');
+    });
+
+    it('should reject unknown categories', async () => {
+      await expect(service.update('missing', cozyMysteries)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove and unregister the category', async () => {
+      await service.create(cozyMysteries);
+
+      expect((await service.delete('cozy-mysteries')).key).toBe('cozy-mysteries');
+      expect(await store.load()).toEqual([]);
+      expect(getCategoryMapping('mood', 'cozy-mysteries')).toBeNull();
+      await expect(service.get('cozy-mysteries')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('load', () => {
+    it('should skip stored categories that are invalid or collide with the registry', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await store.save([
+        { ...cozyMysteries, name: 'Cozy Mysteries' },
+        { ...cozyMysteries, key: 'halloween' },
+        { key: 'broken', name: 'Broken', filters: {} }
+      ]);
+
+      await service.load();
+
+      expect(service.list().map(category => category.key)).toEqual(['cozy-mysteries']);
+      expect(getCategoryMapping('mood', 'cozy-mysteries')).not.toBeNull();
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse changes when the store could not be read', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(store, 'load').mockRejectedValue(new Error('permission denied'));
+
+      await service.load();
+
+      expect(service.list()).toEqual([]);
+      await expect(service.create(cozyMysteries)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+    });
+  });
+});
+
+describe('Custom Category Stores', () => {
+  describe('FileCustomCategoryStore', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-categories-'));
+      file = path.join(directory, 'data', 'custom-categories.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should persist categories to disk', async () => {
+      const store = new FileCustomCategoryStore({ file });
+
+      expect(await store.load()).toEqual([]);
+      await store.save([{ key: 'cozy-mysteries' }]);
+
+      expect(await new FileCustomCategoryStore({ file }).load()).toEqual([{ key: 'cozy-mysteries' }]);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).version).toBe(1);
+    });
+
+    it('should fail on files it cannot read', async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{"version":1}');
+
+      await expect(new FileCustomCategoryStore({ file }).load()).rejects.toThrow();
+    });
+  });
+
+  describe('createCustomCategoryStore', () => {
+    it('should create the configured backend', () => {
+      expect(createCustomCategoryStore()).toBeInstanceOf(MemoryCustomCategoryStore);
+      expect(createCustomCategoryStore({ backend: 'file', file: 'custom.json' })).toBeInstanceOf(FileCustomCategoryStore);
+      expect(() => createCustomCategoryStore({ backend: 'redis' })).toThrow('Unsupported custom category backend: redis');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { escapeText, foldLine, buildCalendar } = require('../../../src/services/ical');
+
+describe('iCalendar', () => {
+  describe('escapeText', () => {
+    it('should escape separators, backslashes and newlines', () => {
+      expect(escapeText('Dune; Part Two, in \\IMAX\\\nNow')).toBe(String.raw`Dune\; Part Two\, in \\IMAX\\\nNow`);
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBe(3);
+      lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+      expect(lines.map((line, i) => i === 0 ? line : line.slice(1)).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should build all-day events with stable UIDs', () => {
+      const body = buildCalendar({
+        name: 'Dune: Part Two',
+        description: 'Release dates',
+        timeZone: 'Europe/Berlin',
+        events: [
+          { uid: 'movie-693134-theatrical-US', date: '2024-02-29', summary: 'Dune: Part Two (in theaters)', url: 'https://www.themoviedb.org/movie/693134' }
+        ]
+      }, new Date('2024-02-01T08:30:00.123Z'));
+
+      expect(body.endsWith('\r\n')).toBe(true);
+      expect(body.split('\r\n')).toEqual([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Movie TV Tracking API//Release Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Dune: Part Two',
+        'X-WR-CALDESC:Release dates',
+        'X-WR-TIMEZONE:Europe/Berlin',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H',
+        'BEGIN:VEVENT',
+        'UID:movie-693134-theatrical-US@movie-tv-tracking-api',
+        'DTSTAMP:20240201T083000Z',
+        'DTSTART;VALUE=DATE:20240229',
+        'DTEND;VALUE=DATE:20240301',
+        'SUMMARY:Dune: Part Two (in theaters)',
+        'URL:https://www.themoviedb.org/movie/693134',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+      ]);
+    });
+
+    it('should build an empty calendar', () => {
+      const body = buildCalendar({ name: 'Nothing yet', events: [] });
+
+      expect(body).toContain('X-WR-CALNAME:Nothing yet\r\n');
+      expect(body).not.toContain('BEGIN:VEVENT');
+      expect(body).not.toContain('X-WR-CALDESC');
+      expect(body).not.toContain('X-WR-TIMEZONE');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { encodeCursor, decodeCursor, readMergedFeed } = require('../../../src/services/mergedFeed');
+
+describe('Merged Feed', () => {
+  // Sorted pages of `size` numbers
+  const numberSource = (label, numbers, size = 2) => ({
+    label,
+    fetchPage: jest.fn(async page => ({
+      page,
+      results: numbers.slice((page - 1) * size, page * size).map(value => ({ value, source: label })),
+      total_pages: Math.ceil(numbers.length / size),
+      total_results: numbers.length
+    }))
+  });
+  const compare = (a, b) => a.value - b.value;
+
+  describe('cursors', () => {
+    it('should round trip source positions', () => {
+      const cursor = encodeCursor('upcoming', [{ page: 3, offset: 1 }, null]);
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor, 'upcoming', 2)).toEqual({ positions: [{ page: 3, offset: 1 }, null], params: null });
+    });
+
+    it('should round trip feed parameters', () => {
+      const window = { from: '2024-06-01', to: '2024-12-01' };
+      const cursor = encodeCursor('upcoming', [{ page: 2, offset: 0 }, null], window);
+
+      expect(decodeCursor(cursor, 'upcoming', 2, params => params !== null)).toEqual({
+        positions: [{ page: 2, offset: 0 }, null],
+        params: window
+      });
+    });
+
+    it('should start every source at its first page without a cursor', () => {
+      expect(decodeCursor(undefined, 'upcoming', 2)).toEqual({
+        positions: [{ page: 1, offset: 0 }, { page: 1, offset: 0 }],
+        params: null
+      });
+    });
+
+    it('should reject malformed cursors and cursors of other feeds', () => {
+      const invalid = [
+        'garbage',
+        encodeCursor('calendar', [{ page: 1, offset: 0 }, null]),
+        encodeCursor('upcoming', [{ page: 1, offset: 0 }]),
+        encodeCursor('upcoming', [{ page: 0, offset: 0 }, null]),
+        encodeCursor('upcoming', [{ page: 1, offset: 0 }, null], { from: '2024-06-01' }),
+        Buffer.from('{"v":2,"f":"upcoming","p":[["1",0],null]}').toString('base64url'),
+        Buffer.from('{"v":1,"f":"upcoming","p":[[1,0],null]}').toString('base64url')
+      ];
+
+      invalid.forEach(cursor => {
+        expect(() => decodeCursor(cursor, 'upcoming', 2)).toThrow(expect.objectContaining({
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid cursor'
+        }));
+      });
+    });
+  });
+
+  describe('readMergedFeed', () => {
+    const read = (sources, cursor, pageSize) => readMergedFeed({
+      feed: 'numbers',
+      sources,
+      compare,
+      positions: decodeCursor(cursor, 'numbers', sources.length).positions,
+      pageSize
+    });
+
+    it('should merge sorted sources, ties going to the earlier source', async () => {
+      const { results, nextCursor } = await read([numberSource('a', [1, 3, 3, 8]), numberSource('b', [2, 3, 9])], undefined, 10);
+
+      expect(results.map(item => `${item.source}${item.value}`)).toEqual(['a1', 'b2', 'a3', 'a3', 'b3', 'a8', 'b9']);
+      expect(nextCursor).toBeNull();
+    });
+
+    it('should resume mid-page where the previous page stopped', async () => {
+      const a = numberSource('a', [1, 2, 5, 6, 7]);
+      const b = numberSource('b', [3, 4]);
+
+      const first = await read([a, b], undefined, 3);
+      expect(first.results.map(item => item.value)).toEqual([1, 2, 3]);
+      expect(decodeCursor(first.nextCursor, 'numbers', 2).positions).toEqual([{ page: 2, offset: 0 }, { page: 1, offset: 1 }]);
+
+      const second = await read([a, b], first.nextCursor, 3);
+      expect(second.results.map(item => item.value)).toEqual([4, 5, 6]);
+      expect(decodeCursor(second.nextCursor, 'numbers', 2).positions).toEqual([{ page: 3, offset: 0 }, null]);
+
+      const third = await read([a, b], second.nextCursor, 3);
+      expect(third.results.map(item => item.value)).toEqual([7]);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('should fail rather than drop a failing source', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const failing = { label: 'b', fetchPage: jest.fn().mockRejectedValue(new Error('TMDB down')) };
+
+      await expect(read([numberSource('a', [1, 2]), failing], undefined, 10)).rejects.toThrow('TMDB down');
+      console.warn.mockRestore();
+    });
+  });
+});
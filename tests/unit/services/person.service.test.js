@@ -0,0 +1,237 @@
+const PersonService = require('../../../src/services/person.service');
+const TMDBService = require('../../../src/services/tmdb.service');
+
+// Mock TMDBService
+jest.mock('../../../src/services/tmdb.service');
+
+describe('PersonService', () => {
+  let personService;
+  let mockTMDBService;
+
+  const mockPerson = {
+    id: 525,
+    name: 'Christopher Nolan',
+    also_known_as: ['Chris Nolan'],
+    biography: 'British-American film director.',
+    birthday: '1970-07-30',
+    deathday: null,
+    place_of_birth: 'Westminster, London, England, UK',
+    gender: 2,
+    known_for_department: 'Directing',
+    popularity: 18.6,
+    profile_path: '/nolan.jpg',
+    profile_url: 'https://image.tmdb.org/t/p/w185/nolan.jpg',
+    external_ids: { id: 525, imdb_id: 'nm0634240', wikidata_id: 'Q25191' },
+    images: {
+      profiles: [{ file_path: '/nolan2.jpg', width: 2000, height: 3000, aspect_ratio: 0.667 }]
+    },
+    combined_credits: {
+      cast: [
+        { id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15', character: 'Himself', popularity: 80 }
+      ],
+      crew: [
+        { id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15', department: 'Directing', job: 'Director', popularity: 80 },
+        { id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15', department: 'Writing', job: 'Screenplay', popularity: 80 },
+        { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16', department: 'Writing', job: 'Screenplay', popularity: 90 },
+        { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16', department: 'Writing', job: 'Story', popularity: 90 },
+        { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16', department: 'Directing', job: 'Director', popularity: 90 },
+        { id: 872585, media_type: 'movie', title: 'Oppenheimer', release_date: '2023-07-19', department: 'Production', job: 'Producer', popularity: 120 },
+        { id: 1, media_type: 'tv', name: 'Person of Interest', first_air_date: '2011-09-22', department: 'Production', job: 'Executive Producer', episode_count: 3 },
+        { id: 1, media_type: 'tv', name: 'Person of Interest', first_air_date: '2011-09-22', department: 'Production', job: 'Executive Producer', episode_count: 2 },
+        { id: 2, media_type: 'movie', title: 'Untitled Nolan Project', release_date: '', department: 'Directing', job: 'Director' },
+        { id: 3, media_type: 'movie', title: 'Some Film', release_date: '2001-01-01', department: 'Camera', job: 'Director of Photography' }
+      ]
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTMDBService = {
+      getPerson: jest.fn(),
+      getPersonCombinedCredits: jest.fn(),
+      transformResponse: jest.fn(data => ({ ...data, profile_url: `https://image.tmdb.org/t/p/w185${data.profile_path}` }))
+    };
+
+    // Mock the constructor check
+    Object.setPrototypeOf(mockTMDBService, TMDBService.prototype);
+
+    personService = new PersonService(mockTMDBService);
+  });
+
+  describe('constructor', () => {
+    it('should throw error if invalid TMDBService provided', () => {
+      expect(() => new PersonService()).toThrow('Valid TMDBService instance is required');
+      expect(() => new PersonService({})).toThrow('Valid TMDBService instance is required');
+    });
+  });
+
+  describe('getPersonDetails', () => {
+    it('should return the profile with external IDs and images', async () => {
+      mockTMDBService.getPerson.mockResolvedValue(mockPerson);
+
+      const result = await personService.getPersonDetails(525);
+
+      expect(mockTMDBService.getPerson).toHaveBeenCalledWith(525, 'combined_credits,external_ids,images');
+      expect(result).toMatchObject({
+        id: 525,
+        name: 'Christopher Nolan',
+        also_known_as: ['Chris Nolan'],
+        birthday: '1970-07-30',
+        deathday: null,
+        place_of_birth: 'Westminster, London, England, UK',
+        known_for_department: 'Directing',
+        profile_url: 'https://image.tmdb.org/t/p/w185/nolan.jpg',
+        external_ids: { imdb_id: 'nm0634240', wikidata_id: 'Q25191' }
+      });
+      expect(result.external_ids.id).toBeUndefined();
+      expect(result.images).toEqual([{
+        profile_path: '/nolan2.jpg',
+        profile_url: 'https://image.tmdb.org/t/p/w185/nolan2.jpg',
+        width: 2000,
+        height: 3000,
+        aspect_ratio: 0.667
+      }]);
+    });
+
+    it('should merge roles per title within each department', async () => {
+      mockTMDBService.getPerson.mockResolvedValue(mockPerson);
+
+      const { filmography } = await personService.getPersonDetails(525);
+
+      expect(Object.keys(filmography)).toEqual(['acting', 'directing', 'writing', 'producing', 'camera']);
+      expect(filmography.writing.map(title => [title.title, title.roles])).toEqual([
+        ['Inception', ['Screenplay']],
+        ['The Dark Knight', ['Screenplay', 'Story']]
+      ]);
+      expect(filmography.acting).toEqual([expect.objectContaining({ id: 27205, roles: ['Himself'] })]);
+      expect(filmography.producing.find(title => title.media_type === 'tv')).toMatchObject({
+        title: 'Person of Interest',
+        date: '2011-09-22',
+        roles: ['Executive Producer'],
+        episode_count: 5
+      });
+    });
+
+    it('should list undated titles first, then newest first', async () => {
+      mockTMDBService.getPerson.mockResolvedValue(mockPerson);
+
+      const { filmography } = await personService.getPersonDetails(525);
+
+      expect(filmography.directing.map(title => title.title))
+        .toEqual(['Untitled Nolan Project', 'Inception', 'The Dark Knight']);
+    });
+
+    it('should handle people without credits', async () => {
+      mockTMDBService.getPerson.mockResolvedValue({ id: 1, name: 'Unknown' });
+
+      const result = await personService.getPersonDetails(1);
+
+      expect(result.images).toEqual([]);
+      expect(result.external_ids).toEqual({});
+      expect(result.filmography).toEqual({ acting: [], directing: [], writing: [], producing: [] });
+    });
+
+    it('should throw error for invalid person ID', async () => {
+      await expect(personService.getPersonDetails()).rejects.toThrow('Valid person ID is required');
+      await expect(personService.getPersonDetails('525')).rejects.toThrow('Valid person ID is required');
+    });
+
+    it('should wrap TMDB errors', async () => {
+      mockTMDBService.getPerson.mockRejectedValue(new Error('TMDB API Error'));
+
+      await expect(personService.getPersonDetails(525)).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to get person details: TMDB API Error'
+      });
+    });
+  });
+
+  describe('getPersonCredits', () => {
+    const combinedCredits = {
+      cast: [
+        { id: 10, media_type: 'movie', title: 'Cameo', release_date: '2015-01-01', character: 'Himself', popularity: 5 }
+      ],
+      crew: [
+        { id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15', department: 'Sound', job: 'Original Music Composer', popularity: 80, vote_average: 8.4, vote_count: 30000 },
+        { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16', department: 'Sound', job: 'Original Music Composer', popularity: 90, vote_average: 8.5, vote_count: 30000 },
+        { id: 155, media_type: 'movie', title: 'The Dark Knight', release_date: '2008-07-16', department: 'Sound', job: 'Music', popularity: 90, vote_average: 8.5, vote_count: 30000 },
+        { id: 693134, media_type: 'movie', title: 'Dune: Part Two', release_date: '2024-02-27', department: 'Sound', job: 'Original Music Composer', popularity: 200, vote_average: 8.2, vote_count: 5000 },
+        { id: 1399, media_type: 'tv', name: 'Planet Earth II', first_air_date: '2016-11-06', department: 'Sound', job: 'Original Music Composer', popularity: 30, vote_average: 9.1, vote_count: 1000, episode_count: 6 },
+        { id: 1396, media_type: 'tv', name: 'Breaking Bad', first_air_date: '2008-01-20', department: 'Creator', job: 'Creator', popularity: 280 },
+        { id: 900, media_type: 'movie', title: 'Short', release_date: '2001-01-01', department: 'Writing', job: 'Story', popularity: 1 }
+      ]
+    };
+
+    beforeEach(() => {
+      mockTMDBService.getPersonCombinedCredits.mockResolvedValue(combinedCredits);
+    });
+
+    it('should list movie and TV titles in a role, newest first', async () => {
+      const result = await personService.getPersonCredits(947, { role: 'composer' });
+
+      expect(mockTMDBService.getPersonCombinedCredits).toHaveBeenCalledWith(947);
+      expect(result).toMatchObject({ person_id: 947, role: 'composer', media_type: 'all', sort: 'newest', total_results: 4 });
+      expect(result.results.map(title => title.title))
+        .toEqual(['Dune: Part Two', 'Planet Earth II', 'Inception', 'The Dark Knight']);
+      expect(result.results[3].roles).toEqual(['Original Music Composer', 'Music']);
+    });
+
+    it('should filter by media type and exclude a title', async () => {
+      const result = await personService.getPersonCredits(947, { role: 'composer', mediaType: 'movie', excludeId: 693134, excludeMediaType: 'movie' });
+
+      expect(result.results.map(title => title.id)).toEqual([27205, 155]);
+    });
+
+    it('should only exclude the title of the excluded media type', async () => {
+      mockTMDBService.getPersonCombinedCredits.mockResolvedValue({
+        cast: [],
+        crew: [
+          { id: 1396, media_type: 'movie', title: 'Same Id Movie', release_date: '2001-01-01', job: 'Music' },
+          { id: 1396, media_type: 'tv', name: 'Same Id Show', first_air_date: '2002-01-01', job: 'Music' }
+        ]
+      });
+
+      const result = await personService.getPersonCredits(947, { role: 'composer', excludeId: 1396, excludeMediaType: 'movie' });
+
+      expect(result.results.map(title => title.title)).toEqual(['Same Id Show']);
+    });
+
+    it('should require the media type of an excluded title', async () => {
+      await expect(personService.getPersonCredits(947, { role: 'composer', excludeId: 1396 }))
+        .rejects.toThrow('Excluded media type must be movie or tv');
+    });
+
+    it('should sort by popularity or rating', async () => {
+      const popular = await personService.getPersonCredits(947, { role: 'composer', sort: 'popular' });
+      const rated = await personService.getPersonCredits(947, { role: 'composer', sort: 'rated' });
+
+      expect(popular.results.map(title => title.id)).toEqual([693134, 155, 27205, 1399]);
+      expect(rated.results.map(title => title.id)).toEqual([1399, 155, 27205, 693134]);
+    });
+
+    it('should use cast credits for actors and jobs or departments for crew roles', async () => {
+      const actor = await personService.getPersonCredits(947, { role: 'actor' });
+      const creator = await personService.getPersonCredits(947, { role: 'creator' });
+      const writer = await personService.getPersonCredits(947, { role: 'writer' });
+
+      expect(actor.results).toEqual([expect.objectContaining({ title: 'Cameo', roles: ['Himself'] })]);
+      expect(creator.results).toEqual([expect.objectContaining({ title: 'Breaking Bad', media_type: 'tv' })]);
+      expect(writer.results).toEqual([expect.objectContaining({ title: 'Short', roles: ['Story'] })]);
+    });
+
+    it('should default to directed titles', async () => {
+      const result = await personService.getPersonCredits(947);
+
+      expect(result.role).toBe('director');
+      expect(result.results).toEqual([]);
+    });
+
+    it('should reject unknown options', async () => {
+      await expect(personService.getPersonCredits(947, { role: 'gaffer' })).rejects.toThrow('Role must be one of:');
+      await expect(personService.getPersonCredits(947, { mediaType: 'person' })).rejects.toThrow('Media type must be one of:');
+      await expect(personService.getPersonCredits(947, { sort: 'oldest' })).rejects.toThrow('Sort must be one of:');
+      await expect(personService.getPersonCredits('947')).rejects.toThrow('Valid person ID is required');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const ProviderSnapshotJob = require('../../../src/services/snapshots/snapshot.job');
+const StreamingDatesService = require('../../../src/services/streamingDates.service');
+const TMDBService = require('../../../src/services/tmdb.service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySnapshotStore, FileSnapshotStore } = require('../../../src/services/snapshots');
+
+describe('ProviderSnapshotJob', () => {
+  let job;
+  let mockTMDBService;
+  let streamingDates;
+
+  beforeEach(() => {
+    mockTMDBService = {
+      getPopularMovies: jest.fn().mockResolvedValue({ results: [{ id: 550, title: 'Fight Club' }] }),
+      getPopularTV: jest.fn().mockResolvedValue({ results: [{ id: 1396, name: 'Breaking Bad' }] }),
+      getMovieWatchProviders: jest.fn().mockResolvedValue({ results: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] } } }),
+      getTVWatchProviders: jest.fn().mockResolvedValue({ results: {} })
+    };
+    Object.setPrototypeOf(mockTMDBService, TMDBService.prototype);
+
+    streamingDates = new StreamingDatesService(mockTMDBService, { store: new MemorySnapshotStore() });
+    job = new ProviderSnapshotJob(mockTMDBService, streamingDates, { maxConcurrent: 1 });
+  });
+
+  afterEach(() => {
+    job.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should require its services', () => {
+    expect(() => new ProviderSnapshotJob(mockTMDBService)).toThrow('TMDBService and StreamingDatesService instances are required');
+  });
+
+  it('should snapshot popular titles', async () => {
+    const result = await job.run();
+
+    expect(result).toMatchObject({ titles: 2, recorded: 2, failed: 0 });
+    expect(mockTMDBService.getMovieWatchProviders).toHaveBeenCalledWith(550);
+    expect(mockTMDBService.getTVWatchProviders).toHaveBeenCalledWith(1396);
+    expect((await streamingDates.store.get('movie:550')).regions.US[8].provider_name).toBe('Netflix');
+    expect(job.lastRun).toBe(result);
+  });
+
+  it('should keep snapshotting titles that are no longer popular', async () => {
+    await job.run();
+    mockTMDBService.getPopularMovies.mockResolvedValue({ results: [] });
+    mockTMDBService.getPopularTV.mockRejectedValue(new Error('TMDB API Error'));
+
+    const result = await job.run();
+
+    expect(result).toMatchObject({ titles: 2, recorded: 2 });
+    expect(mockTMDBService.getMovieWatchProviders).toHaveBeenCalledTimes(2);
+  });
+
+  it('should snapshot titles tracked by requests first', async () => {
+    await job.run();
+    await streamingDates.trackTitle('movie', { id: 27205, title: 'Inception' });
+    mockTMDBService.getPopularMovies.mockResolvedValue({ results: [] });
+    mockTMDBService.getPopularTV.mockResolvedValue({ results: [] });
+    job.maxTrackedTitles = 1;
+
+    const result = await job.run();
+
+    expect(result).toMatchObject({ titles: 1, recorded: 1 });
+    expect(mockTMDBService.getMovieWatchProviders).toHaveBeenLastCalledWith(27205);
+    expect((await streamingDates.store.get('movie:27205')).last_observed_at).not.toBeNull();
+  });
+
+  it('should rotate through every tracked title when there are more than the cap', async () => {
+    let time = Date.parse('2024-06-01T00:00:00Z');
+    streamingDates.now = () => new Date(time += 1000);
+    mockTMDBService.getPopularMovies.mockResolvedValue({ results: [] });
+    mockTMDBService.getPopularTV.mockResolvedValue({ results: [] });
+    for (let id = 1; id <= 5; id++) {
+      await streamingDates.trackTitle('movie', { id, title: `Movie ${id}` });
+    }
+    job = new ProviderSnapshotJob(mockTMDBService, streamingDates, { maxTrackedTitles: 2, maxConcurrent: 1 });
+
+    await job.run();
+    await job.run();
+    await job.run();
+    await job.run();
+
+    // Never observed titles first, then the least recently observed
+    const snapshotted = mockTMDBService.getMovieWatchProviders.mock.calls.map(([id]) => id);
+    expect(snapshotted).toEqual([1, 2, 3, 4, 5, 1, 2, 3]);
+    const records = await streamingDates.store.values();
+    expect(records.every(record => record.last_observed_at)).toBe(true);
+  });
+
+  it('should write the snapshot file once per run', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-snapshots-'));
+    try {
+      const file = path.join(directory, 'snapshots.json');
+      streamingDates = new StreamingDatesService(mockTMDBService, { store: new FileSnapshotStore({ file, flushDelayMs: 60000 }) });
+      [27205, 155, 680].forEach(id => streamingDates.trackTitle('movie', { id, title: `Movie ${id}` }));
+      job = new ProviderSnapshotJob(mockTMDBService, streamingDates, { maxConcurrent: 2 });
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+      const result = await job.run();
+
+      expect(result).toMatchObject({ titles: 5, recorded: 5 });
+      expect(writeFile).toHaveBeenCalledTimes(1);
+      expect(await new FileSnapshotStore({ file }).values()).toHaveLength(5);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should stop tracking titles nobody requested within the retention period', async () => {
+    await streamingDates.recordSnapshot('movie', { id: 27205, title: 'Inception' }, { results: {} }, new Date('2020-01-01T00:00:00Z'));
+    streamingDates.trackTitle('movie', { id: 155, title: 'The Dark Knight' });
+
+    const result = await job.run();
+
+    expect(result).toMatchObject({ titles: 4, recorded: 4, pruned: 1 });
+    expect((await streamingDates.store.values()).map(record => record.id).sort((a, b) => a - b)).toEqual([155, 550, 1396]);
+  });
+
+  it('should count titles it could not snapshot', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockTMDBService.getTVWatchProviders.mockRejectedValue(new Error('TMDB API Error'));
+
+    const result = await job.run();
+
+    expect(result).toMatchObject({ recorded: 1, failed: 1 });
+    expect(console.warn).toHaveBeenCalledWith('Provider snapshot job could not snapshot 1 of 2 titles');
+  });
+
+  it('should share a run that is already in progress', async () => {
+    const [first, second] = await Promise.all([job.run(), job.run()]);
+
+    expect(first).toBe(second);
+    expect(mockTMDBService.getPopularMovies).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run on an interval once started', async () => {
+    jest.useFakeTimers();
+    try {
+      job = new ProviderSnapshotJob(mockTMDBService, streamingDates, { intervalMs: 1000 });
+      jest.spyOn(job, 'run').mockResolvedValue({});
+
+      job.start();
+      job.start();
+      expect(job.run).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(2000);
+      expect(job.run).toHaveBeenCalledTimes(3);
+
+      job.stop();
+      jest.advanceTimersByTime(2000);
+      expect(job.run).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
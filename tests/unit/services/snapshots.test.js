@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MemorySnapshotStore,
+  FileSnapshotStore,
+  createSnapshotStore
+} = require('../../../src/services/snapshots');
+
+describe('Provider Snapshot Stores', () => {
+  describe('MemorySnapshotStore', () => {
+    it('should store copies of records', async () => {
+      const store = new MemorySnapshotStore();
+      const record = { id: 550, regions: {} };
+
+      await store.set('movie:550', record);
+      record.regions.US = {};
+
+      expect(await store.get('movie:550')).toEqual({ id: 550, regions: {} });
+      expect(await store.values()).toHaveLength(1);
+
+      await store.delete('movie:550');
+      expect(await store.values()).toHaveLength(0);
+
+      await store.set('movie:550', record);
+      await store.clear();
+      expect(await store.get('movie:550')).toBeUndefined();
+    });
+  });
+
+  describe('FileSnapshotStore', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-snapshots-'));
+      file = path.join(directory, 'streaming', 'snapshots.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should persist records to disk', async () => {
+      const store = new FileSnapshotStore({ file });
+      await Promise.all([
+        store.set('movie:550', { id: 550 }),
+        store.set('tv:1396', { id: 1396 })
+      ]);
+      await store.flush();
+
+      const reopened = new FileSnapshotStore({ file });
+
+      expect(await reopened.get('movie:550')).toEqual({ id: 550 });
+      expect((await reopened.values()).map(record => record.id)).toEqual([550, 1396]);
+    });
+
+    it('should batch changes into one write', async () => {
+      jest.useFakeTimers();
+      try {
+        const store = new FileSnapshotStore({ file, flushDelayMs: 1000 });
+        const writeFile = jest.spyOn(fs.promises, 'writeFile');
+        await store.set('movie:550', { id: 550 });
+        await store.set('tv:1396', { id: 1396 });
+        await store.delete('movie:550');
+
+        expect(writeFile).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        await store.flush();
+
+        expect(writeFile).toHaveBeenCalledTimes(1);
+        expect((await new FileSnapshotStore({ file }).values()).map(record => record.id)).toEqual([1396]);
+        writeFile.mockRestore();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should start empty when the file is missing or corrupt', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(await new FileSnapshotStore({ file }).values()).toEqual([]);
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{not json');
+      expect(await new FileSnapshotStore({ file }).get('movie:550')).toBeUndefined();
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('createSnapshotStore', () => {
+    it('should create the configured backend', () => {
+      expect(createSnapshotStore()).toBeInstanceOf(MemorySnapshotStore);
+      expect(createSnapshotStore({ backend: 'file', file: 'snapshots.json' })).toBeInstanceOf(FileSnapshotStore);
+      expect(() => createSnapshotStore({ backend: 'redis' })).toThrow('Unsupported snapshot backend: redis');
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const StreamingDatesService = require('../../../src/services/streamingDates.service');
+const TMDBService = require('../../../src/services/tmdb.service');
+const { MemorySnapshotStore } = require('../../../src/services/snapshots');
+const { createRequestContext, runWithRequestContext } = require('../../../src/services/requestContext');
+
+const netflix = { provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg' };
+const max = { provider_id: 1899, provider_name: 'Max', logo_path: '/max.jpg' };
+const appleTV = { provider_id: 2, provider_name: 'Apple TV', logo_path: '/apple.jpg' };
+
+describe('StreamingDatesService', () => {
+  let service;
+  let mockTMDBService;
+  let store;
+
+  beforeEach(() => {
+    mockTMDBService = {
+      getMovieReleaseDates: jest.fn().mockResolvedValue({ results: [] })
+    };
+    Object.setPrototypeOf(mockTMDBService, TMDBService.prototype);
+
+    store = new MemorySnapshotStore();
+    service = new StreamingDatesService(mockTMDBService, { store });
+  });
+
+  describe('constructor', () => {
+    it('should require a TMDBService instance', () => {
+      expect(() => new StreamingDatesService({})).toThrow('Valid TMDBService instance is required');
+    });
+  });
+
+  describe('recordSnapshot', () => {
+    it('should treat providers in the first snapshot as already there', async () => {
+      const record = await service.recordSnapshot('movie', { id: 550 }, {
+        results: { US: { flatrate: [netflix], rent: [appleTV] } }
+      }, new Date('2024-03-01T10:00:00Z'));
+
+      expect(record.first_observed_at).toBe('2024-03-01T10:00:00.000Z');
+      expect(record.regions.US).toEqual({
+        8: {
+          ...netflix,
+          types: ['flatrate'],
+          added_after: null,
+          first_seen_at: '2024-03-01T10:00:00.000Z',
+          last_seen_at: '2024-03-01T10:00:00.000Z',
+          removed_at: null
+        }
+      });
+    });
+
+    it('should record providers added and removed between snapshots', async () => {
+      await service.recordSnapshot('movie', { id: 550 }, { results: { US: { flatrate: [netflix] } } }, new Date('2024-03-01T10:00:00Z'));
+      const record = await service.recordSnapshot('movie', { id: 550 }, {
+        results: { US: { flatrate: [max] }, GB: { ads: [netflix] } }
+      }, new Date('2024-03-02T10:00:00Z'));
+
+      expect(record.regions.US[8].removed_at).toBe('2024-03-02T10:00:00.000Z');
+      expect(record.regions.US[1899]).toMatchObject({
+        added_after: '2024-03-01T10:00:00.000Z',
+        first_seen_at: '2024-03-02T10:00:00.000Z'
+      });
+      expect(record.regions.GB[8]).toMatchObject({ types: ['ads'], added_after: '2024-03-01T10:00:00.000Z' });
+      expect(await store.get('movie:550')).toEqual(record);
+    });
+
+    it('should keep title details for feeds', async () => {
+      const record = await service.recordSnapshot('tv', { id: 1396, name: 'Breaking Bad', poster_path: '/bb.jpg', first_air_date: '2008-01-20' }, { results: {} });
+
+      expect(record.details).toEqual({ title: 'Breaking Bad', poster_path: '/bb.jpg', release_date: '2008-01-20' });
+    });
+
+    it('should ignore snapshots older than the latest one', async () => {
+      await service.recordSnapshot('movie', { id: 550 }, { results: { US: { flatrate: [netflix] } } }, new Date('2024-03-02T00:00:00Z'));
+      const record = await service.recordSnapshot('movie', { id: 550 }, { results: {} }, new Date('2024-03-01T00:00:00Z'));
+
+      expect(record.regions.US[8].removed_at).toBeNull();
+    });
+  });
+
+  describe('pruneTitles', () => {
+    it('should stop tracking titles nobody requested within the retention period', async () => {
+      service.now = () => new Date('2024-01-01T00:00:00Z');
+      service.trackTitle('movie', { id: 1, title: 'Requested' });
+      await service.recordSnapshot('movie', { id: 1 }, { results: {} }, new Date('2024-01-01T00:00:00Z'));
+      await service.recordSnapshot('movie', { id: 2 }, { results: {} }, new Date('2024-01-01T00:00:00Z'));
+      await service.recordSnapshot('movie', { id: 3 }, { results: {} }, new Date('2024-01-01T00:00:00Z'));
+      await service.recordSnapshot('movie', { id: 4 }, { results: {} }, new Date('2024-03-01T00:00:00Z'));
+      service.trackTitle('movie', { id: 2, title: 'Requested again' });
+
+      const pruned = await service.pruneTitles({ before: new Date('2024-02-01T00:00:00Z'), keep: new Set(['movie:3']) });
+
+      expect(pruned).toBe(1);
+      expect((await store.values()).map(record => record.id)).toEqual([2, 3, 4]);
+    });
+  });
+
+  describe('resolveStreamingDate', () => {
+    const observed = (overrides) => ({
+      ...netflix,
+      types: ['flatrate'],
+      added_after: '2024-03-01T10:00:00.000Z',
+      first_seen_at: '2024-03-02T10:00:00.000Z',
+      removed_at: null,
+      ...overrides
+    });
+
+    it('should use an observed provider addition, rated by the snapshot gap', () => {
+      expect(service.resolveStreamingDate({ providers: [observed()], releaseDate: '2023-01-01' })).toEqual({
+        date: '2024-03-02',
+        confidence: 'high',
+        source: 'provider_snapshot',
+        provider: netflix,
+        window: { from: '2024-03-01', to: '2024-03-02' }
+      });
+      expect(service.resolveStreamingDate({ providers: [observed({ added_after: '2024-02-26T10:00:00.000Z' })] }).confidence).toBe('medium');
+      expect(service.resolveStreamingDate({ providers: [observed({ added_after: '2024-01-01T10:00:00.000Z' })] }).confidence).toBe('low');
+    });
+
+    it('should prefer a digital release inside the observed window', () => {
+      const result = service.resolveStreamingDate({
+        providers: [observed({ added_after: '2024-02-20T10:00:00.000Z' })],
+        digitalReleaseDate: '2024-02-27'
+      });
+
+      expect(result).toMatchObject({ date: '2024-02-27', confidence: 'high', source: 'tmdb_digital_release' });
+    });
+
+    it('should fall back to the digital release, then the release date', () => {
+      const present = observed({ added_after: null });
+
+      expect(service.resolveStreamingDate({ providers: [present], digitalReleaseDate: '2024-02-27' })).toMatchObject({
+        date: '2024-02-27', confidence: 'high', source: 'tmdb_digital_release', provider: netflix
+      });
+      expect(service.resolveStreamingDate({ digitalReleaseDate: '2024-02-27', theatricalReleaseDate: '2023-12-01' })).toMatchObject({
+        confidence: 'medium'
+      });
+      expect(service.resolveStreamingDate({ releaseDate: '2023-12-01' })).toMatchObject({
+        date: '2023-12-01', confidence: 'low', source: 'tmdb_release_date', provider: null
+      });
+      expect(service.resolveStreamingDate({})).toEqual({ date: null, confidence: 'none', source: null, provider: null, window: null });
+    });
+
+    it('should ignore providers that have been removed', () => {
+      const result = service.resolveStreamingDate({ providers: [observed({ removed_at: '2024-03-05T10:00:00.000Z' })] });
+
+      expect(result.source).toBeNull();
+    });
+  });
+
+  describe('getProviderFeed', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+    const snapshot = (title, regions, observedAt) =>
+      service.recordSnapshot(title.media_type, title, { results: regions }, new Date(observedAt));
+    const fightClub = { media_type: 'movie', id: 550, title: 'Fight Club', poster_path: '/fc.jpg', release_date: '1999-10-15' };
+    const inception = { media_type: 'movie', id: 27205, title: 'Inception', poster_path: '/in.jpg', release_date: '2010-07-15' };
+    const breakingBad = { media_type: 'tv', id: 1396, name: 'Breaking Bad', poster_path: '/bb.jpg', first_air_date: '2008-01-20' };
+
+    beforeEach(async () => {
+      mockTMDBService.transformResponse = jest.fn(item => ({ ...item, poster_url: `https://image.tmdb.org/t/p/w500${item.poster_path}` }));
+      service = new StreamingDatesService(mockTMDBService, { store, now: () => now });
+
+      await snapshot(fightClub, { US: { flatrate: [max] } }, '2024-03-01T00:00:00Z');
+      await snapshot(fightClub, { US: { flatrate: [netflix] } }, '2024-03-08T00:00:00Z');
+      await snapshot(inception, { US: { flatrate: [netflix] } }, '2024-01-01T00:00:00Z');
+      await snapshot(inception, { US: { flatrate: [netflix] } }, '2024-03-09T00:00:00Z');
+      await snapshot(breakingBad, { US: {} }, '2024-03-08T00:00:00Z');
+      await snapshot(breakingBad, { US: { flatrate: [netflix] }, GB: { flatrate: [netflix] } }, '2024-03-09T00:00:00Z');
+    });
+
+    it('should list titles added to the provider, most recent first', async () => {
+      const feed = await service.getProviderFeed(8, { change: 'new', days: 30 });
+
+      expect(feed).toMatchObject({ provider: netflix, region: 'US', change: 'new', total_results: 2, total_pages: 1 });
+      expect(feed.results).toEqual([
+        {
+          media_type: 'tv',
+          id: 1396,
+          title: 'Breaking Bad',
+          poster_path: '/bb.jpg',
+          poster_url: 'https://image.tmdb.org/t/p/w500/bb.jpg',
+          release_date: '2008-01-20',
+          date: '2024-03-09',
+          confidence: 'high',
+          window: { from: '2024-03-08', to: '2024-03-09' }
+        },
+        expect.objectContaining({ id: 550, date: '2024-03-08', confidence: 'medium', window: { from: '2024-03-01', to: '2024-03-08' } })
+      ]);
+    });
+
+    it('should list titles that left the provider', async () => {
+      const feed = await service.getProviderFeed(1899, { change: 'leaving' });
+
+      expect(feed.provider).toEqual(max);
+      expect(feed.results.map(item => [item.title, item.date])).toEqual([['Fight Club', '2024-03-08']]);
+    });
+
+    it('should filter by days, media type and region', async () => {
+      expect((await service.getProviderFeed(8, { days: 2 })).results.map(item => item.id)).toEqual([1396]);
+      expect((await service.getProviderFeed(8, { mediaType: 'movie' })).results.map(item => item.id)).toEqual([550]);
+
+      const inBritain = await runWithRequestContext(
+        () => service.getProviderFeed(8),
+        createRequestContext({ language: 'en-GB', region: 'GB' })
+      );
+      expect(inBritain.results.map(item => item.id)).toEqual([1396]);
+    });
+
+    it('should return an empty feed for providers never seen', async () => {
+      const feed = await service.getProviderFeed(337);
+
+      expect(feed).toMatchObject({
+        provider: { provider_id: 337, provider_name: null, logo_path: null },
+        total_results: 0,
+        results: []
+      });
+    });
+
+    it('should wrap snapshot store errors', async () => {
+      jest.spyOn(store, 'values').mockRejectedValue(new Error('disk full'));
+
+      await expect(service.getProviderFeed(8)).rejects.toMatchObject({
+        code: 'CONTENT_SERVICE_ERROR',
+        message: 'Failed to get provider feed: disk full'
+      });
+    });
+  });
+
+  describe('getStreamingDate', () => {
+    const movie = { id: 550, release_date: '2024-01-10' };
+    const releaseDates = {
+      results: [
+        { iso_3166_1: 'US', release_dates: [{ type: 4, release_date: '2024-02-27T00:00:00.000Z' }] },
+        { iso_3166_1: 'IN', release_dates: [{ type: 3, release_date: '2024-01-12T00:00:00.000Z' }] }
+      ]
+    };
+
+    it('should return the same date on every call', async () => {
+      mockTMDBService.getMovieReleaseDates.mockResolvedValue(releaseDates);
+      await service.recordSnapshot('movie', movie, { results: { US: { flatrate: [netflix] } } });
+
+      const first = await service.getStreamingDate('movie', movie);
+      const second = await service.getStreamingDate('movie', movie);
+
+      expect(first).toEqual(second);
+      expect(first).toMatchObject({ date: '2024-02-27', source: 'tmdb_digital_release', provider: netflix });
+      expect(mockTMDBService.getMovieReleaseDates).toHaveBeenCalledWith(550);
+    });
+
+    it('should only read snapshots, noting requested titles for the snapshot job', async () => {
+      const title = { id: 551, title: 'Untracked', release_date: '2024-01-10', overview: 'Not kept' };
+      const observedAt = new Date('2024-03-01T10:00:00Z');
+      service.now = () => new Date('2024-02-01T00:00:00Z');
+      await service.recordSnapshot('movie', movie, { results: { US: { flatrate: [netflix] } } }, observedAt);
+      jest.spyOn(store, 'set');
+
+      await service.getStreamingDate('movie', movie);
+      await service.getStreamingDate('movie', title);
+
+      expect(store.set).not.toHaveBeenCalled();
+      expect(await store.get('movie:551')).toBeUndefined();
+      expect(service.getRequestedTitles()).toEqual([
+        { mediaType: 'movie', title: { id: 550, title: undefined, poster_path: null, release_date: '2024-01-10' }, requested_at: '2024-02-01T00:00:00.000Z' },
+        { mediaType: 'movie', title: { id: 551, title: 'Untracked', poster_path: null, release_date: '2024-01-10' }, requested_at: '2024-02-01T00:00:00.000Z' }
+      ]);
+
+      const record = await service.recordSnapshot('movie', title, { results: { US: { flatrate: [netflix] } } }, observedAt);
+      expect(record).toMatchObject({ first_observed_at: '2024-03-01T10:00:00.000Z', last_requested_at: '2024-02-01T00:00:00.000Z' });
+      expect(record.regions.US[8].added_after).toBeNull();
+      expect(service.getRequestedTitles().map(({ title: { id } }) => id)).toEqual([550]);
+    });
+
+    it('should use the release dates of the requested region', async () => {
+      const result = await runWithRequestContext(
+        () => service.getStreamingDate('movie', movie, { releaseDates }),
+        createRequestContext({ language: 'en-IN', region: 'IN' })
+      );
+
+      expect(result).toMatchObject({ date: '2024-01-10', source: 'tmdb_release_date' });
+    });
+
+    it('should keep working when the snapshot store or release dates fail', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(store, 'get').mockRejectedValue(new Error('disk full'));
+      mockTMDBService.getMovieReleaseDates.mockRejectedValue(new Error('TMDB API Error'));
+
+      const result = await service.getStreamingDate('movie', movie);
+
+      expect(result).toMatchObject({ date: '2024-01-10', confidence: 'low' });
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+
+    it('should use first air dates for TV shows', async () => {
+      const result = await service.getStreamingDate('tv', { id: 1396, first_air_date: '2008-01-20' });
+
+      expect(result).toMatchObject({ date: '2008-01-20', source: 'tmdb_release_date' });
+      expect(mockTMDBService.getMovieReleaseDates).not.toHaveBeenCalled();
+    });
+  });
+});
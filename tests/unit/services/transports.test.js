@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TMDBService = require('../../../src/services/tmdb.service');
+const {
+  HttpTransport,
+  RecordTransport,
+  ReplayTransport,
+  FixtureStore,
+  createTransport
+} = require('../../../src/services/transports');
+const { movieResponse, errorResponse } = require('../../fixtures/tmdb-responses');
+
+describe('TMDB Transports', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('HttpTransport', () => {
+    it('should resolve the axios instance per request', async () => {
+      const axiosInstance = { get: jest.fn().mockResolvedValue({ data: movieResponse }) };
+      const transport = new HttpTransport(() => axiosInstance);
+
+      const data = await transport.get('/movie/550', { language: 'en-US' });
+
+      expect(data).toBe(movieResponse);
+      expect(axiosInstance.get).toHaveBeenCalledWith('/movie/550', { params: { language: 'en-US' } });
+    });
+  });
+
+  describe('FixtureStore', () => {
+    it('should lay out fixtures by endpoint path', () => {
+      const store = new FixtureStore(fixturesDir);
+      const filePath = store.getFilePath('/movie/550/watch/providers', '/movie/550/watch/providers');
+
+      expect(path.relative(fixturesDir, filePath)).toMatch(/^movie\/550\/watch\/providers\/[0-9a-f]{12}\.json$/);
+    });
+
+    it('should return null for requests that were never recorded', async () => {
+      const store = new FixtureStore(fixturesDir);
+      expect(await store.read('/movie/1', '/movie/1')).toBeNull();
+    });
+  });
+
+  describe('record and replay', () => {
+    it('should replay recorded responses without network access', async () => {
+      const live = { get: jest.fn().mockResolvedValue(movieResponse) };
+      const recorder = new RecordTransport(live, fixturesDir);
+
+      await recorder.get('/movie/550', { append_to_response: 'credits' }, '/movie/550?append_to_response=credits');
+
+      const replayer = new ReplayTransport(fixturesDir);
+      const data = await replayer.get('/movie/550', { append_to_response: 'credits' }, '/movie/550?append_to_response=credits');
+
+      expect(data).toEqual(movieResponse);
+    });
+
+    it('should record and replay TMDB client errors', async () => {
+      const notFound = new Error(errorResponse.status_message);
+      notFound.code = 'TMDB_API_ERROR';
+      notFound.status = 404;
+      notFound.tmdbCode = errorResponse.status_code;
+      const recorder = new RecordTransport({ get: jest.fn().mockRejectedValue(notFound) }, fixturesDir);
+
+      await expect(recorder.get('/movie/0', {}, '/movie/0')).rejects.toBe(notFound);
+
+      const error = await new ReplayTransport(fixturesDir).get('/movie/0', {}, '/movie/0').catch(e => e);
+      expect(error).toMatchObject({ code: 'TMDB_API_ERROR', status: 404, tmdbCode: 34 });
+      expect(error.message).toBe(errorResponse.status_message);
+    });
+
+    it('should not record network failures', async () => {
+      const networkError = new Error('Failed to connect to TMDB API');
+      networkError.code = 'NETWORK_ERROR';
+      const recorder = new RecordTransport({ get: jest.fn().mockRejectedValue(networkError) }, fixturesDir);
+
+      await expect(recorder.get('/movie/550', {}, '/movie/550')).rejects.toBe(networkError);
+      expect(fs.readdirSync(fixturesDir)).toHaveLength(0);
+    });
+
+    it('should report missing fixtures as not found', async () => {
+      const error = await new ReplayTransport(fixturesDir).get('/movie/550', {}, '/movie/550').catch(e => e);
+
+      expect(error.code).toBe('TMDB_API_ERROR');
+      expect(error.status).toBe(404);
+      expect(error.fixtureMissing).toBe(true);
+      expect(error.message).toBe('No recorded fixture for /movie/550');
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should create a transport for each mode', () => {
+      const live = new HttpTransport(() => null);
+
+      expect(createTransport({}, live)).toBe(live);
+      expect(createTransport({ mode: 'record', fixturesDir }, live)).toBeInstanceOf(RecordTransport);
+      expect(createTransport({ mode: 'replay', fixturesDir }, live)).toBeInstanceOf(ReplayTransport);
+      expect(() => createTransport({ mode: 'mock' }, live)).toThrow('Unsupported TMDB transport mode: mock');
+    });
+  });
+
+  describe('TMDBService integration', () => {
+    it('should boot without an API key in replay mode', () => {
+      expect(() => new TMDBService(undefined, undefined, { transport: { mode: 'replay', fixturesDir } })).not.toThrow();
+      expect(() => new TMDBService(undefined, undefined, { transport: { mode: 'record', fixturesDir } }))
+        .toThrow('TMDB API key or access token is required');
+    });
+
+    it('should serve transformed responses from recorded fixtures', async () => {
+      const store = new FixtureStore(fixturesDir);
+      await store.write('/movie/550', '/movie/550', { data: movieResponse });
+      const service = new TMDBService(undefined, undefined, { transport: { mode: 'replay', fixturesDir } });
+      service.enforceRateLimit = jest.fn();
+
+      const movie = await service.getMovie(550);
+
+      expect(movie.title).toBe('Fight Club');
+      expect(movie.poster_url).toBe(`https://image.tmdb.org/t/p/w500${movieResponse.poster_path}`);
+      expect(service.enforceRateLimit).not.toHaveBeenCalled();
+      expect(service.getUpstreamStatus().transport).toBe('replay');
+    });
+  });
+});